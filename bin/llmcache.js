@@ -22,17 +22,25 @@ program
 // Global options
 program
   .option('-g, --global', 'Use global cache (~/.llmcache/cache)')
-  .option('-p, --path <path>', 'Custom cache path');
+  .option('-p, --path <path>', 'Custom cache path')
+  .option('--plugin <module>', 'Load a backend plugin (repeatable, also $LLMCACHE_PLUGINS)', (value, list) => [...list, value], []);
+
+// Register plugin backends before any command opens a cache
+program.hook('preAction', () => {
+  const { envPlugins, loadPlugins } = require('../src/core/plugins');
+  loadPlugins([...envPlugins(), ...program.opts().plugin]);
+});
 
 // Init command
 program
   .command('init')
   .description('Initialize a new cache')
-  .option('-b, --backend <type>', 'Storage backend: json, sqlite, redis', 'json')
+  .option('-b, --backend <type>', 'Storage backend: json, sqlite, redis, or one from a plugin', 'json')
+  .option('--redis-url <url>', 'Redis connection URL (PRO, default: $LLMCACHE_REDIS_URL)')
   .action((options) => {
     const { execute } = require('../src/commands/init');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
   });
 
 // Set command
@@ -41,11 +49,13 @@ program
   .description('Cache a prompt/response pair')
   .option('-m, --model <name>', 'Model name', 'default')
   .option('-t, --ttl <duration>', 'Time to live (PRO): 7d, 24h, 30m')
+  .option('--soft-ttl <duration>', 'Serve as stale after this, until the TTL (PRO)')
   .option('--tags <tags>', 'Comma-separated tags (PRO)')
+  .option('--request', 'The prompt is a JSON request: messages, system, parameters, tools')
   .action((prompt, response, options) => {
     const { execute } = require('../src/commands/set');
     const globalOpts = program.opts();
-    execute(prompt, response, { ...globalOpts, ...options });
+    return execute(prompt, response, { ...globalOpts, ...options });
   });
 
 // Get command
@@ -55,10 +65,12 @@ program
   .option('-m, --model <name>', 'Model name', 'default')
   .option('-r, --raw', 'Output only the response')
   .option('-o, --output <file>', 'Write response to file')
+  .option('--request', 'The prompt is a JSON request: messages, system, parameters, tools')
+  .option('--no-track', 'Do not count the hit or update stats')
   .action((prompt, options) => {
     const { execute } = require('../src/commands/get');
     const globalOpts = program.opts();
-    execute(prompt, { ...globalOpts, ...options });
+    return execute(prompt, { ...globalOpts, ...options });
   });
 
 // List command
@@ -73,7 +85,7 @@ program
   .action((options) => {
     const { execute } = require('../src/commands/list');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
   });
 
 // Stats command
@@ -84,7 +96,7 @@ program
   .action((options) => {
     const { execute } = require('../src/commands/stats');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
   });
 
 // Clear command
@@ -97,7 +109,32 @@ program
   .action((options) => {
     const { execute } = require('../src/commands/clear');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
+  });
+
+// Invalidate command
+program
+  .command('invalidate')
+  .description('Show cache generations, or invalidate every entry by moving to a new one')
+  .option('--bump', 'Move to a new generation; earlier entries stop hitting but are kept')
+  .option('--note <text>', 'With --bump: why, shown in the generation list')
+  .option('--rollback [generation]', 'Go back to the previous (or given) generation')
+  .action((options) => {
+    const { execute } = require('../src/commands/invalidate');
+    const globalOpts = program.opts();
+    return execute({ ...globalOpts, ...options });
+  });
+
+// Prune command
+program
+  .command('prune')
+  .description('Delete entries that can no longer hit')
+  .option('--generations', 'Delete entries from generations other than the current one')
+  .option('--expired', 'Delete entries past their TTL')
+  .action((options) => {
+    const { execute } = require('../src/commands/prune');
+    const globalOpts = program.opts();
+    return execute({ ...globalOpts, ...options });
   });
 
 // Search command
@@ -105,11 +142,12 @@ program
   .command('search <query>')
   .description('Search cached prompts')
   .option('-l, --limit <n>', 'Limit results', '20')
+  .option('-r, --responses', 'Search response text too')
   .option('--json', 'Output as JSON')
   .action((query, options) => {
     const { execute } = require('../src/commands/search');
     const globalOpts = program.opts();
-    execute(query, { ...globalOpts, ...options });
+    return execute(query, { ...globalOpts, ...options });
   });
 
 // Export command
@@ -117,10 +155,11 @@ program
   .command('export [output]')
   .description('Export cache to JSON')
   .option('--pretty', 'Pretty print JSON')
+  .option('--encrypted', 'Keep prompts and responses encrypted with the cache key')
   .action((output, options) => {
     const { execute } = require('../src/commands/export');
     const globalOpts = program.opts();
-    execute(output, { ...globalOpts, ...options });
+    return execute(output, { ...globalOpts, ...options });
   });
 
 // Import command
@@ -131,7 +170,31 @@ program
   .action((input, options) => {
     const { execute } = require('../src/commands/import');
     const globalOpts = program.opts();
-    execute(input, { ...globalOpts, ...options });
+    return execute(input, { ...globalOpts, ...options });
+  });
+
+// Config command
+program
+  .command('config [action] [key] [value]')
+  .description('Manage cache settings: show, get, set, unset')
+  .action((action, key, value) => {
+    const { execute } = require('../src/commands/config');
+    const globalOpts = program.opts();
+    return execute(action, key, value, globalOpts);
+  });
+
+// Migrate command
+program
+  .command('migrate')
+  .description('Upgrade the cache schema and entry keys, or convert it to another backend')
+  .option('--status', 'Show schema version and pending migrations')
+  .option('--to <backend>', 'Convert to backend: json, sqlite, redis')
+  .option('--redis-url <url>', 'Redis connection URL for --to redis')
+  .option('--json', 'Output status as JSON')
+  .action((options) => {
+    const { execute } = require('../src/commands/migrate');
+    const globalOpts = program.opts();
+    return execute({ ...globalOpts, ...options });
   });
 
 // Cost command (PRO)
@@ -143,7 +206,7 @@ program
   .action((options) => {
     const { execute } = require('../src/commands/cost');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
   });
 
 // Similar command (PRO)
@@ -157,7 +220,7 @@ program
   .action((prompt, options) => {
     const { execute } = require('../src/commands/similar');
     const globalOpts = program.opts();
-    execute(prompt, { ...globalOpts, ...options });
+    return execute(prompt, { ...globalOpts, ...options });
   });
 
 // Sync command (PRO)
@@ -169,7 +232,7 @@ program
   .action((action, options) => {
     const { execute } = require('../src/commands/sync');
     const globalOpts = program.opts();
-    execute(action, { ...globalOpts, ...options });
+    return execute(action, { ...globalOpts, ...options });
   });
 
 // Serve command (PRO)
@@ -178,10 +241,25 @@ program
   .description('Start HTTP server (PRO)')
   .option('--port <n>', 'Port number', '3377')
   .option('--host <host>', 'Host to bind', 'localhost')
+  .option('--memory-entries <n>', 'Entries kept in memory in front of the cache (0 to disable)', '1000')
+  .option('--memory-max-age <seconds>', 'How long a memory copy is served before re-reading the cache', '5')
+  .option('--revalidate-url <url>', 'Endpoint asked for fresh responses to stale entries')
   .action((options) => {
     const { execute } = require('../src/commands/serve');
     const globalOpts = program.opts();
-    execute({ ...globalOpts, ...options });
+    return execute({ ...globalOpts, ...options });
+  });
+
+// Rekey command
+program
+  .command('rekey')
+  .description('Re-encrypt the cache under a new key')
+  .option('--new-key-file <file>', 'Key to switch to (a new key is generated if the file does not exist)')
+  .option('--decrypt', 'Remove encryption and store plaintext')
+  .action((options) => {
+    const { execute } = require('../src/commands/rekey');
+    const globalOpts = program.opts();
+    return execute({ ...globalOpts, ...options });
   });
 
 // License command
@@ -190,7 +268,7 @@ program
   .description('Manage license: status, activate, deactivate')
   .action((action, key, options) => {
     const { execute } = require('../src/commands/license');
-    execute(action, key, options);
+    return execute(action, key, options);
   });
 
 // Help customization
@@ -203,12 +281,14 @@ ${colors.header('Examples:')}
   $ llmcache set @prompt.txt @response.txt Use files
   $ llmcache stats                         Show statistics
   $ llmcache search "AI"                   Search prompts
+  $ llmcache config set maxEntries 10000   Cap the cache size
 
 ${colors.pro('PRO Commands:')}
   $ llmcache cost                          Show cost savings
   $ llmcache similar "What is ML?"         Find similar prompts
   $ llmcache sync push --remote /shared    Push to remote
   $ llmcache serve --port 3377             Start HTTP server
+  $ llmcache migrate --to sqlite           Convert cache to SQLite
 
 ${colors.dim('License:')}
   $ llmcache license status                Check license
@@ -216,7 +296,10 @@ ${colors.dim('License:')}
 `);
 
 // Parse arguments
-program.parse();
+program.parseAsync().catch((err) => {
+  console.error(colors.error('✗ ') + err.message);
+  process.exitCode = 1;
+});
 
 // Show help if no command
 if (!process.argv.slice(2).length) {
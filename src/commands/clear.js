@@ -3,7 +3,7 @@
  * @module commands/clear
  */
 
-const { clear } = require('../core/cache');
+const { clearAsync } = require('../core/cache');
 const { success, error, warning, info, dim } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
@@ -11,7 +11,7 @@ const { maybeShowProTip } = require('../utils/upsell');
  * Execute clear command
  * @param {Object} options
  */
-function execute(options = {}) {
+async function execute(options = {}) {
   const { global, path: customPath, olderThan, force, yes } = options;
 
   // Require confirmation unless --yes or --force
@@ -21,7 +21,7 @@ function execute(options = {}) {
     return { success: false, requiresConfirmation: true };
   }
 
-  const result = clear({
+  const result = await clearAsync({
     global,
     customPath,
     olderThan,
@@ -0,0 +1,151 @@
+/**
+ * Config command - Manage cache settings
+ * @module commands/config
+ */
+
+const fs = require('fs');
+const { getCachePath } = require('../core/cache');
+const { CONFIG_KEYS, loadConfig, setConfigValue, unsetConfigValue } = require('../core/config');
+const { isPro } = require('../license/checker');
+const { colors, success, error, info, dim, formatBytes } = require('../utils/output');
+
+// Settings that change how entries are keyed
+const KEY_SETTINGS = ['ignoreParams', 'normalize', 'normalizeMasks'];
+
+// TTL policy settings, applied by set (PRO)
+const TTL_SETTINGS = ['modelTtls', 'tagTtls', 'maxTtl'];
+
+/**
+ * Format a setting for display
+ * @param {string} key
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(key, value) {
+  if (value === null || value === undefined) return colors.dim('unset');
+  if (key === 'normalizeMasks' || key === 'modelTtls' || key === 'tagTtls') {
+    const pairs = Object.entries(value);
+    return pairs.length > 0 ? pairs.map(([from, to]) => `${from} → ${to}`).join(', ') : colors.dim('none');
+  }
+  if (key === 'maxBytes' || key === 'blobThreshold') return `${formatBytes(value)} (${value} bytes)`;
+  if (Array.isArray(value)) return value.length > 0 ? value.join(', ') : colors.dim('none');
+  return String(value);
+}
+
+/**
+ * Execute config command
+ * @param {string} action - 'show', 'get', 'set', 'unset'
+ * @param {string} key
+ * @param {string} value - For set
+ * @param {Object} options
+ */
+function execute(action = 'get', key = null, value = null, options = {}) {
+  const { global, path: customPath } = options;
+  const cachePath = getCachePath(global, customPath);
+
+  if (!fs.existsSync(cachePath)) {
+    info('No cache found. Run: llmcache init');
+    return { success: false };
+  }
+
+  switch (action) {
+    case 'set':
+      return set(cachePath, key, value);
+
+    case 'unset':
+      return unset(cachePath, key);
+
+    case 'show':
+      return get(cachePath, null);
+
+    case 'get':
+    default:
+      return get(cachePath, key);
+  }
+}
+
+/**
+ * Print one setting, or all of them
+ */
+function get(cachePath, key) {
+  const config = loadConfig(cachePath);
+
+  if (key) {
+    if (!CONFIG_KEYS[key]) {
+      error(`Unknown config key: ${key}`);
+      info(`Keys: ${Object.keys(CONFIG_KEYS).join(', ')}`);
+      return { success: false };
+    }
+    console.log(formatValue(key, config[key]));
+    return { success: true, key, value: config[key] };
+  }
+
+  for (const name of Object.keys(CONFIG_KEYS)) {
+    console.log(`  ${name.padEnd(15)} ${formatValue(name, config[name])}`);
+  }
+  return { success: true, config };
+}
+
+/**
+ * Store a setting
+ */
+function set(cachePath, key, value) {
+  if (!key || value === null || value === undefined) {
+    error('Key and value required');
+    info('Usage: llmcache config set maxEntries 10000');
+    return { success: false };
+  }
+
+  const result = setConfigValue(cachePath, key, value);
+  if (result.success) {
+    success(`${key} = ${formatValue(key, result.value)}`);
+    keyingNote(cachePath, key);
+    ttlNote(key);
+  } else {
+    error(result.error);
+  }
+  return result;
+}
+
+/**
+ * Reset a setting to its default
+ */
+function unset(cachePath, key) {
+  if (!key) {
+    error('Key required');
+    return { success: false };
+  }
+
+  const result = unsetConfigValue(cachePath, key);
+  if (result.success) {
+    success(`${key} reset to ${formatValue(key, result.value)}`);
+    keyingNote(cachePath, key);
+  } else {
+    error(result.error);
+  }
+  return result;
+}
+
+/**
+ * Point out that the TTL policy needs PRO, like TTLs themselves
+ */
+function ttlNote(key) {
+  if (TTL_SETTINGS.includes(key) && !isPro()) {
+    info('TTLs are a PRO feature; the policy applies once PRO is active');
+  }
+}
+
+/**
+ * Explain what changing a keying setting means for existing entries
+ */
+function keyingNote(cachePath, key) {
+  if (!KEY_SETTINGS.includes(key)) return;
+
+  if (key !== 'ignoreParams' && !loadConfig(cachePath).normalizeVersion) {
+    info('This cache predates prompt normalization. Run: llmcache migrate to turn it on');
+  } else {
+    dim('Entries cached before this change keep their old keys and may miss');
+  }
+}
+
+module.exports = { execute };
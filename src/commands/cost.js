@@ -4,8 +4,8 @@
  */
 
 const { isPro } = require('../license/checker');
-const { getStorage } = require('../core/cache');
-const { calculateTotalSavings, formatCostReport, listSupportedModels, getModelPricing } = require('../core/cost');
+const { savingsAsync } = require('../core/cache');
+const { formatCostReport, listSupportedModels, getModelPricing } = require('../core/cost');
 const { colors, header, separator, formatNumber, formatMoney, dim, table } = require('../utils/output');
 const { showProFeatureUpsell } = require('../utils/upsell');
 
@@ -13,7 +13,7 @@ const { showProFeatureUpsell } = require('../utils/upsell');
  * Execute cost command
  * @param {Object} options
  */
-function execute(options = {}) {
+async function execute(options = {}) {
   const { global, path: customPath, json, models: showModels } = options;
 
   // Show supported models
@@ -48,13 +48,12 @@ function execute(options = {}) {
     return { success: false, proRequired: true };
   }
 
-  const storage = getStorage({ global, customPath });
-  if (!storage) {
+  const savings = await savingsAsync({ global, customPath });
+  if (!savings) {
     console.error(colors.error('No cache found. Run: llmcache init'));
     return { success: false };
   }
 
-  const savings = calculateTotalSavings(storage);
   const report = formatCostReport(savings);
 
   if (!report) {
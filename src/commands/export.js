@@ -4,7 +4,7 @@
  */
 
 const fs = require('fs');
-const { exportCache } = require('../core/cache');
+const { exportCacheAsync } = require('../core/cache');
 const { success, error, info, dim, formatBytes } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
@@ -13,13 +13,20 @@ const { maybeShowProTip } = require('../utils/upsell');
  * @param {string} output - Output file path
  * @param {Object} options
  */
-function execute(output, options = {}) {
-  const { global, path: customPath, pretty } = options;
+async function execute(output, options = {}) {
+  const { global, path: customPath, pretty, encrypted } = options;
 
-  const data = exportCache({
-    global,
-    customPath,
-  });
+  let data;
+  try {
+    data = await exportCacheAsync({
+      global,
+      customPath,
+      encrypted,
+    });
+  } catch (err) {
+    error(`Failed to export: ${err.message}`);
+    return { success: false };
+  }
 
   if (!data) {
     error('No cache found to export');
@@ -4,17 +4,18 @@
  */
 
 const fs = require('fs');
-const { get } = require('../core/cache');
+const { getAsync, flushHitsAsync } = require('../core/cache');
+const { parseRequest, describeRequest } = require('../core/request');
 const { colors, success, info, dim, warning } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
 /**
  * Execute get command
- * @param {string} prompt - Prompt text or @file path
- * @param {Object} options
+ * @param {string} prompt - Prompt text or @file path (request JSON with options.request)
+ * @param {Object} options - { track: false to leave hits and stats alone }
  */
-function execute(prompt, options = {}) {
-  const { model = 'default', global, path: customPath, raw, output } = options;
+async function execute(prompt, options = {}) {
+  const { model = 'default', global, path: customPath, raw, output, request, track } = options;
 
   // Handle file input
   let promptText = prompt;
@@ -28,18 +29,32 @@ function execute(prompt, options = {}) {
     promptText = fs.readFileSync(filePath, 'utf-8');
   }
 
-  const result = get(promptText, model, {
+  if (request) {
+    try {
+      promptText = parseRequest(promptText);
+    } catch (err) {
+      console.error(colors.error(err.message));
+      return { success: false, hit: false };
+    }
+  }
+
+  const result = await getAsync(promptText, model, {
     global,
     customPath,
+    track,
   });
+  await flushHitsAsync({ global, customPath });
 
   if (result) {
     if (raw) {
       // Raw output - just the response
       console.log(result.response);
     } else {
-      console.log(colors.hit('● CACHE HIT'));
+      console.log(result.stale ? colors.hit('● CACHE HIT (stale)') : colors.hit('● CACHE HIT'));
       dim(`Hash: ${result.hash || 'N/A'} | Model: ${result.model} | Hits: ${result.hits}`);
+      if (result.request) {
+        dim(`Request: ${describeRequest(result.request)}`);
+      }
       console.log('');
       console.log(result.response);
     }
@@ -54,7 +69,7 @@ function execute(prompt, options = {}) {
 
     maybeShowProTip('get');
 
-    return { success: true, hit: true, response: result.response };
+    return { success: true, hit: true, stale: Boolean(result.stale), response: result.response };
   } else {
     if (!raw) {
       console.log(colors.miss('○ CACHE MISS'));
@@ -4,7 +4,7 @@
  */
 
 const fs = require('fs');
-const { importCache } = require('../core/cache');
+const { importCacheAsync } = require('../core/cache');
 const { success, error, info, dim } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
@@ -13,7 +13,7 @@ const { maybeShowProTip } = require('../utils/upsell');
  * @param {string} input - Input file path
  * @param {Object} options
  */
-function execute(input, options = {}) {
+async function execute(input, options = {}) {
   const { global, path: customPath, strategy = 'merge' } = options;
 
   // Validate strategy
@@ -45,7 +45,7 @@ function execute(input, options = {}) {
     return { success: false };
   }
 
-  const result = importCache(data, {
+  const result = await importCacheAsync(data, {
     global,
     customPath,
     strategy,
@@ -4,7 +4,8 @@
  */
 
 const { init } = require('../core/cache');
-const { BACKENDS } = require('../core/storage');
+const { BACKENDS, persistentBackends } = require('../core/storage');
+const { DEFAULT_URL } = require('../core/resp');
 const { isPro } = require('../license/checker');
 const { success, error, info, dim } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
@@ -14,13 +15,13 @@ const { maybeShowProTip } = require('../utils/upsell');
  * @param {Object} options
  */
 function execute(options = {}) {
-  const { global, backend = 'json', path: customPath } = options;
+  const { global, backend = 'json', path: customPath, redisUrl } = options;
 
   // Validate backend
   const backendType = backend.toLowerCase();
-  if (!Object.values(BACKENDS).includes(backendType)) {
+  if (!persistentBackends().includes(backendType)) {
     error(`Unknown backend: ${backend}`);
-    info(`Available backends: ${Object.values(BACKENDS).join(', ')}`);
+    info(`Available backends: ${persistentBackends().join(', ')}`);
     return { success: false };
   }
 
@@ -35,11 +36,15 @@ function execute(options = {}) {
     global,
     backend: backendType,
     customPath,
+    redisUrl,
   });
 
   if (result.success) {
     success(`Cache initialized at ${result.path}`);
     info(`Backend: ${result.backend || 'json'}`);
+    if (result.backend === BACKENDS.REDIS) {
+      dim(`Redis: ${redisUrl || process.env.LLMCACHE_REDIS_URL || DEFAULT_URL}`);
+    }
     if (!global && !customPath) {
       dim('Using local .llmcache directory');
     }
@@ -0,0 +1,76 @@
+/**
+ * Invalidate command - Move the cache to a new generation, or back
+ * @module commands/invalidate
+ */
+
+const fs = require('fs');
+const { getCachePath, generationsAsync } = require('../core/cache');
+const { bumpGeneration, rollbackGeneration } = require('../core/generations');
+const { header, table, success, error, info, dim, timeAgo } = require('../utils/output');
+
+/**
+ * Execute invalidate command
+ * @param {Object} options - { bump, note, rollback: true or a generation }
+ */
+async function execute(options = {}) {
+  const { global, path: customPath, bump, note, rollback } = options;
+  const cachePath = getCachePath(global, customPath);
+
+  if (!fs.existsSync(cachePath)) {
+    info('No cache found. Run: llmcache init');
+    return { success: false };
+  }
+
+  if (bump && rollback) {
+    error('Pass either --bump or --rollback');
+    return { success: false };
+  }
+
+  if (bump) {
+    const result = bumpGeneration(cachePath, note);
+    success(`Moved to generation ${result.generation}; earlier entries no longer hit`);
+    dim('They are kept until pruned: llmcache prune --generations');
+    return result;
+  }
+
+  if (rollback) {
+    const target = rollback === true ? null : Number(rollback);
+    if (target !== null && !Number.isInteger(target)) {
+      error(`Invalid generation: ${rollback}`);
+      return { success: false };
+    }
+
+    const result = rollbackGeneration(cachePath, target);
+    if (result.success) {
+      success(`Rolled back from generation ${result.previous} to ${result.generation}`);
+    } else {
+      error(result.error);
+    }
+    return result;
+  }
+
+  return show(global, customPath);
+}
+
+/**
+ * Print the generations and their entries
+ */
+async function show(global, customPath) {
+  const generations = await generationsAsync({ global, customPath });
+
+  header('Cache Generations');
+  table(
+    ['Generation', 'Entries', 'Started', 'Note'],
+    generations.map(g => [
+      g.current ? `${g.generation} (current)` : String(g.generation),
+      String(g.entries),
+      g.created ? timeAgo(g.created) : '-',
+      g.note || '',
+    ]),
+  );
+  dim('llmcache invalidate --bump to invalidate all entries, --rollback to undo');
+
+  return { success: true, generations };
+}
+
+module.exports = { execute };
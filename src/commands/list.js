@@ -3,18 +3,19 @@
  * @module commands/list
  */
 
-const { list } = require('../core/cache');
-const { colors, table, dim, info, timeAgo } = require('../utils/output');
+const { listAsync } = require('../core/cache');
+const { describeRequest } = require('../core/request');
+const { colors, table, dim, info, timeAgo, shortHash } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
 /**
  * Execute list command
  * @param {Object} options
  */
-function execute(options = {}) {
+async function execute(options = {}) {
   const { model, limit = 20, sort, global, path: customPath, json } = options;
 
-  const entries = list({
+  const entries = await listAsync({
     model,
     limit: parseInt(limit),
     sort,
@@ -36,12 +37,16 @@ function execute(options = {}) {
   console.log(colors.header(`\nCached Entries (${entries.length})`));
   console.log('');
 
-  const headers = ['Hash', 'Model', 'Hits', 'Prompt', 'Created'];
+  // Structured entries get a column summarising their request
+  const structured = entries.some(e => e.request);
+
+  const headers = ['Hash', 'Model', 'Hits', 'Prompt', ...(structured ? ['Request'] : []), 'Created'];
   const rows = entries.map(e => [
-    e.hash,
+    shortHash(e.hash),
     e.model || 'default',
     e.hits || 0,
     e.prompt,
+    ...(structured ? [e.request ? describeRequest(e.request) : ''] : []),
     timeAgo(e.created),
   ]);
 
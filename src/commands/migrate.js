@@ -0,0 +1,156 @@
+/**
+ * Migrate command - Upgrade the cache schema or convert backends
+ * @module commands/migrate
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCachePath, upgradeKeysAsync } = require('../core/cache');
+const { BACKENDS, persistentBackends, detectBackend, createStorage } = require('../core/storage');
+const { convertCache } = require('../core/migrate');
+const { isPro } = require('../license/checker');
+const { colors, header, separator, success, error, info, dim } = require('../utils/output');
+
+/**
+ * Print schema version and migration history
+ * @param {Object} status - From SQLiteStorage.schemaStatus
+ */
+function printStatus(status) {
+  header('Schema Status');
+  separator();
+
+  console.log(`  Current:  ${colors.bold('v' + status.current)}`);
+  console.log(`  Latest:   ${colors.bold('v' + status.latest)}`);
+
+  if (status.applied.length > 0) {
+    console.log('');
+    console.log('  Applied:');
+    for (const m of status.applied) {
+      console.log(`    v${m.version}  ${m.description} ${colors.dim('(' + m.applied + ')')}`);
+    }
+  }
+
+  if (status.pending.length > 0) {
+    console.log('');
+    console.log(colors.warning('  Pending:'));
+    for (const m of status.pending) {
+      console.log(`    v${m.version}  ${m.description}`);
+    }
+  }
+
+  separator();
+}
+
+/**
+ * Convert the cache to another backend
+ * @param {string} cachePath
+ * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+async function convert(cachePath, options) {
+  const to = options.to.toLowerCase();
+
+  if (!persistentBackends().includes(to)) {
+    error(`Unknown backend: ${options.to}`);
+    info(`Available backends: ${persistentBackends().join(', ')}`);
+    return { success: false };
+  }
+
+  if (to !== BACKENDS.JSON && !isPro()) {
+    error(`${to} backend requires PRO license`);
+    return { success: false, proRequired: true };
+  }
+
+  const result = await convertCache(cachePath, to, { url: options.redisUrl });
+
+  if (result.success) {
+    success(`Migrated ${result.entries} entries from ${result.from} to ${result.to}`);
+    dim(`Checksum: ${result.checksum}`);
+    dim(`Backup: ${result.backup}`);
+  } else {
+    error(result.error);
+  }
+
+  return result;
+}
+
+/**
+ * Execute migrate command
+ * @param {Object} options
+ */
+async function execute(options = {}) {
+  const { global, path: customPath, status: showStatus, json, to } = options;
+  const cachePath = getCachePath(global, customPath);
+
+  if (!fs.existsSync(cachePath)) {
+    info('No cache found. Run: llmcache init');
+    return { success: false };
+  }
+
+  if (to) {
+    return convert(cachePath, options);
+  }
+
+  const backend = detectBackend(cachePath);
+
+  if (backend !== BACKENDS.SQLITE) {
+    info(`The ${backend} backend has no schema to migrate`);
+    if (showStatus) return { success: true, backend };
+    return { success: true, backend, keys: await upgradeKeys(global, customPath) };
+  }
+
+  const storage = createStorage(cachePath, backend);
+  let result;
+
+  try {
+    if (showStatus) {
+      const status = storage.schemaStatus();
+      if (json) {
+        console.log(JSON.stringify(status, null, 2));
+      } else {
+        printStatus(status);
+      }
+      return { success: true, backend, status };
+    }
+
+    storage.open();
+    result = storage.migration;
+
+    if (result.applied.length === 0) {
+      info(`Schema is up to date (v${result.to})`);
+    } else {
+      success(`Migrated schema v${result.from} → v${result.to}`);
+      if (result.backup) {
+        dim(`Backup: ${path.basename(result.backup)}`);
+      }
+    }
+  } finally {
+    storage.close();
+  }
+
+  return { success: true, backend, ...result, keys: await upgradeKeys(global, customPath) };
+}
+
+/**
+ * Move entries to current keys: legacy 12-character keys to full-length
+ * ones, and prompts to their normalized keys
+ * @param {boolean} global
+ * @param {string} customPath
+ * @returns {Promise<Object>} { success, upgraded, skipped }
+ */
+async function upgradeKeys(global, customPath) {
+  const result = await upgradeKeysAsync({ global, customPath });
+
+  if (result.upgraded > 0) {
+    success(`Moved ${result.upgraded} entries to current keys`);
+  } else {
+    info('Entry keys are up to date');
+  }
+  if (result.skipped > 0) {
+    dim(`${result.skipped} entries with short keys do not match their prompt and were left in place`);
+  }
+
+  return result;
+}
+
+module.exports = { execute };
@@ -0,0 +1,59 @@
+/**
+ * Prune command - Delete entries that can no longer hit
+ * @module commands/prune
+ */
+
+const fs = require('fs');
+const { getCachePath, pruneGenerationsAsync, clearAsync } = require('../core/cache');
+const { success, error, info, dim } = require('../utils/output');
+
+/**
+ * Execute prune command
+ * @param {Object} options - { generations: delete entries of other generations, expired: past their TTL }
+ */
+async function execute(options = {}) {
+  const { global, path: customPath, generations, expired } = options;
+  const cachePath = getCachePath(global, customPath);
+
+  if (!fs.existsSync(cachePath)) {
+    info('No cache found. Run: llmcache init');
+    return { success: false };
+  }
+
+  if (!generations && !expired) {
+    error('Nothing to prune');
+    dim('Use --generations to delete entries from generations other than the current one');
+    dim('Use --expired to delete entries past their TTL');
+    return { success: false };
+  }
+
+  let removed = 0;
+
+  if (expired) {
+    const result = await clearAsync({ global, customPath, expired: true });
+    if (!result.success) {
+      error(result.message || 'Failed to prune cache');
+      return result;
+    }
+    if (result.removed > 0) success(`Pruned ${result.removed} expired entries`);
+    removed += result.removed;
+  }
+
+  if (generations) {
+    const result = await pruneGenerationsAsync({ global, customPath });
+    if (!result.success) {
+      error(result.message || 'Failed to prune cache');
+      return result;
+    }
+    if (result.removed > 0) success(`Pruned ${result.removed} entries from other generations`);
+    removed += result.removed;
+  }
+
+  if (removed === 0) {
+    info('No entries to prune');
+  }
+
+  return { success: true, removed };
+}
+
+module.exports = { execute };
@@ -0,0 +1,94 @@
+/**
+ * Rekey command - Re-encrypt the cache under a new key
+ * @module commands/rekey
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getCachePath, rekeyAsync } = require('../core/cache');
+const { loadConfig, setConfigValue, unsetConfigValue } = require('../core/config');
+const { readKeyFile, writeKeyFile, KEY_ENV, KEY_FILE_ENV } = require('../core/encryption');
+const { BACKENDS, detectBackend } = require('../core/storage');
+const { success, error, warning, info, dim } = require('../utils/output');
+
+// Backends whose import runs in one transaction, so a failed rewrite leaves no trace
+const TRANSACTIONAL_BACKENDS = [BACKENDS.SQLITE];
+
+/**
+ * Execute rekey command
+ * @param {Object} options - { newKeyFile, decrypt }
+ */
+async function execute(options = {}) {
+  const { global, path: customPath, newKeyFile, decrypt } = options;
+  const cachePath = getCachePath(global, customPath);
+
+  if (!fs.existsSync(cachePath)) {
+    info('No cache found. Run: llmcache init');
+    return { success: false };
+  }
+
+  if (!newKeyFile === !decrypt) {
+    error('Pass either --new-key-file <file> or --decrypt');
+    return { success: false };
+  }
+
+  let newKey = null;
+  let generated = false;
+
+  if (newKeyFile) {
+    try {
+      generated = !fs.existsSync(newKeyFile);
+      newKey = generated ? writeKeyFile(newKeyFile) : readKeyFile(newKeyFile);
+    } catch (err) {
+      error(err.message);
+      return { success: false };
+    }
+  }
+
+  let result;
+  try {
+    result = await rekeyAsync(newKey, { global, customPath });
+  } catch (err) {
+    // Where it failed is unknown, so assume the rewrite had begun
+    result = { success: false, error: err.message, started: true };
+  }
+
+  if (!result.success) {
+    error(`Failed to rekey: ${result.error || result.message}`);
+
+    if (!result.started || TRANSACTIONAL_BACKENDS.includes(detectBackend(cachePath))) {
+      if (generated) fs.rmSync(newKeyFile, { force: true });
+      dim('The cache is unchanged');
+    } else {
+      warning('Some entries may already be encrypted with the new key');
+      if (generated) dim(`Keep ${newKeyFile}: it is needed to read them`);
+      dim('Run the same rekey again, with the current key still set, to finish');
+    }
+    return result;
+  }
+
+  if (decrypt) {
+    success(`Decrypted ${result.entries} entries`);
+  } else {
+    success(`Encrypted ${result.entries} entries with key ${result.keyId}`);
+    if (generated) dim(`New key written to ${newKeyFile}`);
+  }
+
+  // Keep a configured keyFile pointing at the key now in use
+  if (loadConfig(cachePath).keyFile) {
+    if (decrypt) {
+      unsetConfigValue(cachePath, 'keyFile');
+    } else {
+      setConfigValue(cachePath, 'keyFile', path.resolve(newKeyFile));
+    }
+    dim('Updated keyFile setting');
+  } else if (decrypt) {
+    info(`Unset ${KEY_ENV} and ${KEY_FILE_ENV} before using the cache`);
+  } else {
+    info(`Set ${KEY_FILE_ENV}=${path.resolve(newKeyFile)} or run: llmcache config set keyFile ${path.resolve(newKeyFile)}`);
+  }
+
+  return result;
+}
+
+module.exports = { execute };
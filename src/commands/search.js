@@ -3,26 +3,40 @@
  * @module commands/search
  */
 
-const { search } = require('../core/cache');
-const { colors, table, info, dim, timeAgo } = require('../utils/output');
+const { searchAsync } = require('../core/cache');
+const { SNIPPET_OPEN, SNIPPET_CLOSE } = require('../core/storage');
+const { colors, table, info, dim, timeAgo, shortHash } = require('../utils/output');
 const { maybeShowProTip } = require('../utils/upsell');
 
+/**
+ * Color the marked matches in a snippet
+ * @param {string} snippet
+ * @returns {string}
+ */
+function highlight(snippet) {
+  const marked = new RegExp(`${SNIPPET_OPEN}(.*?)${SNIPPET_CLOSE}`, 'g');
+  return snippet
+    .replace(marked, (_, match) => colors.warning(match))
+    .replace(/\s+/g, ' ');
+}
+
 /**
  * Execute search command
  * @param {string} query - Search query
  * @param {Object} options
  */
-function execute(query, options = {}) {
-  const { global, path: customPath, limit = 20, json } = options;
+async function execute(query, options = {}) {
+  const { global, path: customPath, limit = 20, json, responses } = options;
 
   if (!query || query.trim().length === 0) {
     info('Please provide a search query');
     return { success: false };
   }
 
-  const results = search(query, {
+  const results = await searchAsync(query, {
     global,
     customPath,
+    responses,
   });
 
   const limitedResults = results.slice(0, parseInt(limit));
@@ -41,12 +55,15 @@ function execute(query, options = {}) {
   console.log(colors.header(`\nSearch Results for "${query}" (${results.length} found)`));
   console.log('');
 
-  const headers = ['Hash', 'Model', 'Hits', 'Prompt', 'Created'];
+  // Indexed backends return ranked snippets with the matches marked
+  const ranked = limitedResults.length > 0 && limitedResults[0].snippet !== undefined;
+
+  const headers = ['Hash', 'Model', 'Hits', ranked ? 'Match' : 'Prompt', 'Created'];
   const rows = limitedResults.map(e => [
-    e.hash,
+    shortHash(e.hash),
     e.model || 'default',
     e.hits || 0,
-    e.prompt,
+    ranked ? highlight(e.snippet) : e.prompt,
     timeAgo(e.created),
   ]);
 
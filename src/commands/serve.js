@@ -4,16 +4,20 @@
  */
 
 const { isPro } = require('../license/checker');
-const { get, set, list, stats, search } = require('../core/cache');
+const {
+  getAsync, setAsync, listAsync, statsAsync, searchAsync, clearAsync, getStorage, flushHitsAsync, sweepInterval,
+} = require('../core/cache');
+const { TieredStorage } = require('../core/storage');
+const { settleRevalidations, webhookRevalidator } = require('../core/revalidate');
 const { colors, success, info, dim, separator } = require('../utils/output');
 const { showProFeatureUpsell } = require('../utils/upsell');
 
 /**
  * Execute serve command
- * @param {Object} options
+ * @param {Object} options - { revalidate: hook for stale entries (see cache.get), or revalidateUrl }
  */
 function execute(options = {}) {
-  const { port = 3377, host = 'localhost', global, path: customPath } = options;
+  const { port = 3377, host = 'localhost', global, path: customPath, memoryEntries = 1000, memoryMaxAge = 5, revalidateUrl } = options;
 
   // Check PRO
   if (!isPro()) {
@@ -34,78 +38,127 @@ function execute(options = {}) {
     return { success: false };
   }
 
+  let revalidate = options.revalidate;
+  if (!revalidate && revalidateUrl) {
+    try {
+      revalidate = webhookRevalidator(revalidateUrl);
+    } catch (e) {
+      console.error(colors.error(`Invalid --revalidate-url: ${e.message}`));
+      return { success: false };
+    }
+  }
+
   const app = express();
   app.use(express.json({ limit: '10mb' }));
 
   const cacheOptions = { global, customPath };
 
+  // One long-lived storage, with hot entries served from memory
+  const storage = openStorage(cacheOptions, parseInt(memoryEntries), parseFloat(memoryMaxAge));
+  if (storage) {
+    cacheOptions.storage = storage;
+  }
+
+  // The cache stays open, so expired entries are swept on a timer instead
+  const sweepMs = storage ? sweepInterval(cacheOptions) : null;
+  const sweeper = sweepMs
+    ? setInterval(() => clearAsync({ ...cacheOptions, expired: true }).catch(() => {}), sweepMs)
+    : null;
+  if (sweeper) sweeper.unref();
+
+  // Stale entries are served at once and refreshed in the background
+  const lookupOptions = { ...cacheOptions };
+  if (revalidate) {
+    lookupOptions.revalidate = revalidate;
+    lookupOptions.onRevalidateError = (err, hash) => {
+      console.error(colors.warning(`Revalidating ${hash.substring(0, 12)} failed: ${err.message}`));
+    };
+  }
+
   // Health check
   app.get('/health', (req, res) => {
     res.json({ status: 'ok', version: require('../../package.json').version });
   });
 
   // Get cached response
-  app.get('/cache', (req, res) => {
+  app.get('/cache', route(async (req, res) => {
     const { prompt, model = 'default' } = req.query;
 
     if (!prompt) {
       return res.status(400).json({ error: 'prompt is required' });
     }
 
-    const result = get(prompt, model, cacheOptions);
+    const result = await getAsync(prompt, model, lookupOptions);
 
     if (result) {
       res.json({ hit: true, ...result });
     } else {
       res.json({ hit: false });
     }
-  });
+  }));
 
   // Set cache entry
-  app.post('/cache', (req, res) => {
-    const { prompt, response, model = 'default', ttl, tags } = req.body;
+  app.post('/cache', route(async (req, res) => {
+    const { prompt, request, response, model = 'default', ttl, softTtl, tags } = req.body;
 
-    if (!prompt || !response) {
-      return res.status(400).json({ error: 'prompt and response are required' });
+    if (!(prompt || request) || !response) {
+      return res.status(400).json({ error: 'prompt (or request) and response are required' });
     }
 
-    const result = set(prompt, response, model, { ...cacheOptions, ttl, tags });
+    const result = await setAsync(request || prompt, response, model, { ...cacheOptions, ttl, softTtl, tags });
 
     if (result.success) {
       res.json(result);
     } else {
       res.status(result.limitExceeded ? 402 : 500).json(result);
     }
-  });
+  }));
+
+  // Get cached response for a structured request (JSON body)
+  app.post('/cache/lookup', route(async (req, res) => {
+    const { prompt, request, model = 'default' } = req.body;
+
+    if (!prompt && !request) {
+      return res.status(400).json({ error: 'prompt or request is required' });
+    }
+
+    const result = await getAsync(request || prompt, model, lookupOptions);
+
+    if (result) {
+      res.json({ hit: true, ...result });
+    } else {
+      res.json({ hit: false });
+    }
+  }));
 
   // List entries
-  app.get('/cache/list', (req, res) => {
+  app.get('/cache/list', route(async (req, res) => {
     const { model, limit = 100, sort } = req.query;
-    const entries = list({ ...cacheOptions, model, limit: parseInt(limit), sort });
+    const entries = await listAsync({ ...cacheOptions, model, limit: parseInt(limit), sort });
     res.json({ entries, count: entries.length });
-  });
+  }));
 
   // Search entries
-  app.get('/cache/search', (req, res) => {
-    const { q, limit = 20 } = req.query;
+  app.get('/cache/search', route(async (req, res) => {
+    const { q, limit = 20, responses } = req.query;
 
     if (!q) {
       return res.status(400).json({ error: 'q (query) is required' });
     }
 
-    const results = search(q, cacheOptions);
+    const results = await searchAsync(q, { ...cacheOptions, responses: responses === 'true' || responses === '1' });
     res.json({ results: results.slice(0, parseInt(limit)), total: results.length });
-  });
+  }));
 
   // Stats
-  app.get('/stats', (req, res) => {
-    const s = stats(cacheOptions);
+  app.get('/stats', route(async (req, res) => {
+    const s = await statsAsync(cacheOptions);
     if (s) {
       res.json(s);
     } else {
       res.status(500).json({ error: 'Failed to get stats' });
     }
-  });
+  }));
 
   // Start server
   const server = app.listen(parseInt(port), host, () => {
@@ -120,10 +173,15 @@ function execute(options = {}) {
     console.log(`  GET  /health         Health check`);
     console.log(`  GET  /cache          Get cached response (?prompt=...&model=...)`);
     console.log(`  POST /cache          Set cache entry (JSON body)`);
+    console.log(`  POST /cache/lookup   Get cached response (JSON body, for requests)`);
     console.log(`  GET  /cache/list     List entries (?model=...&limit=...)`);
-    console.log(`  GET  /cache/search   Search entries (?q=...)`);
+    console.log(`  GET  /cache/search   Search entries (?q=...&responses=1)`);
     console.log(`  GET  /stats          Get statistics`);
     console.log('');
+    if (revalidateUrl) {
+      info(`Stale entries are revalidated through ${revalidateUrl}`);
+      console.log('');
+    }
     dim('  Press Ctrl+C to stop');
     separator();
   });
@@ -132,7 +190,13 @@ function execute(options = {}) {
   process.on('SIGINT', () => {
     console.log('');
     info('Shutting down server...');
-    server.close(() => {
+    server.close(async () => {
+      if (sweeper) clearInterval(sweeper);
+      await settleRevalidations();
+      if (storage) {
+        await flushHitsAsync(cacheOptions);
+        await storage.close();
+      }
       success('Server stopped');
       process.exit(0);
     });
@@ -141,4 +205,34 @@ function execute(options = {}) {
   return { success: true, server };
 }
 
+/**
+ * Open the cache once for the life of the server
+ * @param {Object} cacheOptions - { global, customPath }
+ * @param {number} memoryEntries - L1 size; 0 serves straight from the backend
+ * @param {number} memoryMaxAge - Seconds an L1 copy is trusted
+ * @returns {Object|null} Storage, or null if no cache exists yet
+ */
+function openStorage(cacheOptions, memoryEntries, memoryMaxAge) {
+  const storage = getStorage(cacheOptions);
+  if (!storage || !(memoryEntries > 0)) return storage;
+
+  return new TieredStorage(storage, {
+    maxEntries: memoryEntries,
+    maxAge: memoryMaxAge > 0 ? memoryMaxAge * 1000 : null,
+  });
+}
+
+/**
+ * Wrap an async route handler so failures become 500 responses
+ * @param {Function} handler - async (req, res) => void
+ * @returns {Function}
+ */
+function route(handler) {
+  return (req, res) => {
+    handler(req, res).catch((err) => {
+      res.status(500).json({ error: err.message });
+    });
+  };
+}
+
 module.exports = { execute };
@@ -4,18 +4,19 @@
  */
 
 const fs = require('fs');
-const { set } = require('../core/cache');
+const { setAsync } = require('../core/cache');
+const { parseRequest } = require('../core/request');
 const { success, error, info, dim, formatBytes } = require('../utils/output');
 const { maybeShowProTip, showLimitExceeded } = require('../utils/upsell');
 
 /**
  * Execute set command
- * @param {string} prompt - Prompt text or @file path
+ * @param {string} prompt - Prompt text or @file path (request JSON with options.request)
  * @param {string} response - Response text or @file path
  * @param {Object} options
  */
-function execute(prompt, response, options = {}) {
-  const { model = 'default', global, path: customPath, ttl, tags } = options;
+async function execute(prompt, response, options = {}) {
+  const { model = 'default', global, path: customPath, ttl, softTtl, tags, request } = options;
 
   // Handle file inputs
   let promptText = prompt;
@@ -39,16 +40,26 @@ function execute(prompt, response, options = {}) {
     responseText = fs.readFileSync(filePath, 'utf-8');
   }
 
+  if (request) {
+    try {
+      promptText = parseRequest(promptText);
+    } catch (err) {
+      error(err.message);
+      return { success: false };
+    }
+  }
+
   // Parse tags
   let parsedTags = null;
   if (tags) {
     parsedTags = tags.split(',').map(t => t.trim()).filter(Boolean);
   }
 
-  const result = set(promptText, responseText, model, {
+  const result = await setAsync(promptText, responseText, model, {
     global,
     customPath,
     ttl,
+    softTtl,
     tags: parsedTags,
   });
 
@@ -58,7 +69,13 @@ function execute(prompt, response, options = {}) {
     } else {
       info(`Updated existing cache entry (hash: ${result.hash})`);
     }
-    dim(`Model: ${model} | Tokens: ~${result.tokens} | Size: ${formatBytes(Buffer.byteLength(responseText, 'utf8'))}`);
+    dim(`Model: ${result.model} | Tokens: ~${result.tokens} | Size: ${formatBytes(Buffer.byteLength(responseText, 'utf8'))}`);
+    if (result.expires) {
+      dim(`Expires: ${result.expires}`);
+    }
+    if (result.evicted > 0) {
+      dim(`Evicted ${result.evicted} ${result.evicted === 1 ? 'entry' : 'entries'} to stay within limits`);
+    }
   } else {
     if (result.limitExceeded) {
       showLimitExceeded('cache entries', result.message);
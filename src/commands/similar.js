@@ -5,9 +5,8 @@
 
 const fs = require('fs');
 const { isPro } = require('../license/checker');
-const { getStorage } = require('../core/cache');
-const { findSimilar, getBestMatch } = require('../core/similarity');
-const { colors, header, separator, table, dim, info, timeAgo } = require('../utils/output');
+const { findSimilarAsync } = require('../core/cache');
+const { colors, header, separator, table, dim, info, timeAgo, shortHash } = require('../utils/output');
 const { showProFeatureUpsell } = require('../utils/upsell');
 
 /**
@@ -15,7 +14,7 @@ const { showProFeatureUpsell } = require('../utils/upsell');
  * @param {string} prompt - Prompt to find similar entries for
  * @param {Object} options
  */
-function execute(prompt, options = {}) {
+async function execute(prompt, options = {}) {
   const { global, path: customPath, threshold = 0.3, limit = 10, json, best } = options;
 
   // Check PRO
@@ -38,15 +37,20 @@ function execute(prompt, options = {}) {
     promptText = fs.readFileSync(filePath, 'utf-8');
   }
 
-  const storage = getStorage({ global, customPath });
-  if (!storage) {
+  const result = await findSimilarAsync(promptText, {
+    global,
+    customPath,
+    threshold: parseFloat(threshold),
+    limit: best ? 1 : parseInt(limit),
+  });
+  if (!result) {
     console.error(colors.error('No cache found. Run: llmcache init'));
     return { success: false };
   }
 
   // Best match mode
   if (best) {
-    const match = getBestMatch(promptText, storage, parseFloat(threshold));
+    const match = result.results[0] || null;
 
     if (json) {
       console.log(JSON.stringify(match, null, 2));
@@ -75,12 +79,6 @@ function execute(prompt, options = {}) {
     return { success: true, match };
   }
 
-  // Find all similar
-  const result = findSimilar(promptText, storage, {
-    threshold: parseFloat(threshold),
-    limit: parseInt(limit),
-  });
-
   if (json) {
     console.log(JSON.stringify(result, null, 2));
     return { success: true, ...result };
@@ -99,7 +97,7 @@ function execute(prompt, options = {}) {
   const headers = ['Score', 'Hash', 'Model', 'Hits', 'Prompt'];
   const rows = result.results.map(r => [
     (r.similarity * 100).toFixed(0) + '%',
-    r.hash,
+    shortHash(r.hash),
     r.model || 'default',
     r.hits || 0,
     r.prompt.substring(0, 40) + (r.prompt.length > 40 ? '...' : ''),
@@ -3,10 +3,8 @@
  * @module commands/stats
  */
 
-const { stats } = require('../core/cache');
+const { statsAsync, savingsAsync } = require('../core/cache');
 const { isPro } = require('../license/checker');
-const { calculateTotalSavings } = require('../core/cost');
-const { getStorage } = require('../core/cache');
 const { colors, header, separator, formatBytes, formatNumber, formatMoney, dim, info, timeAgo } = require('../utils/output');
 const { maybeShowProTip, maybeShowCrossPromo } = require('../utils/upsell');
 const { getLimitStatus } = require('../license/limits');
@@ -15,10 +13,10 @@ const { getLimitStatus } = require('../license/limits');
  * Execute stats command
  * @param {Object} options
  */
-function execute(options = {}) {
+async function execute(options = {}) {
   const { global, path: customPath, json } = options;
 
-  const s = stats({ global, customPath });
+  const s = await statsAsync({ global, customPath });
 
   if (!s) {
     info('No cache found. Run: llmcache init');
@@ -38,6 +36,19 @@ function execute(options = {}) {
   console.log(`  Total Hits:    ${colors.bold(formatNumber(s.totalHits || 0))}`);
   console.log(`  Tokens Saved:  ${colors.bold(formatNumber(s.tokensSaved || 0))}`);
   console.log(`  Cache Size:    ${colors.bold(formatBytes(s.cacheSize || 0))}`);
+  console.log(`  Evictions:     ${colors.bold(formatNumber(s.evictions || 0))}`);
+
+  if (s.collisions > 0) {
+    console.log(`  Collisions:    ${colors.warning(formatNumber(s.collisions))} ${colors.dim('(lookups that found another prompt under the same key)')}`);
+  }
+
+  if (s.dedupSaved > 0) {
+    console.log(`  Dedup Saved:   ${colors.bold(formatBytes(s.dedupSaved))}`);
+  }
+
+  if (s.tierHits) {
+    console.log(`  Tier Hits:     ${colors.bold(formatNumber(s.tierHits.l1))} memory / ${colors.bold(formatNumber(s.tierHits.l2))} backend`);
+  }
 
   if (s.oldestEntry) {
     console.log(`  Oldest Entry:  ${timeAgo(s.oldestEntry)}`);
@@ -48,19 +59,16 @@ function execute(options = {}) {
 
   // PRO: Cost savings
   if (isPro()) {
-    const storage = getStorage({ global, customPath });
-    if (storage) {
-      const savings = calculateTotalSavings(storage);
-      if (!savings.proRequired) {
+    const savings = await savingsAsync({ global, customPath });
+    if (savings && !savings.proRequired) {
+      console.log('');
+      console.log(colors.pro('  Cost Savings (PRO)'));
+      console.log(`  Total Saved:   ${colors.price(formatMoney(savings.total))}`);
+
+      if (Object.keys(savings.byModel).length > 0) {
         console.log('');
-        console.log(colors.pro('  Cost Savings (PRO)'));
-        console.log(`  Total Saved:   ${colors.price(formatMoney(savings.total))}`);
-
-        if (Object.keys(savings.byModel).length > 0) {
-          console.log('');
-          for (const [model, data] of Object.entries(savings.byModel)) {
-            console.log(`    ${model}: ${formatMoney(data.cost)} (${formatNumber(data.hits)} hits)`);
-          }
+        for (const [model, data] of Object.entries(savings.byModel)) {
+          console.log(`    ${model}: ${formatMoney(data.cost)} (${formatNumber(data.hits)} hits)`);
         }
       }
     }
@@ -6,7 +6,7 @@
 const fs = require('fs');
 const path = require('path');
 const { isPro } = require('../license/checker');
-const { exportCache, importCache, getCachePath } = require('../core/cache');
+const { exportCacheAsync, importCacheAsync, getCachePath } = require('../core/cache');
 const { colors, success, error, info, dim, formatBytes } = require('../utils/output');
 const { showProFeatureUpsell } = require('../utils/upsell');
 
@@ -15,7 +15,7 @@ const { showProFeatureUpsell } = require('../utils/upsell');
  * @param {string} action - 'push' or 'pull'
  * @param {Object} options
  */
-function execute(action, options = {}) {
+async function execute(action, options = {}) {
   const { global, path: customPath, remote, strategy = 'merge' } = options;
 
   // Check PRO
@@ -94,8 +94,8 @@ function syncStatus(localPath, remoteFile) {
 /**
  * Push local cache to remote
  */
-function syncPush(localPath, remoteFile, options) {
-  const data = exportCache(options);
+async function syncPush(localPath, remoteFile, options) {
+  const data = await exportCacheAsync(options);
 
   if (!data) {
     error('No local cache to push');
@@ -132,7 +132,7 @@ function syncPush(localPath, remoteFile, options) {
 /**
  * Pull remote cache to local
  */
-function syncPull(localPath, remoteFile, options) {
+async function syncPull(localPath, remoteFile, options) {
   if (!fs.existsSync(remoteFile)) {
     error('No remote cache found');
     dim(`Expected: ${remoteFile}`);
@@ -143,7 +143,7 @@ function syncPull(localPath, remoteFile, options) {
     const content = fs.readFileSync(remoteFile, 'utf-8');
     const data = JSON.parse(content);
 
-    const result = importCache(data, options);
+    const result = await importCacheAsync(data, options);
 
     if (result.success) {
       success(`Pulled ${result.imported} entries from remote`);
@@ -0,0 +1,406 @@
+/**
+ * Blob store for large responses
+ * @module core/blobs
+ *
+ * Responses bigger than the cache's `blobThreshold` are written once to
+ * blobs/<aa>/<sha256> inside the cache directory and the entry keeps only
+ * `blob: { ref, bytes }` with an empty `response`. Listing, stats and
+ * search never open blob files; get() reads the one it needs.
+ *
+ * Blobs are content-addressed, so identical responses share a file.
+ * Deleting or clearing entries sweeps blobs no entry references any more,
+ * once per batch. The bytes on disk are kept as a running `blobBytes` stat
+ * of the wrapped storage, so stats never walk the blob directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./lock');
+const { BACKENDS, after, applyHits, deleteEntries, clearFilter } = require('./storage');
+const { loadConfig } = require('./config');
+
+const BLOB_DIR = 'blobs';
+
+// Backends whose data lives in the cache directory, so large responses
+// can be kept as blob files beside it
+const BLOB_BACKENDS = [BACKENDS.JSON, BACKENDS.SQLITE];
+
+const REF_PATTERN = /^[0-9a-f]{64}$/;
+
+// Blobs younger than this survive a sweep, so a writer in another
+// process can finish storing the entry that references its blob
+const SWEEP_GRACE_MS = 60 * 1000;
+
+/**
+ * Content-addressed files under <cachePath>/blobs
+ */
+class BlobStore {
+  constructor(cachePath) {
+    this.dir = path.join(cachePath, BLOB_DIR);
+    this.bytesChanged = 0;
+  }
+
+  /**
+   * File holding a blob
+   * @param {string} ref - sha256 hex
+   * @returns {string}
+   * @throws {Error} On a malformed ref
+   */
+  pathFor(ref) {
+    if (!REF_PATTERN.test(ref)) {
+      throw new Error(`Invalid blob ref: ${ref}`);
+    }
+    return path.join(this.dir, ref.slice(0, 2), ref);
+  }
+
+  /**
+   * Store content, reusing an existing identical blob
+   * @param {string} content
+   * @returns {string} ref
+   */
+  put(content) {
+    const ref = crypto.createHash('sha256').update(content).digest('hex');
+    const file = this.pathFor(ref);
+
+    if (!fs.existsSync(file)) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      writeFileAtomic(file, content);
+      this.bytesChanged += Buffer.byteLength(content, 'utf8');
+    }
+
+    return ref;
+  }
+
+  /**
+   * Bytes written minus bytes removed since the last call
+   * @returns {number}
+   */
+  takeChange() {
+    const delta = this.bytesChanged;
+    this.bytesChanged = 0;
+    return delta;
+  }
+
+  /**
+   * Read a blob
+   * @param {string} ref
+   * @returns {string|null} null if the file is gone
+   */
+  read(ref) {
+    try {
+      return fs.readFileSync(this.pathFor(ref), 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+  }
+
+  /**
+   * Load an entry's response from its blob
+   * @param {Object} entry
+   * @returns {Object|null} null if the blob file is missing
+   */
+  inflate(entry) {
+    if (!entry.blob) return entry;
+
+    const { blob, ...rest } = entry;
+    const response = this.read(blob.ref);
+    return response === null ? null : { ...rest, response };
+  }
+
+  /**
+   * Every blob file on disk
+   * @yields {Object} { ref, file }
+   */
+  *files() {
+    let shards = [];
+    try {
+      shards = fs.readdirSync(this.dir);
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
+    }
+
+    for (const shard of shards) {
+      for (const name of fs.readdirSync(path.join(this.dir, shard))) {
+        yield { ref: name, file: path.join(this.dir, shard, name) };
+      }
+    }
+  }
+
+  /**
+   * Total bytes on disk
+   * @returns {number}
+   */
+  size() {
+    let total = 0;
+    for (const { file } of this.files()) {
+      total += fs.statSync(file).size;
+    }
+    return total;
+  }
+
+  /**
+   * Remove blobs not in `live`, plus leftover temp files
+   * @param {Set<string>} live - Refs still referenced by entries
+   * @param {number} graceMs - Keep files modified more recently than this
+   * @returns {number} Files removed
+   */
+  sweep(live, graceMs = SWEEP_GRACE_MS) {
+    const cutoff = Date.now() - graceMs;
+    let removed = 0;
+
+    for (const { ref, file } of this.files()) {
+      if (live.has(ref)) continue;
+      const stat = fs.statSync(file);
+      if (graceMs > 0 && stat.mtimeMs > cutoff) continue;
+      fs.rmSync(file, { force: true });
+      this.bytesChanged -= stat.size;
+      removed++;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Copy every blob into another cache directory
+   * @param {string} cachePath
+   */
+  copyTo(cachePath) {
+    const target = new BlobStore(cachePath);
+    for (const { ref, file } of this.files()) {
+      if (!REF_PATTERN.test(ref)) continue;
+      const dest = target.pathFor(ref);
+      fs.mkdirSync(path.dirname(dest), { recursive: true });
+      fs.copyFileSync(file, dest);
+    }
+  }
+}
+
+/**
+ * Storage wrapper that keeps large responses in a BlobStore
+ *
+ * Sync or Promise-returning to match the wrapped backend. Entries from
+ * list() and iterate() keep their `blob` reference; get() and
+ * exportData() return the full response.
+ */
+class BlobStorage {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.fixedThreshold = options.threshold;
+    this.cachePath = storage.cachePath;
+    this.isAsync = Boolean(storage.isAsync);
+    this.blobs = new BlobStore(storage.cachePath);
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  get(hash) {
+    return after(this.storage.get(hash), entry => (entry ? this.inflate(entry) : null));
+  }
+
+  set(hash, entry) {
+    const stored = this.deflate(entry, this.threshold());
+    return after(this.storage.set(hash, stored), result => this.settle(result));
+  }
+
+  delete(hash) {
+    return after(this.deleteMany([hash]), result => ({ success: result.removed > 0 }));
+  }
+
+  /**
+   * Delete entries, then sweep their blobs in one pass
+   * @param {Array<string>} hashes
+   * @returns {Object|Promise<Object>} { success, removed }
+   */
+  deleteMany(hashes) {
+    const step = (i, hadBlob) => {
+      if (i === hashes.length) {
+        return after(deleteEntries(this.storage, hashes), (result) => {
+          return hadBlob ? after(this.collect(), () => result) : result;
+        });
+      }
+      return after(this.storage.get(hashes[i]), entry => step(i + 1, hadBlob || Boolean(entry && entry.blob)));
+    };
+    return step(0, false);
+  }
+
+  list(options) {
+    return this.storage.list(options);
+  }
+
+  iterate() {
+    return this.storage.iterate();
+  }
+
+  search(query, options) {
+    return this.storage.search ? this.storage.search(query, options) : null;
+  }
+
+  getStats() {
+    return after(this.storage.getStats(), (stats) => {
+      if (!stats || stats.blobBytes !== undefined) return withBlobBytes(stats);
+
+      // Caches from before the running total: measure once and keep it
+      const blobBytes = this.blobs.size();
+      return after(this.storage.updateStats({ blobBytes }), () => withBlobBytes({ ...stats, blobBytes }));
+    });
+  }
+
+  updateStats(updates) {
+    return this.storage.updateStats(updates);
+  }
+
+  incrementStats(deltas) {
+    return this.storage.incrementStats(deltas);
+  }
+
+  recordHits(hits) {
+    return applyHits(this.storage, hits);
+  }
+
+  clear(options = {}) {
+    return after(this.storage.clear(options), (result) => {
+      if (!clearFilter(options)) {
+        // Clearing reset the stats, the running total with them
+        this.blobs.sweep(new Set(), 0);
+        this.blobs.takeChange();
+        return after(this.storage.updateStats({ blobBytes: 0 }), () => result);
+      }
+      // Sweeps usually find nothing; skip listing every entry then
+      return result.removed > 0 ? after(this.collect(), () => result) : result;
+    });
+  }
+
+  exportData() {
+    return after(this.storage.exportData(), (data) => {
+      if (!data) return data;
+
+      const entries = {};
+      for (const [hash, entry] of Object.entries(data.entries)) {
+        entries[hash] = this.inflate(entry) || entry;
+      }
+      return { ...data, entries };
+    });
+  }
+
+  importData(importedData, strategy) {
+    const threshold = this.threshold();
+    const entries = {};
+    for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+      entries[hash] = this.deflate(entry, threshold);
+    }
+    return after(this.storage.importData({ ...importedData, entries }, strategy), result => this.settle(result));
+  }
+
+  /**
+   * Compact the wrapped store, remove every unreferenced blob now and
+   * re-measure the blob total, which writers racing on one blob can skew
+   */
+  compact() {
+    return after(this.storage.compact ? this.storage.compact() : undefined, () => {
+      return after(this.collect(0), () => this.storage.updateStats({ blobBytes: this.blobs.size() }));
+    });
+  }
+
+  close() {
+    return this.storage.close ? this.storage.close() : undefined;
+  }
+
+  /**
+   * Size above which responses become blobs: the `threshold` option,
+   * else the cache's blobThreshold setting
+   * @returns {number|null}
+   */
+  threshold() {
+    if (this.fixedThreshold !== undefined) return this.fixedThreshold;
+    return loadConfig(this.cachePath).blobThreshold;
+  }
+
+  /**
+   * Move a large response out to a blob
+   * @param {Object} entry
+   * @param {number|null} threshold
+   * @returns {Object} Entry to store
+   */
+  deflate(entry, threshold) {
+    // References are only trusted when this store wrote them
+    const { blob, ...rest } = entry;
+    const bytes = Buffer.byteLength(rest.response || '', 'utf8');
+
+    if (!threshold || bytes <= threshold) return rest;
+
+    const ref = this.blobs.put(rest.response);
+    return { ...rest, response: '', blob: { ref, bytes } };
+  }
+
+  /**
+   * Load an entry's response from its blob
+   * @param {Object} entry
+   * @returns {Object|null} null if the blob file is missing
+   */
+  inflate(entry) {
+    return this.blobs.inflate(entry);
+  }
+
+  /**
+   * Sweep blobs that no entry references
+   * @param {number} [graceMs] - See BlobStore.sweep
+   * @returns {number|Promise<number>} Files removed
+   */
+  collect(graceMs) {
+    if (this.isAsync) {
+      return (async () => {
+        const live = new Set();
+        for await (const entry of this.storage.iterate()) {
+          if (entry.blob) live.add(entry.blob.ref);
+        }
+        return this.settle(this.blobs.sweep(live, graceMs));
+      })();
+    }
+
+    const live = new Set();
+    for (const entry of this.storage.iterate()) {
+      if (entry.blob) live.add(entry.blob.ref);
+    }
+    return this.settle(this.blobs.sweep(live, graceMs));
+  }
+
+  /**
+   * Add blob files written or removed to the running blobBytes stat
+   * @param {*} value - Passed through
+   * @returns {*} value, or a Promise of it
+   */
+  settle(value) {
+    const delta = this.blobs.takeChange();
+    if (!delta) return value;
+
+    return after(this.storage.getStats(), (stats) => {
+      // Without a total yet, measure: older blobs would be missed otherwise
+      const update = stats && stats.blobBytes !== undefined
+        ? this.storage.incrementStats({ blobBytes: delta })
+        : this.storage.updateStats({ blobBytes: this.blobs.size() });
+      return after(update, () => value);
+    });
+  }
+}
+
+/**
+ * Stats with blob files counted in cacheSize
+ * @param {Object|null} stats - Wrapped storage stats, with blobBytes
+ * @returns {Object|null}
+ */
+function withBlobBytes(stats) {
+  if (!stats) return stats;
+  return { ...stats, cacheSize: (stats.cacheSize || 0) + Math.max(0, stats.blobBytes || 0) };
+}
+
+module.exports = {
+  BLOB_DIR,
+  BLOB_BACKENDS,
+  BlobStore,
+  BlobStorage,
+};
@@ -7,13 +7,32 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const os = require('os');
-const { createStorage, detectBackend, BACKENDS } = require('./storage');
+const { createStorage, detectBackend, toAsync, after, reduceEntries, applyHits, BACKENDS, persistentBackends } = require('./storage');
 const { isPro } = require('../license/checker');
 const { canAddEntry, checkResponseSize } = require('../license/limits');
+const { loadConfig, saveConfig, DEFAULT_CONFIG } = require('./config');
+const { evict, evictAsync } = require('./eviction');
+const { BLOB_BACKENDS, BlobStorage } = require('./blobs');
+const { EncryptedStorage, loadKey } = require('./encryption');
+const { isRequest, canonicalRequest, mapText, requestText } = require('./request');
+const { createNormalizer, NORMALIZE_VERSION } = require('./normalize');
+const { listGenerations } = require('./generations');
+const { HitBuffer, HIT_BATCH, HIT_FLUSH_INTERVAL } = require('./hits');
+const { scheduleRevalidation } = require('./revalidate');
+const { isExpired, isStale, liveEntries, withoutExpired, sweepDue } = require('./expiry');
+const { parseTTL, resolveTTL } = require('./ttl');
+const { findSimilar } = require('./similarity');
+const { calculateTotalSavings } = require('./cost');
 
 const LOCAL_CACHE_DIR = '.llmcache';
 const GLOBAL_CACHE_DIR = path.join(os.homedir(), '.llmcache', 'cache');
 
+// Length of the truncated keys older versions wrote; see upgradeKeysAsync
+const LEGACY_HASH_LENGTH = 12;
+
+// Backends swept of expired entries when opened; Redis expires keys itself
+const SWEPT_BACKENDS = [BACKENDS.JSON, BACKENDS.SQLITE];
+
 /**
  * Get cache path
  * @param {boolean} global - Use global cache
@@ -38,14 +57,96 @@ function getCachePath(global = false, customPath = null) {
 }
 
 /**
- * Hash prompt with model
- * @param {string} prompt
+ * Hash prompt with model, as given (set and get normalize it first)
+ * @param {string|Object} prompt - Prompt text or structured request (see core/request)
  * @param {string} model
- * @returns {string}
+ * @param {Object} [options] - { ignoreParams: request parameters left out of
+ *   the key, generation: cache generation to salt the key with }
+ * @returns {string} Full sha256 hex
+ */
+function hashPrompt(prompt, model = 'default', options = {}) {
+  const { ignoreParams = DEFAULT_CONFIG.ignoreParams, generation = 0 } = options;
+
+  const content = isRequest(prompt)
+    ? `request\0${model}\0${canonicalRequest(prompt, ignoreParams)}`
+    : model + ':' + prompt;
+
+  // Generation 0 is unsalted, so keys from before generations stay valid
+  const salted = generation ? `generation\0${generation}\0${content}` : content;
+  return crypto.createHash('sha256').update(salted).digest('hex');
+}
+
+/**
+ * Resolve what a set/get call is keyed on
+ * @param {string|Object} prompt - Prompt text or structured request
+ * @param {string} model - A request's own `model` is used when this is 'default'
+ * @param {Object} config - Cache settings (ignoreParams, normalization, generation)
+ * @returns {Object} { hash, model, prompt, generation, normalize } plus
+ *   { text } for prompts or { request, canonical, ignoreParams } for
+ *   structured requests
+ */
+function requestKey(prompt, model, config) {
+  const normalize = createNormalizer(config);
+  const { ignoreParams, generation } = config;
+
+  if (!isRequest(prompt)) {
+    const text = normalize(prompt);
+    return { hash: hashPrompt(text, model, { generation }), model, prompt, generation, text, normalize };
+  }
+
+  const resolved = model === 'default' && prompt.model ? prompt.model : model;
+  const normalized = mapText(prompt, normalize);
+
+  return {
+    hash: hashPrompt(normalized, resolved, { ignoreParams, generation }),
+    model: resolved,
+    prompt: requestText(prompt),
+    generation,
+    normalize,
+    request: prompt,
+    canonical: canonicalRequest(normalized, ignoreParams),
+    ignoreParams,
+  };
+}
+
+/**
+ * Check that a stored entry answers this request, not another one that
+ * hashed to the same key
+ * @param {Object} entry
+ * @param {Object} key - From requestKey
+ * @returns {boolean}
+ */
+function matchesRequest(entry, key) {
+  if ((entry.model || 'default') !== key.model || (entry.generation || 0) !== key.generation) return false;
+
+  if (!key.request) {
+    return !entry.request && typeof entry.prompt === 'string' && key.normalize(entry.prompt) === key.text;
+  }
+  return isRequest(entry.request) &&
+    canonicalRequest(mapText(entry.request, key.normalize), key.ignoreParams) === key.canonical;
+}
+
+/**
+ * Current key for an entry stored under a key computed the old way: a
+ * legacy truncated key, or a key from before prompt normalization
+ * @param {string} hash
+ * @param {Object} entry
+ * @param {Object} config - Cache settings to compute the current key with
+ * @returns {string|null} null if the key is current or not an old key for this entry
  */
-function hashPrompt(prompt, model = 'default') {
-  const content = model + ':' + prompt;
-  return crypto.createHash('sha256').update(content).digest('hex').substring(0, 12);
+function upgradedKey(hash, entry, config) {
+  if (typeof entry.prompt !== 'string') return null;
+
+  const model = entry.model || 'default';
+  const prompt = isRequest(entry.request) ? entry.request : entry.prompt;
+  const generation = entry.generation || 0;
+  const raw = hashPrompt(prompt, model, { ignoreParams: config.ignoreParams, generation });
+
+  const old = hash.length === LEGACY_HASH_LENGTH ? raw.startsWith(hash) : hash === raw;
+  if (!old) return null;
+
+  const current = requestKey(prompt, model, { ...config, generation }).hash;
+  return current !== hash ? current : null;
 }
 
 /**
@@ -54,12 +155,20 @@ function hashPrompt(prompt, model = 'default') {
  * @returns {Object}
  */
 function init(options = {}) {
-  const { global = false, backend = BACKENDS.JSON, customPath = null } = options;
+  const { global = false, backend = BACKENDS.JSON, customPath = null, redisUrl = null } = options;
 
   const cachePath = customPath
     ? path.resolve(customPath)
     : (global ? GLOBAL_CACHE_DIR : path.resolve(LOCAL_CACHE_DIR));
 
+  if (backend === BACKENDS.MEMORY) {
+    return { success: false, message: `${backend} backend has no cache directory; pass a storage instance as options.storage` };
+  }
+
+  if (!persistentBackends().includes(backend)) {
+    return { success: false, message: `Unknown backend: ${backend}` };
+  }
+
   // Check if already exists
   if (fs.existsSync(cachePath)) {
     return { success: false, message: 'Cache already exists', path: cachePath };
@@ -70,10 +179,11 @@ function init(options = {}) {
     return { success: false, message: `${backend} backend is a PRO feature` };
   }
 
-  const storage = createStorage(cachePath, backend);
+  const storage = createStorage(cachePath, backend, { url: redisUrl });
   const result = storage.init();
 
   if (result.success) {
+    saveConfig(cachePath, { ...loadConfig(cachePath), normalizeVersion: NORMALIZE_VERSION, backend });
     return { success: true, path: cachePath, backend };
   }
 
@@ -82,10 +192,14 @@ function init(options = {}) {
 
 /**
  * Get storage instance for current cache
- * @param {Object} options
+ * @param {Object} options - { global, customPath } or { storage: instance to use as-is }
  * @returns {Object}
  */
 function getStorage(options = {}) {
+  if (options.storage) {
+    return options.storage;
+  }
+
   const cachePath = getCachePath(options.global, options.customPath);
 
   if (!fs.existsSync(cachePath)) {
@@ -93,52 +207,282 @@ function getStorage(options = {}) {
   }
 
   const backend = detectBackend(cachePath);
-  return createStorage(cachePath, backend);
+  const storage = createStorage(cachePath, backend);
+  const stored = BLOB_BACKENDS.includes(backend) ? new BlobStorage(storage) : storage;
+  return new EncryptedStorage(stored, { key: loadKey(cachePath) });
 }
 
 /**
- * Set cache entry
- * @param {string} prompt
- * @param {string} response
- * @param {string} model
+ * Settings for the current cache
  * @param {Object} options
- * @returns {Object}
+ * @returns {Object} See core/config
  */
-function set(prompt, response, model = 'default', options = {}) {
+function cacheConfig(options = {}) {
+  if (options.storage) {
+    // A storage without a directory holds no keys from before normalization
+    return options.storage.cachePath
+      ? loadConfig(options.storage.cachePath)
+      : { ...DEFAULT_CONFIG, normalizeVersion: NORMALIZE_VERSION };
+  }
+
+  return loadConfig(getCachePath(options.global, options.customPath));
+}
+
+/**
+ * Get async storage instance for current cache
+ * @param {Object} options
+ * @returns {Object|null} Storage whose methods return Promises
+ */
+function getAsyncStorage(options = {}) {
+  return toAsync(getStorage(options));
+}
+
+/**
+ * Get storage for the sync API, rejecting async-only backends
+ * @param {Object} options
+ * @param {boolean} [flush=true] - Write buffered hits first, so they are seen
+ * @returns {Object|null}
+ */
+function getSyncStorage(options = {}, flush = true) {
   const storage = getStorage(options);
+
+  if (storage && storage.isAsync) {
+    throw new Error('This cache uses an async backend. Use the async API (e.g. setAsync, getAsync)');
+  }
+
+  if (storage && flush) writeHits(storage, options);
+  if (storage && shouldSweep(options)) {
+    try {
+      storage.clear({ expired: true });
+    } catch (e) {
+      // Readers skip expired entries anyway; the next sweep retries
+    }
+  }
+  return storage;
+}
+
+/**
+ * Run fn against the async storage, closing it afterwards unless the
+ * caller passed it in
+ * @param {Object} options
+ * @param {Function} fn - async (storage) => result
+ * @param {*} missing - Result when no cache exists
+ * @param {boolean} [flush=true] - Write buffered hits first, so they are seen
+ * @returns {Promise<*>}
+ */
+async function withAsyncStorage(options, fn, missing, flush = true) {
+  const storage = getAsyncStorage(options);
   if (!storage) {
-    return { success: false, message: 'Cache not initialized. Run: llmcache init' };
+    hitBuffers.delete(hitBufferKey(options));
+    return missing;
+  }
+
+  try {
+    if (flush) await writeHits(storage, options);
+    if (shouldSweep(options)) {
+      await storage.clear({ expired: true }).catch(() => {});
+    }
+    return await fn(storage);
+  } finally {
+    if (!options.storage) await storage.close();
+  }
+}
+
+/**
+ * How often a cache is swept of expired entries (see core/expiry)
+ * @param {Object} options - { global, customPath }
+ * @returns {number|null} ms, or null if it is not swept
+ */
+function sweepInterval(options = {}) {
+  const cachePath = getCachePath(options.global, options.customPath);
+  if (!SWEPT_BACKENDS.includes(detectBackend(cachePath))) return null;
+
+  const { sweepInterval: interval } = loadConfig(cachePath);
+  return interval === 'off' ? null : parseTTL(interval);
+}
+
+/**
+ * Check whether opening the cache should sweep it first
+ * @param {Object} options
+ * @returns {boolean}
+ */
+function shouldSweep(options) {
+  // Storages passed in belong to the caller, who sweeps them (see commands/serve);
+  // untracked reads write nothing, and clear({ expired }) is a sweep already
+  if (options.storage || options.track === false || options.expired) return false;
+
+  return sweepDue(getCachePath(options.global, options.customPath), sweepInterval(options));
+}
+
+// Hits not yet written (see core/hits), per cache directory or per
+// storage instance passed in as options.storage
+const hitBuffers = new Map();
+
+let exitHooked = false;
+
+/**
+ * Key of a cache's hit buffer
+ * @param {Object} options
+ * @returns {string|Object}
+ */
+function hitBufferKey(options) {
+  return options.storage || getCachePath(options.global, options.customPath);
+}
+
+/**
+ * Count a hit, to be written with the next batch
+ * @param {Object} options
+ * @param {string} hash
+ * @param {Object} entry
+ * @returns {Object} { pending: hits now pending for the entry, full: a batch is due }
+ */
+function bufferHit(options, hash, entry) {
+  const key = hitBufferKey(options);
+  let slot = hitBuffers.get(key);
+
+  if (!slot) {
+    const { global, customPath, storage } = options;
+    slot = { buffer: new HitBuffer(), options: { global, customPath, storage } };
+    slot.timer = setTimeout(() => flushHitsAsync(slot.options).catch(() => {}), HIT_FLUSH_INTERVAL);
+    slot.timer.unref();
+    hitBuffers.set(key, slot);
+    hookExit();
+  }
+
+  const pending = slot.buffer.record(hash, Buffer.byteLength(entry.response, 'utf8'));
+  return { pending, full: slot.buffer.size >= HIT_BATCH };
+}
+
+/**
+ * Write a cache's buffered hits through an open storage
+ * @param {Object} storage - Sync or async
+ * @param {Object} options
+ * @returns {Object|Promise<Object>|null} See applyHits; null if none were pending
+ */
+function writeHits(storage, options) {
+  const key = hitBufferKey(options);
+  const slot = hitBuffers.get(key);
+  if (!slot) return null;
+
+  hitBuffers.delete(key);
+  clearTimeout(slot.timer);
+  return applyHits(storage, slot.buffer.take());
+}
+
+/**
+ * Write buffered hits before the process exits: async backends while
+ * the event loop still runs, sync ones at the very end
+ */
+function hookExit() {
+  if (exitHooked) return;
+  exitHooked = true;
+
+  process.on('beforeExit', () => {
+    for (const { options } of hitBuffers.values()) {
+      flushHitsAsync(options).catch(() => {});
+    }
+  });
+
+  process.on('exit', () => {
+    for (const { options } of [...hitBuffers.values()]) {
+      try {
+        flushHits(options);
+      } catch (e) {
+        // Async-only backend or unreadable cache: the hits are lost
+      }
+    }
+  });
+}
+
+/**
+ * Write buffered hits now
+ * @param {Object} options
+ * @returns {Object} { success, updated }
+ */
+function flushHits(options = {}) {
+  if (!hitBuffers.has(hitBufferKey(options))) return { success: true, updated: 0 };
+
+  const storage = getSyncStorage(options, false);
+  if (!storage) {
+    hitBuffers.delete(hitBufferKey(options));
+    return NOT_INITIALIZED;
+  }
+  return writeHits(storage, options) || { success: true, updated: 0 };
+}
+
+/**
+ * Write buffered hits now (async)
+ * @param {Object} options
+ * @returns {Promise<Object>} { success, updated }
+ */
+function flushHitsAsync(options = {}) {
+  if (!hitBuffers.has(hitBufferKey(options))) return Promise.resolve({ success: true, updated: 0 });
+
+  return withAsyncStorage(options, async storage => (await writeHits(storage, options)) || { success: true, updated: 0 }, NOT_INITIALIZED, false);
+}
+
+/**
+ * Check limits and build a new entry
+ * @param {Object} key - From requestKey
+ * @param {string} response
+ * @param {Object} options
+ * @param {Object|null} stats - Current storage stats, null without a store
+ * @param {Object} config - Cache settings, for the TTL policy (see core/ttl)
+ * @returns {Object} { hash, entry } or { error }
+ */
+function prepareEntry(key, response, options, stats, config) {
+  // A cache directory without a store, e.g. left by a failed init
+  if (!stats) {
+    return { error: { success: false, message: 'Cache not initialized. Run: llmcache init' } };
   }
 
   // Check entry limit
-  const stats = storage.getStats();
   const entryCheck = canAddEntry(stats.totalEntries);
   if (!entryCheck.allowed) {
-    return { success: false, message: entryCheck.reason, limitExceeded: true };
+    return { error: { success: false, message: entryCheck.reason, limitExceeded: true } };
   }
 
   // Check response size
   const sizeCheck = checkResponseSize(Buffer.byteLength(response, 'utf8'));
   if (!sizeCheck.allowed) {
-    return { success: false, message: sizeCheck.reason, limitExceeded: true };
+    return { error: { success: false, message: sizeCheck.reason, limitExceeded: true } };
   }
 
-  const hash = hashPrompt(prompt, model);
+  const hash = key.hash;
 
+  const time = Date.now();
+  const now = new Date(time).toISOString();
   const entry = {
-    prompt,
+    prompt: key.prompt,
     response,
-    model,
-    created: new Date().toISOString(),
+    model: key.model,
+    created: now,
+    lastAccessed: now,
     hits: 0,
     tokens: options.tokens || Math.ceil(response.length / 4),
   };
 
-  // PRO: TTL support
-  if (options.ttl && isPro()) {
-    const ttlMs = parseTTL(options.ttl);
+  if (key.request) {
+    entry.request = key.request;
+  }
+
+  if (key.generation) {
+    entry.generation = key.generation;
+  }
+
+  // PRO: TTL support, as asked for or from the cache's TTL policy (see
+  // core/ttl). The TTL is hard: past it the entry is dropped. Past the soft
+  // TTL it is still served, marked stale (see core/revalidate)
+  if (isPro()) {
+    const { ttlMs, softMs, error } = resolveTTL(options, config, key.model, options.tags);
+    if (error) {
+      return { error: { success: false, message: error } };
+    }
     if (ttlMs) {
-      entry.expires = new Date(Date.now() + ttlMs).toISOString();
+      entry.expires = new Date(time + ttlMs).toISOString();
+    }
+    if (softMs) {
+      entry.staleAt = new Date(time + softMs).toISOString();
     }
   }
 
@@ -147,14 +491,27 @@ function set(prompt, response, model = 'default', options = {}) {
     entry.tags = options.tags;
   }
 
-  const result = storage.set(hash, entry);
+  return { hash, entry };
+}
 
+/**
+ * Shape a storage set() result for callers
+ * @param {Object} result - Storage result
+ * @param {string} hash
+ * @param {Object} entry
+ * @param {number} evicted - Entries evicted to make room
+ * @returns {Object}
+ */
+function setResult(result, hash, entry, evicted = 0) {
   if (result.success) {
     return {
       success: true,
       hash,
       isNew: result.isNew,
+      model: entry.model,
       tokens: entry.tokens,
+      expires: entry.expires || null,
+      evicted,
     };
   }
 
@@ -162,45 +519,327 @@ function set(prompt, response, model = 'default', options = {}) {
 }
 
 /**
- * Get cached response
- * @param {string} prompt
+ * TTL options that give a rewritten entry the same lifetimes as this one
+ * @param {Object} entry
+ * @returns {Object} { ttl, softTtl }
+ */
+function entryTTLs(entry) {
+  const since = (time) => {
+    if (!time) return undefined;
+    const ms = new Date(time) - new Date(entry.created);
+    return `${Math.max(1, Math.round(ms / 1000))}s`;
+  };
+
+  return { ttl: since(entry.expires), softTtl: since(entry.staleAt) };
+}
+
+/**
+ * Refresh a stale entry in the background through options.revalidate
+ * @param {string|Object} prompt - As passed to get()
+ * @param {string} model
+ * @param {string} hash
+ * @param {Object} entry - The stale entry
+ * @param {Object} stale - The get() result served meanwhile
+ * @param {Object} options
+ */
+function revalidate(prompt, model, hash, entry, stale, options) {
+  const { global, customPath, storage } = options;
+
+  scheduleRevalidation(hitBufferKey(options), hash, async () => {
+    const response = await options.revalidate(prompt, model, stale);
+    if (typeof response !== 'string') return;
+
+    const result = await setAsync(prompt, response, model, { global, customPath, storage, tags: entry.tags, ...entryTTLs(entry) });
+    if (!result.success) {
+      throw new Error(result.message || 'Failed to store the revalidated response');
+    }
+  }, options.onRevalidateError);
+}
+
+/**
+ * Shape an entry as a get() result
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function getResult(entry) {
+  const result = {
+    response: entry.response,
+    model: entry.model,
+    hits: entry.hits,
+    created: entry.created,
+    tokens: entry.tokens,
+  };
+
+  if (entry.request) {
+    result.request = entry.request;
+  }
+
+  if (isStale(entry)) {
+    result.stale = true;
+  }
+
+  return result;
+}
+
+/**
+ * Shape an entry for list output
+ * @param {Object} e - Entry with hash
+ * @returns {Object}
+ */
+function listItem(e) {
+  return {
+    hash: e.hash,
+    model: e.model,
+    hits: e.hits,
+    prompt: e.prompt.substring(0, 50) + (e.prompt.length > 50 ? '...' : ''),
+    created: e.created,
+    tokens: e.tokens,
+    tags: e.tags,
+    request: e.request,
+    generation: e.generation || 0,
+  };
+}
+
+/**
+ * List entries that have not expired
+ * @param {Object} storage - Sync or async
+ * @param {Object} options - As for storage.list()
+ * @returns {Array|Promise<Array>}
+ */
+function listLive(storage, options) {
+  return after(storage.list(options), (entries) => {
+    const live = liveEntries(entries);
+    if (!options.limit || live.length === entries.length) return live;
+
+    // Expired entries took up part of the limit
+    return after(storage.list({ ...options, limit: undefined }), all => liveEntries(all).slice(0, options.limit));
+  });
+}
+
+/**
+ * Starting figures for addEntryAge
+ * @returns {Object} { live, oldest, newest }
+ */
+function emptyAges() {
+  return { live: 0, oldest: null, newest: null };
+}
+
+/**
+ * Note one entry in the running figures stats() adds to the storage's own
+ * @param {Object} ages - { live, oldest, newest }, updated in place
+ * @param {Object} entry
+ * @returns {Object} ages
+ */
+function addEntryAge(ages, entry) {
+  // Expired entries no longer count, swept or not
+  if (isExpired(entry)) return ages;
+
+  ages.live++;
+  const created = new Date(entry.created);
+  if (!ages.oldest || created < new Date(ages.oldest)) ages.oldest = entry.created;
+  if (!ages.newest || created > new Date(ages.newest)) ages.newest = entry.created;
+  return ages;
+}
+
+/**
+ * Build the stats() summary
+ * @param {Object} s - Storage stats
+ * @param {Object} ages - From addEntryAge, over every entry
+ * @returns {Object}
+ */
+function summarizeStats(s, ages) {
+  return {
+    entries: ages.live,
+    totalHits: s.totalHits,
+    tokensSaved: Math.round((s.totalSaved || 0) / 4),
+    cacheSize: s.cacheSize,
+    costSaved: s.costSaved || {},
+    evictions: s.evictions || 0,
+    collisions: s.collisions || 0,
+    dedupSaved: s.dedupSaved || 0,
+    tierHits: s.l1Hits !== undefined || s.l2Hits !== undefined
+      ? { l1: s.l1Hits || 0, l2: s.l2Hits || 0 }
+      : null,
+    oldestEntry: ages.oldest,
+    newestEntry: ages.newest,
+  };
+}
+
+/**
+ * Shape a matched entry for search callers
+ * @param {Object} e - Entry with `hash`, plus `snippet`/`score` from an index
+ * @returns {Object}
+ */
+function searchResult(e) {
+  const result = {
+    hash: e.hash,
+    model: e.model,
+    hits: e.hits,
+    prompt: e.prompt.substring(0, 50) + (e.prompt.length > 50 ? '...' : ''),
+    created: e.created,
+  };
+
+  if (e.snippet !== undefined) {
+    result.snippet = e.snippet;
+    result.score = e.score;
+  }
+
+  return result;
+}
+
+/**
+ * Case-insensitive substring search, for backends without an index
+ * @param {Array} entries
+ * @param {string} query
+ * @param {Object} options - { responses: also match response text }
+ * @returns {Array}
+ */
+function searchEntries(entries, query, options = {}) {
+  const queryLower = query.toLowerCase();
+
+  return entries
+    .filter(e => e.prompt.toLowerCase().includes(queryLower) ||
+      (options.responses && !e.compressed && e.response.toLowerCase().includes(queryLower)))
+    .map(searchResult);
+}
+
+const NOT_INITIALIZED = { success: false, message: 'Cache not initialized' };
+
+/**
+ * Set cache entry
+ * @param {string|Object} prompt - Prompt text or structured request (see core/request)
+ * @param {string} response
+ * @param {string} model
+ * @param {Object} options
+ * @returns {Object}
+ */
+function set(prompt, response, model = 'default', options = {}) {
+  const storage = getSyncStorage(options);
+  if (!storage) {
+    return { success: false, message: 'Cache not initialized. Run: llmcache init' };
+  }
+
+  const config = cacheConfig(options);
+  const { hash, entry, error } = prepareEntry(requestKey(prompt, model, config), response, options, storage.getStats(), config);
+  if (error) return error;
+
+  const result = storage.set(hash, entry);
+  const evicted = result.success ? evict(storage, config, hash) : 0;
+
+  return setResult(result, hash, entry, evicted);
+}
+
+/**
+ * Set cache entry (async)
+ * @param {string|Object} prompt - Prompt text or structured request (see core/request)
+ * @param {string} response
  * @param {string} model
  * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+function setAsync(prompt, response, model = 'default', options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const config = cacheConfig(options);
+    const { hash, entry, error } = prepareEntry(requestKey(prompt, model, config), response, options, await storage.getStats(), config);
+    if (error) return error;
+
+    const result = await storage.set(hash, entry);
+    const evicted = result.success ? await evictAsync(storage, config, hash) : 0;
+
+    return setResult(result, hash, entry, evicted);
+  }, { success: false, message: 'Cache not initialized. Run: llmcache init' });
+}
+
+/**
+ * Get cached response
+ *
+ * The hit is buffered rather than written (see core/hits); with
+ * `track: false` nothing at all is written, for read-only runs.
+ *
+ * Entries past their soft TTL are served with `stale: true`; with a
+ * revalidate hook, async (prompt, model, staleResult) => response or null,
+ * the entry is also refreshed in the background. Failed refreshes go to
+ * onRevalidateError(err, hash) if given.
+ * @param {string|Object} prompt - Prompt text or structured request (see core/request)
+ * @param {string} model
+ * @param {Object} options - { track: false to leave hits and stats alone, revalidate, onRevalidateError }
  * @returns {Object|null}
  */
 function get(prompt, model = 'default', options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options, false);
   if (!storage) return null;
 
-  const hash = hashPrompt(prompt, model);
+  const track = options.track !== false;
+  const key = requestKey(prompt, model, cacheConfig(options));
+  const hash = key.hash;
   const entry = storage.get(hash);
 
   if (!entry) return null;
 
+  if (!matchesRequest(entry, key)) {
+    if (track) storage.incrementStats({ collisions: 1 });
+    return null;
+  }
+
   // Check expiration (PRO)
-  if (entry.expires && new Date(entry.expires) < new Date()) {
-    storage.delete(hash);
+  if (isExpired(entry)) {
+    if (track) storage.delete(hash);
     return null;
   }
 
-  // Update hits
-  entry.hits++;
-  storage.set(hash, entry);
+  if (track) {
+    const { pending, full } = bufferHit(options, hash, entry);
+    entry.hits += pending;
+    entry.lastAccessed = new Date().toISOString();
+    if (full) writeHits(storage, options);
+  }
+
+  const result = getResult(entry);
+  if (result.stale && track && options.revalidate) {
+    revalidate(prompt, model, hash, entry, result, options);
+  }
+  return result;
+}
 
-  // Update global stats
-  const stats = storage.getStats();
-  storage.updateStats && storage.updateStats({
-    totalHits: (stats.totalHits || 0) + 1,
-    totalSaved: (stats.totalSaved || 0) + Buffer.byteLength(entry.response, 'utf8'),
-  });
+/**
+ * Get cached response (async)
+ * @param {string|Object} prompt - Prompt text or structured request (see core/request)
+ * @param {string} model
+ * @param {Object} options - { track: false to leave hits and stats alone, revalidate, onRevalidateError }
+ * @returns {Promise<Object|null>}
+ */
+function getAsync(prompt, model = 'default', options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const track = options.track !== false;
+    const key = requestKey(prompt, model, cacheConfig(options));
+    const hash = key.hash;
+    const entry = await storage.get(hash);
 
-  return {
-    response: entry.response,
-    model: entry.model,
-    hits: entry.hits,
-    created: entry.created,
-    tokens: entry.tokens,
-  };
+    if (!entry) return null;
+
+    if (!matchesRequest(entry, key)) {
+      if (track) await storage.incrementStats({ collisions: 1 });
+      return null;
+    }
+
+    if (isExpired(entry)) {
+      if (track) await storage.delete(hash);
+      return null;
+    }
+
+    if (track) {
+      const { pending, full } = bufferHit(options, hash, entry);
+      entry.hits += pending;
+      entry.lastAccessed = new Date().toISOString();
+      if (full) await writeHits(storage, options);
+    }
+
+    const result = getResult(entry);
+    if (result.stale && track && options.revalidate) {
+      revalidate(prompt, model, hash, entry, result, options);
+    }
+    return result;
+  }, null, false);
 }
 
 /**
@@ -209,20 +848,21 @@ function get(prompt, model = 'default', options = {}) {
  * @returns {Array}
  */
 function list(options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) return [];
 
-  const entries = storage.list(options);
+  return listLive(storage, options).map(listItem);
+}
 
-  return entries.map(e => ({
-    hash: e.hash,
-    model: e.model,
-    hits: e.hits,
-    prompt: e.prompt.substring(0, 50) + (e.prompt.length > 50 ? '...' : ''),
-    created: e.created,
-    tokens: e.tokens,
-    tags: e.tags,
-  }));
+/**
+ * List cache entries (async)
+ * @param {Object} options
+ * @returns {Promise<Array>}
+ */
+function listAsync(options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    return (await listLive(storage, options)).map(listItem);
+  }, []);
 }
 
 /**
@@ -231,25 +871,40 @@ function list(options = {}) {
  * @returns {Object|null}
  */
 function stats(options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) return null;
 
-  const s = storage.getStats();
-  const entries = storage.list();
+  return summarizeStats(storage.getStats(), reduceEntries(storage, addEntryAge, emptyAges()));
+}
 
-  return {
-    entries: s.totalEntries,
-    totalHits: s.totalHits,
-    tokensSaved: Math.round((s.totalSaved || 0) / 4),
-    cacheSize: s.cacheSize,
-    costSaved: s.costSaved || {},
-    oldestEntry: entries.length > 0
-      ? entries.reduce((a, b) => new Date(a.created) < new Date(b.created) ? a : b).created
-      : null,
-    newestEntry: entries.length > 0
-      ? entries.reduce((a, b) => new Date(a.created) > new Date(b.created) ? a : b).created
-      : null,
-  };
+/**
+ * Get cache statistics (async)
+ * @param {Object} options
+ * @returns {Promise<Object|null>}
+ */
+function statsAsync(options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    return summarizeStats(await storage.getStats(), await reduceEntries(storage, addEntryAge, emptyAges()));
+  }, null);
+}
+
+/**
+ * Find entries with prompts similar to a query (async, PRO)
+ * @param {string} query
+ * @param {Object} options - { threshold, limit } plus the cache options
+ * @returns {Promise<Object|null>} See core/similarity findSimilar; null if no cache
+ */
+function findSimilarAsync(query, options = {}) {
+  return withAsyncStorage(options, storage => findSimilar(query, storage, options), null);
+}
+
+/**
+ * Savings from cache hits, per model (async, PRO)
+ * @param {Object} options
+ * @returns {Promise<Object|null>} See core/cost calculateTotalSavings; null if no cache
+ */
+function savingsAsync(options = {}) {
+  return withAsyncStorage(options, storage => calculateTotalSavings(storage), null);
 }
 
 /**
@@ -258,48 +913,73 @@ function stats(options = {}) {
  * @returns {Object}
  */
 function clear(options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) {
-    return { success: false, message: 'Cache not initialized' };
+    return NOT_INITIALIZED;
   }
 
   return storage.clear(options);
 }
 
+/**
+ * Clear cache entries (async)
+ * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+function clearAsync(options = {}) {
+  return withAsyncStorage(options, storage => storage.clear(options), NOT_INITIALIZED);
+}
+
 /**
  * Search cache entries
  * @param {string} query
- * @param {Object} options
+ * @param {Object} options - { responses: also match response text }
  * @returns {Array}
  */
 function search(query, options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) return [];
 
-  const entries = storage.list();
-  const queryLower = query.toLowerCase();
+  const indexed = storage.search ? storage.search(query, options) : null;
+  if (indexed) return liveEntries(indexed).map(searchResult);
 
-  return entries
-    .filter(e => e.prompt.toLowerCase().includes(queryLower))
-    .map(e => ({
-      hash: e.hash,
-      model: e.model,
-      hits: e.hits,
-      prompt: e.prompt.substring(0, 50) + (e.prompt.length > 50 ? '...' : ''),
-      created: e.created,
-    }));
+  return searchEntries(liveEntries(storage.list()), query, options);
+}
+
+/**
+ * Search cache entries (async)
+ * @param {string} query
+ * @param {Object} options - { responses: also match response text }
+ * @returns {Promise<Array>}
+ */
+function searchAsync(query, options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const indexed = storage.search ? await storage.search(query, options) : null;
+    if (indexed) return liveEntries(indexed).map(searchResult);
+
+    return searchEntries(liveEntries(await storage.list()), query, options);
+  }, []);
 }
 
 /**
  * Export cache data
- * @param {Object} options
+ * @param {Object} options - { encrypted: keep prompts and responses encrypted }
  * @returns {Object|null}
  */
 function exportCache(options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) return null;
 
-  return storage.exportData();
+  return withoutExpired(storage.exportData({ encrypted: options.encrypted }));
+}
+
+/**
+ * Export cache data (async)
+ * @param {Object} options - { encrypted: keep prompts and responses encrypted }
+ * @returns {Promise<Object|null>}
+ */
+function exportCacheAsync(options = {}) {
+  return withAsyncStorage(options, async storage => withoutExpired(await storage.exportData({ encrypted: options.encrypted })), null);
 }
 
 /**
@@ -309,32 +989,140 @@ function exportCache(options = {}) {
  * @returns {Object}
  */
 function importCache(data, options = {}) {
-  const storage = getStorage(options);
+  const storage = getSyncStorage(options);
   if (!storage) {
-    return { success: false, message: 'Cache not initialized' };
+    return NOT_INITIALIZED;
   }
 
-  return storage.importData(data, options.strategy);
+  return storage.importData(withCurrentKeys(data, cacheConfig(options)), options.strategy);
 }
 
 /**
- * Parse TTL string to milliseconds
- * @param {string} ttl - e.g., "7d", "24h", "30m"
- * @returns {number|null}
+ * Import cache data (async)
+ * @param {Object} data
+ * @param {Object} options
+ * @returns {Promise<Object>}
+ */
+function importCacheAsync(data, options = {}) {
+  return withAsyncStorage(options, storage => storage.importData(withCurrentKeys(data, cacheConfig(options)), options.strategy), NOT_INITIALIZED);
+}
+
+/**
+ * Import data with keys computed the old way replaced by current ones
+ * @param {Object} data - Export payload
+ * @param {Object} config - Settings of the cache imported into
+ * @returns {Object}
  */
-function parseTTL(ttl) {
-  const match = ttl.match(/^(\d+)(d|h|m|s)$/);
-  if (!match) return null;
+function withCurrentKeys(data, config) {
+  const entries = {};
+  for (const [hash, entry] of Object.entries(data.entries || {})) {
+    entries[upgradedKey(hash, entry, config) || hash] = entry;
+  }
+  return { ...data, entries };
+}
+
+/**
+ * Move entries to the keys the current version computes: legacy
+ * 12-character keys to full-length ones and, in caches created before
+ * prompt normalization, prompts to their normalized keys. The cache then
+ * records the current normalization version.
+ *
+ * Entries whose short key does not match their own prompt and model are
+ * left where they are and counted as skipped.
+ * @param {Object} options
+ * @returns {Promise<Object>} { success, upgraded, skipped }
+ */
+function upgradeKeysAsync(options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const config = { ...cacheConfig(options), normalizeVersion: NORMALIZE_VERSION };
+
+    const moves = [];
+    let skipped = 0;
+    for await (const { hash, prompt, model, request, generation } of storage.iterate()) {
+      const current = upgradedKey(hash, { prompt, model, request, generation }, config);
+      if (current) {
+        moves.push({ hash, current });
+      } else if (hash.length === LEGACY_HASH_LENGTH) {
+        skipped++;
+      }
+    }
+
+    for (const { hash, current } of moves) {
+      // An entry already under the current key is newer; keep it
+      if (!(await storage.get(current))) {
+        await storage.set(current, await storage.get(hash));
+      }
+      await storage.delete(hash);
+    }
+
+    if (!options.storage) {
+      const cachePath = getCachePath(options.global, options.customPath);
+      saveConfig(cachePath, { ...loadConfig(cachePath), normalizeVersion: NORMALIZE_VERSION });
+    }
 
-  const value = parseInt(match[1]);
-  const unit = match[2];
+    return { success: true, upgraded: moves.length, skipped };
+  }, NOT_INITIALIZED);
+}
+
+/**
+ * Generations of the cache with how many entries each holds
+ * @param {Object} options
+ * @returns {Promise<Array<Object>|null>} See core/generations listGenerations,
+ *   plus `entries`; null if there is no cache
+ */
+function generationsAsync(options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const counts = {};
+    const now = new Date();
+    for await (const entry of storage.iterate()) {
+      if (isExpired(entry, now)) continue;
+      const generation = entry.generation || 0;
+      counts[generation] = (counts[generation] || 0) + 1;
+    }
+
+    return listGenerations(cacheConfig(options)).map(g => ({ ...g, entries: counts[g.generation] || 0 }));
+  }, null);
+}
+
+/**
+ * Delete the entries of every generation but the current one
+ * @param {Object} options
+ * @returns {Promise<Object>} { success, removed }
+ */
+function pruneGenerationsAsync(options = {}) {
+  return withAsyncStorage(options, async (storage) => {
+    const { generation: current } = cacheConfig(options);
+
+    const old = [];
+    for await (const { hash, generation = 0 } of storage.iterate()) {
+      if (generation !== current) old.push(hash);
+    }
+
+    for (const hash of old) {
+      await storage.delete(hash);
+    }
+    return { success: true, removed: old.length };
+  }, NOT_INITIALIZED);
+}
+
+/**
+ * Re-encrypt the cache under a new key
+ * @param {Buffer|null} newKey - null to store plaintext
+ * @param {Object} options
+ * @returns {Promise<Object>} { success, entries, keyId } or { success: false, error }
+ */
+async function rekeyAsync(newKey, options = {}) {
+  const storage = getStorage(options);
+  if (!storage) return NOT_INITIALIZED;
+
+  if (!storage.rekey) {
+    return { success: false, error: 'This storage does not support encryption' };
+  }
 
-  switch (unit) {
-    case 'd': return value * 86400000;
-    case 'h': return value * 3600000;
-    case 'm': return value * 60000;
-    case 's': return value * 1000;
-    default: return null;
+  try {
+    return await storage.rekey(newKey);
+  } finally {
+    if (!options.storage && storage.close) await storage.close();
   }
 }
 
@@ -343,6 +1131,8 @@ module.exports = {
   hashPrompt,
   init,
   getStorage,
+  getAsyncStorage,
+  sweepInterval,
   set,
   get,
   list,
@@ -351,7 +1141,24 @@ module.exports = {
   search,
   exportCache,
   importCache,
+  setAsync,
+  getAsync,
+  flushHits,
+  flushHitsAsync,
+  listAsync,
+  statsAsync,
+  findSimilarAsync,
+  savingsAsync,
+  clearAsync,
+  searchAsync,
+  exportCacheAsync,
+  importCacheAsync,
+  rekeyAsync,
+  upgradeKeysAsync,
+  generationsAsync,
+  pruneGenerationsAsync,
   parseTTL,
+  LEGACY_HASH_LENGTH,
   LOCAL_CACHE_DIR,
   GLOBAL_CACHE_DIR,
 };
@@ -0,0 +1,225 @@
+/**
+ * Per-cache settings
+ * @module core/config
+ *
+ * Stored as config.json inside the cache directory, next to the backend's
+ * own files, so every process using the cache sees the same settings.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { writeFileAtomic } = require('./lock');
+const { DEFAULT_IGNORE_PARAMS } = require('./request');
+const { DEFAULT_NORMALIZE, NORMALIZE_STEPS, parseSteps, parseMasks } = require('./normalize');
+const { DEFAULT_SWEEP_INTERVAL } = require('./expiry');
+const { parseMaxTtl, parseTTLMap } = require('./ttl');
+
+const CONFIG_FILE = 'config.json';
+
+const EVICTION_POLICIES = ['lru', 'lfu', 'fifo'];
+
+const DEFAULT_CONFIG = {
+  eviction: 'lru',
+  maxEntries: null,
+  maxBytes: null,
+  blobThreshold: 1024 * 1024,
+  keyFile: null,
+  ignoreParams: DEFAULT_IGNORE_PARAMS,
+  normalize: DEFAULT_NORMALIZE,
+  normalizeMasks: {},
+  sweepInterval: DEFAULT_SWEEP_INTERVAL,
+  // TTL policy; see core/ttl
+  modelTtls: {},
+  tagTtls: {},
+  maxTtl: null,
+  // Prompt normalization pipeline the keys were computed with, recorded by
+  // init and migrate; caches without one predate normalization
+  normalizeVersion: 0,
+  // Backend the cache was created with, recorded by init and migrate, so a
+  // cache whose plugin is not loaded is not mistaken for an empty JSON one
+  backend: null,
+  // Key salt and its history; see core/generations
+  generation: 0,
+  generations: [],
+};
+
+const SIZE_UNITS = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 };
+
+/**
+ * Parse a byte size such as "512", "100KB" or "1.5GB"
+ * @param {string|number} value
+ * @returns {number|null} Bytes, or null if invalid
+ */
+function parseBytes(value) {
+  const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/);
+  if (!match) return null;
+  return Math.floor(parseFloat(match[1]) * SIZE_UNITS[match[2] || 'b']);
+}
+
+/**
+ * Parse a positive whole number
+ * @param {string|number} value
+ * @returns {number|null}
+ */
+function parseCount(value) {
+  const n = Number(value);
+  return Number.isInteger(n) && n > 0 ? n : null;
+}
+
+/**
+ * Parse a comma-separated list of names; empty means none
+ * @param {string} value
+ * @returns {Array<string>}
+ */
+function parseList(value) {
+  return String(value).split(',').map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a duration such as "30m", "1h" or "7d", or "off"
+ * @param {string} value
+ * @returns {string|null}
+ */
+function parseInterval(value) {
+  const text = String(value).trim().toLowerCase();
+  return /^(off|[1-9]\d*[smhd])$/.test(text) ? text : null;
+}
+
+/**
+ * Settable keys: parser and a description of valid values
+ */
+const CONFIG_KEYS = {
+  eviction: {
+    parse: v => (EVICTION_POLICIES.includes(String(v).toLowerCase()) ? String(v).toLowerCase() : null),
+    expected: EVICTION_POLICIES.join(', '),
+  },
+  maxEntries: {
+    parse: parseCount,
+    expected: 'a positive whole number',
+  },
+  maxBytes: {
+    parse: v => (parseBytes(v) > 0 ? parseBytes(v) : null),
+    expected: 'a size such as 500MB',
+  },
+  blobThreshold: {
+    parse: v => (parseBytes(v) > 0 ? parseBytes(v) : null),
+    expected: 'a size such as 256KB',
+  },
+  keyFile: {
+    parse: v => (String(v).trim() ? String(v).trim() : null),
+    expected: 'a path to a key file',
+  },
+  ignoreParams: {
+    parse: parseList,
+    expected: 'comma-separated request parameter names',
+  },
+  normalize: {
+    parse: parseSteps,
+    expected: `comma-separated steps from ${NORMALIZE_STEPS.join(', ')}, or none`,
+  },
+  normalizeMasks: {
+    parse: parseMasks,
+    expected: 'a JSON object of regex to replacement, e.g. {"[0-9]{4}-[0-9]{2}-[0-9]{2}": "<date>"}',
+  },
+  sweepInterval: {
+    parse: parseInterval,
+    expected: 'a duration such as 30m, 1h or 7d, or off',
+  },
+  modelTtls: {
+    parse: parseTTLMap,
+    expected: 'a JSON object of model glob to TTL, e.g. {"gpt-4o*": "7d"}',
+  },
+  tagTtls: {
+    parse: parseTTLMap,
+    expected: 'a JSON object of tag to TTL, e.g. {"news": "1h"}',
+  },
+  maxTtl: {
+    parse: parseMaxTtl,
+    expected: 'a TTL such as 30d, 24h or 30m',
+  },
+};
+
+/**
+ * Read a cache's settings, filled in with defaults
+ * @param {string} cachePath
+ * @returns {Object}
+ */
+function loadConfig(cachePath) {
+  const file = path.join(cachePath, CONFIG_FILE);
+
+  let stored = {};
+  try {
+    stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') {
+      throw new Error(`Corrupt cache config ${file}: ${e.message}`);
+    }
+  }
+
+  return { ...DEFAULT_CONFIG, ...stored };
+}
+
+/**
+ * Overwrite the stored settings (only non-default values are kept)
+ * @param {string} cachePath
+ * @param {Object} config
+ */
+function saveConfig(cachePath, config) {
+  const stored = {};
+  for (const [key, value] of Object.entries(config)) {
+    if (JSON.stringify(value) !== JSON.stringify(DEFAULT_CONFIG[key])) {
+      stored[key] = value;
+    }
+  }
+
+  writeFileAtomic(path.join(cachePath, CONFIG_FILE), JSON.stringify(stored, null, 2));
+}
+
+/**
+ * Validate and store one setting
+ * @param {string} cachePath
+ * @param {string} key
+ * @param {string} value
+ * @returns {Object} { success, key, value } or { success: false, error }
+ */
+function setConfigValue(cachePath, key, value) {
+  const spec = CONFIG_KEYS[key];
+  if (!spec) {
+    return { success: false, error: `Unknown config key: ${key}. Keys: ${Object.keys(CONFIG_KEYS).join(', ')}` };
+  }
+
+  const parsed = spec.parse(value);
+  if (parsed === null) {
+    return { success: false, error: `Invalid value for ${key}: ${value} (expected ${spec.expected})` };
+  }
+
+  saveConfig(cachePath, { ...loadConfig(cachePath), [key]: parsed });
+  return { success: true, key, value: parsed };
+}
+
+/**
+ * Reset one setting to its default
+ * @param {string} cachePath
+ * @param {string} key
+ * @returns {Object} { success, key, value } or { success: false, error }
+ */
+function unsetConfigValue(cachePath, key) {
+  if (!CONFIG_KEYS[key]) {
+    return { success: false, error: `Unknown config key: ${key}. Keys: ${Object.keys(CONFIG_KEYS).join(', ')}` };
+  }
+
+  saveConfig(cachePath, { ...loadConfig(cachePath), [key]: DEFAULT_CONFIG[key] });
+  return { success: true, key, value: DEFAULT_CONFIG[key] };
+}
+
+module.exports = {
+  CONFIG_FILE,
+  CONFIG_KEYS,
+  DEFAULT_CONFIG,
+  EVICTION_POLICIES,
+  loadConfig,
+  saveConfig,
+  setConfigValue,
+  unsetConfigValue,
+  parseBytes,
+};
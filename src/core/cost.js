@@ -6,6 +6,7 @@
 
 const { isPro } = require('../license/checker');
 const { MODEL_PRICING } = require('../license/constants');
+const { reduceEntries } = require('./storage');
 
 /**
  * Calculate cost for tokens
@@ -42,41 +43,39 @@ function getCostSaved(entry) {
 
 /**
  * Calculate total savings from stats
- * @param {Object} storage - Storage instance
- * @returns {Object} Savings breakdown by model
+ * @param {Object} storage - Storage instance, sync or async
+ * @returns {Object|Promise<Object>} Savings breakdown by model
  */
 function calculateTotalSavings(storage) {
   if (!isPro()) {
     return { total: 0, byModel: {}, proRequired: true };
   }
 
-  const entries = storage.list();
-  const byModel = {};
-  let totalTokens = 0;
-  let totalCost = 0;
-
-  for (const entry of entries) {
-    const model = entry.model || 'default';
-    const tokens = (entry.tokens || 0) * (entry.hits || 0);
-    const cost = calculateCost(tokens, model, 'output');
-
-    if (!byModel[model]) {
-      byModel[model] = { tokens: 0, cost: 0, hits: 0 };
-    }
+  return reduceEntries(storage, addSavings, { total: 0, totalTokens: 0, byModel: {} });
+}
 
-    byModel[model].tokens += tokens;
-    byModel[model].cost += cost;
-    byModel[model].hits += entry.hits || 0;
+/**
+ * Add what cache hits on one entry saved to the running totals
+ * @param {Object} savings - { total, totalTokens, byModel }, updated in place
+ * @param {Object} entry
+ * @returns {Object} savings
+ */
+function addSavings(savings, entry) {
+  const model = entry.model || 'default';
+  const tokens = (entry.tokens || 0) * (entry.hits || 0);
+  const cost = calculateCost(tokens, model, 'output');
 
-    totalTokens += tokens;
-    totalCost += cost;
+  if (!savings.byModel[model]) {
+    savings.byModel[model] = { tokens: 0, cost: 0, hits: 0 };
   }
 
-  return {
-    total: totalCost,
-    totalTokens,
-    byModel,
-  };
+  savings.byModel[model].tokens += tokens;
+  savings.byModel[model].cost += cost;
+  savings.byModel[model].hits += entry.hits || 0;
+
+  savings.totalTokens += tokens;
+  savings.total += cost;
+  return savings;
 }
 
 /**
@@ -0,0 +1,37 @@
+/**
+ * Response deduplication
+ * @module core/dedup
+ *
+ * The JSON and SQLite backends keep each distinct response body once,
+ * keyed by its content hash, with a count of the entries that use it.
+ * Every non-empty response is shared, short ones such as "OK" or a stock
+ * refusal included: those are the ones most often repeated.
+ */
+
+const crypto = require('crypto');
+
+const DEDUP_MIN_BYTES = 1;
+
+/**
+ * Content hash of a response body
+ * @param {string} text
+ * @returns {string} sha256 hex
+ */
+function contentHash(text) {
+  return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Check whether a response is shared rather than kept inline
+ * @param {string} text
+ * @returns {boolean}
+ */
+function shouldDedup(text) {
+  return typeof text === 'string' && Buffer.byteLength(text, 'utf8') >= DEDUP_MIN_BYTES;
+}
+
+module.exports = {
+  DEDUP_MIN_BYTES,
+  contentHash,
+  shouldDedup,
+};
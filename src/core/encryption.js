@@ -0,0 +1,479 @@
+/**
+ * Encryption at rest
+ * @module core/encryption
+ *
+ * With a key configured, prompts and responses are stored as
+ * `enc:v2:<key id>:<base64 iv|tag|ciphertext>` using AES-256-GCM. Entry
+ * hashes still come from hashPrompt, so lookups work unchanged; other
+ * fields (model, dates, hits, tags) stay readable for listing and eviction.
+ *
+ * Each value gets a random IV and is bound to its entry hash and field
+ * name as additional authenticated data, so a value moved to another
+ * entry or field fails authentication. Identical texts therefore encrypt
+ * differently, and encrypted caches neither deduplicate nor share blobs.
+ * `enc:v1` values, from before the binding, stay readable; rekey
+ * rewrites them.
+ *
+ * The key is 32 bytes, given as 64 hex characters or base64, read from
+ * $LLMCACHE_KEY, else the file named by $LLMCACHE_KEY_FILE, else the
+ * file named by the cache's `keyFile` setting.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { after, applyHits, deleteEntries } = require('./storage');
+const { loadConfig } = require('./config');
+
+const KEY_ENV = 'LLMCACHE_KEY';
+const KEY_FILE_ENV = 'LLMCACHE_KEY_FILE';
+
+const PREFIX = 'enc:v2:';
+// Unbound values with an IV derived from the plaintext; read only
+const LEGACY_PREFIX = 'enc:v1:';
+const KEY_BYTES = 32;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Entry fields that are encrypted; `request` is stored as encrypted JSON
+const ENCRYPTED_FIELDS = ['prompt', 'response'];
+const ENCRYPTED_JSON_FIELDS = ['request'];
+
+/**
+ * Parse a key from hex or base64 text
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} If it is not 32 bytes
+ */
+function parseKey(text) {
+  const trimmed = String(text).trim();
+
+  if (/^[0-9a-f]{64}$/i.test(trimmed)) return Buffer.from(trimmed, 'hex');
+  if (/^[A-Za-z0-9+/]{43}=$/.test(trimmed)) return Buffer.from(trimmed, 'base64');
+
+  throw new Error(`Encryption key must be ${KEY_BYTES} bytes, as 64 hex characters or base64`);
+}
+
+/**
+ * Read a key file
+ * @param {string} file
+ * @returns {Buffer}
+ * @throws {Error} If the file is missing or holds no valid key
+ */
+function readKeyFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch (e) {
+    throw new Error(`Cannot read key file ${file}: ${e.message}`);
+  }
+  return parseKey(text);
+}
+
+/**
+ * Key for a cache, from the environment or its keyFile setting
+ * @param {string|null} cachePath
+ * @returns {Buffer|null} null when encryption is not configured
+ */
+function loadKey(cachePath) {
+  if (process.env[KEY_ENV]) return parseKey(process.env[KEY_ENV]);
+  if (process.env[KEY_FILE_ENV]) return readKeyFile(process.env[KEY_FILE_ENV]);
+
+  const keyFile = cachePath ? loadConfig(cachePath).keyFile : null;
+  return keyFile ? readKeyFile(path.resolve(cachePath, keyFile)) : null;
+}
+
+/**
+ * New random key
+ * @returns {string} 64 hex characters
+ */
+function generateKey() {
+  return crypto.randomBytes(KEY_BYTES).toString('hex');
+}
+
+/**
+ * Write a new key to a file only the owner can read
+ * @param {string} file - Must not exist yet
+ * @returns {Buffer} The key
+ */
+function writeKeyFile(file) {
+  const key = generateKey();
+  fs.writeFileSync(file, key + '\n', { mode: 0o600, flag: 'wx' });
+  return Buffer.from(key, 'hex');
+}
+
+/**
+ * Check whether a stored value is encrypted
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && (value.startsWith(PREFIX) || value.startsWith(LEGACY_PREFIX));
+}
+
+/**
+ * Id of the key an encrypted value was written with
+ * @param {string} value - Encrypted value
+ * @returns {string}
+ */
+function keyIdOf(value) {
+  return value.split(':')[2];
+}
+
+/**
+ * HKDF-SHA256 (RFC 5869) with an empty salt, for keys up to 32 bytes.
+ * Same output as crypto.hkdfSync, which needs Node 15.
+ * @param {Buffer} key - Input key material
+ * @param {string} info - Context, so each use gets its own key
+ * @param {number} length - Bytes to derive, at most 32
+ * @returns {Buffer}
+ */
+function hkdf(key, info, length) {
+  const prk = crypto.createHmac('sha256', Buffer.alloc(0)).update(key).digest();
+  return crypto.createHmac('sha256', prk).update(info).update(Buffer.from([1])).digest().subarray(0, length);
+}
+
+/**
+ * Additional authenticated data binding a value to where it is stored
+ * @param {string} hash - Entry hash
+ * @param {string} field - Field name
+ * @returns {string}
+ */
+function fieldContext(hash, field) {
+  return `${hash}/${field}`;
+}
+
+/**
+ * Encrypts and decrypts field values with one key
+ */
+class Cipher {
+  constructor(key) {
+    this.encKey = hkdf(key, 'llmcache encrypt', KEY_BYTES);
+    this.id = crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+  }
+
+  /**
+   * Encrypt a value; values this key already encrypted pass through
+   * @param {string} text
+   * @param {string} context - See fieldContext
+   * @returns {string}
+   * @throws {Error} If the value was encrypted with another key
+   */
+  encrypt(text, context) {
+    if (typeof text !== 'string') return text;
+    if (isEncrypted(text)) {
+      this.checkKey(text);
+      return text;
+    }
+
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.encKey, iv);
+    cipher.setAAD(Buffer.from(context, 'utf8'));
+    const body = Buffer.concat([cipher.update(text, 'utf8'), cipher.final()]);
+
+    return PREFIX + this.id + ':' + Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64');
+  }
+
+  /**
+   * Decrypt a value; plaintext passes through
+   * @param {string} value
+   * @param {string} context - The one it was encrypted with; enc:v1 values have none
+   * @returns {string}
+   * @throws {Error} If the value was encrypted with another key, was tampered with or was moved
+   */
+  decrypt(value, context) {
+    if (!isEncrypted(value)) return value;
+    this.checkKey(value);
+
+    const data = Buffer.from(value.split(':')[3], 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.encKey, data.subarray(0, IV_BYTES));
+    if (value.startsWith(PREFIX)) decipher.setAAD(Buffer.from(context, 'utf8'));
+    decipher.setAuthTag(data.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+
+    try {
+      return Buffer.concat([decipher.update(data.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+    } catch (e) {
+      throw new Error('Cache entry failed authentication; it is corrupt or was modified');
+    }
+  }
+
+  /**
+   * @param {string} value - Encrypted value
+   * @throws {Error} If another key wrote it
+   */
+  checkKey(value) {
+    const id = keyIdOf(value);
+    if (id !== this.id) {
+      throw new Error(`Cache entry was encrypted with a different key (${id})`);
+    }
+  }
+}
+
+/**
+ * Cipher standing in when no key is configured: writes plaintext and
+ * refuses to read encrypted values
+ */
+const NO_KEY = {
+  id: null,
+  encrypt: text => text,
+  decrypt(value) {
+    if (isEncrypted(value)) {
+      throw new Error(`Cache entry is encrypted; set ${KEY_ENV} or ${KEY_FILE_ENV}`);
+    }
+    return value;
+  },
+};
+
+/**
+ * Cipher for reading during a rekey: values already under the new key,
+ * left by an earlier rekey that stopped part way, open with that key
+ * @param {Object} current - Cipher in use
+ * @param {Object} next - Cipher being switched to
+ * @returns {Object} Cipher-like object with decrypt only
+ */
+function keyring(current, next) {
+  return {
+    decrypt(value, context) {
+      const cipher = next.id && isEncrypted(value) && keyIdOf(value) === next.id ? next : current;
+      return cipher.decrypt(value, context);
+    },
+  };
+}
+
+/**
+ * Apply a cipher function to an entry's encrypted fields
+ * @param {Object} entry
+ * @param {string} hash - Entry hash, bound into each value
+ * @param {Function} fn - (value, context) => encrypt or decrypt
+ * @returns {Object} New entry
+ */
+function mapFields(entry, hash, fn) {
+  const result = { ...entry };
+  for (const field of ENCRYPTED_FIELDS) {
+    if (field in result) result[field] = fn(result[field], fieldContext(hash, field));
+  }
+  return result;
+}
+
+/**
+ * Encrypt an entry's fields, JSON ones as a single string
+ * @param {Object} entry
+ * @param {string} hash
+ * @param {Object} cipher
+ * @returns {Object} New entry
+ */
+function sealEntry(entry, hash, cipher) {
+  const result = mapFields(entry, hash, (text, context) => cipher.encrypt(text, context));
+  for (const field of ENCRYPTED_JSON_FIELDS) {
+    const value = result[field];
+    if (value === undefined || !cipher.id) continue;
+    result[field] = cipher.encrypt(isEncrypted(value) ? value : JSON.stringify(value), fieldContext(hash, field));
+  }
+  return result;
+}
+
+/**
+ * Decrypt an entry's fields
+ * @param {Object} entry
+ * @param {string} hash
+ * @param {Object} cipher
+ * @returns {Object} New entry
+ */
+function openEntry(entry, hash, cipher) {
+  const result = mapFields(entry, hash, (value, context) => cipher.decrypt(value, context));
+  for (const field of ENCRYPTED_JSON_FIELDS) {
+    if (isEncrypted(result[field])) result[field] = JSON.parse(cipher.decrypt(result[field], fieldContext(hash, field)));
+  }
+  return result;
+}
+
+/**
+ * Storage wrapper that encrypts entries on the way in and decrypts them
+ * on the way out
+ *
+ * Sync or Promise-returning to match the wrapped backend. Without a key
+ * it stores plaintext and throws on reading encrypted entries.
+ */
+class EncryptedStorage {
+  constructor(storage, options = {}) {
+    this.storage = storage;
+    this.cachePath = storage.cachePath;
+    this.isAsync = Boolean(storage.isAsync);
+    this.cipher = options.key ? new Cipher(options.key) : NO_KEY;
+  }
+
+  init() {
+    return this.storage.init();
+  }
+
+  get(hash) {
+    return after(this.storage.get(hash), entry => (entry ? this.decryptEntry(entry, hash) : null));
+  }
+
+  set(hash, entry) {
+    return this.storage.set(hash, this.encryptEntry(entry, hash));
+  }
+
+  delete(hash) {
+    return this.storage.delete(hash);
+  }
+
+  deleteMany(hashes) {
+    return deleteEntries(this.storage, hashes);
+  }
+
+  list(options) {
+    return after(this.storage.list(options), entries => entries.map(e => this.decryptEntry(e, e.hash)));
+  }
+
+  iterate() {
+    const inner = this.storage.iterate();
+    const decrypt = e => this.decryptEntry(e, e.hash);
+
+    if (this.isAsync) {
+      return (async function* () {
+        for await (const entry of inner) yield decrypt(entry);
+      })();
+    }
+    return (function* () {
+      for (const entry of inner) yield decrypt(entry);
+    })();
+  }
+
+  /**
+   * Indexed search, unless the index holds ciphertext
+   */
+  search(query, options) {
+    if (this.cipher.id || !this.storage.search) return null;
+    return this.storage.search(query, options);
+  }
+
+  /**
+   * Stats of the wrapped storage. Its entryBytes counts ciphertext, which
+   * is never smaller than the plaintext eviction measures.
+   * @returns {Object|Promise<Object>}
+   */
+  getStats() {
+    return this.storage.getStats();
+  }
+
+  updateStats(updates) {
+    return this.storage.updateStats(updates);
+  }
+
+  incrementStats(deltas) {
+    return this.storage.incrementStats(deltas);
+  }
+
+  recordHits(hits) {
+    return applyHits(this.storage, hits);
+  }
+
+  clear(options) {
+    return this.storage.clear(options);
+  }
+
+  /**
+   * Export entries, decrypted unless `encrypted` is set
+   * @param {Object} options - { encrypted: keep ciphertext and record the key id in meta }
+   */
+  exportData(options = {}) {
+    return after(this.storage.exportData(), (data) => {
+      if (!data) return data;
+
+      if (options.encrypted) {
+        if (!this.cipher.id) throw new Error(`No encryption key; set ${KEY_ENV} or ${KEY_FILE_ENV}`);
+        return { ...data, meta: { ...data.meta, encrypted: this.cipher.id } };
+      }
+
+      const entries = {};
+      for (const [hash, entry] of Object.entries(data.entries)) {
+        entries[hash] = this.decryptEntry(entry, hash);
+      }
+      return { ...data, entries };
+    });
+  }
+
+  importData(importedData, strategy) {
+    const entries = {};
+    try {
+      for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+        entries[hash] = this.encryptEntry(entry, hash);
+      }
+    } catch (e) {
+      const result = { success: false, imported: 0, message: e.message };
+      return this.isAsync ? Promise.resolve(result) : result;
+    }
+    return this.storage.importData({ ...importedData, entries }, strategy);
+  }
+
+  close() {
+    return this.storage.close ? this.storage.close() : undefined;
+  }
+
+  /**
+   * Re-encrypt every entry under a new key, or store plaintext. Backends
+   * without a transactional import may stop part way; running the same
+   * rekey again finishes it, since entries already under the new key are
+   * read with that key.
+   * @param {Buffer|null} newKey - null to remove encryption
+   * @returns {Object|Promise<Object>} { success, entries } or { success: false, error }
+   */
+  rekey(newKey) {
+    return after(this.storage.exportData(), (data) => {
+      if (!data) return { success: false, error: 'Cache not initialized' };
+
+      const next = newKey ? new Cipher(newKey) : NO_KEY;
+      const reader = keyring(this.cipher, next);
+      const entries = {};
+      try {
+        for (const [hash, entry] of Object.entries(data.entries)) {
+          entries[hash] = sealEntry(openEntry(entry, hash, reader), hash, next);
+        }
+      } catch (e) {
+        return { success: false, error: e.message };
+      }
+
+      return after(this.storage.importData({ entries }, 'replace'), (result) => {
+        // Entries may already be under the new key unless the import rolled back
+        if (!result.success) return { success: false, error: result.message || 'Failed to rewrite entries', started: true };
+        this.cipher = next;
+
+        // Leave no copies under the old key in logs or freed pages
+        const compacted = this.storage.compact ? this.storage.compact() : undefined;
+        return after(compacted, () => ({ success: true, entries: result.imported, keyId: next.id }));
+      });
+    });
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {string} hash
+   * @returns {Object}
+   */
+  encryptEntry(entry, hash) {
+    return sealEntry(entry, hash, this.cipher);
+  }
+
+  /**
+   * @param {Object} entry
+   * @param {string} hash
+   * @returns {Object}
+   */
+  decryptEntry(entry, hash) {
+    return openEntry(entry, hash, this.cipher);
+  }
+}
+
+module.exports = {
+  KEY_ENV,
+  KEY_FILE_ENV,
+  Cipher,
+  EncryptedStorage,
+  parseKey,
+  readKeyFile,
+  loadKey,
+  generateKey,
+  writeKeyFile,
+  isEncrypted,
+};
@@ -0,0 +1,150 @@
+/**
+ * Size- and count-bounded eviction
+ * @module core/eviction
+ *
+ * Runs after each set. When the cache holds more than `maxEntries`
+ * entries or more than `maxBytes` of prompt and response text, entries
+ * are removed in policy order until it fits again:
+ *
+ *   lru  - least recently read or written first (lastAccessed)
+ *   lfu  - fewest hits first, least recently used among ties
+ *   fifo - oldest created first
+ */
+
+/**
+ * Bytes an entry counts towards maxBytes
+ * @param {Object} entry
+ * @returns {number}
+ */
+function entrySize(entry) {
+  const response = entry.blob ? entry.blob.bytes : Buffer.byteLength(entry.response || '', 'utf8');
+  return Buffer.byteLength(entry.prompt || '', 'utf8') + response;
+}
+
+/**
+ * Time an entry was last used, for LRU ordering
+ * @param {Object} entry
+ * @returns {number}
+ */
+function lastUsed(entry) {
+  return new Date(entry.lastAccessed || entry.created).getTime() || 0;
+}
+
+const ORDER = {
+  lru: (a, b) => lastUsed(a) - lastUsed(b),
+  lfu: (a, b) => (a.hits || 0) - (b.hits || 0) || lastUsed(a) - lastUsed(b),
+  fifo: (a, b) => new Date(a.created) - new Date(b.created),
+};
+
+/**
+ * Check whether limits are configured at all
+ * @param {Object} config - { maxEntries, maxBytes }
+ * @returns {boolean}
+ */
+function hasLimits(config) {
+  return Boolean(config.maxEntries || config.maxBytes);
+}
+
+/**
+ * Check whether entries must be loaded to decide on eviction. Storages
+ * that do not report `entryBytes` are scanned whenever maxBytes is set.
+ * @param {Object} config
+ * @param {Object} stats - From getStats
+ * @returns {boolean}
+ */
+function needsScan(config, stats) {
+  if (config.maxEntries && stats && stats.totalEntries > config.maxEntries) return true;
+  if (!config.maxBytes) return false;
+  return !stats || stats.entryBytes === undefined || stats.entryBytes > config.maxBytes;
+}
+
+/**
+ * Pick the entries to remove so the cache fits its limits
+ * @param {Array} entries - All entries, with `hash`
+ * @param {Object} config - { eviction, maxEntries, maxBytes }
+ * @param {string} keep - Hash that must survive (the entry just written)
+ * @returns {Array<string>} Hashes to evict, in eviction order
+ */
+function selectVictims(entries, config, keep) {
+  let count = entries.length;
+  let bytes = config.maxBytes ? entries.reduce((sum, e) => sum + entrySize(e), 0) : 0;
+
+  const over = () => (config.maxEntries && count > config.maxEntries) ||
+    (config.maxBytes && bytes > config.maxBytes);
+
+  if (!over()) return [];
+
+  const candidates = entries
+    .filter(e => e.hash !== keep)
+    .sort(ORDER[config.eviction] || ORDER.lru);
+
+  const victims = [];
+  for (const entry of candidates) {
+    if (!over()) break;
+    victims.push(entry.hash);
+    count--;
+    bytes -= entrySize(entry);
+  }
+
+  return victims;
+}
+
+/**
+ * Enforce limits on a sync storage
+ * @param {Object} storage
+ * @param {Object} config - From loadConfig
+ * @param {string} keep - Hash that must survive
+ * @returns {number} Entries evicted
+ */
+function evict(storage, config, keep) {
+  if (!hasLimits(config) || !needsScan(config, storage.getStats())) return 0;
+
+  const victims = selectVictims(storage.list(), config, keep);
+  // In one batch where supported, so wrappers clean up once (see core/blobs)
+  if (storage.deleteMany) {
+    if (victims.length > 0) storage.deleteMany(victims);
+  } else {
+    for (const hash of victims) {
+      storage.delete(hash);
+    }
+  }
+
+  if (victims.length > 0) {
+    storage.incrementStats({ evictions: victims.length });
+  }
+
+  return victims.length;
+}
+
+/**
+ * Enforce limits on an async storage
+ * @param {Object} storage
+ * @param {Object} config - From loadConfig
+ * @param {string} keep - Hash that must survive
+ * @returns {Promise<number>} Entries evicted
+ */
+async function evictAsync(storage, config, keep) {
+  if (!hasLimits(config) || !needsScan(config, await storage.getStats())) return 0;
+
+  const victims = selectVictims(await storage.list(), config, keep);
+  if (storage.deleteMany) {
+    if (victims.length > 0) await storage.deleteMany(victims);
+  } else {
+    for (const hash of victims) {
+      await storage.delete(hash);
+    }
+  }
+
+  if (victims.length > 0) {
+    await storage.incrementStats({ evictions: victims.length });
+  }
+
+  return victims.length;
+}
+
+module.exports = {
+  entrySize,
+  selectVictims,
+  evict,
+  evictAsync,
+};
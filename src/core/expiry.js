@@ -0,0 +1,87 @@
+/**
+ * Entry expiry
+ * @module core/expiry
+ *
+ * An entry past its (hard) TTL is gone as far as readers are concerned:
+ * every read path in core/cache filters it out, whether or not it has been
+ * deleted yet. Deleting is left to sweeps, storage.clear({ expired: true }),
+ * which run when a cache is opened at most once per `sweepInterval` (see
+ * core/config) and on demand with `llmcache prune --expired`.
+ */
+
+// Sweep expired entries at most this often per cache and process
+const DEFAULT_SWEEP_INTERVAL = '1h';
+
+// When each cache (directory or storage instance) was last swept, in ms
+const lastSweeps = new Map();
+
+/**
+ * Check whether an entry is past its TTL
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isExpired(entry, now = new Date()) {
+  return Boolean(entry.expires && new Date(entry.expires) < now);
+}
+
+/**
+ * Check whether an entry is past its soft TTL
+ * @param {Object} entry
+ * @param {Date} [now]
+ * @returns {boolean}
+ */
+function isStale(entry, now = new Date()) {
+  return Boolean(entry.staleAt && new Date(entry.staleAt) <= now);
+}
+
+/**
+ * Entries that have not expired
+ * @param {Array<Object>} entries
+ * @returns {Array<Object>}
+ */
+function liveEntries(entries) {
+  const now = new Date();
+  return entries.filter(e => !isExpired(e, now));
+}
+
+/**
+ * Export data without its expired entries
+ * @param {Object|null} data - From storage.exportData()
+ * @returns {Object|null}
+ */
+function withoutExpired(data) {
+  if (!data) return data;
+
+  const now = new Date();
+  const entries = {};
+  for (const [hash, entry] of Object.entries(data.entries || {})) {
+    if (!isExpired(entry, now)) entries[hash] = entry;
+  }
+  return { ...data, entries };
+}
+
+/**
+ * Check whether a cache is due a sweep, counting it as swept if so
+ * @param {string|Object} scope - The cache
+ * @param {number|null} intervalMs - null when sweeping is off
+ * @returns {boolean}
+ */
+function sweepDue(scope, intervalMs) {
+  if (!intervalMs) return false;
+
+  const last = lastSweeps.get(scope);
+  if (last !== undefined && Date.now() - last < intervalMs) return false;
+
+  lastSweeps.set(scope, Date.now());
+  return true;
+}
+
+module.exports = {
+  DEFAULT_SWEEP_INTERVAL,
+  isExpired,
+  isStale,
+  liveEntries,
+  withoutExpired,
+  sweepDue,
+};
@@ -0,0 +1,80 @@
+/**
+ * Cache generations
+ * @module core/generations
+ *
+ * The current generation is mixed into every key, so moving to a new one
+ * invalidates the whole cache at once: lookups stop finding entries from
+ * earlier generations, but those entries stay on disk until pruned and
+ * rolling back makes them hit again. Generation 0 adds nothing to the key,
+ * so caches that never bumped keep their keys.
+ *
+ * The current generation and the history of bumps are kept in the cache's
+ * config (see core/config).
+ */
+
+const { loadConfig, saveConfig } = require('./config');
+
+/**
+ * All generations of a cache, oldest first; generation 0 is implicit
+ * @param {Object} config - From loadConfig
+ * @returns {Array<Object>} [{ generation, created, note, current }]
+ */
+function listGenerations(config) {
+  const generations = [{ generation: 0, created: null, note: null }, ...(config.generations || [])];
+  return generations.map(g => ({ ...g, current: g.generation === config.generation }));
+}
+
+/**
+ * Move a cache to a new generation
+ * @param {string} cachePath
+ * @param {string} [note] - Why, e.g. "new system prompt"
+ * @returns {Object} { success, generation, previous }
+ */
+function bumpGeneration(cachePath, note = null) {
+  const config = loadConfig(cachePath);
+  const generation = Math.max(...listGenerations(config).map(g => g.generation)) + 1;
+
+  saveConfig(cachePath, {
+    ...config,
+    generation,
+    generations: [...config.generations, { generation, created: new Date().toISOString(), note }],
+  });
+
+  return { success: true, generation, previous: config.generation };
+}
+
+/**
+ * Switch a cache back to an earlier generation
+ * @param {string} cachePath
+ * @param {number} [target] - Defaults to the one before the current generation
+ * @returns {Object} { success, generation, previous } or { success: false, error }
+ */
+function rollbackGeneration(cachePath, target = null) {
+  const config = loadConfig(cachePath);
+  const generations = listGenerations(config).map(g => g.generation);
+
+  let generation = target;
+  if (generation === null || generation === undefined) {
+    const index = generations.indexOf(config.generation);
+    if (index <= 0) {
+      return { success: false, error: 'No earlier generation to roll back to' };
+    }
+    generation = generations[index - 1];
+  }
+
+  if (!generations.includes(generation)) {
+    return { success: false, error: `Unknown generation: ${generation}. Generations: ${generations.join(', ')}` };
+  }
+  if (generation === config.generation) {
+    return { success: false, error: `Generation ${generation} is already current` };
+  }
+
+  saveConfig(cachePath, { ...config, generation });
+  return { success: true, generation, previous: config.generation };
+}
+
+module.exports = {
+  listGenerations,
+  bumpGeneration,
+  rollbackGeneration,
+};
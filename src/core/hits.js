@@ -0,0 +1,64 @@
+/**
+ * Deferred hit accounting
+ * @module core/hits
+ *
+ * Counting a hit used to mean rewriting the whole entry to bump `hits`
+ * and `lastAccessed`, then writing the stats: two or three writes per
+ * read, contending with real writers. Hits are instead counted in memory,
+ * per cache, and written in one storage.recordHits() call per batch (see
+ * core/cache for when batches are flushed).
+ */
+
+// Flush once this many entries have pending hits
+const HIT_BATCH = 100;
+
+// Flush pending hits this long after the first one, in ms
+const HIT_FLUSH_INTERVAL = 5000;
+
+/**
+ * Hits not yet written to one cache
+ */
+class HitBuffer {
+  constructor() {
+    this.pending = {};
+    this.size = 0;
+  }
+
+  /**
+   * Count a hit
+   * @param {string} hash
+   * @param {number} saved - Response bytes served
+   * @returns {number} Hits now pending for this entry
+   */
+  record(hash, saved) {
+    let hit = this.pending[hash];
+    if (!hit) {
+      hit = this.pending[hash] = { hits: 0, lastAccessed: null, saved: 0 };
+      this.size++;
+    }
+
+    hit.hits++;
+    hit.saved += saved;
+    hit.lastAccessed = new Date().toISOString();
+    return hit.hits;
+  }
+
+  /**
+   * Pending hits, emptying the buffer
+   * @returns {Object|null} { hash: { hits, lastAccessed, saved } }, null if none
+   */
+  take() {
+    if (this.size === 0) return null;
+
+    const hits = this.pending;
+    this.pending = {};
+    this.size = 0;
+    return hits;
+  }
+}
+
+module.exports = {
+  HIT_BATCH,
+  HIT_FLUSH_INTERVAL,
+  HitBuffer,
+};
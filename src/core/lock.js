@@ -0,0 +1,297 @@
+/**
+ * Advisory file locks and atomic writes
+ * @module core/lock
+ *
+ * Locks are plain files created with O_EXCL. The owner's pid, host and
+ * creation time are written inside so a crashed process's lock can be
+ * recognised as stale and broken. A lock on this host is stale once its
+ * owner has exited, however long it was held. The liveness of an owner on
+ * another host cannot be checked, so its lock is stale once untouched for
+ * `stale` ms. Holders that await while locked (acquireLockAsync) touch the
+ * file meanwhile; synchronous holders are expected to finish well within it.
+ *
+ * acquireLock and withLock wait by blocking the thread, so in a server a
+ * contended lock stalls every request until it is taken or the retries run
+ * out. Async callers wait with acquireLockAsync instead.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+
+const DEFAULT_LOCK_OPTIONS = {
+  retries: 200, // attempts before giving up
+  minDelay: 5, // ms, first backoff
+  maxDelay: 100, // ms, backoff cap
+  stale: 10000, // ms, other hosts' locks untouched this long are considered abandoned
+};
+
+// Timers touching held locks, by lock path
+const refreshers = new Map();
+
+/**
+ * Lock could not be acquired within the retry policy
+ */
+class LockError extends Error {
+  constructor(lockPath) {
+    super(`Cache is locked by another process: ${lockPath}`);
+    this.name = 'LockError';
+    this.code = 'ELOCKED';
+    this.lockPath = lockPath;
+  }
+}
+
+/**
+ * Block the current thread
+ * @param {number} ms
+ */
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * Write a file atomically: temp file, fsync, then rename into place
+ * @param {string} file - Destination path
+ * @param {string|Buffer} data
+ */
+function writeFileAtomic(file, data) {
+  const tmp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  try {
+    fs.renameSync(tmp, file);
+  } catch (e) {
+    fs.rmSync(tmp, { force: true });
+    throw e;
+  }
+}
+
+/**
+ * Read lock owner info
+ * @param {string} lockPath
+ * @returns {Object|null} { pid, host, created, touched, raw } or null if gone
+ */
+function readLock(lockPath) {
+  let content;
+  let stat;
+  try {
+    content = fs.readFileSync(lockPath, 'utf-8');
+    stat = fs.statSync(lockPath);
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    return { ...JSON.parse(content), touched: stat.mtimeMs, raw: content };
+  } catch (e) {
+    // Owner crashed between creating and writing the lock
+    return { created: stat.mtimeMs, touched: stat.mtimeMs, raw: content };
+  }
+}
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+/**
+ * Check whether a lock was abandoned
+ * @param {Object} owner - From readLock
+ * @param {number} staleMs
+ * @returns {boolean}
+ */
+function isStale(owner, staleMs) {
+  if (owner.pid && owner.host === os.hostname()) return !isAlive(owner.pid);
+  return Date.now() - (owner.touched || owner.created) > staleMs;
+}
+
+/**
+ * Remove a stale lock, unless someone re-acquired it in the meantime
+ * @param {string} lockPath
+ * @param {Object} owner - The owner judged stale
+ */
+function breakLock(lockPath, owner) {
+  const moved = `${lockPath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.stale`;
+
+  try {
+    fs.renameSync(lockPath, moved);
+  } catch (e) {
+    return;
+  }
+
+  const current = readLock(moved);
+  if (current && current.raw !== owner.raw && !fs.existsSync(lockPath)) {
+    // Raced with a fresh owner; hand the lock back
+    fs.renameSync(moved, lockPath);
+    return;
+  }
+
+  fs.rmSync(moved, { force: true });
+}
+
+/**
+ * Make one attempt at taking a lock, breaking it if abandoned
+ * @param {string} lockPath
+ * @param {number} staleMs
+ * @returns {boolean|null} true if taken, null to retry at once, false to back off
+ */
+function tryLock(lockPath, staleMs) {
+  try {
+    const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), created: Date.now() });
+    fs.writeFileSync(lockPath, owner, { flag: 'wx' });
+    return true;
+  } catch (e) {
+    if (e.code !== 'EEXIST') throw e;
+  }
+
+  const current = readLock(lockPath);
+  if (!current) return null;
+
+  if (isStale(current, staleMs)) {
+    breakLock(lockPath, current);
+    return null;
+  }
+
+  return false;
+}
+
+/**
+ * Jittered exponential backoff before the next attempt
+ * @param {number} attempt
+ * @param {Object} options - { minDelay, maxDelay }
+ * @returns {number} ms
+ */
+function backoff(attempt, { minDelay, maxDelay }) {
+  const delay = Math.min(maxDelay, minDelay * Math.pow(2, attempt));
+  return Math.ceil(delay / 2 + Math.random() * delay / 2);
+}
+
+/**
+ * Acquire a lock, retrying with exponential backoff. Blocks the thread
+ * while waiting.
+ * @param {string} lockPath
+ * @param {Object} options - See DEFAULT_LOCK_OPTIONS
+ * @throws {LockError}
+ */
+function acquireLock(lockPath, options = {}) {
+  const policy = { ...DEFAULT_LOCK_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    const taken = tryLock(lockPath, policy.stale);
+    if (taken) return;
+    if (taken === null) continue;
+
+    if (attempt >= policy.retries) {
+      throw new LockError(lockPath);
+    }
+    sleepSync(backoff(attempt, policy));
+  }
+}
+
+/**
+ * Acquire a lock to hold across awaits. Waits without blocking the event
+ * loop and touches the lock until releaseLock, so other hosts never judge
+ * it stale however long it is held.
+ * @param {string} lockPath
+ * @param {Object} options - See DEFAULT_LOCK_OPTIONS
+ * @returns {Promise<void>}
+ * @throws {LockError}
+ */
+async function acquireLockAsync(lockPath, options = {}) {
+  const policy = { ...DEFAULT_LOCK_OPTIONS, ...options };
+
+  for (let attempt = 0; ; attempt++) {
+    const taken = tryLock(lockPath, policy.stale);
+    if (taken) break;
+    if (taken === null) continue;
+
+    if (attempt >= policy.retries) {
+      throw new LockError(lockPath);
+    }
+    await new Promise(resolve => setTimeout(resolve, backoff(attempt, policy)));
+  }
+
+  startRefresh(lockPath, policy.stale);
+}
+
+/**
+ * Keep touching a held lock so other hosts do not judge it stale
+ * @param {string} lockPath
+ * @param {number} staleMs
+ */
+function startRefresh(lockPath, staleMs) {
+  stopRefresh(lockPath);
+
+  const timer = setInterval(() => {
+    const now = new Date();
+    try {
+      fs.utimesSync(lockPath, now, now);
+    } catch (e) {
+      stopRefresh(lockPath);
+    }
+  }, Math.max(1, Math.floor(staleMs / 2)));
+
+  timer.unref();
+  refreshers.set(lockPath, timer);
+}
+
+/**
+ * Stop touching a lock
+ * @param {string} lockPath
+ */
+function stopRefresh(lockPath) {
+  clearInterval(refreshers.get(lockPath));
+  refreshers.delete(lockPath);
+}
+
+/**
+ * Release a lock
+ * @param {string} lockPath
+ */
+function releaseLock(lockPath) {
+  stopRefresh(lockPath);
+  fs.rmSync(lockPath, { force: true });
+}
+
+/**
+ * Run fn while holding a lock
+ * @param {string} lockPath
+ * @param {Function} fn
+ * @param {Object} options - See DEFAULT_LOCK_OPTIONS
+ * @returns {*} fn's return value
+ */
+function withLock(lockPath, fn, options = {}) {
+  acquireLock(lockPath, options);
+  try {
+    return fn();
+  } finally {
+    releaseLock(lockPath);
+  }
+}
+
+module.exports = {
+  DEFAULT_LOCK_OPTIONS,
+  LockError,
+  writeFileAtomic,
+  acquireLock,
+  acquireLockAsync,
+  releaseLock,
+  withLock,
+  isStale,
+};
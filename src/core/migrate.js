@@ -0,0 +1,242 @@
+/**
+ * Backend conversion
+ * @module core/migrate
+ *
+ * Copies a cache into a new backend next to the original, verifies the
+ * copy entry by entry, then swaps the directories. The original store is
+ * kept as a sibling backup directory.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { BACKENDS, createStorage, detectBackend, toAsync } = require('./storage');
+const { acquireLockAsync, releaseLock } = require('./lock');
+const { loadConfig, saveConfig } = require('./config');
+const { BLOB_BACKENDS, BlobStore } = require('./blobs');
+const { isExpired } = require('./expiry');
+
+// Stats every backend derives itself rather than storing
+const DERIVED_STATS = ['totalEntries', 'cacheSize', 'entryBytes', 'dedupSaved', 'blobBytes'];
+
+/**
+ * Digest of one entry over the fields every backend preserves
+ * @param {Object} entry - Entry with `hash`
+ * @returns {Buffer}
+ */
+function entryDigest(entry) {
+  const canonical = JSON.stringify([
+    entry.hash,
+    entry.prompt,
+    entry.response,
+    entry.model || 'default',
+    entry.created,
+    entry.lastAccessed || null,
+    entry.expires || null,
+    entry.hits || 0,
+    entry.tokens || 0,
+    Boolean(entry.compressed),
+    entry.tags || [],
+    entry.algorithm || null,
+    entry.blob ? entry.blob.ref : null,
+  ]);
+  return crypto.createHash('sha256').update(canonical).digest();
+}
+
+/**
+ * Order-independent checksum over a set of entries
+ */
+class Checksum {
+  constructor() {
+    this.count = 0;
+    this.sum = Buffer.alloc(32);
+    this.expiring = [];
+  }
+
+  /**
+   * Fold an entry into the checksum
+   * @param {Object} entry - Entry with `hash`
+   */
+  add(entry) {
+    this.fold(entry);
+    this.count++;
+    if (entry.expires) this.expiring.push(entry);
+  }
+
+  /**
+   * Take out entries that have expired since they were added, so two
+   * checksums taken at different times cover the same live entries
+   * @param {Date} [now]
+   */
+  dropExpired(now = new Date()) {
+    this.expiring = this.expiring.filter((entry) => {
+      if (!isExpired(entry, now)) return true;
+      this.fold(entry);
+      this.count--;
+      return false;
+    });
+  }
+
+  /**
+   * XOR an entry's digest into the sum; folding twice takes it out again
+   * @param {Object} entry
+   */
+  fold(entry) {
+    const digest = entryDigest(entry);
+    for (let i = 0; i < digest.length; i++) {
+      this.sum[i] ^= digest[i];
+    }
+  }
+
+  /**
+   * @returns {string} Hex digest
+   */
+  hex() {
+    return this.sum.toString('hex');
+  }
+}
+
+/**
+ * Checksum every live entry of a storage
+ * @param {Object} storage - Async storage
+ * @returns {Promise<Checksum>}
+ */
+async function checksumStorage(storage) {
+  const checksum = new Checksum();
+  for await (const entry of storage.iterate()) {
+    if (!isExpired(entry)) checksum.add(entry);
+  }
+  return checksum;
+}
+
+/**
+ * Stats worth carrying over to the new backend
+ * @param {Object} stats - From getStats
+ * @returns {Object}
+ */
+function portableStats(stats) {
+  const portable = {};
+  for (const [key, value] of Object.entries(stats || {})) {
+    if (!DERIVED_STATS.includes(key)) {
+      portable[key] = value;
+    }
+  }
+  return portable;
+}
+
+/**
+ * Convert a cache to another backend in place
+ * @param {string} cachePath - Cache directory
+ * @param {string} to - Target backend
+ * @param {Object} options - Target backend options (Redis: url, prefix)
+ * @returns {Promise<Object>} { success, from, to, entries, checksum, backup } or { success: false, error }
+ */
+async function convertCache(cachePath, to, options = {}) {
+  if (!fs.existsSync(cachePath)) {
+    return { success: false, error: 'No cache found' };
+  }
+
+  const from = detectBackend(cachePath);
+  if (from === to) {
+    return { success: false, error: `Cache already uses the ${to} backend` };
+  }
+
+  // JSON writers honour index.lock, so hold it until the swap
+  const lockFile = from === BACKENDS.JSON ? path.join(cachePath, 'index.lock') : null;
+  if (lockFile) await acquireLockAsync(lockFile);
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const tmpPath = `${cachePath}.migrating-${process.pid}`;
+  const backupPath = `${cachePath}.${from}-backup-${stamp}`;
+
+  const source = toAsync(createStorage(cachePath, from));
+  const target = toAsync(createStorage(tmpPath, to, options));
+  const blobs = new BlobStore(cachePath);
+  // Backends without a blob store get large responses inline
+  const inline = !BLOB_BACKENDS.includes(to);
+  let written = false;
+  let swapped = false;
+
+  try {
+    const result = await target.init();
+    if (!result.success) {
+      return { success: false, error: result.error || result.message };
+    }
+
+    if ((await target.getStats()).totalEntries > 0) {
+      return { success: false, error: `Target ${to} store already holds entries` };
+    }
+
+    // Stream live entries across, checksumming the source as we go.
+    // Expired ones are left behind: Redis would drop them on arrival.
+    written = true;
+    const expected = new Checksum();
+    for await (const stored of source.iterate()) {
+      if (isExpired(stored)) continue;
+      const entry = inline ? blobs.inflate(stored) || stored : stored;
+      const { hash, ...fields } = entry;
+      await target.set(hash, fields);
+      expected.add(entry);
+    }
+    await target.updateStats(portableStats(await source.getStats()));
+
+    // Entries that expired while copying count on neither side
+    const actual = await checksumStorage(target);
+    const now = new Date();
+    expected.dropExpired(now);
+    actual.dropExpired(now);
+
+    if (actual.count !== expected.count) {
+      return { success: false, error: `Entry count mismatch after copy: expected ${expected.count}, got ${actual.count}` };
+    }
+    if (actual.hex() !== expected.hex()) {
+      return { success: false, error: 'Checksum mismatch after copy' };
+    }
+
+    // Settings and blobs belong to the cache, not the backend
+    saveConfig(tmpPath, { ...loadConfig(cachePath), backend: to });
+    if (!inline) blobs.copyTo(tmpPath);
+
+    await source.close();
+    await target.close();
+
+    fs.renameSync(cachePath, backupPath);
+    try {
+      fs.renameSync(tmpPath, cachePath);
+    } catch (e) {
+      fs.renameSync(backupPath, cachePath);
+      throw e;
+    }
+    swapped = true;
+
+    return {
+      success: true,
+      from,
+      to,
+      entries: expected.count,
+      checksum: expected.hex(),
+      backup: backupPath,
+    };
+  } catch (e) {
+    return { success: false, error: e.message };
+  } finally {
+    await source.close();
+
+    if (!swapped) {
+      // Redis keeps its data outside the directory
+      if (written && to === BACKENDS.REDIS) await target.clear();
+      await target.close();
+      fs.rmSync(tmpPath, { recursive: true, force: true });
+    }
+
+    if (lockFile) {
+      releaseLock(swapped ? path.join(backupPath, 'index.lock') : lockFile);
+    }
+  }
+}
+
+module.exports = {
+  convertCache,
+  checksumStorage,
+  entryDigest,
+};
@@ -0,0 +1,107 @@
+/**
+ * Prompt normalization
+ * @module core/normalize
+ *
+ * Prompts are normalized before they are hashed, so differences such as
+ * CRLF line endings or a trailing space still hit the same entry. Entries
+ * keep the prompt as it was given.
+ *
+ * Which steps run is a per-cache setting; what each step does is fixed by
+ * the pipeline version recorded in the cache's config when it is created.
+ * A cache created before normalization existed has no version and keeps
+ * hashing prompts as given until `llmcache migrate` re-keys it, so keys
+ * never change underneath existing entries.
+ */
+
+// Bump when a step's behaviour changes; caches keep the version they record
+const NORMALIZE_VERSION = 1;
+
+// Steps in the order they run; masks run after `newlines`
+const NORMALIZE_STEPS = ['newlines', 'whitespace', 'trim', 'lowercase'];
+
+const DEFAULT_NORMALIZE = ['newlines', 'whitespace', 'trim'];
+
+/**
+ * Parse a comma-separated list of steps
+ * @param {string} value - e.g. "trim,lowercase", or "none"
+ * @returns {Array<string>|null} null if a step is unknown
+ */
+function parseSteps(value) {
+  const steps = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+  if (steps.length === 1 && steps[0] === 'none') return [];
+  return steps.every(s => NORMALIZE_STEPS.includes(s)) ? steps : null;
+}
+
+/**
+ * Compile a mask pattern: plain regex source, or /source/flags
+ * @param {string} pattern
+ * @returns {RegExp}
+ * @throws {SyntaxError} If the pattern is not a valid regex
+ */
+function compileMask(pattern) {
+  const literal = pattern.match(/^\/(.+)\/([a-z]*)$/);
+  const [source, flags] = literal ? [literal[1], literal[2]] : [pattern, ''];
+  return new RegExp(source, flags.includes('g') ? flags : flags + 'g');
+}
+
+/**
+ * Parse masks given as a JSON object of pattern to replacement
+ * @param {string|Object} value - e.g. '{"\\d{4}-\\d{2}-\\d{2}": "<date>"}'
+ * @returns {Object|null} null if not an object of valid patterns and strings
+ */
+function parseMasks(value) {
+  let masks = value;
+  if (typeof value === 'string') {
+    try {
+      masks = JSON.parse(value);
+    } catch (e) {
+      return null;
+    }
+  }
+
+  if (masks === null || typeof masks !== 'object' || Array.isArray(masks)) return null;
+
+  for (const [pattern, replacement] of Object.entries(masks)) {
+    if (typeof replacement !== 'string') return null;
+    try {
+      compileMask(pattern);
+    } catch (e) {
+      return null;
+    }
+  }
+  return masks;
+}
+
+/**
+ * Build the normalizer a cache's keys are computed with
+ * @param {Object} config - { normalizeVersion, normalize, normalizeMasks }
+ * @returns {function(string): string}
+ */
+function createNormalizer(config) {
+  if (!config.normalizeVersion) return text => text;
+
+  const steps = new Set(config.normalize || []);
+  const masks = Object.entries(config.normalizeMasks || {})
+    .map(([pattern, replacement]) => [compileMask(pattern), replacement]);
+
+  return (text) => {
+    let out = text;
+    if (steps.has('newlines')) out = out.replace(/\r\n?/g, '\n');
+    for (const [regex, replacement] of masks) {
+      out = out.replace(regex, replacement);
+    }
+    if (steps.has('whitespace')) out = out.replace(/[^\S\n]+/g, ' ').replace(/ ?\n ?/g, '\n');
+    if (steps.has('trim')) out = out.trim();
+    if (steps.has('lowercase')) out = out.toLowerCase();
+    return out;
+  };
+}
+
+module.exports = {
+  NORMALIZE_VERSION,
+  NORMALIZE_STEPS,
+  DEFAULT_NORMALIZE,
+  parseSteps,
+  parseMasks,
+  createNormalizer,
+};
@@ -0,0 +1,67 @@
+/**
+ * Backend plugins
+ * @module core/plugins
+ *
+ * A plugin is a module exporting a function that receives the llmcache
+ * API and registers backends with it:
+ *
+ *   module.exports = (llmcache) => {
+ *     llmcache.registerBackend('mystore', createMyStore, isMyStore);
+ *   };
+ *
+ * The CLI loads plugins named with --plugin or in $LLMCACHE_PLUGINS
+ * (comma-separated), resolved from the current directory.
+ */
+
+const loaded = new Set();
+
+/**
+ * Plugin modules named in the environment
+ * @returns {Array<string>}
+ */
+function envPlugins() {
+  return (process.env.LLMCACHE_PLUGINS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load plugins, each at most once
+ * @param {Array<string>} specs - Package names or paths
+ * @param {string} from - Directory to resolve from
+ * @returns {Array<string>} Resolved paths of newly loaded plugins
+ * @throws {Error} If a plugin cannot be found or does not export a function
+ */
+function loadPlugins(specs, from = process.cwd()) {
+  const api = require('../index');
+  const newlyLoaded = [];
+
+  for (const spec of specs) {
+    let resolved;
+    try {
+      resolved = require.resolve(spec, { paths: [from] });
+    } catch (e) {
+      throw new Error(`Cannot find plugin ${spec}`);
+    }
+
+    if (loaded.has(resolved)) continue;
+
+    const exported = require(resolved);
+    const register = typeof exported === 'function' ? exported : exported && exported.default;
+    if (typeof register !== 'function') {
+      throw new Error(`Plugin ${spec} must export a function`);
+    }
+
+    register(api);
+    loaded.add(resolved);
+    newlyLoaded.push(resolved);
+  }
+
+  return newlyLoaded;
+}
+
+module.exports = {
+  envPlugins,
+  loadPlugins,
+};
@@ -0,0 +1,181 @@
+/**
+ * Structured requests
+ * @module core/request
+ *
+ * set/get accept a chat-style request object in place of a prompt string:
+ *
+ *   { system, messages: [{ role, content }], temperature, max_tokens,
+ *     tools, response_format, ... }
+ *
+ * The request is canonicalised (object keys sorted, `model` and ignorable
+ * parameters dropped) and that form is hashed into the cache key, so key
+ * order and parameters such as `stream` never cause a miss. Entries keep
+ * the full request and use its last user message as `prompt`, which is
+ * what listing, search and similarity see.
+ */
+
+// Parameters that change how a response is delivered, not what it says
+const DEFAULT_IGNORE_PARAMS = ['stream', 'stream_options', 'user', 'metadata'];
+
+// Sampling parameters worth showing when describing a request
+const SHOWN_PARAMS = ['temperature', 'top_p', 'max_tokens', 'seed'];
+
+/**
+ * Check whether a prompt argument is a structured request
+ * @param {*} prompt
+ * @returns {boolean}
+ */
+function isRequest(prompt) {
+  return prompt !== null && typeof prompt === 'object' && !Array.isArray(prompt);
+}
+
+/**
+ * Parse a request given as JSON text, e.g. on the command line
+ * @param {string} text
+ * @returns {Object}
+ * @throws {Error} If the text is not a JSON object
+ */
+function parseRequest(text) {
+  let request;
+  try {
+    request = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid request JSON: ${e.message}`);
+  }
+
+  if (!isRequest(request)) {
+    throw new Error('Request must be a JSON object');
+  }
+  return request;
+}
+
+/**
+ * Copy of a value with object keys sorted and undefined fields dropped
+ * @param {*} value
+ * @returns {*}
+ */
+function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value === null || typeof value !== 'object') return value;
+
+  const sorted = {};
+  for (const key of Object.keys(value).sort()) {
+    if (value[key] !== undefined) sorted[key] = sortKeys(value[key]);
+  }
+  return sorted;
+}
+
+/**
+ * Canonical form of a request: what the cache key is computed from
+ * @param {Object} request
+ * @param {Array<string>} ignoreParams - Top-level parameters to drop
+ * @returns {string} JSON
+ */
+function canonicalRequest(request, ignoreParams = DEFAULT_IGNORE_PARAMS) {
+  const { model, ...rest } = request;
+  for (const param of ignoreParams) {
+    delete rest[param];
+  }
+  return JSON.stringify(sortKeys(rest));
+}
+
+/**
+ * Plain text of a message's content
+ * @param {string|Array|Object} content - String or content parts
+ * @returns {string}
+ */
+function contentText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part && part.text) || '')
+      .filter(Boolean)
+      .join(' ');
+  }
+  return JSON.stringify(content);
+}
+
+/**
+ * Copy of a request with its prompt texts (system, prompt and message
+ * contents) passed through a function
+ * @param {Object} request
+ * @param {function(string): string} fn
+ * @returns {Object}
+ */
+function mapText(request, fn) {
+  const mapped = { ...request };
+  for (const field of ['system', 'prompt']) {
+    if (typeof mapped[field] === 'string') mapped[field] = fn(mapped[field]);
+  }
+
+  if (Array.isArray(request.messages)) {
+    mapped.messages = request.messages.map((message) => {
+      if (!message || typeof message !== 'object') return message;
+      if (typeof message.content === 'string') return { ...message, content: fn(message.content) };
+      if (!Array.isArray(message.content)) return message;
+
+      const content = message.content.map(part => (
+        part && typeof part.text === 'string' ? { ...part, text: fn(part.text) } : part
+      ));
+      return { ...message, content };
+    });
+  }
+  return mapped;
+}
+
+/**
+ * Text that stands for a request in listings and search: its last user
+ * message, else its prompt or system prompt
+ * @param {Object} request
+ * @returns {string}
+ */
+function requestText(request) {
+  const messages = Array.isArray(request.messages) ? request.messages : [];
+  for (let i = messages.length - 1; i >= 0; i--) {
+    if (messages[i] && messages[i].role === 'user') return contentText(messages[i].content);
+  }
+
+  if (typeof request.prompt === 'string') return request.prompt;
+  if (typeof request.system === 'string') return request.system;
+  return JSON.stringify(sortKeys(request));
+}
+
+/**
+ * One-line summary of a request's shape
+ * @param {Object} request
+ * @returns {string} e.g. "3 messages, system prompt, temperature=0.2, tools: search"
+ */
+function describeRequest(request) {
+  const parts = [];
+
+  if (Array.isArray(request.messages)) {
+    const n = request.messages.length;
+    parts.push(`${n} ${n === 1 ? 'message' : 'messages'}`);
+  }
+  if (request.system) parts.push('system prompt');
+
+  for (const param of SHOWN_PARAMS) {
+    if (request[param] !== undefined) parts.push(`${param}=${request[param]}`);
+  }
+
+  if (Array.isArray(request.tools) && request.tools.length > 0) {
+    const names = request.tools.map(t => t.name || (t.function && t.function.name) || t.type || '?');
+    parts.push(`tools: ${names.join(', ')}`);
+  }
+  if (request.response_format) {
+    parts.push(`format: ${request.response_format.type || JSON.stringify(request.response_format)}`);
+  }
+
+  return parts.join(', ');
+}
+
+module.exports = {
+  DEFAULT_IGNORE_PARAMS,
+  isRequest,
+  parseRequest,
+  sortKeys,
+  canonicalRequest,
+  mapText,
+  requestText,
+  describeRequest,
+};
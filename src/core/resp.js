@@ -0,0 +1,353 @@
+/**
+ * Minimal Redis (RESP2) client
+ * @module core/resp
+ *
+ * Just enough protocol to back the Redis storage: pipelined commands,
+ * MULTI/EXEC and AUTH/SELECT from the connection URL. No external deps.
+ */
+
+const net = require('net');
+
+const DEFAULT_URL = 'redis://127.0.0.1:6379';
+
+/**
+ * Parse a redis:// URL
+ * @param {string} url - e.g. "redis://:secret@localhost:6379/2"
+ * @returns {Object} { host, port, password, db }
+ */
+function parseRedisUrl(url = DEFAULT_URL) {
+  const parsed = new URL(url);
+
+  if (parsed.protocol !== 'redis:') {
+    throw new Error(`Unsupported Redis URL protocol: ${parsed.protocol}`);
+  }
+
+  const db = parsed.pathname && parsed.pathname.length > 1
+    ? parseInt(parsed.pathname.substring(1))
+    : 0;
+
+  return {
+    host: parsed.hostname || '127.0.0.1',
+    port: parsed.port ? parseInt(parsed.port) : 6379,
+    username: parsed.username ? decodeURIComponent(parsed.username) : null,
+    password: parsed.password ? decodeURIComponent(parsed.password) : null,
+    db: isNaN(db) ? 0 : db,
+  };
+}
+
+/**
+ * Encode a command as a RESP array of bulk strings
+ * @param {Array} args - Command name and arguments
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  let out = `*${args.length}\r\n`;
+
+  for (const arg of args) {
+    const str = String(arg);
+    out += `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+  }
+
+  return Buffer.from(out);
+}
+
+/**
+ * Parse one RESP reply from a buffer
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {Object|null} { value, offset } or null if the reply is incomplete
+ */
+function parseReply(buffer, offset = 0) {
+  if (offset >= buffer.length) return null;
+
+  const lineEnd = buffer.indexOf('\r\n', offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString('utf8', offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case '+':
+      return { value: line, offset: next };
+    case '-':
+      return { value: new ReplyError(line), offset: next };
+    case ':':
+      return { value: parseInt(line), offset: next };
+    case '$': {
+      const length = parseInt(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString('utf8', next, next + length), offset: next + length + 2 };
+    }
+    case '*': {
+      const count = parseInt(line);
+      if (count === -1) return { value: null, offset: next };
+
+      const items = [];
+      let cursor = next;
+      for (let i = 0; i < count; i++) {
+        const item = parseReply(buffer, cursor);
+        if (!item) return null;
+        items.push(item.value);
+        cursor = item.offset;
+      }
+      return { value: items, offset: cursor };
+    }
+    default:
+      throw new Error(`Invalid RESP reply type: ${type}`);
+  }
+}
+
+/**
+ * Error reply sent by the server
+ */
+class ReplyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ReplyError';
+  }
+}
+
+/**
+ * EXEC refused because a watched key changed
+ */
+class AbortedError extends Error {
+  constructor() {
+    super('Redis transaction aborted');
+    this.name = 'AbortedError';
+  }
+}
+
+// Attempts of a watched transaction before giving up
+const WATCH_ATTEMPTS = 5;
+
+/**
+ * Redis client over a single pipelined connection
+ */
+class RedisClient {
+  constructor(url = DEFAULT_URL) {
+    this.url = url;
+    this.options = parseRedisUrl(url);
+    this.socket = null;
+    this.connecting = null;
+    this.pending = [];
+    this.buffer = Buffer.alloc(0);
+    this.exclusive = Promise.resolve();
+  }
+
+  /**
+   * Open the connection (idempotent)
+   * @returns {Promise}
+   */
+  connect() {
+    if (this.socket && this.socket.destroyed) {
+      this.disconnected(this.socket, new Error('Redis connection closed'));
+    }
+    if (this.connecting) return this.connecting;
+
+    this.connecting = new Promise((resolve, reject) => {
+      const socket = net.createConnection({ host: this.options.host, port: this.options.port });
+
+      socket.once('connect', () => {
+        socket.removeListener('error', reject);
+        socket.on('error', (err) => this.disconnected(socket, err));
+        resolve();
+      });
+      socket.once('error', reject);
+      socket.on('data', (chunk) => this.onData(chunk));
+      socket.on('close', () => this.disconnected(socket, new Error('Redis connection closed')));
+
+      this.socket = socket;
+    }).then(() => this.handshake());
+
+    this.connecting.catch(() => {
+      this.connecting = null;
+    });
+
+    return this.connecting;
+  }
+
+  /**
+   * Authenticate and select the database from the URL
+   * @returns {Promise}
+   */
+  async handshake() {
+    const { username, password, db } = this.options;
+
+    if (password) {
+      const args = username ? ['AUTH', username, password] : ['AUTH', password];
+      await this.send(args);
+    }
+    if (db) {
+      await this.send(['SELECT', db]);
+    }
+  }
+
+  onData(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+
+    let offset = 0;
+    let reply;
+    while (this.pending.length > 0 && (reply = parseReply(this.buffer, offset))) {
+      offset = reply.offset;
+      const { resolve, reject } = this.pending.shift();
+      if (reply.value instanceof ReplyError) {
+        reject(reply.value);
+      } else {
+        resolve(reply.value);
+      }
+    }
+
+    this.buffer = this.buffer.subarray(offset);
+  }
+
+  /**
+   * Forget a dropped connection so the next command opens a new one
+   * @param {net.Socket} socket - The connection that dropped
+   * @param {Error} err - Rejects the commands still waiting on it
+   */
+  disconnected(socket, err) {
+    if (this.socket === socket) {
+      this.socket = null;
+      this.connecting = null;
+      this.buffer = Buffer.alloc(0);
+      this.failAll(err);
+    }
+    socket.destroy();
+  }
+
+  failAll(err) {
+    const pending = this.pending;
+    this.pending = [];
+    pending.forEach(p => p.reject(err));
+  }
+
+  send(args) {
+    return new Promise((resolve, reject) => {
+      if (!this.socket || this.socket.destroyed) {
+        reject(new Error('Redis connection closed'));
+        return;
+      }
+      this.pending.push({ resolve, reject });
+      this.socket.write(encodeCommand(args));
+    });
+  }
+
+  /**
+   * Send a command
+   * @param {...*} args - Command name and arguments
+   * @returns {Promise<*>} Reply
+   */
+  async command(...args) {
+    await this.connect();
+    return this.send(args);
+  }
+
+  /**
+   * Run commands atomically inside MULTI/EXEC
+   * @param {Array<Array>} commands - List of argument arrays
+   * @returns {Promise<Array>} EXEC replies
+   */
+  async multi(commands) {
+    await this.connect();
+
+    const queued = [this.send(['MULTI'])];
+    for (const args of commands) {
+      queued.push(this.send(args));
+    }
+    queued.push(this.send(['EXEC']));
+
+    const results = await Promise.all(queued.map(p => p.catch(err => err)));
+    const replies = results.pop();
+
+    const queueError = results.find(r => r instanceof Error);
+    if (queueError) throw queueError;
+    if (replies instanceof Error) throw replies;
+    if (replies === null) throw new AbortedError();
+
+    const failed = replies.find(r => r instanceof ReplyError);
+    if (failed) throw failed;
+
+    return replies;
+  }
+
+  /**
+   * Read keys and write based on what was read, as one atomic step: the
+   * keys are WATCHed, and the transaction starts over if any of them
+   * changes before EXEC. Calls run one at a time. Another caller's EXEC
+   * on the same connection would drop the watch, so use a client of its
+   * own for this.
+   * @param {Array<string>} keys - Keys to watch
+   * @param {function(): Promise<Array<Array>>} read - Reads the keys and returns the commands to run
+   * @returns {Promise<Array>} EXEC replies
+   * @throws {AbortedError} If the keys kept changing
+   */
+  watched(keys, read) {
+    const run = async () => {
+      for (let attempt = 1; ; attempt++) {
+        if (keys.length > 0) await this.command('WATCH', ...keys);
+        let commands;
+        try {
+          commands = await read();
+        } catch (e) {
+          await this.command('UNWATCH');
+          throw e;
+        }
+
+        try {
+          return await this.multi(commands);
+        } catch (e) {
+          if (!(e instanceof AbortedError) || attempt === WATCH_ATTEMPTS) throw e;
+        }
+      }
+    };
+
+    const result = this.exclusive.then(run);
+    this.exclusive = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Close the connection
+   * @returns {Promise}
+   */
+  async quit() {
+    if (!this.socket) return;
+
+    const socket = this.socket;
+    if (!socket.destroyed) {
+      try {
+        await this.send(['QUIT']);
+      } catch (e) {}
+    }
+
+    socket.destroy();
+    this.socket = null;
+    this.connecting = null;
+  }
+}
+
+/**
+ * Convert a flat [field, value, ...] HGETALL reply to an object
+ * @param {Array} reply
+ * @returns {Object}
+ */
+function pairsToObject(reply) {
+  const obj = {};
+  for (let i = 0; i < (reply || []).length; i += 2) {
+    obj[reply[i]] = reply[i + 1];
+  }
+  return obj;
+}
+
+module.exports = {
+  DEFAULT_URL,
+  RedisClient,
+  ReplyError,
+  AbortedError,
+  parseRedisUrl,
+  encodeCommand,
+  parseReply,
+  pairsToObject,
+};
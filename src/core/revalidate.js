@@ -0,0 +1,134 @@
+/**
+ * Background revalidation of stale entries
+ * @module core/revalidate
+ *
+ * An entry set with a soft TTL goes stale when that passes but is still
+ * served, marked `stale: true`, until its hard TTL drops it. Callers that
+ * pass a revalidate hook to get() have the fresh response fetched in the
+ * background and written over the stale one (see core/cache). Only one
+ * refresh per entry runs at a time, however often it is read meanwhile.
+ */
+
+const http = require('http');
+const https = require('https');
+
+// Give up on a revalidate endpoint that takes longer than this
+const WEBHOOK_TIMEOUT_MS = 30 * 1000;
+
+// Refreshes in flight, per cache (directory or storage instance), then
+// by entry hash: Promise<{ hash, success, error? }>
+const inFlight = new Map();
+
+/**
+ * Start a refresh unless one is already running for the entry
+ * @param {string|Object} scope - The cache
+ * @param {string} hash
+ * @param {Function} refresh - async () => void
+ * @param {Function} [onError] - (err, hash) => void, told of failed refreshes
+ * @returns {boolean} Whether a new refresh was started
+ */
+function scheduleRevalidation(scope, hash, refresh, onError) {
+  let running = inFlight.get(scope);
+  if (!running) {
+    running = new Map();
+    inFlight.set(scope, running);
+  }
+  if (running.has(hash)) return false;
+
+  const done = Promise.resolve()
+    .then(refresh)
+    .then(() => ({ hash, success: true }), (err) => {
+      if (onError) onError(err, hash);
+      return { hash, success: false, error: err.message };
+    })
+    .finally(() => {
+      running.delete(hash);
+      if (running.size === 0 && inFlight.get(scope) === running) inFlight.delete(scope);
+    });
+
+  running.set(hash, done);
+  return true;
+}
+
+/**
+ * Wait for every refresh in flight, e.g. before shutting down
+ * @returns {Promise<Array<Object>>} [{ hash, success, error? }]
+ */
+function settleRevalidations() {
+  return Promise.all([...inFlight.values()].flatMap(running => [...running.values()]));
+}
+
+/**
+ * Revalidate hook that asks an HTTP endpoint for the fresh response
+ *
+ * The endpoint gets a POST with { prompt, model, response } (the stale
+ * response), with `request` instead of `prompt` for structured requests,
+ * and answers { response }, or 204 to keep the stale entry.
+ * @param {string} url
+ * @returns {Function} async (prompt, model, stale) => string|null
+ */
+function webhookRevalidator(url) {
+  const target = new URL(url);
+  if (target.protocol !== 'http:' && target.protocol !== 'https:') {
+    throw new Error(`Unsupported revalidate URL protocol: ${target.protocol}`);
+  }
+
+  return async (prompt, model, stale) => {
+    const body = typeof prompt === 'string'
+      ? { prompt, model, response: stale.response }
+      : { request: prompt, model, response: stale.response };
+
+    const res = await postJSON(target, body);
+
+    if (res.status === 204) return null;
+    if (res.status < 200 || res.status >= 300) {
+      throw new Error(`Revalidate endpoint answered ${res.status}`);
+    }
+
+    let data;
+    try {
+      data = JSON.parse(res.body);
+    } catch (e) {
+      throw new Error('Revalidate endpoint answered with invalid JSON');
+    }
+    if (!data || typeof data.response !== 'string') {
+      throw new Error('Revalidate endpoint answered without a response');
+    }
+    return data.response;
+  };
+}
+
+/**
+ * POST a JSON body
+ * @param {URL} target
+ * @param {Object} body
+ * @returns {Promise<Object>} { status, body }
+ */
+function postJSON(target, body) {
+  const payload = JSON.stringify(body);
+  const client = target.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) },
+      timeout: WEBHOOK_TIMEOUT_MS,
+    }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text }));
+      res.on('error', reject);
+    });
+
+    req.on('timeout', () => req.destroy(new Error(`Revalidate endpoint did not answer within ${WEBHOOK_TIMEOUT_MS / 1000}s`)));
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+module.exports = {
+  scheduleRevalidation,
+  settleRevalidations,
+  webhookRevalidator,
+};
@@ -0,0 +1,355 @@
+/**
+ * SQLite schema versioning
+ * @module core/schema
+ *
+ * Every change to the cache.db layout is a numbered migration. Opening a
+ * database runs whatever is pending, in order, inside one transaction.
+ * Databases that already hold data are copied aside before the first step
+ * so a failed or unwanted upgrade can be rolled back by hand.
+ */
+
+const fs = require('fs');
+const { contentHash, shouldDedup } = require('./dedup');
+
+// Rows moved per batch when backfilling shared responses
+const BACKFILL_BATCH = 500;
+
+/**
+ * Ordered schema migrations. Append only; never edit a released step.
+ * Version 1 is the layout that predates versioning, so legacy databases
+ * adopt it as-is.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Baseline entries and stats tables',
+    up(db) {
+      db.exec(`
+        CREATE TABLE IF NOT EXISTS entries (
+          hash TEXT PRIMARY KEY,
+          prompt TEXT NOT NULL,
+          response TEXT NOT NULL,
+          model TEXT DEFAULT 'default',
+          created TEXT NOT NULL,
+          expires TEXT,
+          hits INTEGER DEFAULT 0,
+          tokens INTEGER DEFAULT 0,
+          compressed INTEGER DEFAULT 0,
+          tags TEXT
+        );
+
+        CREATE TABLE IF NOT EXISTS stats (
+          key TEXT PRIMARY KEY,
+          value TEXT
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_model ON entries(model);
+        CREATE INDEX IF NOT EXISTS idx_created ON entries(created);
+      `);
+    },
+  },
+  {
+    version: 2,
+    description: 'Store compression algorithm and extra entry fields',
+    up(db) {
+      db.exec(`
+        ALTER TABLE entries ADD COLUMN algorithm TEXT;
+        ALTER TABLE entries ADD COLUMN extra TEXT;
+      `);
+    },
+  },
+  {
+    version: 3,
+    description: 'Full-text index over prompts and responses',
+    up(db) {
+      // External-content FTS5 table kept in sync with entries by triggers
+      db.exec(`
+        CREATE VIRTUAL TABLE entries_fts USING fts5(
+          prompt, response,
+          content='entries', content_rowid='rowid'
+        );
+
+        CREATE TRIGGER entries_fts_insert AFTER INSERT ON entries BEGIN
+          INSERT INTO entries_fts (rowid, prompt, response)
+          VALUES (new.rowid, new.prompt, new.response);
+        END;
+
+        CREATE TRIGGER entries_fts_delete AFTER DELETE ON entries BEGIN
+          INSERT INTO entries_fts (entries_fts, rowid, prompt, response)
+          VALUES ('delete', old.rowid, old.prompt, old.response);
+        END;
+
+        CREATE TRIGGER entries_fts_update AFTER UPDATE OF prompt, response ON entries BEGIN
+          INSERT INTO entries_fts (entries_fts, rowid, prompt, response)
+          VALUES ('delete', old.rowid, old.prompt, old.response);
+          INSERT INTO entries_fts (rowid, prompt, response)
+          VALUES (new.rowid, new.prompt, new.response);
+        END;
+
+        INSERT INTO entries_fts (entries_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 4,
+    description: 'Track when entries were last accessed',
+    up(db) {
+      db.exec(`
+        ALTER TABLE entries ADD COLUMN lastAccessed TEXT;
+        UPDATE entries SET lastAccessed = created;
+      `);
+    },
+  },
+  {
+    version: 5,
+    description: 'Store identical responses once',
+    up(db) {
+      db.exec(`
+        CREATE TABLE responses (
+          hash TEXT PRIMARY KEY,
+          body TEXT NOT NULL,
+          bytes INTEGER NOT NULL,
+          refs INTEGER NOT NULL
+        );
+
+        ALTER TABLE entries ADD COLUMN responseRef TEXT;
+        CREATE INDEX idx_response_ref ON entries(responseRef);
+
+        DROP TRIGGER entries_fts_insert;
+        DROP TRIGGER entries_fts_delete;
+        DROP TRIGGER entries_fts_update;
+        DROP TABLE entries_fts;
+      `);
+
+      // Move shareable responses out of entries, a batch at a time
+      const select = db.prepare('SELECT rowid, response FROM entries WHERE rowid > ? ORDER BY rowid LIMIT ?');
+      const retain = db.prepare(`
+        INSERT INTO responses (hash, body, bytes, refs) VALUES (?, ?, ?, 1)
+        ON CONFLICT(hash) DO UPDATE SET refs = refs + 1
+      `);
+      const point = db.prepare("UPDATE entries SET response = '', responseRef = ? WHERE rowid = ?");
+
+      let last = 0;
+      let rows;
+      while ((rows = select.all(last, BACKFILL_BATCH)).length > 0) {
+        for (const row of rows) {
+          if (shouldDedup(row.response)) {
+            const ref = contentHash(row.response);
+            retain.run(ref, row.response, Buffer.byteLength(row.response, 'utf8'));
+            point.run(ref, row.rowid);
+          }
+        }
+        last = rows[rows.length - 1].rowid;
+      }
+
+      // Index prompts and responses as readers see them
+      db.exec(`
+        CREATE VIEW entries_content AS
+          SELECT entries.rowid AS rowid, entries.prompt AS prompt,
+            COALESCE(responses.body, entries.response) AS response
+          FROM entries LEFT JOIN responses ON responses.hash = entries.responseRef;
+
+        CREATE VIRTUAL TABLE entries_fts USING fts5(
+          prompt, response,
+          content='entries_content', content_rowid='rowid'
+        );
+
+        CREATE TRIGGER entries_fts_insert AFTER INSERT ON entries BEGIN
+          INSERT INTO entries_fts (rowid, prompt, response)
+          VALUES (new.rowid, new.prompt,
+            COALESCE((SELECT body FROM responses WHERE hash = new.responseRef), new.response));
+        END;
+
+        CREATE TRIGGER entries_fts_delete AFTER DELETE ON entries BEGIN
+          INSERT INTO entries_fts (entries_fts, rowid, prompt, response)
+          VALUES ('delete', old.rowid, old.prompt,
+            COALESCE((SELECT body FROM responses WHERE hash = old.responseRef), old.response));
+        END;
+
+        CREATE TRIGGER entries_fts_update AFTER UPDATE OF prompt, response, responseRef ON entries BEGIN
+          INSERT INTO entries_fts (entries_fts, rowid, prompt, response)
+          VALUES ('delete', old.rowid, old.prompt,
+            COALESCE((SELECT body FROM responses WHERE hash = old.responseRef), old.response));
+          INSERT INTO entries_fts (rowid, prompt, response)
+          VALUES (new.rowid, new.prompt,
+            COALESCE((SELECT body FROM responses WHERE hash = new.responseRef), new.response));
+        END;
+
+        INSERT INTO entries_fts (entries_fts) VALUES ('rebuild');
+      `);
+    },
+  },
+  {
+    version: 6,
+    description: 'Index expiry times for sweeping expired entries',
+    up(db) {
+      db.exec('CREATE INDEX idx_expires ON entries(expires)');
+    },
+  },
+  {
+    version: 7,
+    description: 'Keep a running total of entry sizes for maxBytes',
+    up(db) {
+      // size is entrySize() of the entry: prompt bytes plus blob or response bytes
+      db.exec(`
+        ALTER TABLE entries ADD COLUMN size INTEGER NOT NULL DEFAULT 0;
+
+        UPDATE entries SET size = LENGTH(CAST(prompt AS BLOB)) + COALESCE(
+          json_extract(extra, '$.blob.bytes'),
+          (SELECT bytes FROM responses WHERE responses.hash = entries.responseRef),
+          LENGTH(CAST(response AS BLOB)));
+
+        INSERT OR REPLACE INTO stats (key, value)
+          SELECT 'entryBytes', COALESCE(SUM(size), 0) FROM entries;
+
+        CREATE TRIGGER entries_size_insert AFTER INSERT ON entries BEGIN
+          INSERT INTO stats (key, value) VALUES ('entryBytes', new.size)
+          ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + excluded.value;
+        END;
+
+        CREATE TRIGGER entries_size_delete AFTER DELETE ON entries BEGIN
+          INSERT INTO stats (key, value) VALUES ('entryBytes', -old.size)
+          ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + excluded.value;
+        END;
+
+        CREATE TRIGGER entries_size_update AFTER UPDATE OF size ON entries BEGIN
+          INSERT INTO stats (key, value) VALUES ('entryBytes', new.size - old.size)
+          ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + excluded.value;
+        END;
+      `);
+    },
+  },
+];
+
+const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Check whether a table exists
+ * @param {Object} db - better-sqlite3 handle
+ * @param {string} name
+ * @returns {boolean}
+ */
+function hasTable(db, name) {
+  return Boolean(db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?").get(name));
+}
+
+/**
+ * Current schema version of a database
+ * @param {Object} db - better-sqlite3 handle
+ * @returns {number} 0 for unversioned (legacy or empty) databases
+ */
+function getSchemaVersion(db) {
+  if (!hasTable(db, 'schema_version')) return 0;
+  const row = db.prepare('SELECT MAX(version) AS version FROM schema_version').get();
+  return row.version || 0;
+}
+
+/**
+ * Describe a database's migration state
+ * @param {Object} db - better-sqlite3 handle
+ * @param {Array} migrations
+ * @returns {Object} { current, latest, applied, pending }
+ */
+function getSchemaStatus(db, migrations = MIGRATIONS) {
+  const current = getSchemaVersion(db);
+  const applied = current > 0
+    ? db.prepare('SELECT version, description, applied FROM schema_version ORDER BY version').all()
+    : [];
+
+  return {
+    current,
+    latest: migrations[migrations.length - 1].version,
+    applied,
+    pending: migrations
+      .filter(m => m.version > current)
+      .map(({ version, description }) => ({ version, description })),
+  };
+}
+
+/**
+ * Copy the database file aside before upgrading it
+ * @param {string} dbPath
+ * @param {number} version - Version being upgraded from
+ * @returns {string} Backup path
+ */
+function backupDatabase(dbPath, version) {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  const backupPath = `${dbPath}.v${version}.${stamp}.bak`;
+  fs.copyFileSync(dbPath, backupPath, fs.constants.COPYFILE_EXCL);
+  return backupPath;
+}
+
+/**
+ * Refuse databases written by a newer llmcache
+ * @param {number} version - The database's schema version
+ * @param {number} latest - Newest version this llmcache knows
+ * @throws {Error} If version is newer than latest
+ */
+function checkSupported(version, latest) {
+  if (version > latest) {
+    throw new Error(`cache.db uses schema v${version}, newer than this llmcache supports (v${latest}). Upgrade llmcache.`);
+  }
+}
+
+/**
+ * Bring a database up to the latest schema. The version is read again
+ * under an immediate transaction, so when two processes open the same
+ * database only the first runs the pending steps.
+ * @param {Object} db - better-sqlite3 handle
+ * @param {string} dbPath - Database file, for the pre-upgrade backup
+ * @param {Array} migrations
+ * @returns {Object} { from, to, applied, backup }
+ * @throws {Error} If the database is newer than this version of llmcache
+ */
+function migrateSchema(db, dbPath, migrations = MIGRATIONS) {
+  const latest = migrations[migrations.length - 1].version;
+
+  // Up-to-date databases, the common case, open without taking the write lock
+  const seen = getSchemaVersion(db);
+  checkSupported(seen, latest);
+  if (seen === latest) {
+    return { from: seen, to: seen, applied: [], backup: null };
+  }
+
+  return db.transaction(() => {
+    const from = getSchemaVersion(db);
+    checkSupported(from, latest);
+
+    const pending = migrations.filter(m => m.version > from);
+    if (pending.length === 0) {
+      return { from, to: from, applied: [], backup: null };
+    }
+
+    // Only databases with existing data need a safety copy
+    const backup = hasTable(db, 'entries') ? backupDatabase(dbPath, from) : null;
+
+    db.exec(`
+      CREATE TABLE IF NOT EXISTS schema_version (
+        version INTEGER PRIMARY KEY,
+        description TEXT NOT NULL,
+        applied TEXT NOT NULL
+      );
+    `);
+
+    const record = db.prepare('INSERT INTO schema_version (version, description, applied) VALUES (?, ?, ?)');
+    for (const migration of pending) {
+      migration.up(db);
+      record.run(migration.version, migration.description, new Date().toISOString());
+    }
+
+    return {
+      from,
+      to: latest,
+      applied: pending.map(m => m.version),
+      backup,
+    };
+  }).immediate();
+}
+
+module.exports = {
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  getSchemaVersion,
+  getSchemaStatus,
+  migrateSchema,
+};
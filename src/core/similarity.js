@@ -5,6 +5,8 @@
  */
 
 const { isPro } = require('../license/checker');
+const { liveEntries } = require('./expiry');
+const { after } = require('./storage');
 
 // Simple TF-IDF implementation (no external deps for basic version)
 // PRO users get full natural library support
@@ -115,9 +117,9 @@ function cosineSimilarity(v1, v2) {
 /**
  * Find similar entries in cache
  * @param {string} query - Query prompt
- * @param {Object} storage - Storage instance
+ * @param {Object} storage - Storage instance, sync or async
  * @param {Object} options - { threshold, limit }
- * @returns {Array} Similar entries with scores
+ * @returns {Object|Promise<Object>} { results, total }: similar entries with scores
  */
 function findSimilar(query, storage, options = {}) {
   if (!isPro()) {
@@ -126,103 +128,119 @@ function findSimilar(query, storage, options = {}) {
 
   const { threshold = 0.3, limit = 10 } = options;
 
-  const entries = storage.list();
-  if (entries.length === 0) return { results: [] };
-
-  // Tokenize all prompts
-  const queryTokens = tokenize(query);
-  const documents = entries.map(e => tokenize(e.prompt));
+  return after(storage.list(), (all) => {
+    const entries = liveEntries(all);
+    if (entries.length === 0) return { results: [] };
+
+    // Tokenize all prompts
+    const queryTokens = tokenize(query);
+    const documents = entries.map(e => tokenize(e.prompt));
+
+    // Add query to documents for IDF calculation
+    documents.push(queryTokens);
+
+    // Calculate IDF
+    const idf = inverseDocumentFrequency(documents);
+
+    // Calculate TF-IDF for query
+    const queryTF = termFrequency(queryTokens);
+    const queryVector = tfidfVector(queryTF, idf);
+
+    // Calculate similarity scores
+    const results = [];
+
+    for (let i = 0; i < entries.length; i++) {
+      const entryTF = termFrequency(documents[i]);
+      const entryVector = tfidfVector(entryTF, idf);
+      const similarity = cosineSimilarity(queryVector, entryVector);
+
+      if (similarity >= threshold) {
+        results.push({
+          hash: entries[i].hash,
+          prompt: entries[i].prompt,
+          response: entries[i].response,
+          model: entries[i].model,
+          hits: entries[i].hits,
+          created: entries[i].created,
+          similarity: Math.round(similarity * 100) / 100,
+          blob: Boolean(entries[i].blob),
+        });
+      }
+    }
 
-  // Add query to documents for IDF calculation
-  documents.push(queryTokens);
+    // Sort by similarity descending
+    results.sort((a, b) => b.similarity - a.similarity);
 
-  // Calculate IDF
-  const idf = inverseDocumentFrequency(documents);
-
-  // Calculate TF-IDF for query
-  const queryTF = termFrequency(queryTokens);
-  const queryVector = tfidfVector(queryTF, idf);
-
-  // Calculate similarity scores
-  const results = [];
-
-  for (let i = 0; i < entries.length; i++) {
-    const entryTF = termFrequency(documents[i]);
-    const entryVector = tfidfVector(entryTF, idf);
-    const similarity = cosineSimilarity(queryVector, entryVector);
-
-    if (similarity >= threshold) {
-      results.push({
-        hash: entries[i].hash,
-        prompt: entries[i].prompt,
-        response: entries[i].response,
-        model: entries[i].model,
-        hits: entries[i].hits,
-        created: entries[i].created,
-        similarity: Math.round(similarity * 100) / 100,
-      });
-    }
-  }
+    const top = results.slice(0, limit).map(r => withResponse(r, storage));
+    return after(storage.isAsync ? Promise.all(top) : top, matches => ({
+      results: matches,
+      total: results.length,
+    }));
+  });
+}
 
-  // Sort by similarity descending
-  results.sort((a, b) => b.similarity - a.similarity);
+/**
+ * Fill in a match's response: list() leaves blob-stored responses empty,
+ * so read those entries in full
+ * @param {Object} result - Match with `blob` set if its response is a blob
+ * @param {Object} storage - Storage instance, sync or async
+ * @returns {Object|Promise<Object>} The match without `blob`
+ */
+function withResponse(result, storage) {
+  const { blob, ...match } = result;
+  if (!blob) return storage.isAsync ? Promise.resolve(match) : match;
 
-  return {
-    results: results.slice(0, limit),
-    total: results.length,
-  };
+  return after(storage.get(match.hash), entry => (entry ? { ...match, response: entry.response } : match));
 }
 
 /**
  * Get best match from cache
  * @param {string} query - Query prompt
- * @param {Object} storage - Storage instance
+ * @param {Object} storage - Storage instance, sync or async
  * @param {number} minSimilarity - Minimum similarity threshold
- * @returns {Object|null} Best matching entry or null
+ * @returns {Object|null|Promise<Object|null>} Best matching entry or null
  */
 function getBestMatch(query, storage, minSimilarity = 0.8) {
   if (!isPro()) {
     return null;
   }
 
-  const { results } = findSimilar(query, storage, { threshold: minSimilarity, limit: 1 });
-
-  if (results.length > 0) {
-    return results[0];
-  }
-
-  return null;
+  return after(findSimilar(query, storage, { threshold: minSimilarity, limit: 1 }), ({ results }) => {
+    return results.length > 0 ? results[0] : null;
+  });
 }
 
 /**
  * Build similarity index for faster lookups (PRO)
- * @param {Object} storage - Storage instance
- * @returns {Object} Index data
+ * @param {Object} storage - Storage instance, sync or async
+ * @returns {Object|Promise<Object>} Index data
  */
 function buildIndex(storage) {
   if (!isPro()) {
     return { proRequired: true };
   }
 
-  const entries = storage.list();
-  const documents = entries.map(e => ({
-    hash: e.hash,
-    tokens: tokenize(e.prompt),
-  }));
-
-  const idf = inverseDocumentFrequency(documents.map(d => d.tokens));
-
-  const vectors = documents.map(doc => ({
-    hash: doc.hash,
-    vector: tfidfVector(termFrequency(doc.tokens), idf),
-  }));
-
-  return {
-    idf,
-    vectors,
-    entryCount: entries.length,
-    built: new Date().toISOString(),
-  };
+  return after(storage.list(), (all) => {
+    const entries = liveEntries(all);
+    const documents = entries.map(e => ({
+      hash: e.hash,
+      tokens: tokenize(e.prompt),
+    }));
+
+    const idf = inverseDocumentFrequency(documents.map(d => d.tokens));
+
+    const vectors = documents.map(doc => ({
+      hash: doc.hash,
+      vector: tfidfVector(termFrequency(doc.tokens), idf),
+    }));
+
+    return {
+      idf,
+      vectors,
+      entryCount: entries.length,
+      built: new Date().toISOString(),
+    };
+  });
 }
 
 module.exports = {
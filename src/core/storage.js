@@ -2,13 +2,20 @@
  * Storage backends
  * @module core/storage
  *
- * FREE: JSON file storage
+ * FREE: JSON file storage, in-memory, tiered
  * PRO: SQLite, Redis
  */
 
 const fs = require('fs');
 const path = require('path');
 const { isPro } = require('../license/checker');
+const { RedisClient, DEFAULT_URL, pairsToObject } = require('./resp');
+const { withLock, writeFileAtomic } = require('./lock');
+const { migrateSchema, getSchemaStatus } = require('./schema');
+const { entrySize } = require('./eviction');
+const { contentHash, shouldDedup } = require('./dedup');
+const { isExpired } = require('./expiry');
+const { loadConfig } = require('./config');
 
 /**
  * Storage backend types
@@ -17,15 +24,89 @@ const BACKENDS = {
   JSON: 'json',
   SQLITE: 'sqlite',
   REDIS: 'redis',
+  MEMORY: 'memory',
 };
 
+const REDIS_PREFIX = 'llmcache:';
+
+// Redis backend: entries fetched per round of pipelined HGETALLs
+const REDIS_BATCH = 100;
+
+// Tiered storage: default L1 entry budget
+const TIERED_MAX_ENTRIES = 1000;
+
+// JSON backend: log operations before folding into a new snapshot
+const COMPACT_THRESHOLD = 1000;
+
+/**
+ * Storage contract
+ *
+ * Every backend exposes the same methods. Sync backends (JSON, SQLite,
+ * memory) return values directly. Async backends (Redis) set `isAsync` and
+ * return Promises from everything except init(). Wrap any backend with
+ * toAsync() to get the Promise-returning form of the contract.
+ * testing/conformance checks a backend against it.
+ *
+ * @typedef {Object} Storage
+ * @property {boolean} [isAsync] - Methods return Promises
+ * @property {function(): Object} init - Create files/config, { success, error? }
+ * @property {function(string): ?Object} get - Copy of the entry (without `hash`) or null
+ * @property {function(string, Object): Object} set - { success, isNew }
+ * @property {function(string): Object} delete - { success }
+ * @property {function(Object=): Array} list - Entries with `hash`, newest first;
+ *   { model, sort: 'hits', limit }
+ * @property {function(): Iterable} iterate - Entries with `hash`, one at a time
+ *   (an AsyncIterable on async backends)
+ * @property {function(string, Object=): ?Array} [search] - Indexed search, best first;
+ *   entries with `hash`, `snippet` and `score`, or null without an index. { responses }
+ * @property {function(): ?Object} getStats - Global stats, same meaning on every backend:
+ *   totalEntries (live entries), totalHits (hits served), totalSaved (bytes
+ *   served from cache), costSaved ({ model: dollars }), cacheSize (bytes stored),
+ *   entryBytes (entrySize total of live entries as stored, never less than what
+ *   list() returns; eviction lists entries only once it passes maxBytes, and on
+ *   every write for backends that leave it out)
+ * @property {function(Object): void} updateStats - Overwrite global stats fields
+ * @property {function(Object): void} incrementStats - Atomically add to numeric stats
+ * @property {function(Object): Object} [recordHits] - Apply buffered hits in one write:
+ *   { hash: { hits, lastAccessed, saved } } adds `hits` to each entry still present,
+ *   moves its lastAccessed forward and adds the hits and saved bytes to
+ *   totalHits/totalSaved; { success, updated }. See applyHits() for backends without it
+ * @property {function(Array<string>): Object} [deleteMany] - Delete a batch of entries;
+ *   { success, removed }. See deleteEntries() for backends without it
+ * @property {function(Object=): Object} clear - { success, removed }; { olderThan: days } or
+ *   { expired: true } removes only those entries and keeps stats
+ * @property {function(): ?Object} exportData - { entries, stats, meta }
+ * @property {function(Object, string=): Object} importData - { success, imported }
+ * @property {function(): void} [compact] - Rewrite files so removed data is gone from disk
+ * @property {function(): void} [close] - Release connections/handles
+ */
+
 /**
  * JSON File Storage (FREE)
+ *
+ * Log-structured: index.json is a snapshot and index.log an append-only
+ * list of operations (one JSON object per line) applied on top of it.
+ * The full state is kept in memory and caught up from the log on each
+ * call. Once the log reaches `compactThreshold` operations it is folded
+ * into a new snapshot.
+ *
+ * Mutations run under index.lock and snapshots are replaced atomically,
+ * so concurrent processes never lose or half-write each other's changes.
+ * Every log line carries a sequence number and the snapshot records the
+ * last one it contains, so replay after a crash is idempotent.
+ *
+ * Responses worth sharing live once in `responses` (see core/dedup),
+ * with a count of the entries that reference them.
  */
 class JSONStorage {
-  constructor(cachePath) {
+  constructor(cachePath, options = {}) {
     this.cachePath = cachePath;
     this.indexFile = path.join(cachePath, 'index.json');
+    this.logFile = path.join(cachePath, 'index.log');
+    this.lockFile = path.join(cachePath, 'index.lock');
+    this.lockOptions = options.lock || {};
+    this.compactThreshold = options.compactThreshold || COMPACT_THRESHOLD;
+    this.state = null;
   }
 
   init() {
@@ -33,168 +114,669 @@ class JSONStorage {
       fs.mkdirSync(this.cachePath, { recursive: true });
     }
 
-    if (!fs.existsSync(this.indexFile)) {
-      this.save({
-        entries: {},
-        stats: {
-          totalEntries: 0,
-          totalHits: 0,
-          totalSaved: 0,
-          costSaved: {},
-        },
-        meta: {
-          backend: BACKENDS.JSON,
-          created: new Date().toISOString(),
-        },
-      });
-    }
+    withLock(this.lockFile, () => {
+      if (!fs.existsSync(this.indexFile) && !fs.existsSync(this.logFile)) {
+        this.save(emptyIndex());
+      }
+    }, this.lockOptions);
 
     return { success: true };
   }
 
+  /**
+   * Current cache data, caught up with the log
+   * @returns {Object|null} { entries, stats, meta } — treat as read-only
+   */
   load() {
+    this.refresh();
+    return this.state ? this.state.data : null;
+  }
+
+  /**
+   * Write a snapshot
+   * @param {Object} data - { entries, stats, meta }
+   * @param {number} seq - Last log sequence number the snapshot contains
+   */
+  save(data, seq = 0) {
+    writeFileAtomic(this.indexFile, JSON.stringify({ ...data, seq }, null, 2));
+  }
+
+  readSnapshot() {
+    let content;
+    try {
+      content = fs.readFileSync(this.indexFile, 'utf-8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return null;
+      throw e;
+    }
+
     try {
-      if (!fs.existsSync(this.indexFile)) return null;
-      return JSON.parse(fs.readFileSync(this.indexFile, 'utf-8'));
+      return JSON.parse(content);
     } catch (e) {
-      return null;
+      throw new Error(`Corrupt cache index ${this.indexFile}: ${e.message}`);
     }
   }
 
-  save(data) {
-    fs.writeFileSync(this.indexFile, JSON.stringify(data, null, 2));
+  /**
+   * Bring in-memory state up to date with the files on disk
+   */
+  refresh() {
+    const snapshotStat = statOrNull(this.indexFile);
+    const logStat = statOrNull(this.logFile);
+
+    if (!snapshotStat && !logStat) {
+      this.state = null;
+      return;
+    }
+
+    const snapshotId = snapshotStat
+      ? `${snapshotStat.ino}:${snapshotStat.mtimeMs}:${snapshotStat.size}`
+      : null;
+    const logSize = logStat ? logStat.size : 0;
+
+    if (!this.state || this.state.snapshotId !== snapshotId || logSize < this.state.logOffset) {
+      this.reload(snapshotId);
+    } else if (logSize > this.state.logOffset) {
+      this.replayLog();
+    }
   }
 
-  get(hash) {
-    const data = this.load();
-    if (!data) return null;
-    return data.entries[hash] || null;
+  reload(snapshotId) {
+    const snapshot = this.readSnapshot() || emptyIndex();
+    const { seq = 0, ...data } = snapshot;
+    normalizeIndex(data);
+
+    const bytes = Object.values(data.entries)
+      .reduce((sum, entry) => sum + entrySize(hydrate(data, entry)), 0);
+
+    this.state = { data, seq, bytes, snapshotId, logOffset: 0, logOps: 0 };
+    this.replayLog();
   }
 
-  set(hash, entry) {
-    const data = this.load();
-    if (!data) return { success: false, error: 'Storage not initialized' };
+  /**
+   * Apply one log operation to the in-memory state, keeping the total
+   * entry size (what maxBytes limits) in step
+   * @param {Object} op
+   */
+  apply(op) {
+    const { data } = this.state;
+    const replaced = op.op === 'set' ? [op.hash] : op.op === 'del' ? op.hashes : [];
+    for (const hash of replaced) {
+      if (data.entries[hash]) this.state.bytes -= entrySize(hydrate(data, data.entries[hash]));
+    }
 
-    const isNew = !data.entries[hash];
-    data.entries[hash] = entry;
+    applyOp(data, op);
+
+    if (op.op === 'set') this.state.bytes += entrySize(op.entry);
+    if (op.op === 'clear') this.state.bytes = 0;
+  }
 
-    if (isNew) {
-      data.stats.totalEntries++;
+  /**
+   * Apply complete log lines after the current offset
+   */
+  replayLog() {
+    let text;
+    try {
+      const fd = fs.openSync(this.logFile, 'r');
+      try {
+        const size = fs.fstatSync(fd).size;
+        const buffer = Buffer.alloc(Math.max(0, size - this.state.logOffset));
+        fs.readSync(fd, buffer, 0, buffer.length, this.state.logOffset);
+        text = buffer.toString('utf-8');
+      } finally {
+        fs.closeSync(fd);
+      }
+    } catch (e) {
+      if (e.code === 'ENOENT') return;
+      throw e;
     }
 
-    this.save(data);
-    return { success: true, isNew };
+    // A line without its newline is still being written (or was torn by a crash)
+    const complete = text.substring(0, text.lastIndexOf('\n') + 1);
+
+    for (const line of complete.split('\n')) {
+      if (!line) continue;
+
+      let op;
+      try {
+        op = JSON.parse(line);
+      } catch (e) {
+        continue;
+      }
+
+      if (op.seq > this.state.seq) {
+        this.apply(op);
+        this.state.seq = op.seq;
+      }
+      this.state.logOps++;
+    }
+
+    this.state.logOffset += Buffer.byteLength(complete);
   }
 
-  delete(hash) {
-    const data = this.load();
-    if (!data) return { success: false };
+  /**
+   * Append operations to the log while holding the lock
+   * @param {Function} fn - (data) => { ops, result }
+   * @returns {*} result, or null if storage is not initialized
+   */
+  commit(fn) {
+    return withLock(this.lockFile, () => {
+      this.refresh();
+      if (!this.state) return null;
+
+      const { ops, result } = fn(this.state.data);
+      if (ops.length > 0) {
+        this.append(ops);
+      }
 
-    if (data.entries[hash]) {
-      delete data.entries[hash];
-      data.stats.totalEntries--;
-      this.save(data);
-      return { success: true };
+      if (this.state.logOps >= this.compactThreshold) {
+        this.compactLocked();
+      }
+
+      return result;
+    }, this.lockOptions);
+  }
+
+  append(ops) {
+    const lines = ops.map(op => JSON.stringify({ seq: ++this.state.seq, ...op })).join('\n') + '\n';
+
+    // Terminate a line torn by a crashed writer so ours parses on its own
+    const stat = statOrNull(this.logFile);
+    const torn = stat && stat.size > this.state.logOffset;
+
+    fs.appendFileSync(this.logFile, (torn ? '\n' : '') + lines);
+
+    // Apply what was written, so memory always matches a replay
+    for (const line of lines.trim().split('\n')) {
+      this.apply(JSON.parse(line));
     }
-    return { success: false };
+
+    this.state.logOffset = fs.statSync(this.logFile).size;
+    this.state.logOps += ops.length;
+  }
+
+  /**
+   * Fold the log into a new snapshot and truncate it
+   */
+  compact() {
+    withLock(this.lockFile, () => {
+      this.refresh();
+      if (this.state) this.compactLocked();
+    }, this.lockOptions);
+  }
+
+  compactLocked() {
+    this.save(this.state.data, this.state.seq);
+    writeFileAtomic(this.logFile, '');
+
+    const stat = fs.statSync(this.indexFile);
+    this.state.snapshotId = `${stat.ino}:${stat.mtimeMs}:${stat.size}`;
+    this.state.logOffset = 0;
+    this.state.logOps = 0;
   }
 
-  list() {
+  get(hash) {
     const data = this.load();
-    if (!data) return [];
-    return Object.entries(data.entries).map(([hash, entry]) => ({
-      hash,
-      ...entry,
+    if (!data || !data.entries[hash]) return null;
+    return hydrate(data, data.entries[hash]);
+  }
+
+  set(hash, entry) {
+    const result = this.commit((data) => ({
+      ops: [{ op: 'set', hash, entry }],
+      result: { success: true, isNew: !data.entries[hash] },
     }));
+
+    return result || { success: false, error: 'Storage not initialized' };
+  }
+
+  delete(hash) {
+    const result = this.commit((data) => {
+      if (!data.entries[hash]) return { ops: [], result: { success: false } };
+      return { ops: [{ op: 'del', hashes: [hash] }], result: { success: true } };
+    });
+
+    return result || { success: false };
+  }
+
+  list(options = {}) {
+    const data = this.load();
+    if (!data) return [];
+    return applyListOptions([...this.iterate()], options);
+  }
+
+  *iterate() {
+    const data = this.load();
+    if (!data) return;
+    for (const [hash, entry] of Object.entries(data.entries)) {
+      yield { hash, ...hydrate(data, entry) };
+    }
   }
 
   getStats() {
     const data = this.load();
     if (!data) return null;
 
-    let size = 0;
-    try {
-      size = fs.statSync(this.indexFile).size;
-    } catch (e) {}
+    const size = [this.indexFile, this.logFile]
+      .map(statOrNull)
+      .reduce((sum, stat) => sum + (stat ? stat.size : 0), 0);
+
+    const dedupSaved = Object.values(data.responses)
+      .reduce((sum, shared) => sum + (shared.refs - 1) * shared.bytes, 0);
 
     return {
       ...data.stats,
       cacheSize: size,
+      entryBytes: this.state.bytes,
+      dedupSaved,
     };
   }
 
   updateStats(updates) {
-    const data = this.load();
-    if (!data) return;
+    this.commit(() => ({ ops: [{ op: 'stats', updates }] }));
+  }
+
+  incrementStats(deltas) {
+    this.commit(() => ({ ops: [{ op: 'incr', deltas }] }));
+  }
 
-    Object.assign(data.stats, updates);
-    this.save(data);
+  recordHits(hits) {
+    const result = this.commit((data) => ({
+      ops: [{ op: 'hits', hits }],
+      result: { success: true, updated: Object.keys(hits).filter(hash => data.entries[hash]).length },
+    }));
+
+    return result || { success: false, updated: 0 };
   }
 
   clear(options = {}) {
+    const remove = clearFilter(options);
+    const result = this.commit((data) => {
+      if (remove) {
+        const hashes = Object.keys(data.entries)
+          .filter(hash => remove(data.entries[hash]));
+
+        return {
+          ops: hashes.length > 0 ? [{ op: 'del', hashes }] : [],
+          result: { success: true, removed: hashes.length },
+        };
+      }
+
+      return {
+        ops: [{ op: 'clear' }],
+        result: { success: true, removed: Object.keys(data.entries).length },
+      };
+    });
+
+    return result || { success: false, removed: 0 };
+  }
+
+  exportData() {
     const data = this.load();
-    if (!data) return { success: false, removed: 0 };
+    if (!data) return null;
 
-    let removed = 0;
+    // Exports carry every response inline
+    const entries = {};
+    for (const [hash, entry] of Object.entries(data.entries)) {
+      entries[hash] = hydrate(data, entry);
+    }
 
-    if (options.olderThan) {
-      const days = parseInt(options.olderThan);
-      const cutoff = new Date();
-      cutoff.setDate(cutoff.getDate() - days);
+    return JSON.parse(JSON.stringify({ entries, stats: data.stats, meta: data.meta }));
+  }
 
-      for (const [hash, entry] of Object.entries(data.entries)) {
-        if (new Date(entry.created) < cutoff) {
-          delete data.entries[hash];
-          removed++;
+  importData(importedData, strategy = 'merge') {
+    const result = this.commit((data) => {
+      const ops = [];
+
+      for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+        if (strategy === 'skip-existing' && data.entries[hash]) continue;
+        if (strategy === 'replace' || !data.entries[hash]) {
+          ops.push({ op: 'set', hash, entry });
         }
       }
-      data.stats.totalEntries -= removed;
-    } else {
-      removed = Object.keys(data.entries).length;
-      data.entries = {};
-      data.stats = { totalEntries: 0, totalHits: 0, totalSaved: 0, costSaved: {} };
-    }
 
-    this.save(data);
-    return { success: true, removed };
+      return { ops, result: { success: true, imported: ops.length } };
+    });
+
+    return result || { success: false, imported: 0 };
   }
+}
 
-  exportData() {
-    return this.load();
+/**
+ * Fresh JSON cache data
+ * @returns {Object}
+ */
+function emptyIndex() {
+  return {
+    entries: {},
+    responses: {},
+    stats: emptyStats(),
+    meta: {
+      backend: BACKENDS.JSON,
+      created: new Date().toISOString(),
+    },
+  };
+}
+
+/**
+ * Fresh global stats
+ * @returns {Object}
+ */
+function emptyStats() {
+  return { totalEntries: 0, totalHits: 0, totalSaved: 0, costSaved: {} };
+}
+
+/**
+ * Filter, sort and limit entries the way SQLite's list() query does
+ * @param {Array} entries - Entries with `hash`
+ * @param {Object} options - { model, sort: 'hits' | newest first, limit }
+ * @returns {Array}
+ */
+function applyListOptions(entries, options = {}) {
+  let result = entries;
+
+  if (options.model) {
+    result = result.filter(e => e.model === options.model);
   }
 
-  importData(importedData, strategy = 'merge') {
-    const data = this.load();
-    if (!data) return { success: false, imported: 0 };
+  if (options.sort === 'hits') {
+    result.sort((a, b) => (b.hits || 0) - (a.hits || 0));
+  } else {
+    result.sort((a, b) => new Date(b.created) - new Date(a.created));
+  }
 
-    let imported = 0;
+  if (options.limit) {
+    result = result.slice(0, options.limit);
+  }
 
-    for (const [hash, entry] of Object.entries(importedData.entries || {})) {
-      if (strategy === 'skip-existing' && data.entries[hash]) continue;
-      if (strategy === 'replace' || !data.entries[hash]) {
-        data.entries[hash] = entry;
-        imported++;
-      } else if (strategy === 'merge' && !data.entries[hash]) {
-        data.entries[hash] = entry;
-        imported++;
+  return result;
+}
+
+/**
+ * Apply one log operation to JSON cache data
+ * @param {Object} data - { entries, responses, stats, meta }
+ * @param {Object} op - { op: 'set'|'del'|'stats'|'incr'|'clear', ... }
+ */
+function applyOp(data, op) {
+  switch (op.op) {
+    case 'set': {
+      if (!data.entries[op.hash]) {
+        data.stats.totalEntries++;
       }
+      // Retain first, so rewriting an entry never drops its own response
+      const entry = retainResponse(data, op.entry);
+      releaseResponse(data, data.entries[op.hash]);
+      data.entries[op.hash] = entry;
+      break;
     }
+    case 'del':
+      for (const hash of op.hashes) {
+        if (data.entries[hash]) {
+          releaseResponse(data, data.entries[hash]);
+          delete data.entries[hash];
+          data.stats.totalEntries--;
+        }
+      }
+      break;
+    case 'stats':
+      Object.assign(data.stats, op.updates);
+      break;
+    case 'incr':
+      for (const [key, delta] of Object.entries(op.deltas)) {
+        data.stats[key] = (data.stats[key] || 0) + delta;
+      }
+      break;
+    case 'hits':
+      for (const [hash, hit] of Object.entries(op.hits)) {
+        if (data.entries[hash]) addHits(data.entries[hash], hit);
+        data.stats.totalHits = (data.stats.totalHits || 0) + hit.hits;
+        data.stats.totalSaved = (data.stats.totalSaved || 0) + (hit.saved || 0);
+      }
+      break;
+    case 'clear':
+      data.entries = {};
+      data.responses = {};
+      data.stats = emptyStats();
+      break;
+  }
+}
 
-    data.stats.totalEntries = Object.keys(data.entries).length;
-    this.save(data);
+/**
+ * Add buffered hits to an entry in place
+ * @param {Object} entry
+ * @param {Object} hit - { hits, lastAccessed }
+ */
+function addHits(entry, hit) {
+  entry.hits = (entry.hits || 0) + hit.hits;
+  if (!entry.lastAccessed || hit.lastAccessed > entry.lastAccessed) {
+    entry.lastAccessed = hit.lastAccessed;
+  }
+}
 
-    return { success: true, imported };
+/**
+ * Sum of buffered hits, as stats deltas
+ * @param {Object} hits - { hash: { hits, saved } }
+ * @returns {Object} { totalHits, totalSaved }
+ */
+function hitTotals(hits) {
+  const totals = { totalHits: 0, totalSaved: 0 };
+  for (const hit of Object.values(hits)) {
+    totals.totalHits += hit.hits;
+    totals.totalSaved += hit.saved || 0;
+  }
+  return totals;
+}
+
+/**
+ * Which entries a partial clear() removes
+ * @param {Object} options - { olderThan: days, expired: past their TTL }
+ * @returns {Function|null} entry => boolean, or null when clearing everything
+ */
+function clearFilter(options = {}) {
+  if (options.olderThan) {
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - parseInt(options.olderThan));
+    return entry => new Date(entry.created) < cutoff;
+  }
+
+  if (options.expired) {
+    const now = new Date();
+    return entry => isExpired(entry, now);
+  }
+
+  return null;
+}
+
+/**
+ * Move an entry's response into the shared table, if worth sharing
+ * @param {Object} data - JSON cache data
+ * @param {Object} entry - Entry with its response inline
+ * @returns {Object} Entry as kept in data.entries
+ */
+function retainResponse(data, entry) {
+  const { responseRef, ...inline } = entry;
+  if (!shouldDedup(inline.response)) return inline;
+
+  const ref = contentHash(inline.response);
+  const shared = data.responses[ref];
+  if (shared) {
+    shared.refs++;
+  } else {
+    data.responses[ref] = { text: inline.response, bytes: Buffer.byteLength(inline.response, 'utf8'), refs: 1 };
+  }
+
+  const { response, ...rest } = inline;
+  return { ...rest, responseRef: ref };
+}
+
+/**
+ * Drop an entry's reference to a shared response
+ * @param {Object} data - JSON cache data
+ * @param {Object} entry - Entry as kept in data.entries, or undefined
+ */
+function releaseResponse(data, entry) {
+  if (!entry || !entry.responseRef) return;
+
+  const shared = data.responses[entry.responseRef];
+  if (shared && --shared.refs <= 0) {
+    delete data.responses[entry.responseRef];
+  }
+}
+
+/**
+ * Copy of a stored entry with its response inline
+ * @param {Object} data - JSON cache data
+ * @param {Object} entry - Entry as kept in data.entries
+ * @returns {Object}
+ */
+function hydrate(data, entry) {
+  if (!entry.responseRef) return { ...entry };
+
+  const { responseRef, ...rest } = entry;
+  return { ...rest, response: data.responses[responseRef].text };
+}
+
+/**
+ * Bring a snapshot written before deduplication into the shared layout
+ * @param {Object} data - JSON cache data, modified in place
+ */
+function normalizeIndex(data) {
+  if (data.responses) return;
+
+  data.responses = {};
+  for (const [hash, entry] of Object.entries(data.entries || {})) {
+    data.entries[hash] = retainResponse(data, entry);
+  }
+}
+
+/**
+ * fs.statSync that returns null for missing files
+ * @param {string} file
+ * @returns {fs.Stats|null}
+ */
+function statOrNull(file) {
+  try {
+    return fs.statSync(file);
+  } catch (e) {
+    return null;
+  }
+}
+
+// Entry rows with their shared response body, for rowToEntry
+const ENTRY_SELECT = `
+  SELECT entries.*, responses.body AS body
+  FROM entries LEFT JOIN responses ON responses.hash = entries.responseRef
+`;
+
+/**
+ * Convert a SQLite row to the entry shape the other backends return
+ * @param {Object} row - From ENTRY_SELECT
+ * @returns {Object}
+ */
+function rowToEntry(row) {
+  const entry = {
+    ...(row.extra ? JSON.parse(row.extra) : {}),
+    hash: row.hash,
+    prompt: row.prompt,
+    response: row.responseRef ? row.body : row.response,
+    model: row.model,
+    created: row.created,
+    hits: row.hits,
+    tokens: row.tokens,
+  };
+
+  if (row.lastAccessed) entry.lastAccessed = row.lastAccessed;
+  if (row.expires) entry.expires = row.expires;
+  if (row.compressed) entry.compressed = true;
+  if (row.tags) entry.tags = JSON.parse(row.tags);
+  if (row.algorithm) entry.algorithm = row.algorithm;
+
+  return entry;
+}
+
+// Match markers around search hits in snippets
+const SNIPPET_OPEN = '<mark>';
+const SNIPPET_CLOSE = '</mark>';
+
+/**
+ * Turn a user query into an FTS5 expression
+ *
+ * Bare words must all match, "quoted text" matches as a phrase and a
+ * trailing * matches by prefix. Everything is quoted, so FTS5 operators
+ * and punctuation in the input are taken literally.
+ *
+ * @param {string} query
+ * @param {string} columns - FTS5 column filter, e.g. "prompt"
+ * @returns {string|null} Expression, or null if nothing is searchable
+ */
+function toFtsQuery(query, columns) {
+  const terms = [];
+  const pattern = /"([^"]*)"|(\S+)/g;
+  let m;
+
+  while ((m = pattern.exec(query)) !== null) {
+    const phrase = m[1] !== undefined;
+    let text = phrase ? m[1] : m[2];
+    const prefix = !phrase && text.length > 1 && text.endsWith('*');
+    if (prefix) text = text.slice(0, -1);
+
+    if (!/[\p{L}\p{N}]/u.test(text)) continue;
+    terms.push(`"${text.replace(/"/g, '""')}"${prefix ? '*' : ''}`);
+  }
+
+  return terms.length > 0 ? `${columns} : (${terms.join(' ')})` : null;
+}
+
+// Entry fields with their own SQLite column; anything else goes in `extra`
+const SQLITE_COLUMNS = ['hash', 'prompt', 'response', 'model', 'created', 'lastAccessed',
+  'expires', 'hits', 'tokens', 'compressed', 'tags', 'algorithm', 'responseRef'];
+
+/**
+ * Convert an entry to the parameter list of SQLiteStorage.writeEntry
+ * @param {string} hash
+ * @param {Object} entry
+ * @param {string|null} responseRef - Shared response holding the text, if any
+ * @returns {Array}
+ */
+function entryToRow(hash, entry, responseRef) {
+  const extra = {};
+  for (const [field, value] of Object.entries(entry)) {
+    if (!SQLITE_COLUMNS.includes(field) && value !== undefined) {
+      extra[field] = value;
+    }
   }
+
+  return [
+    hash,
+    entry.prompt,
+    responseRef ? '' : entry.response,
+    entry.model || 'default',
+    entry.created || new Date().toISOString(),
+    entry.lastAccessed || null,
+    entry.expires || null,
+    entry.hits || 0,
+    entry.tokens || 0,
+    entry.compressed ? 1 : 0,
+    entry.tags ? JSON.stringify(entry.tags) : null,
+    entry.algorithm || null,
+    responseRef,
+    Object.keys(extra).length > 0 ? JSON.stringify(extra) : null,
+    entrySize(entry),
+  ];
 }
 
 /**
  * SQLite Storage (PRO)
+ *
+ * The schema is versioned (see core/schema); opening the database applies
+ * any pending migrations first.
  */
 class SQLiteStorage {
   constructor(cachePath) {
     this.cachePath = cachePath;
     this.dbPath = path.join(cachePath, 'cache.db');
     this.db = null;
+    this.migration = null;
   }
 
   init() {
@@ -202,35 +784,23 @@ class SQLiteStorage {
       return { success: false, error: 'SQLite backend is a PRO feature' };
     }
 
+    // Load the optional driver first: without it, leave no directory behind
+    // that would later pass for an empty JSON cache
+    try {
+      require('better-sqlite3');
+    } catch (e) {
+      return { success: false, error: `SQLite driver unavailable: ${e.message}` };
+    }
+
+    const created = !fs.existsSync(this.cachePath);
     try {
-      const Database = require('better-sqlite3');
-      this.db = new Database(this.dbPath);
-
-      // Create tables
-      this.db.exec(`
-        CREATE TABLE IF NOT EXISTS entries (
-          hash TEXT PRIMARY KEY,
-          prompt TEXT NOT NULL,
-          response TEXT NOT NULL,
-          model TEXT DEFAULT 'default',
-          created TEXT NOT NULL,
-          expires TEXT,
-          hits INTEGER DEFAULT 0,
-          tokens INTEGER DEFAULT 0,
-          compressed INTEGER DEFAULT 0,
-          tags TEXT
-        );
-
-        CREATE TABLE IF NOT EXISTS stats (
-          key TEXT PRIMARY KEY,
-          value TEXT
-        );
-
-        CREATE INDEX IF NOT EXISTS idx_model ON entries(model);
-        CREATE INDEX IF NOT EXISTS idx_created ON entries(created);
-      `);
-
-      // Initialize stats
+      if (created) {
+        fs.mkdirSync(this.cachePath, { recursive: true });
+      }
+
+      this.connect();
+
+      // Initialize stats (values are JSON-encoded)
       const initStats = this.db.prepare('INSERT OR IGNORE INTO stats (key, value) VALUES (?, ?)');
       initStats.run('totalHits', '0');
       initStats.run('totalSaved', '0');
@@ -238,66 +808,179 @@ class SQLiteStorage {
 
       return { success: true };
     } catch (e) {
+      this.close();
+      if (created) fs.rmSync(this.cachePath, { recursive: true, force: true });
       return { success: false, error: e.message };
     }
   }
 
+  /**
+   * Open an existing database on first use
+   * @returns {Object|null} Database handle, or null if there is none
+   */
+  open() {
+    if (!this.db && fs.existsSync(this.dbPath)) {
+      this.connect();
+    }
+    return this.db;
+  }
+
+  /**
+   * Open the database file and apply pending schema migrations
+   */
+  connect() {
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.dbPath);
+
+    try {
+      this.migration = migrateSchema(this.db, this.dbPath);
+    } catch (e) {
+      this.close();
+      throw e;
+    }
+  }
+
+  /**
+   * Schema version and pending migrations, without applying them
+   * @returns {Object|null} See getSchemaStatus
+   */
+  schemaStatus() {
+    if (this.db) return getSchemaStatus(this.db);
+    if (!fs.existsSync(this.dbPath)) return null;
+
+    const Database = require('better-sqlite3');
+    const db = new Database(this.dbPath, { readonly: true });
+    try {
+      return getSchemaStatus(db);
+    } finally {
+      db.close();
+    }
+  }
+
   get(hash) {
-    if (!this.db) return null;
-    const stmt = this.db.prepare('SELECT * FROM entries WHERE hash = ?');
-    return stmt.get(hash);
+    if (!this.open()) return null;
+    const stmt = this.db.prepare(`${ENTRY_SELECT} WHERE entries.hash = ?`);
+    const row = stmt.get(hash);
+    if (!row) return null;
+
+    // Like every backend, get() returns the entry without its key
+    const { hash: key, ...entry } = rowToEntry(row);
+    return entry;
   }
 
   set(hash, entry) {
-    if (!this.db) return { success: false, error: 'Database not initialized' };
+    if (!this.open()) return { success: false, error: 'Database not initialized' };
 
-    const existing = this.get(hash);
-    const isNew = !existing;
+    const isNew = !this.has(hash);
+    this.db.transaction(() => this.writeEntry(hash, entry))();
 
-    const stmt = this.db.prepare(`
-      INSERT OR REPLACE INTO entries
-      (hash, prompt, response, model, created, expires, hits, tokens, compressed, tags)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    return { success: true, isNew };
+  }
 
-    stmt.run(
-      hash,
-      entry.prompt,
-      entry.response,
-      entry.model || 'default',
-      entry.created || new Date().toISOString(),
-      entry.expires || null,
-      entry.hits || 0,
-      entry.tokens || 0,
-      entry.compressed ? 1 : 0,
-      entry.tags ? JSON.stringify(entry.tags) : null
-    );
+  /**
+   * Check whether an entry exists
+   * @param {string} hash
+   * @returns {boolean}
+   */
+  has(hash) {
+    return Boolean(this.db.prepare('SELECT 1 FROM entries WHERE hash = ?').get(hash));
+  }
 
-    return { success: true, isNew };
+  /**
+   * Insert or overwrite an entry row; call inside a transaction
+   * @param {string} hash
+   * @param {Object} entry
+   */
+  writeEntry(hash, entry) {
+    const previous = this.db.prepare('SELECT responseRef FROM entries WHERE hash = ?').get(hash);
+
+    // Retain before writing and release after, so the full-text triggers
+    // can read both the old and the new response body
+    const responseRef = this.retainResponse(entry.response);
+
+    // Upsert rather than REPLACE so the row keeps its rowid and the
+    // full-text triggers see an UPDATE instead of a silent delete
+    this.db.prepare(`
+      INSERT INTO entries
+      (hash, prompt, response, model, created, lastAccessed, expires, hits, tokens, compressed, tags, algorithm,
+       responseRef, extra, size)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(hash) DO UPDATE SET
+        prompt = excluded.prompt, response = excluded.response, model = excluded.model,
+        created = excluded.created, lastAccessed = excluded.lastAccessed,
+        expires = excluded.expires, hits = excluded.hits,
+        tokens = excluded.tokens, compressed = excluded.compressed, tags = excluded.tags,
+        algorithm = excluded.algorithm, responseRef = excluded.responseRef, extra = excluded.extra,
+        size = excluded.size
+    `).run(...entryToRow(hash, entry, responseRef));
+
+    if (previous) this.releaseResponse(previous.responseRef);
+  }
+
+  /**
+   * Count a use of a response body, storing it if new
+   * @param {string} text
+   * @returns {string|null} ref, or null to keep the response inline
+   */
+  retainResponse(text) {
+    if (!shouldDedup(text)) return null;
+
+    const ref = contentHash(text);
+    this.db.prepare(`
+      INSERT INTO responses (hash, body, bytes, refs) VALUES (?, ?, ?, 1)
+      ON CONFLICT(hash) DO UPDATE SET refs = refs + 1
+    `).run(ref, text, Buffer.byteLength(text, 'utf8'));
+    return ref;
+  }
+
+  /**
+   * Drop a use of a response body, removing it once unused
+   * @param {string|null} ref
+   */
+  releaseResponse(ref) {
+    if (!ref) return;
+    this.db.prepare('UPDATE responses SET refs = refs - 1 WHERE hash = ?').run(ref);
+    this.db.prepare('DELETE FROM responses WHERE hash = ? AND refs <= 0').run(ref);
+  }
+
+  /**
+   * Recompute every reference count from the entries table
+   */
+  recountResponses() {
+    this.db.exec(`
+      UPDATE responses SET refs = (SELECT COUNT(*) FROM entries WHERE entries.responseRef = responses.hash);
+      DELETE FROM responses WHERE refs = 0;
+    `);
   }
 
   delete(hash) {
-    if (!this.db) return { success: false };
-    const stmt = this.db.prepare('DELETE FROM entries WHERE hash = ?');
-    const result = stmt.run(hash);
-    return { success: result.changes > 0 };
+    if (!this.open()) return { success: false };
+
+    return this.db.transaction(() => {
+      const row = this.db.prepare('SELECT responseRef FROM entries WHERE hash = ?').get(hash);
+      if (!row) return { success: false };
+
+      this.db.prepare('DELETE FROM entries WHERE hash = ?').run(hash);
+      this.releaseResponse(row.responseRef);
+      return { success: true };
+    })();
   }
 
   list(options = {}) {
-    if (!this.db) return [];
+    if (!this.open()) return [];
 
-    let sql = 'SELECT * FROM entries';
+    let sql = ENTRY_SELECT;
     const params = [];
 
     if (options.model) {
-      sql += ' WHERE model = ?';
+      sql += ' WHERE entries.model = ?';
       params.push(options.model);
     }
 
     if (options.sort === 'hits') {
-      sql += ' ORDER BY hits DESC';
+      sql += ' ORDER BY entries.hits DESC';
     } else {
-      sql += ' ORDER BY created DESC';
+      sql += ' ORDER BY entries.created DESC';
     }
 
     if (options.limit) {
@@ -306,66 +989,175 @@ class SQLiteStorage {
     }
 
     const stmt = this.db.prepare(sql);
-    return stmt.all(...params);
+    return stmt.all(...params).map(rowToEntry);
+  }
+
+  /**
+   * Full-text search, best matches first
+   * @param {string} query - Words, "quoted phrases" and prefix* terms
+   * @param {Object} options - { responses: also match response text }
+   * @returns {Array} Entries with `hash`, `snippet` and `score`
+   */
+  search(query, options = {}) {
+    if (!this.open()) return [];
+
+    const match = toFtsQuery(query, options.responses ? '{prompt response}' : 'prompt');
+    if (!match) return [];
+
+    const stmt = this.db.prepare(`
+      SELECT entries.*, responses.body AS body,
+        snippet(entries_fts, -1, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', 12) AS snippet,
+        bm25(entries_fts) AS rank
+      FROM entries_fts
+      JOIN entries ON entries.rowid = entries_fts.rowid
+      LEFT JOIN responses ON responses.hash = entries.responseRef
+      WHERE entries_fts MATCH ?
+      ORDER BY rank
+    `);
+
+    return stmt.all(match).map(row => ({
+      ...rowToEntry(row),
+      snippet: row.snippet,
+      score: -row.rank,
+    }));
+  }
+
+  /**
+   * Yield every entry without loading the whole table
+   * @yields {Object} Entry with `hash`
+   */
+  *iterate() {
+    if (!this.open()) return;
+    for (const row of this.db.prepare(ENTRY_SELECT).iterate()) {
+      yield rowToEntry(row);
+    }
   }
 
   getStats() {
-    if (!this.db) return null;
+    if (!this.open()) return null;
 
     const countStmt = this.db.prepare('SELECT COUNT(*) as count FROM entries');
-    const hitsStmt = this.db.prepare('SELECT SUM(hits) as total FROM entries');
-    const sizeStmt = this.db.prepare('SELECT SUM(LENGTH(response)) as total FROM entries');
 
     let fileSize = 0;
     try {
       fileSize = fs.statSync(this.dbPath).size;
     } catch (e) {}
 
+    const shared = this.db.prepare('SELECT COALESCE(SUM((refs - 1) * bytes), 0) AS saved FROM responses').get();
+
+    const stats = this.readStats();
+
     return {
+      ...stats,
       totalEntries: countStmt.get().count,
-      totalHits: hitsStmt.get().total || 0,
-      totalSaved: sizeStmt.get().total || 0,
       cacheSize: fileSize,
+      entryBytes: stats.entryBytes || 0,
+      dedupSaved: shared.saved,
     };
   }
 
+  /**
+   * Read the persisted global stats
+   * @returns {Object} { totalHits, totalSaved, costSaved, ... }
+   */
+  readStats() {
+    const stats = {};
+    for (const row of this.db.prepare('SELECT key, value FROM stats').all()) {
+      try {
+        stats[row.key] = JSON.parse(row.value);
+      } catch (e) {
+        stats[row.key] = row.value;
+      }
+    }
+    return stats;
+  }
+
+  updateStats(updates) {
+    if (!this.open()) return;
+
+    const stmt = this.db.prepare('INSERT OR REPLACE INTO stats (key, value) VALUES (?, ?)');
+    this.db.transaction(() => {
+      for (const [key, value] of Object.entries(updates)) {
+        stmt.run(key, JSON.stringify(value));
+      }
+    })();
+  }
+
+  incrementStats(deltas) {
+    if (!this.open()) return;
+
+    const stmt = this.db.prepare(`
+      INSERT INTO stats (key, value) VALUES (?, ?)
+      ON CONFLICT(key) DO UPDATE SET value = CAST(value AS INTEGER) + excluded.value
+    `);
+    this.db.transaction(() => {
+      for (const [key, delta] of Object.entries(deltas)) {
+        stmt.run(key, Math.round(delta));
+      }
+    })();
+  }
+
+  recordHits(hits) {
+    if (!this.open()) return { success: false, updated: 0 };
+
+    const stmt = this.db.prepare(`
+      UPDATE entries SET hits = hits + ?,
+        lastAccessed = CASE WHEN lastAccessed IS NULL OR lastAccessed < ? THEN ? ELSE lastAccessed END
+      WHERE hash = ?
+    `);
+
+    let updated = 0;
+    this.db.transaction(() => {
+      for (const [hash, hit] of Object.entries(hits)) {
+        updated += stmt.run(hit.hits, hit.lastAccessed, hit.lastAccessed, hash).changes;
+      }
+      this.incrementStats(hitTotals(hits));
+    })();
+
+    return { success: true, updated };
+  }
+
+  resetStats() {
+    this.db.exec('DELETE FROM stats');
+    this.updateStats({ totalHits: 0, totalSaved: 0, costSaved: {} });
+  }
+
   clear(options = {}) {
-    if (!this.db) return { success: false, removed: 0 };
+    if (!this.open()) return { success: false, removed: 0 };
 
     let removed = 0;
 
-    if (options.olderThan) {
-      const days = parseInt(options.olderThan);
+    if (options.olderThan || options.expired) {
+      let sql = 'DELETE FROM entries WHERE expires IS NOT NULL AND expires < ?';
       const cutoff = new Date();
-      cutoff.setDate(cutoff.getDate() - days);
+      if (options.olderThan) {
+        sql = 'DELETE FROM entries WHERE created < ?';
+        cutoff.setDate(cutoff.getDate() - parseInt(options.olderThan));
+      }
 
-      const stmt = this.db.prepare('DELETE FROM entries WHERE created < ?');
-      const result = stmt.run(cutoff.toISOString());
-      removed = result.changes;
+      this.db.transaction(() => {
+        removed = this.db.prepare(sql).run(cutoff.toISOString()).changes;
+        if (removed > 0) this.recountResponses();
+      })();
     } else {
       const countStmt = this.db.prepare('SELECT COUNT(*) as count FROM entries');
       removed = countStmt.get().count;
-      this.db.exec('DELETE FROM entries');
+      this.db.transaction(() => {
+        this.db.exec('DELETE FROM entries');
+        this.db.exec('DELETE FROM responses');
+        this.resetStats();
+      })();
     }
 
     return { success: true, removed };
   }
 
   exportData() {
-    if (!this.db) return null;
+    if (!this.open()) return null;
 
     const entries = {};
-    const rows = this.db.prepare('SELECT * FROM entries').all();
-
-    for (const row of rows) {
-      entries[row.hash] = {
-        prompt: row.prompt,
-        response: row.response,
-        model: row.model,
-        created: row.created,
-        hits: row.hits,
-        tokens: row.tokens,
-      };
+    for (const { hash, ...entry } of this.iterate()) {
+      entries[hash] = entry;
     }
 
     return {
@@ -375,6 +1167,36 @@ class SQLiteStorage {
     };
   }
 
+  importData(importedData, strategy = 'merge') {
+    if (!this.open()) return { success: false, imported: 0 };
+
+    let imported = 0;
+
+    this.db.transaction(() => {
+      for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+        const exists = this.has(hash);
+
+        if (strategy === 'skip-existing' && exists) continue;
+        if (strategy === 'replace' || !exists) {
+          this.writeEntry(hash, entry);
+          imported++;
+        }
+      }
+    })();
+
+    return { success: true, imported };
+  }
+
+  /**
+   * Rebuild the search index and the database file, dropping deleted
+   * index terms and freed pages
+   */
+  compact() {
+    if (!this.open()) return;
+    this.db.exec("INSERT INTO entries_fts (entries_fts) VALUES ('rebuild')");
+    this.db.exec('VACUUM');
+  }
+
   close() {
     if (this.db) {
       this.db.close();
@@ -383,41 +1205,1026 @@ class SQLiteStorage {
   }
 }
 
+/**
+ * In-memory Storage (FREE)
+ *
+ * Entries live in a Map kept in least- to most-recently-used order, so
+ * nothing touches the filesystem. With `maxEntries`/`maxBytes` set, the
+ * least recently used entries are dropped as soon as a write goes over
+ * budget. Pass an exportCache() payload as `data` to start pre-filled.
+ */
+class MemoryStorage {
+  constructor(cachePath = null, options = {}) {
+    this.cachePath = cachePath;
+    this.maxEntries = options.maxEntries || null;
+    this.maxBytes = options.maxBytes || null;
+    this.entries = new Map();
+    this.bytes = 0;
+    this.stats = emptyStats();
+
+    if (options.data) {
+      this.importData(options.data, 'replace');
+
+      // Entry count and size are derived, not carried over
+      const { totalEntries, cacheSize, entryBytes, ...stats } = options.data.stats || {};
+      Object.assign(this.stats, stats);
+    }
+  }
+
+  init() {
+    return { success: true };
+  }
+
+  get(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) return null;
+
+    // Move to the most recently used end
+    this.entries.delete(hash);
+    this.entries.set(hash, entry);
+
+    return { ...entry };
+  }
+
+  set(hash, entry) {
+    const isNew = !this.entries.has(hash);
+    this.remove(hash);
+
+    this.entries.set(hash, { ...entry });
+    this.bytes += entrySize(entry);
+    this.enforceBudget(hash);
+
+    return { success: true, isNew };
+  }
+
+  /**
+   * Drop an entry, keeping the byte count in step
+   * @param {string} hash
+   * @returns {boolean} Whether it existed
+   */
+  remove(hash) {
+    const entry = this.entries.get(hash);
+    if (!entry) return false;
+
+    this.entries.delete(hash);
+    this.bytes -= entrySize(entry);
+    return true;
+  }
+
+  /**
+   * Evict least recently used entries until within budget
+   * @param {string} keep - Hash just written, never evicted
+   */
+  enforceBudget(keep) {
+    const over = () => (this.maxEntries && this.entries.size > this.maxEntries) ||
+      (this.maxBytes && this.bytes > this.maxBytes);
+
+    let evicted = 0;
+    for (const hash of this.entries.keys()) {
+      if (!over()) break;
+      if (hash === keep) continue;
+      this.remove(hash);
+      evicted++;
+    }
+
+    if (evicted > 0) {
+      this.stats.evictions = (this.stats.evictions || 0) + evicted;
+    }
+  }
+
+  delete(hash) {
+    return { success: this.remove(hash) };
+  }
+
+  list(options = {}) {
+    return applyListOptions([...this.iterate()], options);
+  }
+
+  *iterate() {
+    for (const [hash, entry] of this.entries) {
+      yield { hash, ...entry };
+    }
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      totalEntries: this.entries.size,
+      cacheSize: this.bytes,
+      entryBytes: this.bytes,
+    };
+  }
+
+  updateStats(updates) {
+    Object.assign(this.stats, updates);
+  }
+
+  incrementStats(deltas) {
+    for (const [key, delta] of Object.entries(deltas)) {
+      this.stats[key] = (this.stats[key] || 0) + delta;
+    }
+  }
+
+  recordHits(hits) {
+    let updated = 0;
+    for (const [hash, hit] of Object.entries(hits)) {
+      const entry = this.entries.get(hash);
+      if (entry) {
+        addHits(entry, hit);
+        updated++;
+      }
+    }
+
+    this.incrementStats(hitTotals(hits));
+    return { success: true, updated };
+  }
+
+  clear(options = {}) {
+    const remove = clearFilter(options);
+    if (remove) {
+      let removed = 0;
+      for (const [hash, entry] of this.entries) {
+        if (remove(entry)) {
+          this.remove(hash);
+          removed++;
+        }
+      }
+      return { success: true, removed };
+    }
+
+    const removed = this.entries.size;
+    this.entries.clear();
+    this.bytes = 0;
+    this.stats = emptyStats();
+
+    return { success: true, removed };
+  }
+
+  exportData() {
+    const entries = {};
+    for (const [hash, entry] of this.entries) {
+      entries[hash] = { ...entry };
+    }
+
+    return JSON.parse(JSON.stringify({
+      entries,
+      stats: this.getStats(),
+      meta: { backend: BACKENDS.MEMORY },
+    }));
+  }
+
+  importData(importedData, strategy = 'merge') {
+    let imported = 0;
+
+    for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+      const exists = this.entries.has(hash);
+
+      if (strategy === 'skip-existing' && exists) continue;
+      if (strategy === 'replace' || !exists) {
+        this.set(hash, entry);
+        imported++;
+      }
+    }
+
+    return { success: true, imported };
+  }
+
+  close() {}
+}
+
+/**
+ * Two-tier Storage (FREE)
+ *
+ * A bounded MemoryStorage (L1) in front of any other backend (L2). Reads
+ * check L1 first and promote L2 hits into it; writes and deletes go
+ * through to L2, which stays the source of truth for listing, search,
+ * stats and export. Sync when L2 is sync, Promise-returning when it is
+ * async.
+ *
+ * L1 copies are trusted for `maxAge` ms (default: until evicted), which
+ * bounds how stale reads can get when other processes write the same cache.
+ * Per-tier hit counts are added to L2 stats as `l1Hits`/`l2Hits`, riding
+ * along with the next incrementStats() call or flushed on close().
+ */
+class TieredStorage {
+  constructor(l2, options = {}) {
+    this.l2 = l2;
+    this.l1 = new MemoryStorage(null, {
+      maxEntries: options.maxEntries === undefined ? TIERED_MAX_ENTRIES : options.maxEntries,
+      maxBytes: options.maxBytes,
+    });
+    this.maxAge = options.maxAge || null;
+    this.cachePath = l2.cachePath;
+    this.isAsync = Boolean(l2.isAsync);
+    this.pending = { l1Hits: 0, l2Hits: 0 };
+  }
+
+  init() {
+    return this.l2.init();
+  }
+
+  get(hash) {
+    const cached = this.l1.get(hash);
+    if (cached) {
+      const { l1Stored, ...entry } = cached;
+      if (!this.maxAge || Date.now() - l1Stored <= this.maxAge) {
+        this.pending.l1Hits++;
+        return this.isAsync ? Promise.resolve(entry) : entry;
+      }
+      this.l1.remove(hash);
+    }
+
+    return after(this.l2.get(hash), (entry) => {
+      if (entry) {
+        this.pending.l2Hits++;
+        this.promote(hash, entry);
+      }
+      return entry;
+    });
+  }
+
+  /**
+   * Keep a copy of an entry in L1
+   * @param {string} hash
+   * @param {Object} entry
+   */
+  promote(hash, entry) {
+    this.l1.set(hash, { ...entry, l1Stored: Date.now() });
+  }
+
+  set(hash, entry) {
+    return after(this.l2.set(hash, entry), (result) => {
+      if (result.success) {
+        this.promote(hash, entry);
+      } else {
+        this.l1.remove(hash);
+      }
+      return result;
+    });
+  }
+
+  delete(hash) {
+    this.l1.remove(hash);
+    return this.l2.delete(hash);
+  }
+
+  deleteMany(hashes) {
+    for (const hash of hashes) this.l1.remove(hash);
+    return deleteEntries(this.l2, hashes);
+  }
+
+  list(options) {
+    return this.l2.list(options);
+  }
+
+  iterate() {
+    return this.l2.iterate();
+  }
+
+  search(query, options) {
+    return this.l2.search ? this.l2.search(query, options) : null;
+  }
+
+  getStats() {
+    return after(this.l2.getStats(), (stats) => {
+      if (!stats) return stats;
+      return {
+        ...stats,
+        l1Hits: (stats.l1Hits || 0) + this.pending.l1Hits,
+        l2Hits: (stats.l2Hits || 0) + this.pending.l2Hits,
+      };
+    });
+  }
+
+  updateStats(updates) {
+    return this.l2.updateStats(updates);
+  }
+
+  incrementStats(deltas) {
+    return this.l2.incrementStats({ ...deltas, ...this.takePending() });
+  }
+
+  recordHits(hits) {
+    // Keep L1 copies in step; their own stats are not reported
+    for (const [hash, hit] of Object.entries(hits)) {
+      const cached = this.l1.entries.get(hash);
+      if (cached) addHits(cached, hit);
+    }
+    return applyHits(this.l2, hits);
+  }
+
+  /**
+   * Tier hit counts not yet written to L2, resetting them
+   * @returns {Object} Non-zero counters only
+   */
+  takePending() {
+    const counts = {};
+    for (const [key, value] of Object.entries(this.pending)) {
+      if (value > 0) counts[key] = value;
+      this.pending[key] = 0;
+    }
+    return counts;
+  }
+
+  clear(options = {}) {
+    this.l1.clear();
+    if (!clearFilter(options)) this.takePending();
+    return this.l2.clear(options);
+  }
+
+  exportData(options) {
+    return this.l2.exportData(options);
+  }
+
+  importData(importedData, strategy) {
+    this.l1.clear();
+    return this.l2.importData(importedData, strategy);
+  }
+
+  close() {
+    const counts = this.takePending();
+    const flushed = Object.keys(counts).length > 0 ? this.l2.incrementStats(counts) : null;
+    return after(flushed, () => (this.l2.close ? this.l2.close() : undefined));
+  }
+}
+
+/**
+ * Apply fn to a value that may or may not be a Promise
+ * @param {*} value
+ * @param {Function} fn
+ * @returns {*} fn's result, or a Promise of it
+ */
+function after(value, fn) {
+  return value && typeof value.then === 'function' ? value.then(fn) : fn(value);
+}
+
+/**
+ * Fold every entry of a storage into a value, one entry at a time, so the
+ * whole list is never held in memory
+ * @param {Object} storage - Sync or async
+ * @param {Function} fn - (acc, entry) => acc
+ * @param {*} initial
+ * @returns {*} The result, or a Promise of it on async storages
+ */
+function reduceEntries(storage, fn, initial) {
+  const entries = storage.iterate();
+  let acc = initial;
+
+  if (entries && entries[Symbol.asyncIterator]) {
+    return (async () => {
+      for await (const entry of entries) acc = fn(acc, entry);
+      return acc;
+    })();
+  }
+
+  for (const entry of entries) acc = fn(acc, entry);
+  return acc;
+}
+
+/**
+ * Apply buffered hits through storage.recordHits(), or entry by entry on
+ * backends that lack it
+ * @param {Object} storage - Sync or async
+ * @param {Object} hits - { hash: { hits, lastAccessed, saved } }
+ * @returns {Object|Promise<Object>} { success, updated }
+ */
+function applyHits(storage, hits) {
+  if (storage.recordHits) return storage.recordHits(hits);
+
+  const hashes = Object.keys(hits);
+  const step = (i, updated) => {
+    if (i === hashes.length) {
+      return after(storage.incrementStats(hitTotals(hits)), () => ({ success: true, updated }));
+    }
+
+    const hash = hashes[i];
+    return after(storage.get(hash), (entry) => {
+      if (!entry) return step(i + 1, updated);
+      addHits(entry, hits[hash]);
+      return after(storage.set(hash, entry), () => step(i + 1, updated + 1));
+    });
+  };
+  return step(0, 0);
+}
+
+/**
+ * Delete a batch of entries through storage.deleteMany(), or one by one on
+ * backends that lack it
+ * @param {Object} storage - Sync or async
+ * @param {Array<string>} hashes
+ * @returns {Object|Promise<Object>} { success, removed }
+ */
+function deleteEntries(storage, hashes) {
+  if (storage.deleteMany) return storage.deleteMany(hashes);
+
+  const step = (i, removed) => {
+    if (i === hashes.length) return { success: true, removed };
+    return after(storage.delete(hashes[i]), result => step(i + 1, removed + (result.success ? 1 : 0)));
+  };
+  return step(0, 0);
+}
+
+/**
+ * Redis Storage (PRO)
+ *
+ * Network-backed, so every method except init() returns a Promise.
+ * Entries are hashes under `<prefix>entry:<hash>`, indexed by the
+ * `<prefix>entries` set. Stats are counters in the `<prefix>stats` hash.
+ * Connection settings live in redis.json inside the cache directory.
+ */
+class RedisStorage {
+  constructor(cachePath, options = {}) {
+    this.isAsync = true;
+    this.cachePath = cachePath;
+    this.configFile = path.join(cachePath, 'redis.json');
+    this.options = options;
+    this.client = null;
+    this.hitsClient = null;
+    this.prefix = null;
+  }
+
+  init() {
+    if (!isPro()) {
+      return { success: false, error: 'Redis backend is a PRO feature' };
+    }
+
+    try {
+      if (!fs.existsSync(this.cachePath)) {
+        fs.mkdirSync(this.cachePath, { recursive: true });
+      }
+
+      if (!fs.existsSync(this.configFile)) {
+        fs.writeFileSync(this.configFile, JSON.stringify({
+          url: this.options.url || process.env.LLMCACHE_REDIS_URL || DEFAULT_URL,
+          prefix: this.options.prefix || REDIS_PREFIX,
+          created: new Date().toISOString(),
+        }, null, 2));
+      }
+
+      return { success: true };
+    } catch (e) {
+      return { success: false, error: e.message };
+    }
+  }
+
+  loadConfig() {
+    try {
+      return JSON.parse(fs.readFileSync(this.configFile, 'utf-8'));
+    } catch (e) {
+      return {};
+    }
+  }
+
+  /**
+   * Lazily create the client; the connection opens on the first command
+   * @returns {RedisClient}
+   */
+  connection() {
+    if (!this.client) {
+      const config = this.loadConfig();
+      const url = this.options.url || process.env.LLMCACHE_REDIS_URL || config.url || DEFAULT_URL;
+      this.prefix = this.options.prefix || config.prefix || REDIS_PREFIX;
+      this.created = config.created;
+      this.client = new RedisClient(url);
+    }
+    return this.client;
+  }
+
+  /**
+   * Second connection for hit transactions, whose WATCH another EXEC on
+   * the shared connection would drop
+   * @returns {RedisClient}
+   */
+  hitsConnection() {
+    if (!this.hitsClient) this.hitsClient = new RedisClient(this.connection().url);
+    return this.hitsClient;
+  }
+
+  key(name) {
+    this.connection();
+    return this.prefix + name;
+  }
+
+  entryKey(hash) {
+    return this.key('entry:' + hash);
+  }
+
+  async get(hash) {
+    const reply = await this.connection().command('HGETALL', this.entryKey(hash));
+    if (!reply || reply.length === 0) return null;
+    return decodeFields(pairsToObject(reply));
+  }
+
+  async set(hash, entry) {
+    const key = this.entryKey(hash);
+    const commands = [
+      ['HGETALL', key],
+      ['DEL', key],
+      ['HSET', key, ...encodeFields(entry)],
+      ['SADD', this.key('entries'), hash],
+    ];
+
+    // TTL maps onto native key expiry
+    if (entry.expires) {
+      commands.push(['PEXPIREAT', key, new Date(entry.expires).getTime()]);
+    }
+
+    const replies = await this.connection().multi(commands);
+    const old = replies[0] && replies[0].length > 0 ? decodeFields(pairsToObject(replies[0])) : null;
+    await this.addSize(entrySize(entry) - (old ? entrySize(old) : 0));
+    return { success: true, isNew: !old };
+  }
+
+  async delete(hash) {
+    const replies = await this.connection().multi([
+      ['HGETALL', this.entryKey(hash)],
+      ['DEL', this.entryKey(hash)],
+      ['SREM', this.key('entries'), hash],
+    ]);
+    if (replies[1] > 0) {
+      await this.addSize(-entrySize(decodeFields(pairsToObject(replies[0]))));
+    }
+    return { success: replies[1] > 0 };
+  }
+
+  /**
+   * Move the running cacheSize total. The entry replaced or removed is read
+   * in the same transaction as the write, so concurrent writers' changes
+   * add up; keys Redis expires itself are settled by the next loadEntries()
+   * @param {number} delta - Bytes, as counted by entrySize
+   * @returns {Promise}
+   */
+  async addSize(delta) {
+    if (delta === 0) return;
+    await this.connection().command('HINCRBY', this.key('stats'), 'cacheSize', delta);
+  }
+
+  /**
+   * Load all live entries, dropping index members whose key has expired
+   * @returns {Promise<Array>}
+   */
+  async loadEntries() {
+    const client = this.connection();
+    const hashes = await client.command('SMEMBERS', this.key('entries'));
+    const replies = await Promise.all(hashes.map(h => client.command('HGETALL', this.entryKey(h))));
+
+    const entries = [];
+    const expired = [];
+
+    hashes.forEach((hash, i) => {
+      if (replies[i] && replies[i].length > 0) {
+        entries.push({ hash, ...decodeFields(pairsToObject(replies[i])) });
+      } else {
+        expired.push(hash);
+      }
+    });
+
+    if (expired.length > 0) {
+      await client.command('SREM', this.key('entries'), ...expired);
+    }
+
+    // Having every entry at hand, settle the running total
+    const size = entries.reduce((sum, e) => sum + entrySize(e), 0);
+    await client.command('HSET', this.key('stats'), 'cacheSize', size);
+
+    return entries;
+  }
+
+  async list(options = {}) {
+    return applyListOptions(await this.loadEntries(), options);
+  }
+
+  /**
+   * Yield live entries, fetching them in batches
+   * @yields {Object} Entry with `hash`
+   */
+  async *iterate() {
+    const client = this.connection();
+    const hashes = await client.command('SMEMBERS', this.key('entries'));
+
+    for (let i = 0; i < hashes.length; i += REDIS_BATCH) {
+      const batch = hashes.slice(i, i + REDIS_BATCH);
+      const replies = await Promise.all(batch.map(h => client.command('HGETALL', this.entryKey(h))));
+
+      for (let j = 0; j < batch.length; j++) {
+        if (replies[j] && replies[j].length > 0) {
+          yield { hash: batch[j], ...decodeFields(pairsToObject(replies[j])) };
+        }
+      }
+    }
+  }
+
+  /**
+   * Stats without loading entries. totalEntries counts the index, which
+   * may still hold a few keys Redis has expired since the last listing.
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const client = this.connection();
+    const [count, reply] = await Promise.all([
+      client.command('SCARD', this.key('entries')),
+      client.command('HGETALL', this.key('stats')),
+    ]);
+    const stats = decodeFields(pairsToObject(reply));
+
+    return {
+      totalHits: 0,
+      totalSaved: 0,
+      costSaved: {},
+      ...stats,
+      totalEntries: count,
+      cacheSize: Math.max(0, stats.cacheSize || 0),
+      entryBytes: Math.max(0, stats.cacheSize || 0),
+    };
+  }
+
+  async updateStats(updates) {
+    const fields = encodeFields(updates);
+    if (fields.length === 0) return;
+    await this.connection().command('HSET', this.key('stats'), ...fields);
+  }
+
+  /**
+   * Atomically add to numeric stats counters
+   * @param {Object} deltas - e.g. { totalHits: 1, totalSaved: 512 }
+   * @returns {Promise}
+   */
+  async incrementStats(deltas) {
+    const commands = Object.entries(deltas)
+      .map(([field, delta]) => ['HINCRBY', this.key('stats'), field, Math.round(delta)]);
+    if (commands.length === 0) return;
+    await this.connection().multi(commands);
+  }
+
+  async recordHits(hits) {
+    const client = this.hitsConnection();
+    const hashes = Object.keys(hits);
+    const keys = hashes.map(hash => this.entryKey(hash));
+    const totals = hitTotals(hits);
+    let present = [];
+
+    // HINCRBY would create a deleted entry's key again, so skip missing
+    // ones. The entries are watched, so one deleted or rewritten after
+    // the check makes the transaction start over.
+    await client.watched(keys, async () => {
+      const [exists, stored] = await Promise.all([
+        Promise.all(keys.map(key => client.command('EXISTS', key))),
+        Promise.all(keys.map(key => client.command('HGET', key, 'lastAccessed'))),
+      ]);
+      present = hashes.filter((hash, i) => exists[i] > 0);
+
+      const commands = [];
+      hashes.forEach((hash, i) => {
+        if (!exists[i]) return;
+        commands.push(['HINCRBY', keys[i], 'hits', hits[hash].hits]);
+        const current = stored[i] && JSON.parse(stored[i]);
+        if (!current || hits[hash].lastAccessed > current) {
+          commands.push(['HSET', keys[i], ...encodeFields({ lastAccessed: hits[hash].lastAccessed })]);
+        }
+      });
+      commands.push(['HINCRBY', this.key('stats'), 'totalHits', totals.totalHits]);
+      commands.push(['HINCRBY', this.key('stats'), 'totalSaved', Math.round(totals.totalSaved)]);
+      return commands;
+    });
+
+    return { success: true, updated: present.length };
+  }
+
+  async clear(options = {}) {
+    const client = this.connection();
+    const entries = await this.loadEntries();
+    const remove = clearFilter(options);
+
+    if (remove) {
+      const removed = entries.filter(remove);
+      const old = removed.map(e => e.hash);
+      if (old.length > 0) {
+        await client.multi([
+          ['DEL', ...old.map(h => this.entryKey(h))],
+          ['SREM', this.key('entries'), ...old],
+        ]);
+        await this.addSize(-removed.reduce((sum, e) => sum + entrySize(e), 0));
+      }
+
+      return { success: true, removed: old.length };
+    }
+
+    await client.multi([
+      ['DEL', this.key('entries'), this.key('stats'), ...entries.map(e => this.entryKey(e.hash))],
+    ]);
+
+    return { success: true, removed: entries.length };
+  }
+
+  async exportData() {
+    const entries = {};
+    for (const { hash, ...entry } of await this.loadEntries()) {
+      entries[hash] = entry;
+    }
+
+    const { totalEntries, totalHits, totalSaved, costSaved } = await this.getStats();
+
+    return {
+      entries,
+      stats: { totalEntries, totalHits, totalSaved, costSaved },
+      meta: { backend: BACKENDS.REDIS, created: this.created },
+    };
+  }
+
+  async importData(importedData, strategy = 'merge') {
+    let imported = 0;
+
+    for (const [hash, entry] of Object.entries(importedData.entries || {})) {
+      const exists = (await this.connection().command('EXISTS', this.entryKey(hash))) > 0;
+
+      if (strategy === 'skip-existing' && exists) continue;
+      if (strategy === 'replace' || !exists) {
+        await this.set(hash, entry);
+        imported++;
+      }
+    }
+
+    return { success: true, imported };
+  }
+
+  async close() {
+    if (this.client) {
+      await this.client.quit();
+      this.client = null;
+    }
+    if (this.hitsClient) {
+      await this.hitsClient.quit();
+      this.hitsClient = null;
+    }
+  }
+}
+
+/**
+ * Promise-returning view of a sync storage backend
+ */
+class AsyncStorage {
+  constructor(storage) {
+    this.isAsync = true;
+    this.storage = storage;
+    this.cachePath = storage.cachePath;
+  }
+
+  async init() {
+    return this.storage.init();
+  }
+
+  async get(hash) {
+    return this.storage.get(hash);
+  }
+
+  async set(hash, entry) {
+    return this.storage.set(hash, entry);
+  }
+
+  async delete(hash) {
+    return this.storage.delete(hash);
+  }
+
+  async deleteMany(hashes) {
+    return deleteEntries(this.storage, hashes);
+  }
+
+  async list(options) {
+    return this.storage.list(options);
+  }
+
+  async *iterate() {
+    yield* this.storage.iterate();
+  }
+
+  /**
+   * Indexed search, if the wrapped backend has one
+   * @returns {Promise<Array|null>} null when there is no index
+   */
+  async search(query, options) {
+    return this.storage.search ? this.storage.search(query, options) : null;
+  }
+
+  async getStats() {
+    return this.storage.getStats();
+  }
+
+  async updateStats(updates) {
+    return this.storage.updateStats(updates);
+  }
+
+  async incrementStats(deltas) {
+    return this.storage.incrementStats(deltas);
+  }
+
+  async recordHits(hits) {
+    return applyHits(this.storage, hits);
+  }
+
+  async clear(options) {
+    return this.storage.clear(options);
+  }
+
+  async exportData(options) {
+    return this.storage.exportData(options);
+  }
+
+  async importData(data, strategy) {
+    return this.storage.importData(data, strategy);
+  }
+
+  async close() {
+    if (this.storage.close) {
+      return this.storage.close();
+    }
+  }
+}
+
+/**
+ * Get the async form of a storage backend
+ * @param {Object} storage - Any storage instance
+ * @returns {Object} Storage whose methods return Promises
+ */
+function toAsync(storage) {
+  if (!storage || storage.isAsync) return storage;
+  return new AsyncStorage(storage);
+}
+
+/**
+ * Flatten an object into [field, JSON value, ...] for HSET
+ * @param {Object} obj
+ * @returns {Array}
+ */
+function encodeFields(obj) {
+  const fields = [];
+  for (const [field, value] of Object.entries(obj)) {
+    if (value === undefined) continue;
+    fields.push(field, JSON.stringify(value));
+  }
+  return fields;
+}
+
+/**
+ * Decode a hash written by encodeFields
+ * @param {Object} obj
+ * @returns {Object}
+ */
+function decodeFields(obj) {
+  const decoded = {};
+  for (const [field, value] of Object.entries(obj)) {
+    try {
+      decoded[field] = JSON.parse(value);
+    } catch (e) {
+      decoded[field] = value;
+    }
+  }
+  return decoded;
+}
+
+/**
+ * Backend registry, in detection order: name -> { create, detect, persistent }
+ */
+const registry = new Map();
+
+/**
+ * Add a backend to the registry
+ * @param {string} name
+ * @param {Object} spec - { create(cachePath, options), detect(cachePath)?, persistent }
+ */
+function addBackend(name, spec) {
+  registry.set(name, spec);
+}
+
+addBackend(BACKENDS.SQLITE, {
+  create: cachePath => new SQLiteStorage(cachePath),
+  detect: cachePath => fs.existsSync(path.join(cachePath, 'cache.db')),
+  persistent: true,
+});
+
+addBackend(BACKENDS.REDIS, {
+  create: (cachePath, options) => new RedisStorage(cachePath, options),
+  detect: cachePath => fs.existsSync(path.join(cachePath, 'redis.json')),
+  persistent: true,
+});
+
+addBackend(BACKENDS.MEMORY, {
+  create: (cachePath, options) => new MemoryStorage(cachePath, options),
+  persistent: false,
+});
+
+// JSON: index.json snapshot and/or index.log operation log. Never
+// detected explicitly; a directory no other backend claims is JSON.
+addBackend(BACKENDS.JSON, {
+  create: cachePath => new JSONStorage(cachePath),
+  persistent: true,
+});
+
+/**
+ * Register a third-party storage backend
+ *
+ * The factory must return an object implementing the Storage contract.
+ * Its init() should leave a marker in the cache directory that the
+ * detector recognizes, so the cache is opened with the same backend later.
+ *
+ * @param {string} name - Lowercase name used with `init --backend`
+ * @param {function(string, Object): Object} factory - (cachePath, options) => storage
+ * @param {function(string): boolean} [detector] - Whether a cache directory uses this backend; required if persistent
+ * @param {Object} [options] - { persistent: false for backends without a cache directory, which init does not offer; default true }
+ * @throws {Error} On an invalid or already registered name
+ */
+function registerBackend(name, factory, detector, options = {}) {
+  const { persistent = true } = options;
+
+  if (typeof name !== 'string' || !/^[a-z0-9][a-z0-9_-]*$/.test(name)) {
+    throw new Error(`Invalid backend name: ${name} (use lowercase letters, digits, - and _)`);
+  }
+  if (registry.has(name)) {
+    throw new Error(`Backend already registered: ${name}`);
+  }
+  if (typeof factory !== 'function') {
+    throw new Error(`Backend ${name}: factory must be a function`);
+  }
+  if (typeof persistent !== 'boolean') {
+    throw new Error(`Backend ${name}: persistent must be true or false`);
+  }
+  if (persistent && typeof detector !== 'function') {
+    throw new Error(`Backend ${name}: detector must be a function`);
+  }
+
+  // Keep JSON, the fallback, last in detection order
+  const json = registry.get(BACKENDS.JSON);
+  registry.delete(BACKENDS.JSON);
+  addBackend(name, { create: factory, detect: persistent ? detector : undefined, persistent });
+  addBackend(BACKENDS.JSON, json);
+}
+
+/**
+ * Names of backends a cache directory can be initialized with, default first
+ * @returns {Array<string>}
+ */
+function persistentBackends() {
+  const names = [...registry].filter(([, spec]) => spec.persistent).map(([name]) => name);
+  return [BACKENDS.JSON, ...names.filter(name => name !== BACKENDS.JSON)];
+}
+
 /**
  * Create storage instance based on backend type
  * @param {string} cachePath - Cache directory path
- * @param {string} backend - Backend type
+ * @param {string} backend - Backend name
+ * @param {Object} options - Backend options (Redis: url, prefix; memory: maxEntries, maxBytes, data)
  * @returns {Object} Storage instance
+ * @throws {Error} On a backend that is not registered
  */
-function createStorage(cachePath, backend = BACKENDS.JSON) {
-  switch (backend) {
-    case BACKENDS.SQLITE:
-      return new SQLiteStorage(cachePath);
-    case BACKENDS.REDIS:
-      // Redis would need async implementation
-      throw new Error('Redis backend not yet implemented');
-    case BACKENDS.JSON:
-    default:
-      return new JSONStorage(cachePath);
-  }
+function createStorage(cachePath, backend = BACKENDS.JSON, options = {}) {
+  const spec = registry.get(backend);
+  if (!spec) throw unknownBackend(backend);
+  return spec.create(cachePath, options);
 }
 
 /**
  * Detect existing backend type
  * @param {string} cachePath
  * @returns {string}
+ * @throws {Error} If the cache config names a backend that is not registered
  */
 function detectBackend(cachePath) {
-  if (fs.existsSync(path.join(cachePath, 'cache.db'))) {
-    return BACKENDS.SQLITE;
+  for (const [name, spec] of registry) {
+    if (spec.detect && spec.detect(cachePath)) {
+      return name;
+    }
   }
+
+  const { backend } = loadConfig(cachePath);
+  if (backend && !registry.has(backend)) throw unknownBackend(backend);
   return BACKENDS.JSON;
 }
 
+/**
+ * @param {string} name
+ * @returns {Error}
+ */
+function unknownBackend(name) {
+  return new Error(`Unknown backend: ${name}. If a plugin provides it, load it with --plugin or $LLMCACHE_PLUGINS`);
+}
+
 module.exports = {
   BACKENDS,
+  SNIPPET_OPEN,
+  SNIPPET_CLOSE,
   JSONStorage,
   SQLiteStorage,
+  RedisStorage,
+  MemoryStorage,
+  TieredStorage,
+  AsyncStorage,
+  toAsync,
+  after,
+  reduceEntries,
+  applyHits,
+  deleteEntries,
+  clearFilter,
+  registerBackend,
+  persistentBackends,
   createStorage,
   detectBackend,
 };
@@ -0,0 +1,146 @@
+/**
+ * TTLs and the per-cache TTL policy
+ * @module core/ttl
+ *
+ * A cache can give entries a default TTL by model, with glob patterns such
+ * as `gpt-4o*`, and by tag, and cap every TTL at `maxTtl` (see
+ * core/config). A TTL passed to set() wins over a tag's, and a tag's over a
+ * model's; entries given none by either never expire.
+ */
+
+/**
+ * Parse TTL string to milliseconds
+ * @param {string} ttl - e.g., "7d", "24h", "30m"
+ * @returns {number|null}
+ */
+function parseTTL(ttl) {
+  const match = ttl.match(/^(\d+)(d|h|m|s)$/);
+  if (!match) return null;
+
+  const value = parseInt(match[1]);
+  const unit = match[2];
+
+  switch (unit) {
+    case 'd': return value * 86400000;
+    case 'h': return value * 3600000;
+    case 'm': return value * 60000;
+    case 's': return value * 1000;
+    default: return null;
+  }
+}
+
+/**
+ * Parse a TTL setting
+ * @param {string} value - e.g. "30d"
+ * @returns {string|null}
+ */
+function parseMaxTtl(value) {
+  const text = String(value).trim().toLowerCase();
+  return parseTTL(text) ? text : null;
+}
+
+/**
+ * Parse a JSON object of model glob or tag to TTL
+ * @param {string} value - e.g. '{"gpt-4o*": "7d"}'
+ * @returns {Object|null} Null if not JSON, not an object, or a TTL is invalid
+ */
+function parseTTLMap(value) {
+  let map;
+  try {
+    map = JSON.parse(value);
+  } catch (e) {
+    return null;
+  }
+
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return null;
+
+  const parsed = {};
+  for (const [name, ttl] of Object.entries(map)) {
+    const text = typeof ttl === 'string' ? ttl.trim().toLowerCase() : '';
+    if (!name || !parseTTL(text)) return null;
+    parsed[name] = text;
+  }
+  return parsed;
+}
+
+/**
+ * Check a model name against a glob: `*` matches any run, `?` one character
+ * @param {string} pattern
+ * @param {string} model
+ * @returns {boolean}
+ */
+function matchesGlob(pattern, model) {
+  const source = pattern
+    .split('')
+    .map(c => (c === '*' ? '.*' : c === '?' ? '.' : c.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`).test(model);
+}
+
+/**
+ * Default TTL the policy gives an entry: the shortest of its tags', else
+ * that of the first model pattern matching
+ * @param {Object} config - From loadConfig
+ * @param {string} model
+ * @param {Array<string>} [tags]
+ * @returns {Object|null} { ttl, rule } e.g. { ttl: '7d', rule: 'model gpt-4o*' }
+ */
+function policyTTL(config, model, tags = []) {
+  const tagTtls = config.tagTtls || {};
+  let best = null;
+  for (const tag of tags || []) {
+    const ttl = tagTtls[tag];
+    if (ttl && (!best || parseTTL(ttl) < parseTTL(best.ttl))) {
+      best = { ttl, rule: `tag ${tag}` };
+    }
+  }
+  if (best) return best;
+
+  for (const [pattern, ttl] of Object.entries(config.modelTtls || {})) {
+    if (matchesGlob(pattern, model)) return { ttl, rule: `model ${pattern}` };
+  }
+  return null;
+}
+
+/**
+ * Lifetimes for a new entry: the TTLs asked for, else the policy's, capped
+ * at maxTtl. A soft TTL that would outlast the entry is dropped.
+ * @param {Object} options - { ttl, softTtl } as passed to set()
+ * @param {Object} config - From loadConfig
+ * @param {string} model
+ * @param {Array<string>} [tags]
+ * @returns {Object} { ttlMs, softMs } (null for none) or { error }
+ */
+function resolveTTL(options, config, model, tags) {
+  const askedMs = options.ttl ? parseTTL(options.ttl) : null;
+  let softMs = options.softTtl ? parseTTL(options.softTtl) : null;
+
+  if (askedMs && softMs && softMs >= askedMs) {
+    return { error: 'The soft TTL must be shorter than the TTL' };
+  }
+
+  let ttlMs = askedMs;
+  if (!ttlMs) {
+    const policy = policyTTL(config, model, tags);
+    ttlMs = policy ? parseTTL(policy.ttl) : null;
+  }
+
+  const maxMs = config.maxTtl ? parseTTL(config.maxTtl) : null;
+  if (maxMs) {
+    if (ttlMs) ttlMs = Math.min(ttlMs, maxMs);
+    if (softMs) softMs = Math.min(softMs, maxMs);
+  }
+
+  if (ttlMs && softMs && softMs >= ttlMs) softMs = null;
+
+  return { ttlMs, softMs };
+}
+
+module.exports = {
+  parseTTL,
+  parseMaxTtl,
+  parseTTLMap,
+  matchesGlob,
+  policyTTL,
+  resolveTTL,
+};
@@ -8,6 +8,12 @@ const storage = require('./core/storage');
 const cost = require('./core/cost');
 const similarity = require('./core/similarity');
 const compress = require('./core/compress');
+const config = require('./core/config');
+const plugins = require('./core/plugins');
+const encryption = require('./core/encryption');
+const generations = require('./core/generations');
+const revalidate = require('./core/revalidate');
+const conformance = require('./testing/conformance');
 const checker = require('./license/checker');
 const limits = require('./license/limits');
 const constants = require('./license/constants');
@@ -17,6 +23,7 @@ module.exports = {
   init: cache.init,
   set: cache.set,
   get: cache.get,
+  flushHits: cache.flushHits,
   list: cache.list,
   stats: cache.stats,
   clear: cache.clear,
@@ -26,11 +33,51 @@ module.exports = {
   hashPrompt: cache.hashPrompt,
   getCachePath: cache.getCachePath,
   getStorage: cache.getStorage,
+  getAsyncStorage: cache.getAsyncStorage,
+
+  // Async cache operations
+  setAsync: cache.setAsync,
+  getAsync: cache.getAsync,
+  flushHitsAsync: cache.flushHitsAsync,
+  listAsync: cache.listAsync,
+  statsAsync: cache.statsAsync,
+  findSimilarAsync: cache.findSimilarAsync,
+  savingsAsync: cache.savingsAsync,
+  clearAsync: cache.clearAsync,
+  searchAsync: cache.searchAsync,
+  exportCacheAsync: cache.exportCacheAsync,
+  importCacheAsync: cache.importCacheAsync,
+  rekeyAsync: cache.rekeyAsync,
+  generationsAsync: cache.generationsAsync,
+  pruneGenerationsAsync: cache.pruneGenerationsAsync,
 
   // Storage
   BACKENDS: storage.BACKENDS,
   createStorage: storage.createStorage,
   detectBackend: storage.detectBackend,
+  toAsync: storage.toAsync,
+  MemoryStorage: storage.MemoryStorage,
+  TieredStorage: storage.TieredStorage,
+  EncryptedStorage: encryption.EncryptedStorage,
+  generateKey: encryption.generateKey,
+
+  // Third-party backends
+  registerBackend: storage.registerBackend,
+  loadPlugins: plugins.loadPlugins,
+  describeStorageContract: conformance.describeStorageContract,
+
+  // Settings (limits, eviction)
+  loadConfig: config.loadConfig,
+  setConfigValue: config.setConfigValue,
+  unsetConfigValue: config.unsetConfigValue,
+
+  // Generations (bulk invalidation)
+  bumpGeneration: generations.bumpGeneration,
+  rollbackGeneration: generations.rollbackGeneration,
+
+  // Stale-while-revalidate
+  settleRevalidations: revalidate.settleRevalidations,
+  webhookRevalidator: revalidate.webhookRevalidator,
 
   // Cost tracking (PRO)
   calculateCost: cost.calculateCost,
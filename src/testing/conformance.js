@@ -0,0 +1,348 @@
+/**
+ * Storage conformance suite
+ * @module testing/conformance
+ *
+ * Pins down the Storage contract (see core/storage) as Jest tests, so
+ * every backend behaves the same behind the cache API. Built-in backends
+ * run it in tests/conformance.test.js; a third-party backend proves
+ * compatibility by running it from its own test suite:
+ *
+ *   const { describeStorageContract } = require('pnkd-llmcache');
+ *   describeStorageContract('mystore', cachePath => new MyStore(cachePath));
+ *
+ * Uses the Jest globals (describe, test, expect, beforeEach, afterEach).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { toAsync } = require('../core/storage');
+const { entrySize } = require('../core/eviction');
+const cache = require('../core/cache');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * An entry as the cache API writes it
+ * @param {string} prompt
+ * @param {Object} extra - Fields to add or override
+ * @returns {Object}
+ */
+function makeEntry(prompt, extra = {}) {
+  const created = new Date().toISOString();
+  return {
+    prompt,
+    response: `response to ${prompt}`,
+    model: 'default',
+    created,
+    lastAccessed: created,
+    hits: 0,
+    tokens: 5,
+    ...extra,
+  };
+}
+
+/**
+ * ISO timestamp some days from now
+ * @param {number} days - Negative for the past
+ * @returns {string}
+ */
+function daysFromNow(days) {
+  return new Date(Date.now() + days * DAY).toISOString();
+}
+
+/**
+ * Strip `hash` and sort entries by it, for order-independent comparison
+ * @param {Array} entries
+ * @returns {Object} { hash: entry }
+ */
+function byHash(entries) {
+  const result = {};
+  for (const { hash, ...entry } of [...entries].sort((a, b) => a.hash.localeCompare(b.hash))) {
+    result[hash] = entry;
+  }
+  return result;
+}
+
+/**
+ * Collect an iterate() result, sync or async
+ * @param {Iterable|AsyncIterable} iterable
+ * @returns {Promise<Array>}
+ */
+async function collect(iterable) {
+  const items = [];
+  for await (const item of iterable) {
+    items.push(item);
+  }
+  return items;
+}
+
+/**
+ * Define the conformance tests for a storage backend
+ * @param {string} name - Suite name
+ * @param {function(string): Object|Promise<Object>} factory - cachePath => new, uninitialized storage.
+ *   Called once per test with a fresh empty directory.
+ */
+function describeStorageContract(name, factory) {
+  describe(`storage contract: ${name}`, () => {
+    let dir;
+    let raw;
+    let storage;
+
+    beforeEach(async () => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llmcache-contract-'));
+      raw = await factory(path.join(dir, 'cache'));
+      expect(raw.init()).toMatchObject({ success: true });
+      storage = toAsync(raw);
+    });
+
+    afterEach(async () => {
+      await storage.close();
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    describe('entries', () => {
+      test('set reports whether the entry is new', async () => {
+        expect(await storage.set('a', makeEntry('a'))).toMatchObject({ success: true, isNew: true });
+        expect(await storage.set('a', makeEntry('a', { hits: 3 }))).toMatchObject({ success: true, isNew: false });
+        expect((await storage.get('a')).hits).toBe(3);
+      });
+
+      test('get returns null for a missing entry', async () => {
+        expect(await storage.get('missing')).toBeNull();
+      });
+
+      test('round-trips every entry field', async () => {
+        const entry = makeEntry('full', {
+          model: 'gpt-4',
+          expires: daysFromNow(7),
+          hits: 2,
+          tokens: 42,
+          compressed: true,
+          algorithm: 'gzip',
+          tags: ['b', 'a'],
+          custom: { nested: [1, 'two'] },
+        });
+        await storage.set('full', entry);
+        expect(await storage.get('full')).toEqual(entry);
+      });
+
+      test('returned entries are copies', async () => {
+        await storage.set('a', makeEntry('a'));
+        const first = await storage.get('a');
+        first.hits = 99;
+        expect((await storage.get('a')).hits).toBe(0);
+      });
+
+      test('delete reports whether the entry existed', async () => {
+        await storage.set('a', makeEntry('a'));
+        expect(await storage.delete('a')).toMatchObject({ success: true });
+        expect(await storage.delete('a')).toMatchObject({ success: false });
+        expect(await storage.get('a')).toBeNull();
+      });
+    });
+
+    describe('listing', () => {
+      beforeEach(async () => {
+        await storage.set('old', makeEntry('old', { created: daysFromNow(-3), hits: 5, model: 'gpt-4' }));
+        await storage.set('mid', makeEntry('mid', { created: daysFromNow(-2), hits: 1 }));
+        await storage.set('new', makeEntry('new', { created: daysFromNow(-1), hits: 9, model: 'gpt-4' }));
+      });
+
+      test('list returns entries with hash, newest first', async () => {
+        const entries = await storage.list();
+        expect(entries.map(e => e.hash)).toEqual(['new', 'mid', 'old']);
+        expect(entries[0]).toMatchObject({ prompt: 'new', hits: 9 });
+      });
+
+      test('list filters by model, sorts by hits and limits', async () => {
+        expect((await storage.list({ model: 'gpt-4' })).map(e => e.hash)).toEqual(['new', 'old']);
+        expect((await storage.list({ sort: 'hits' })).map(e => e.hash)).toEqual(['new', 'old', 'mid']);
+        expect((await storage.list({ limit: 2 })).map(e => e.hash)).toEqual(['new', 'mid']);
+      });
+
+      test('iterate yields the same entries as list', async () => {
+        expect(byHash(await collect(storage.iterate()))).toEqual(byHash(await storage.list()));
+      });
+
+      test('search, when indexed, returns matching entries with hash', async () => {
+        const results = storage.search ? await storage.search('mid') : null;
+        if (results === null) return;
+        expect(results.map(e => e.hash)).toEqual(['mid']);
+      });
+    });
+
+    describe('stats', () => {
+      test('start at zero', async () => {
+        expect(await storage.getStats()).toMatchObject({
+          totalEntries: 0,
+          totalHits: 0,
+          totalSaved: 0,
+          costSaved: {},
+        });
+      });
+
+      test('count live entries and report a size', async () => {
+        await storage.set('a', makeEntry('a'));
+        await storage.set('b', makeEntry('b'));
+        await storage.set('a', makeEntry('a', { hits: 1 }));
+        await storage.delete('b');
+
+        const stats = await storage.getStats();
+        expect(stats.totalEntries).toBe(1);
+        expect(typeof stats.cacheSize).toBe('number');
+      });
+
+      test('entryBytes, when reported, follows the live entries', async () => {
+        await storage.set('a', makeEntry('a'));
+        await storage.set('b', makeEntry('b'));
+        await storage.set('a', makeEntry('a', { response: 'longer response to a' }));
+
+        const stats = await storage.getStats();
+        if (stats.entryBytes === undefined) return;
+        expect(stats.entryBytes).toBeGreaterThanOrEqual(entrySize(await storage.get('a')) + entrySize(await storage.get('b')));
+
+        await storage.delete('b');
+        await storage.delete('a');
+        expect((await storage.getStats()).entryBytes).toBe(0);
+
+        await storage.set('c', makeEntry('c'));
+        await storage.clear();
+        expect((await storage.getStats()).entryBytes).toBe(0);
+      });
+
+      test('incrementStats adds and updateStats overwrites', async () => {
+        await storage.incrementStats({ totalHits: 2, totalSaved: 100 });
+        await storage.incrementStats({ totalHits: 1 });
+        await storage.updateStats({ costSaved: { 'gpt-4': 0.5 } });
+
+        expect(await storage.getStats()).toMatchObject({
+          totalHits: 3,
+          totalSaved: 100,
+          costSaved: { 'gpt-4': 0.5 },
+        });
+      });
+
+      test('recordHits, when supported, adds hits to present entries and stats', async () => {
+        if (!storage.recordHits) return;
+
+        const earlier = new Date(Date.now() - 60000).toISOString();
+        const later = new Date(Date.now() + 60000).toISOString();
+        await storage.set('a', makeEntry('a', { hits: 2, lastAccessed: later }));
+        await storage.set('b', makeEntry('b'));
+
+        expect(await storage.recordHits({
+          a: { hits: 3, lastAccessed: earlier, saved: 30 },
+          b: { hits: 1, lastAccessed: later, saved: 10 },
+          gone: { hits: 1, lastAccessed: later, saved: 10 },
+        })).toEqual({ success: true, updated: 2 });
+
+        expect(await storage.get('a')).toMatchObject({ hits: 5, lastAccessed: later });
+        expect(await storage.get('b')).toMatchObject({ hits: 1, lastAccessed: later });
+        expect(await storage.get('gone')).toBeNull();
+        expect(await storage.getStats()).toMatchObject({ totalEntries: 2, totalHits: 5, totalSaved: 50 });
+      });
+    });
+
+    describe('clear', () => {
+      test('removes everything and resets stats', async () => {
+        await storage.set('a', makeEntry('a'));
+        await storage.set('b', makeEntry('b'));
+        await storage.incrementStats({ totalHits: 4, evictions: 1 });
+
+        expect(await storage.clear()).toMatchObject({ success: true, removed: 2 });
+        expect(await storage.list()).toEqual([]);
+        const stats = await storage.getStats();
+        expect(stats).toMatchObject({ totalEntries: 0, totalHits: 0, totalSaved: 0 });
+        expect(stats.evictions || 0).toBe(0);
+      });
+
+      test('olderThan removes only old entries and keeps stats', async () => {
+        await storage.set('old', makeEntry('old', { created: daysFromNow(-10) }));
+        await storage.set('new', makeEntry('new'));
+        await storage.incrementStats({ totalHits: 4 });
+
+        expect(await storage.clear({ olderThan: '7' })).toMatchObject({ success: true, removed: 1 });
+        expect((await storage.list()).map(e => e.hash)).toEqual(['new']);
+        expect((await storage.getStats()).totalHits).toBe(4);
+      });
+
+      test('expired removes only entries past their TTL and keeps stats', async () => {
+        await storage.set('gone', makeEntry('gone', { expires: daysFromNow(-1) }));
+        await storage.set('live', makeEntry('live', { expires: daysFromNow(1) }));
+        await storage.set('forever', makeEntry('forever'));
+        await storage.incrementStats({ totalHits: 4 });
+
+        // Backends with native expiry may have dropped it already
+        expect((await storage.clear({ expired: true })).success).toBe(true);
+        expect((await storage.list()).map(e => e.hash).sort()).toEqual(['forever', 'live']);
+        expect((await storage.getStats()).totalHits).toBe(4);
+      });
+    });
+
+    describe('export and import', () => {
+      test('exportData returns entries by hash and stats', async () => {
+        const entry = makeEntry('a', { tags: ['x'] });
+        await storage.set('a', entry);
+        await storage.incrementStats({ totalHits: 2 });
+
+        const data = await storage.exportData();
+        expect(data.entries).toEqual({ a: entry });
+        expect(data.stats).toMatchObject({ totalHits: 2 });
+      });
+
+      test('export then import into an empty store is lossless', async () => {
+        await storage.set('a', makeEntry('a', { tags: ['x', 'y'], expires: daysFromNow(1) }));
+        await storage.set('b', makeEntry('b', { compressed: true, algorithm: 'gzip', custom: 1 }));
+        const data = await storage.exportData();
+        const before = byHash(await storage.list());
+
+        await storage.clear();
+        expect(await storage.importData(data)).toMatchObject({ success: true, imported: 2 });
+        expect(byHash(await storage.list())).toEqual(before);
+      });
+
+      test('merge keeps existing entries, replace overwrites them', async () => {
+        await storage.set('a', makeEntry('a', { response: 'original' }));
+        const data = { entries: { a: makeEntry('a', { response: 'imported' }), b: makeEntry('b') } };
+
+        expect(await storage.importData(data, 'merge')).toMatchObject({ success: true, imported: 1 });
+        expect((await storage.get('a')).response).toBe('original');
+
+        expect(await storage.importData(data, 'skip-existing')).toMatchObject({ success: true, imported: 0 });
+
+        expect(await storage.importData(data, 'replace')).toMatchObject({ success: true, imported: 2 });
+        expect((await storage.get('a')).response).toBe('imported');
+      });
+    });
+
+    describe('through the cache API', () => {
+      test('never serves expired entries', async () => {
+        const hash = cache.hashPrompt('stale', 'default');
+        await storage.set(hash, makeEntry('stale', { expires: daysFromNow(-1) }));
+
+        expect(await cache.getAsync('stale', 'default', { storage })).toBeNull();
+        expect(await storage.get(hash)).toBeNull();
+      });
+
+      test('serves live entries and records the hit', async () => {
+        await cache.setAsync('fresh', 'answer', 'default', { storage });
+
+        expect(await cache.getAsync('fresh', 'default', { storage })).toMatchObject({ response: 'answer', hits: 1 });
+        await cache.flushHitsAsync({ storage });
+        expect(await storage.getStats()).toMatchObject({ totalEntries: 1, totalHits: 1 });
+        expect((await storage.get(cache.hashPrompt('fresh', 'default'))).hits).toBe(1);
+      });
+
+      test('keeps tags through list', async () => {
+        await storage.set('t', makeEntry('t', { tags: ['team', 'prod'] }));
+        expect((await cache.listAsync({ storage }))[0].tags).toEqual(['team', 'prod']);
+      });
+    });
+  });
+}
+
+module.exports = {
+  describeStorageContract,
+  makeEntry,
+};
@@ -86,6 +86,13 @@ function formatNumber(num) {
   return num.toLocaleString();
 }
 
+/**
+ * Shorten an entry hash for tables
+ */
+function shortHash(hash) {
+  return hash.substring(0, 12);
+}
+
 /**
  * Format money
  */
@@ -171,6 +178,7 @@ module.exports = {
   formatBytes,
   formatNumber,
   formatMoney,
+  shortHash,
   table,
   list,
   proBadge,
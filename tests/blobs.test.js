@@ -0,0 +1,258 @@
+/**
+ * Blob store tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { BlobStore, BlobStorage, BLOB_DIR } = require('../src/core/blobs');
+const { JSONStorage, SQLiteStorage, BACKENDS, toAsync } = require('../src/core/storage');
+const { setConfigValue } = require('../src/core/config');
+const { convertCache } = require('../src/core/migrate');
+const { findSimilar, getBestMatch } = require('../src/core/similarity');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-blobs-test-' + Date.now());
+
+const BIG = 'x'.repeat(500);
+const OTHER = 'y'.repeat(500);
+
+let counter = 0;
+
+/**
+ * Fresh cache directory with a 100 byte blob threshold
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  setConfigValue(cachePath, 'blobThreshold', '100');
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * Refs of blob files on disk
+ * @param {string} cachePath
+ * @returns {Array<string>}
+ */
+function blobRefs(cachePath) {
+  return [...new BlobStore(cachePath).files()].map(f => f.ref).sort();
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('BlobStore', () => {
+  test('stores content by hash, once', () => {
+    const blobs = new BlobStore(path.join(TEST_DIR, 'store'));
+    const ref = blobs.put(BIG);
+
+    expect(ref).toMatch(/^[0-9a-f]{64}$/);
+    expect(blobs.put(BIG)).toBe(ref);
+    expect(blobs.read(ref)).toBe(BIG);
+    expect(fs.existsSync(path.join(TEST_DIR, 'store', BLOB_DIR, ref.slice(0, 2), ref))).toBe(true);
+    expect(blobs.size()).toBe(500);
+  });
+
+  test('returns null for a missing blob and rejects malformed refs', () => {
+    const blobs = new BlobStore(path.join(TEST_DIR, 'store'));
+    expect(blobs.read('0'.repeat(64))).toBeNull();
+    expect(() => blobs.read('../../index.json')).toThrow('Invalid blob ref');
+  });
+
+  test('sweep spares live and recently written blobs', () => {
+    const blobs = new BlobStore(path.join(TEST_DIR, 'sweep'));
+    const live = blobs.put(BIG);
+    const dead = blobs.put(OTHER);
+
+    expect(blobs.sweep(new Set([live]))).toBe(0);
+    expect(blobs.sweep(new Set([live]), 0)).toBe(1);
+    expect(blobs.read(live)).toBe(BIG);
+    expect(blobs.read(dead)).toBeNull();
+  });
+});
+
+describe('cache with blobs', () => {
+  test('keeps large responses out of the index', () => {
+    const { cachePath, opts } = createCache();
+    cache.set('big', BIG, 'default', opts);
+    cache.set('small', 'short answer', 'default', opts);
+
+    const raw = new JSONStorage(cachePath).get(cache.hashPrompt('big', 'default'));
+    expect(raw.response).toBe('');
+    expect(raw.blob).toEqual({ ref: expect.any(String), bytes: 500 });
+    expect(blobRefs(cachePath)).toEqual([raw.blob.ref]);
+
+    expect(cache.get('big', 'default', opts).response).toBe(BIG);
+    expect(cache.get('small', 'default', opts).response).toBe('short answer');
+  });
+
+  test('listing does not read blob files', () => {
+    const { opts } = createCache();
+    cache.set('big', BIG, 'default', opts);
+
+    const read = jest.spyOn(BlobStore.prototype, 'read');
+    expect(cache.list(opts)).toHaveLength(1);
+    expect(cache.stats(opts).entries).toBe(1);
+    expect(read).not.toHaveBeenCalled();
+    read.mockRestore();
+  });
+
+  test('counts blob bytes towards cache size and maxBytes', () => {
+    const { cachePath, opts } = createCache();
+    setConfigValue(cachePath, 'maxBytes', '700');
+
+    cache.set('one', BIG, 'default', opts);
+    expect(cache.stats(opts).cacheSize).toBeGreaterThan(500);
+
+    const result = cache.set('two', OTHER, 'default', opts);
+    expect(result.evicted).toBe(1);
+    expect(cache.get('one', 'default', opts)).toBeNull();
+    expect(cache.get('two', 'default', opts).response).toBe(OTHER);
+  });
+
+  test('keeps a running blob total instead of walking the blob directory', () => {
+    const { cachePath, opts } = createCache();
+    const size = jest.spyOn(BlobStore.prototype, 'size');
+
+    cache.set('one', BIG, 'default', opts);
+    cache.set('two', OTHER, 'default', opts);
+    cache.set('same', BIG, 'default', opts);
+    const stats = new JSONStorage(cachePath).getStats();
+    expect(cache.stats(opts).cacheSize).toBe(stats.cacheSize + 1000);
+    expect(stats.blobBytes).toBe(1000);
+    expect(size.mock.calls.length).toBeLessThanOrEqual(1);
+    size.mockRestore();
+
+    cache.clear(opts);
+    expect(new JSONStorage(cachePath).getStats().blobBytes).toBe(0);
+  });
+
+  test('measures blobs once for caches without a running total', () => {
+    const { cachePath } = createCache();
+    const storage = new BlobStorage(new JSONStorage(cachePath));
+    storage.set('a', { prompt: 'a', response: BIG, created: new Date().toISOString() });
+    storage.storage.updateStats({ blobBytes: undefined });
+
+    expect(storage.getStats().cacheSize).toBe(new JSONStorage(cachePath).getStats().cacheSize + 500);
+    expect(new JSONStorage(cachePath).getStats().blobBytes).toBe(500);
+  });
+
+  test('evicting several blob entries sweeps blobs once', () => {
+    const { cachePath, opts } = createCache();
+    cache.set('one', BIG, 'default', opts);
+    cache.set('two', OTHER, 'default', opts);
+    cache.set('three', 'z'.repeat(500), 'default', opts);
+    setConfigValue(cachePath, 'maxEntries', '1');
+
+    const collect = jest.spyOn(BlobStorage.prototype, 'collect');
+    expect(cache.set('four', 'small', 'default', opts).evicted).toBe(3);
+    expect(collect).toHaveBeenCalledTimes(1);
+    collect.mockRestore();
+  });
+
+  test('deleting an entry removes its blob unless another entry shares it', () => {
+    const { cachePath } = createCache();
+    const storage = new BlobStorage(new JSONStorage(cachePath));
+    storage.blobs.sweep = jest.fn(live => BlobStore.prototype.sweep.call(storage.blobs, live, 0));
+
+    storage.set('a', { prompt: 'a', response: BIG, created: new Date().toISOString() });
+    storage.set('b', { prompt: 'b', response: BIG, created: new Date().toISOString() });
+    storage.set('c', { prompt: 'c', response: OTHER, created: new Date().toISOString() });
+    expect(blobRefs(cachePath)).toHaveLength(2);
+
+    storage.delete('a');
+    expect(blobRefs(cachePath)).toHaveLength(2);
+    expect(storage.get('b').response).toBe(BIG);
+
+    storage.delete('b');
+    storage.delete('c');
+    expect(blobRefs(cachePath)).toEqual([]);
+  });
+
+  test('clear removes all blobs', () => {
+    const { cachePath, opts } = createCache();
+    cache.set('big', BIG, 'default', opts);
+
+    expect(cache.clear(opts)).toMatchObject({ success: true, removed: 1 });
+    expect(blobRefs(cachePath)).toEqual([]);
+  });
+
+  test('export inlines blobs and import stores them again', () => {
+    const source = createCache();
+    cache.set('big', BIG, 'default', source.opts);
+    const data = cache.exportCache(source.opts);
+    expect(data.entries[cache.hashPrompt('big', 'default')]).toMatchObject({ response: BIG });
+    expect(data.entries[cache.hashPrompt('big', 'default')].blob).toBeUndefined();
+
+    const target = createCache(BACKENDS.SQLITE);
+    cache.importCache(data, target.opts);
+    expect(blobRefs(target.cachePath)).toHaveLength(1);
+    expect(cache.get('big', 'default', target.opts).response).toBe(BIG);
+  });
+
+  test('ignores blob references in imported data', () => {
+    const { opts } = createCache();
+    cache.importCache({ entries: { h: { prompt: 'p', response: 'r', blob: { ref: '../../x', bytes: 1 } } } }, opts);
+    expect(cache.list(opts)[0].blob).toBeUndefined();
+  });
+
+  test('works through the async API', async () => {
+    const { opts } = createCache(BACKENDS.SQLITE);
+    await cache.setAsync('big', BIG, 'default', opts);
+    expect((await cache.getAsync('big', 'default', opts)).response).toBe(BIG);
+  });
+
+  test('a missing blob file reads as a miss', () => {
+    const { cachePath, opts } = createCache();
+    cache.set('big', BIG, 'default', opts);
+    fs.rmSync(path.join(cachePath, BLOB_DIR), { recursive: true });
+
+    expect(cache.get('big', 'default', opts)).toBeNull();
+  });
+
+  test('migration carries blobs to the new backend', async () => {
+    const { cachePath, opts } = createCache();
+    cache.set('big', BIG, 'default', opts);
+
+    const result = await convertCache(cachePath, BACKENDS.SQLITE);
+    expect(result.success).toBe(true);
+    expect(blobRefs(cachePath)).toHaveLength(1);
+    expect(cache.get('big', 'default', opts).response).toBe(BIG);
+  });
+
+  test('similarity matches carry the full response', () => {
+    const { opts } = createCache();
+    cache.set('how do blobs work', BIG, 'default', opts);
+    cache.set('what is the weather', 'sunny', 'default', opts);
+
+    const { results } = findSimilar('how do blobs work', cache.getStorage(opts), { threshold: 0.5 });
+    expect(results).toHaveLength(1);
+    expect(results[0].response).toBe(BIG);
+    expect(results[0].blob).toBeUndefined();
+    expect(getBestMatch('how do blobs work', cache.getStorage(opts), 0.5).response).toBe(BIG);
+  });
+
+  test('wraps async backends', async () => {
+    const { cachePath } = createCache();
+    const storage = new BlobStorage(toAsync(new SQLiteStorage(path.join(cachePath, 'sqlite'))), { threshold: 100 });
+    await storage.init();
+
+    await storage.set('a', { prompt: 'a', response: BIG, created: new Date().toISOString() });
+    expect((await storage.get('a')).response).toBe(BIG);
+    await storage.clear();
+    expect(await storage.get('a')).toBeNull();
+  });
+});
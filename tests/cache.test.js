@@ -20,9 +20,9 @@ afterAll(() => {
 });
 
 describe('hashPrompt', () => {
-  test('returns 12-character hash', () => {
+  test('returns the full sha256 hash', () => {
     const hash = cache.hashPrompt('test prompt', 'gpt-4');
-    expect(hash).toHaveLength(12);
+    expect(hash).toMatch(/^[0-9a-f]{64}$/);
   });
 
   test('same input produces same hash', () => {
@@ -72,7 +72,7 @@ describe('set', () => {
   test('caches prompt/response pair', () => {
     const result = cache.set('What is AI?', 'AI is artificial intelligence.', 'gpt-4', { customPath: TEST_CACHE });
     expect(result.success).toBe(true);
-    expect(result.hash).toHaveLength(12);
+    expect(result.hash).toHaveLength(64);
     expect(result.isNew).toBe(true);
   });
 
@@ -92,6 +92,16 @@ describe('set', () => {
     const result = cache.set('prompt', 'response', 'default', { customPath: badPath });
     expect(result.success).toBe(false);
   });
+
+  test('fails on a cache directory without a store', async () => {
+    const emptyPath = path.join(TEST_DIR, 'empty');
+    fs.mkdirSync(emptyPath);
+
+    expect(cache.set('prompt', 'response', 'default', { customPath: emptyPath }))
+      .toMatchObject({ success: false, message: expect.stringContaining('not initialized') });
+    expect(await cache.setAsync('prompt', 'response', 'default', { customPath: emptyPath }))
+      .toMatchObject({ success: false, message: expect.stringContaining('not initialized') });
+  });
 });
 
 describe('get', () => {
@@ -190,6 +200,13 @@ describe('search', () => {
     const results = cache.search('xyznonexistent', { customPath: TEST_CACHE });
     expect(results).toEqual([]);
   });
+
+  test('searches responses only when asked', () => {
+    expect(cache.search('learn js', { customPath: TEST_CACHE })).toEqual([]);
+
+    const results = cache.search('learn js', { customPath: TEST_CACHE, responses: true });
+    expect(results.map(r => r.prompt)).toEqual(['JavaScript tutorial']);
+  });
 });
 
 describe('clear', () => {
@@ -238,6 +255,106 @@ describe('export/import', () => {
   });
 });
 
+describe('async API', () => {
+  const asyncPath = path.join(TEST_DIR, 'async-test');
+  const opts = { customPath: asyncPath };
+
+  beforeAll(() => {
+    cache.init(opts);
+  });
+
+  test('setAsync and getAsync round-trip', async () => {
+    const result = await cache.setAsync('async prompt', 'async response', 'gpt-4', opts);
+    expect(result.success).toBe(true);
+    expect(result.isNew).toBe(true);
+
+    const hit = await cache.getAsync('async prompt', 'gpt-4', opts);
+    expect(hit.response).toBe('async response');
+    expect(hit.hits).toBe(1);
+  });
+
+  test('getAsync returns null on miss', async () => {
+    expect(await cache.getAsync('nope', 'gpt-4', opts)).toBeNull();
+  });
+
+  test('listAsync, searchAsync and statsAsync match the sync API', async () => {
+    expect(await cache.listAsync(opts)).toEqual(cache.list(opts));
+    expect(await cache.searchAsync('async', opts)).toEqual(cache.search('async', opts));
+    expect(await cache.statsAsync(opts)).toEqual(cache.stats(opts));
+  });
+
+  test('exportCacheAsync and importCacheAsync', async () => {
+    const importPath = path.join(TEST_DIR, 'async-import');
+    cache.init({ customPath: importPath });
+
+    const data = await cache.exportCacheAsync(opts);
+    const result = await cache.importCacheAsync(data, { customPath: importPath });
+    expect(result.imported).toBe(1);
+
+    fs.rmSync(importPath, { recursive: true, force: true });
+  });
+
+  test('clearAsync removes entries', async () => {
+    const result = await cache.clearAsync(opts);
+    expect(result).toEqual({ success: true, removed: 1 });
+  });
+
+  test('resolves to the uninitialized forms without a cache', async () => {
+    const missing = { customPath: path.join(TEST_DIR, 'async-missing') };
+    expect((await cache.setAsync('p', 'r', 'default', missing)).success).toBe(false);
+    expect(await cache.getAsync('p', 'default', missing)).toBeNull();
+    expect(await cache.listAsync(missing)).toEqual([]);
+    expect(await cache.statsAsync(missing)).toBeNull();
+  });
+});
+
+describe('full-length keys', () => {
+  const KEYS_CACHE = path.join(TEST_DIR, 'keys');
+  const opts = { customPath: KEYS_CACHE };
+
+  /**
+   * Write an entry straight to storage under a given key
+   */
+  function store(hash, prompt, model = 'default') {
+    const now = new Date().toISOString();
+    cache.getStorage(opts).set(hash, { prompt, response: `answer to ${prompt}`, model, created: now, lastAccessed: now, hits: 0 });
+  }
+
+  beforeAll(() => {
+    cache.init(opts);
+  });
+
+  test('get ignores and counts an entry for another prompt under the same key', async () => {
+    store(cache.hashPrompt('asked', 'gpt-4'), 'something else', 'gpt-4');
+    store(cache.hashPrompt('asked', 'claude'), 'asked', 'gpt-4');
+
+    expect(cache.get('asked', 'gpt-4', opts)).toBeNull();
+    expect(await cache.getAsync('asked', 'claude', opts)).toBeNull();
+    expect(cache.stats(opts).collisions).toBe(2);
+  });
+
+  test('upgradeKeysAsync moves legacy 12-character keys', async () => {
+    const legacy = cache.hashPrompt('legacy prompt', 'gpt-4').slice(0, cache.LEGACY_HASH_LENGTH);
+    store(legacy, 'legacy prompt', 'gpt-4');
+    store('0123456789ab', 'does not hash to its key');
+    expect(cache.get('legacy prompt', 'gpt-4', opts)).toBeNull();
+
+    expect(await cache.upgradeKeysAsync(opts)).toEqual({ success: true, upgraded: 1, skipped: 1 });
+    expect(cache.get('legacy prompt', 'gpt-4', opts).response).toBe('answer to legacy prompt');
+    expect(cache.getStorage(opts).get(legacy)).toBeNull();
+
+    expect(await cache.upgradeKeysAsync(opts)).toEqual({ success: true, upgraded: 0, skipped: 1 });
+  });
+
+  test('import moves legacy keys in old exports', () => {
+    const legacy = cache.hashPrompt('exported before', 'default').slice(0, cache.LEGACY_HASH_LENGTH);
+    const now = new Date().toISOString();
+    cache.importCache({ entries: { [legacy]: { prompt: 'exported before', response: 'old', model: 'default', created: now } } }, opts);
+
+    expect(cache.get('exported before', 'default', opts).response).toBe('old');
+  });
+});
+
 describe('parseTTL', () => {
   test('parses days', () => {
     expect(cache.parseTTL('7d')).toBe(7 * 86400000);
@@ -0,0 +1,103 @@
+/**
+ * Cache config tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const {
+  DEFAULT_CONFIG,
+  loadConfig,
+  setConfigValue,
+  unsetConfigValue,
+  parseBytes,
+} = require('../src/core/config');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-config-test-' + Date.now());
+
+beforeEach(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('parseBytes', () => {
+  test('parses plain bytes and units', () => {
+    expect(parseBytes('512')).toBe(512);
+    expect(parseBytes('100KB')).toBe(102400);
+    expect(parseBytes('1.5gb')).toBe(1.5 * 1024 ** 3);
+  });
+
+  test('rejects invalid sizes', () => {
+    expect(parseBytes('lots')).toBeNull();
+    expect(parseBytes('-5MB')).toBeNull();
+  });
+});
+
+describe('loadConfig', () => {
+  test('returns defaults when nothing is stored', () => {
+    expect(loadConfig(TEST_DIR)).toEqual(DEFAULT_CONFIG);
+  });
+
+  test('reports a corrupt config file', () => {
+    fs.writeFileSync(path.join(TEST_DIR, 'config.json'), '{ nope');
+    expect(() => loadConfig(TEST_DIR)).toThrow('Corrupt cache config');
+  });
+});
+
+describe('setConfigValue', () => {
+  test('validates and stores values', () => {
+    expect(setConfigValue(TEST_DIR, 'maxEntries', '500')).toEqual({ success: true, key: 'maxEntries', value: 500 });
+    expect(setConfigValue(TEST_DIR, 'maxBytes', '2MB').value).toBe(2 * 1024 * 1024);
+    expect(setConfigValue(TEST_DIR, 'eviction', 'LFU').value).toBe('lfu');
+    expect(setConfigValue(TEST_DIR, 'blobThreshold', '256KB').value).toBe(256 * 1024);
+
+    expect(loadConfig(TEST_DIR)).toEqual({
+      eviction: 'lfu',
+      maxEntries: 500,
+      maxBytes: 2 * 1024 * 1024,
+      blobThreshold: 256 * 1024,
+      keyFile: null,
+      ignoreParams: ['stream', 'stream_options', 'user', 'metadata'],
+      normalize: ['newlines', 'whitespace', 'trim'],
+      normalizeMasks: {},
+      sweepInterval: '1h',
+      modelTtls: {},
+      tagTtls: {},
+      maxTtl: null,
+      normalizeVersion: 0,
+      backend: null,
+      generation: 0,
+      generations: [],
+    });
+  });
+
+  test('parses normalization steps and masks', () => {
+    expect(setConfigValue(TEST_DIR, 'normalize', 'trim, Lowercase').value).toEqual(['trim', 'lowercase']);
+    expect(setConfigValue(TEST_DIR, 'normalize', 'none').value).toEqual([]);
+    expect(setConfigValue(TEST_DIR, 'normalize', 'trim,stem').error).toContain('Invalid value');
+
+    expect(setConfigValue(TEST_DIR, 'normalizeMasks', '{"[0-9]+": "<n>"}').value).toEqual({ '[0-9]+': '<n>' });
+    expect(setConfigValue(TEST_DIR, 'normalizeMasks', '{"(": "x"}').success).toBe(false);
+    expect(setConfigValue(TEST_DIR, 'normalizeMasks', '["[0-9]+"]').success).toBe(false);
+
+    unsetConfigValue(TEST_DIR, 'normalize');
+    unsetConfigValue(TEST_DIR, 'normalizeMasks');
+  });
+
+  test('rejects unknown keys and invalid values', () => {
+    expect(setConfigValue(TEST_DIR, 'colour', 'blue').error).toContain('Unknown config key');
+    expect(setConfigValue(TEST_DIR, 'maxEntries', '0').error).toContain('Invalid value');
+    expect(setConfigValue(TEST_DIR, 'eviction', 'random').error).toContain('lru, lfu, fifo');
+    expect(fs.existsSync(path.join(TEST_DIR, 'config.json'))).toBe(false);
+  });
+
+  test('unset restores the default', () => {
+    setConfigValue(TEST_DIR, 'maxEntries', '10');
+    expect(unsetConfigValue(TEST_DIR, 'maxEntries')).toEqual({ success: true, key: 'maxEntries', value: null });
+    expect(loadConfig(TEST_DIR).maxEntries).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+/**
+ * Storage contract, run against every built-in backend
+ */
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { JSONStorage, SQLiteStorage, RedisStorage, MemoryStorage, TieredStorage } = require('../src/core/storage');
+const { describeStorageContract } = require('../src/testing/conformance');
+const { BlobStorage } = require('../src/core/blobs');
+const { EncryptedStorage, generateKey } = require('../src/core/encryption');
+const { createRedisServer } = require('./helpers/redis-server');
+
+let server;
+let prefixes = 0;
+
+beforeAll(async () => {
+  server = await createRedisServer();
+});
+
+afterAll(async () => {
+  await server.close();
+});
+
+describeStorageContract('json', cachePath => new JSONStorage(cachePath));
+describeStorageContract('sqlite', cachePath => new SQLiteStorage(cachePath));
+describeStorageContract('memory', cachePath => new MemoryStorage(cachePath));
+describeStorageContract('tiered', cachePath => new TieredStorage(new JSONStorage(cachePath), { maxEntries: 2 }));
+describeStorageContract('redis', cachePath => new RedisStorage(cachePath, { url: server.url, prefix: `contract${prefixes++}:` }));
+describeStorageContract('json with blobs', cachePath => new BlobStorage(new JSONStorage(cachePath), { threshold: 16 }));
+describeStorageContract('encrypted sqlite', cachePath => new EncryptedStorage(new SQLiteStorage(cachePath), {
+  key: Buffer.from(generateKey(), 'hex'),
+}));
@@ -0,0 +1,237 @@
+/**
+ * Response deduplication tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Database = require('better-sqlite3');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { JSONStorage, SQLiteStorage, BACKENDS } = require('../src/core/storage');
+const { contentHash, shouldDedup, DEDUP_MIN_BYTES } = require('../src/core/dedup');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-dedup-test-' + Date.now());
+
+const SHARED = 'The answer, repeated for many prompts. '.repeat(4);
+const OTHER = 'A different answer that is also long enough to share. '.repeat(2);
+
+let counter = 0;
+
+/**
+ * An entry with the given response
+ * @param {string} prompt
+ * @param {string} response
+ * @returns {Object}
+ */
+function entry(prompt, response) {
+  return { prompt, response, model: 'default', created: new Date().toISOString(), hits: 0 };
+}
+
+/**
+ * Shared responses and their reference counts
+ * @param {Object} storage - JSONStorage or SQLiteStorage
+ * @returns {Object} { ref: refs }
+ */
+function refCounts(storage) {
+  if (storage instanceof SQLiteStorage) {
+    const rows = storage.db.prepare('SELECT hash, refs FROM responses').all();
+    return Object.fromEntries(rows.map(r => [r.hash, r.refs]));
+  }
+  const data = storage.load();
+  return Object.fromEntries(Object.entries(data.responses).map(([ref, r]) => [ref, r.refs]));
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('dedup helpers', () => {
+  test('shares every non-empty response', () => {
+    expect(shouldDedup('')).toBe(false);
+    expect(shouldDedup('OK')).toBe(true);
+    expect(shouldDedup('x'.repeat(DEDUP_MIN_BYTES))).toBe(true);
+    expect(shouldDedup(undefined)).toBe(false);
+    expect(contentHash(SHARED)).toMatch(/^[0-9a-f]{64}$/);
+  });
+});
+
+describe.each([
+  ['JSONStorage', JSONStorage],
+  ['SQLiteStorage', SQLiteStorage],
+])('%s deduplication', (name, Storage) => {
+  let storage;
+
+  beforeEach(() => {
+    storage = new Storage(path.join(TEST_DIR, `store-${counter++}`));
+    storage.init();
+  });
+
+  afterEach(() => {
+    if (storage.close) storage.close();
+  });
+
+  test('stores identical responses once and reports the saving', () => {
+    storage.set('a', entry('a', SHARED));
+    storage.set('b', entry('b', SHARED));
+    storage.set('c', entry('c', SHARED));
+
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 3 });
+    expect(storage.getStats().dedupSaved).toBe(2 * Buffer.byteLength(SHARED));
+    expect(storage.get('b').response).toBe(SHARED);
+    expect(storage.list().map(e => e.response)).toEqual([SHARED, SHARED, SHARED]);
+    expect(storage.get('a').responseRef).toBeUndefined();
+  });
+
+  test('shares short answers such as "OK" and stock refusals', () => {
+    const refusal = "I'm sorry, but I can't help with that.";
+    storage.set('a', entry('a', 'OK'));
+    storage.set('b', entry('b', 'OK'));
+    storage.set('c', entry('c', refusal));
+    storage.set('d', entry('d', refusal));
+
+    expect(refCounts(storage)).toEqual({ [contentHash('OK')]: 2, [contentHash(refusal)]: 2 });
+    expect(storage.getStats().dedupSaved).toBe(2 + Buffer.byteLength(refusal));
+    expect(storage.get('a').response).toBe('OK');
+  });
+
+  test('delete releases the reference and drops unused responses', () => {
+    storage.set('a', entry('a', SHARED));
+    storage.set('b', entry('b', SHARED));
+
+    storage.delete('a');
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 1 });
+    expect(storage.get('b').response).toBe(SHARED);
+
+    storage.delete('b');
+    expect(refCounts(storage)).toEqual({});
+  });
+
+  test('overwriting an entry moves its reference', () => {
+    storage.set('a', entry('a', SHARED));
+    storage.set('a', { ...entry('a', SHARED), hits: 2 });
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 1 });
+
+    storage.set('a', entry('a', OTHER));
+    expect(refCounts(storage)).toEqual({ [contentHash(OTHER)]: 1 });
+    expect(storage.get('a').response).toBe(OTHER);
+  });
+
+  test('clear drops shared responses, olderThan keeps those still used', () => {
+    const old = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    storage.set('old', { ...entry('old', SHARED), created: old });
+    storage.set('stale', { ...entry('stale', OTHER), created: old });
+    storage.set('new', entry('new', SHARED));
+
+    storage.clear({ olderThan: '7' });
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 1 });
+    expect(storage.get('new').response).toBe(SHARED);
+
+    storage.clear();
+    expect(refCounts(storage)).toEqual({});
+  });
+
+  test('import counts references and export inlines responses', () => {
+    const data = { entries: { a: entry('a', SHARED), b: entry('b', SHARED) } };
+    storage.importData(data);
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 2 });
+
+    storage.importData({ entries: { a: entry('a', OTHER) } }, 'replace');
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 1, [contentHash(OTHER)]: 1 });
+
+    const exported = storage.exportData();
+    expect(exported.entries.a.response).toBe(OTHER);
+    expect(exported.entries.b.response).toBe(SHARED);
+    expect(exported.responses).toBeUndefined();
+  });
+});
+
+describe('JSONStorage snapshots', () => {
+  test('share responses in indexes written before deduplication', () => {
+    const dir = path.join(TEST_DIR, 'json-legacy');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'index.json'), JSON.stringify({
+      entries: { a: entry('a', SHARED), b: entry('b', SHARED) },
+      stats: { totalEntries: 2, totalHits: 0, totalSaved: 0, costSaved: {} },
+      meta: { backend: BACKENDS.JSON },
+    }));
+
+    const storage = new JSONStorage(dir);
+    expect(storage.get('a').response).toBe(SHARED);
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 2 });
+  });
+
+  test('survive a reload from disk', () => {
+    const dir = path.join(TEST_DIR, 'json-reload');
+    const writer = new JSONStorage(dir);
+    writer.init();
+    writer.set('a', entry('a', SHARED));
+    writer.set('b', entry('b', SHARED));
+    writer.delete('a');
+
+    const reader = new JSONStorage(dir);
+    expect(reader.get('b').response).toBe(SHARED);
+    expect(refCounts(reader)).toEqual({ [contentHash(SHARED)]: 1 });
+  });
+});
+
+describe('SQLite schema v5', () => {
+  test('backfills shared responses and keeps them searchable', () => {
+    const dir = path.join(TEST_DIR, 'sqlite-legacy');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const db = new Database(path.join(dir, 'cache.db'));
+    db.exec(`
+      CREATE TABLE entries (
+        hash TEXT PRIMARY KEY, prompt TEXT NOT NULL, response TEXT NOT NULL,
+        model TEXT DEFAULT 'default', created TEXT NOT NULL, expires TEXT,
+        hits INTEGER DEFAULT 0, tokens INTEGER DEFAULT 0, compressed INTEGER DEFAULT 0, tags TEXT
+      );
+      CREATE TABLE stats (key TEXT PRIMARY KEY, value TEXT);
+    `);
+    const insert = db.prepare('INSERT INTO entries (hash, prompt, response, created) VALUES (?, ?, ?, ?)');
+    insert.run('a', 'first', SHARED, new Date().toISOString());
+    insert.run('b', 'second', SHARED, new Date().toISOString());
+    insert.run('c', 'third', 'short', new Date().toISOString());
+    db.close();
+
+    const storage = new SQLiteStorage(dir);
+    expect(storage.get('a').response).toBe(SHARED);
+    expect(storage.get('c').response).toBe('short');
+    expect(refCounts(storage)).toEqual({ [contentHash(SHARED)]: 2, [contentHash('short')]: 1 });
+    expect(storage.search('repeated', { responses: true }).map(e => e.hash).sort()).toEqual(['a', 'b']);
+    storage.close();
+  });
+
+  test('search follows shared responses through updates', () => {
+    const storage = new SQLiteStorage(path.join(TEST_DIR, 'sqlite-fts'));
+    storage.init();
+    storage.set('a', entry('a', SHARED));
+    storage.set('b', entry('b', SHARED));
+
+    storage.set('a', entry('a', OTHER));
+    expect(storage.search('repeated', { responses: true }).map(e => e.hash)).toEqual(['b']);
+    expect(storage.search('different', { responses: true }).map(e => e.hash)).toEqual(['a']);
+    storage.close();
+  });
+});
+
+describe('cache stats', () => {
+  test('report dedupSaved', () => {
+    const opts = { customPath: path.join(TEST_DIR, 'api') };
+    cache.init({ ...opts, backend: BACKENDS.SQLITE });
+    cache.set('one', SHARED, 'default', opts);
+    cache.set('two', SHARED, 'default', opts);
+
+    expect(cache.stats(opts).dedupSaved).toBe(Buffer.byteLength(SHARED));
+  });
+});
@@ -0,0 +1,356 @@
+/**
+ * Encryption at rest tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { Cipher, EncryptedStorage, parseKey, loadKey, generateKey, writeKeyFile, isEncrypted, KEY_ENV, KEY_FILE_ENV } = require('../src/core/encryption');
+const { JSONStorage, SQLiteStorage, BACKENDS } = require('../src/core/storage');
+const { setConfigValue } = require('../src/core/config');
+const cache = require('../src/core/cache');
+const rekeyCommand = require('../src/commands/rekey');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-encryption-test-' + Date.now());
+
+const KEY = generateKey();
+const OTHER_KEY = generateKey();
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * Files of a cache directory, concatenated
+ * @param {string} cachePath
+ * @returns {string}
+ */
+function onDisk(cachePath) {
+  return fs.readdirSync(cachePath, { recursive: true })
+    .map(name => path.join(cachePath, name))
+    .filter(file => fs.statSync(file).isFile())
+    .map(file => fs.readFileSync(file).toString('latin1'))
+    .join('\n');
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env[KEY_ENV];
+  delete process.env[KEY_FILE_ENV];
+  jest.restoreAllMocks();
+});
+
+describe('keys', () => {
+  test('accepts hex and base64, rejects anything else', () => {
+    const key = Buffer.from(KEY, 'hex');
+    expect(parseKey(KEY)).toEqual(key);
+    expect(parseKey(key.toString('base64') + '\n')).toEqual(key);
+    expect(() => parseKey('secret')).toThrow('must be 32 bytes');
+    expect(() => parseKey(KEY.slice(2))).toThrow('must be 32 bytes');
+  });
+
+  test('loads from the environment, then the keyFile setting', () => {
+    const { cachePath } = createCache();
+    expect(loadKey(cachePath)).toBeNull();
+
+    fs.writeFileSync(path.join(cachePath, 'cache.key'), OTHER_KEY);
+    setConfigValue(cachePath, 'keyFile', 'cache.key');
+    expect(loadKey(cachePath).toString('hex')).toBe(OTHER_KEY);
+
+    process.env[KEY_ENV] = KEY;
+    expect(loadKey(cachePath).toString('hex')).toBe(KEY);
+  });
+
+  test('writes new key files readable only by the owner', () => {
+    const file = path.join(TEST_DIR, 'new.key');
+    const key = writeKeyFile(file);
+
+    expect(key).toHaveLength(32);
+    expect(fs.statSync(file).mode & 0o777).toBe(0o600);
+    expect(() => writeKeyFile(file)).toThrow();
+  });
+});
+
+describe('Cipher', () => {
+  const cipher = new Cipher(Buffer.from(KEY, 'hex'));
+
+  test('round-trips text', () => {
+    const value = cipher.encrypt('Customer: Jane Doe, card ending 4242', 'h/prompt');
+    expect(isEncrypted(value)).toBe(true);
+    expect(value).not.toContain('Jane');
+    expect(cipher.decrypt(value, 'h/prompt')).toBe('Customer: Jane Doe, card ending 4242');
+  });
+
+  test('encrypts identical text with a fresh IV each time', () => {
+    expect(cipher.encrypt('same', 'h/prompt')).not.toBe(cipher.encrypt('same', 'h/prompt'));
+  });
+
+  test('binds each value to its entry and field', () => {
+    const value = cipher.encrypt('hello', 'a/response');
+    expect(() => cipher.decrypt(value, 'b/response')).toThrow('failed authentication');
+    expect(() => cipher.decrypt(value, 'a/prompt')).toThrow('failed authentication');
+  });
+
+  test('derives the same keys on every Node version', () => {
+    // Written by an earlier release; caches encrypted then must stay readable
+    const value = 'enc:v1:4bb06f8e:slOjLNnFDPxtZaHrQTYH6ywimSf8Wqcsfc1zD8ObcbEP';
+    const fixed = new Cipher(Buffer.alloc(32, 7));
+    expect(fixed.decrypt(value, 'any/response')).toBe('hello');
+  });
+
+  test('detects tampering and the wrong key', () => {
+    const value = cipher.encrypt('hello', 'h/response');
+    const tampered = value.slice(0, -4) + (value.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    expect(() => cipher.decrypt(tampered, 'h/response')).toThrow('failed authentication');
+
+    const other = new Cipher(Buffer.from(OTHER_KEY, 'hex'));
+    expect(() => other.decrypt(value, 'h/response')).toThrow('different key');
+  });
+});
+
+describe('encrypted cache', () => {
+  test('stores prompts and responses encrypted and looks them up by hashPrompt', () => {
+    process.env[KEY_ENV] = KEY;
+    const { cachePath, opts } = createCache();
+
+    cache.set('What is my balance?', 'Your balance is $1,234', 'gpt-4', opts);
+
+    expect(onDisk(cachePath)).not.toContain('balance');
+    expect(cache.get('What is my balance?', 'gpt-4', opts)).toMatchObject({ response: 'Your balance is $1,234', hits: 1 });
+    expect(cache.list(opts)[0]).toMatchObject({ hash: cache.hashPrompt('What is my balance?', 'gpt-4'), prompt: 'What is my balance?' });
+    expect(cache.search('balance', opts)).toHaveLength(1);
+  });
+
+  test('keeps SQLite full-text search on decrypted text', () => {
+    process.env[KEY_ENV] = KEY;
+    const { cachePath, opts } = createCache(BACKENDS.SQLITE);
+    cache.set('quantum computing basics', 'qubits', 'default', opts);
+
+    expect(onDisk(cachePath)).not.toContain('quantum');
+    expect(cache.search('quantum', opts).map(r => r.prompt)).toEqual(['quantum computing basics']);
+  });
+
+  test('refuses to read encrypted entries without the key', () => {
+    process.env[KEY_ENV] = KEY;
+    const { opts } = createCache();
+    cache.set('secret', 'value', 'default', opts);
+
+    delete process.env[KEY_ENV];
+    expect(() => cache.get('secret', 'default', opts)).toThrow(`set ${KEY_ENV} or ${KEY_FILE_ENV}`);
+
+    process.env[KEY_ENV] = OTHER_KEY;
+    expect(() => cache.get('secret', 'default', opts)).toThrow('different key');
+  });
+
+  test('reads entries written before a key was configured', () => {
+    const { opts } = createCache();
+    cache.set('plain', 'old', 'default', opts);
+
+    process.env[KEY_ENV] = KEY;
+    expect(cache.get('plain', 'default', opts).response).toBe('old');
+  });
+
+  test('exports plaintext by default and ciphertext on request', () => {
+    process.env[KEY_ENV] = KEY;
+    const source = createCache();
+    cache.set('exported', 'response', 'default', source.opts);
+    const hash = cache.hashPrompt('exported', 'default');
+
+    expect(cache.exportCache(source.opts).entries[hash].prompt).toBe('exported');
+
+    const sealed = cache.exportCache({ ...source.opts, encrypted: true });
+    expect(JSON.stringify(sealed.entries)).not.toContain('exported');
+    expect(sealed.meta.encrypted).toMatch(/^[0-9a-f]{8}$/);
+
+    const target = createCache();
+    expect(cache.importCache(sealed, target.opts)).toMatchObject({ success: true, imported: 1 });
+    expect(cache.get('exported', 'default', target.opts).response).toBe('response');
+
+    process.env[KEY_ENV] = OTHER_KEY;
+    const other = createCache();
+    expect(cache.importCache(sealed, other.opts)).toMatchObject({ success: false, message: expect.stringContaining('different key') });
+  });
+
+  test('encrypts large responses before they become blobs', () => {
+    process.env[KEY_ENV] = KEY;
+    const { cachePath, opts } = createCache();
+    setConfigValue(cachePath, 'blobThreshold', '100');
+
+    cache.set('big', 'sensitive '.repeat(50), 'default', opts);
+    expect(onDisk(cachePath)).not.toContain('sensitive');
+    expect(cache.get('big', 'default', opts).response).toBe('sensitive '.repeat(50));
+  });
+
+  test('works through the async API', async () => {
+    process.env[KEY_ENV] = KEY;
+    const { opts } = createCache(BACKENDS.SQLITE);
+    await cache.setAsync('async', 'answer', 'default', opts);
+    expect((await cache.getAsync('async', 'default', opts)).response).toBe('answer');
+  });
+});
+
+describe('rekey', () => {
+  test('re-encrypts every entry under the new key', async () => {
+    process.env[KEY_ENV] = KEY;
+    const { opts } = createCache(BACKENDS.SQLITE);
+    cache.set('one', 'first', 'default', opts);
+    cache.set('two', 'second', 'default', opts);
+
+    const result = await cache.rekeyAsync(Buffer.from(OTHER_KEY, 'hex'), opts);
+    expect(result).toMatchObject({ success: true, entries: 2 });
+
+    expect(() => cache.get('one', 'default', opts)).toThrow('different key');
+    process.env[KEY_ENV] = OTHER_KEY;
+    expect(cache.get('two', 'default', opts).response).toBe('second');
+    expect(cache.stats(opts).entries).toBe(2);
+  });
+
+  test.each([BACKENDS.JSON, BACKENDS.SQLITE])('encrypts a plaintext %s cache and decrypts it again', async (backend) => {
+    const { cachePath, opts } = createCache(backend);
+    cache.set('plain', 'text', 'default', opts);
+
+    await cache.rekeyAsync(Buffer.from(KEY, 'hex'), opts);
+    expect(onDisk(cachePath)).not.toContain('plain');
+
+    process.env[KEY_ENV] = KEY;
+    expect(await cache.rekeyAsync(null, opts)).toMatchObject({ success: true, entries: 1 });
+    delete process.env[KEY_ENV];
+    expect(cache.get('plain', 'default', opts).response).toBe('text');
+  });
+
+  test('finishes a rekey that stopped part way when run again', async () => {
+    process.env[KEY_ENV] = KEY;
+    const { cachePath, opts } = createCache();
+    cache.set('one', 'first', 'default', opts);
+    cache.set('two', 'second', 'default', opts);
+
+    // As if the rewrite had stopped after the first entry
+    const storage = new JSONStorage(cachePath);
+    const { hash, ...entry } = new EncryptedStorage(storage, { key: Buffer.from(KEY, 'hex') }).list()[0];
+    new EncryptedStorage(storage, { key: Buffer.from(OTHER_KEY, 'hex') }).set(hash, entry);
+
+    expect(await cache.rekeyAsync(Buffer.from(OTHER_KEY, 'hex'), opts)).toMatchObject({ success: true, entries: 2 });
+    process.env[KEY_ENV] = OTHER_KEY;
+    expect(cache.get('one', 'default', opts).response).toBe('first');
+    expect(cache.get('two', 'default', opts).response).toBe('second');
+  });
+
+  test('rewrites enc:v1 values bound to their entries', async () => {
+    const { cachePath, opts } = createCache();
+    process.env[KEY_ENV] = Buffer.alloc(32, 7).toString('hex');
+    const hash = cache.hashPrompt('old', 'default');
+    new JSONStorage(cachePath).set(hash, {
+      prompt: 'old',
+      response: 'enc:v1:4bb06f8e:slOjLNnFDPxtZaHrQTYH6ywimSf8Wqcsfc1zD8ObcbEP',
+      model: 'default',
+      created: new Date().toISOString(),
+      hits: 0,
+    });
+    expect(cache.get('old', 'default', opts).response).toBe('hello');
+
+    await cache.rekeyAsync(Buffer.alloc(32, 7), opts);
+    expect(new JSONStorage(cachePath).get(hash).response).toMatch(/^enc:v2:4bb06f8e:/);
+    expect(cache.get('old', 'default', opts).response).toBe('hello');
+  });
+
+  test('leaves the cache unchanged when the current key is wrong', async () => {
+    process.env[KEY_ENV] = KEY;
+    const { opts } = createCache();
+    cache.set('kept', 'value', 'default', opts);
+
+    process.env[KEY_ENV] = OTHER_KEY;
+    expect(await cache.rekeyAsync(Buffer.from(generateKey(), 'hex'), opts)).toMatchObject({ success: false });
+
+    process.env[KEY_ENV] = KEY;
+    expect(cache.get('kept', 'default', opts).response).toBe('value');
+  });
+
+  test('command generates a key file and updates the keyFile setting', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { cachePath, opts } = createCache();
+    fs.writeFileSync(path.join(cachePath, 'old.key'), KEY);
+    setConfigValue(cachePath, 'keyFile', 'old.key');
+    cache.set('rotated', 'value', 'default', opts);
+
+    const newKeyFile = path.join(TEST_DIR, `rotated-${counter++}.key`);
+    const result = await rekeyCommand.execute({ path: cachePath, newKeyFile });
+
+    expect(result).toMatchObject({ success: true, entries: 1 });
+    expect(fs.existsSync(newKeyFile)).toBe(true);
+    expect(loadKey(cachePath)).toEqual(parseKey(fs.readFileSync(newKeyFile, 'utf-8')));
+    expect(cache.get('rotated', 'default', opts).response).toBe('value');
+  });
+
+  test('command removes the key it generated when the cache is unchanged', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    process.env[KEY_ENV] = KEY;
+    const { cachePath, opts } = createCache();
+    cache.set('kept', 'value', 'default', opts);
+
+    process.env[KEY_ENV] = OTHER_KEY;
+    const newKeyFile = path.join(TEST_DIR, `failed-${counter++}.key`);
+    expect(await rekeyCommand.execute({ path: cachePath, newKeyFile })).toMatchObject({ success: false });
+
+    expect(fs.existsSync(newKeyFile)).toBe(false);
+    expect(console.log.mock.calls.flat().join('\n')).toContain('The cache is unchanged');
+  });
+
+  test.each([
+    [BACKENDS.SQLITE, true],
+    [BACKENDS.JSON, false],
+  ])('command after a failed rewrite of a %s cache (unchanged: %s)', async (backend, unchanged) => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { cachePath, opts } = createCache(backend);
+    cache.set('entry', 'value', 'default', opts);
+
+    const Storage = backend === BACKENDS.SQLITE ? SQLiteStorage : JSONStorage;
+    jest.spyOn(Storage.prototype, 'importData').mockReturnValue({ success: false, message: 'disk full' });
+
+    const newKeyFile = path.join(TEST_DIR, `partial-${counter++}.key`);
+    expect(await rekeyCommand.execute({ path: cachePath, newKeyFile })).toMatchObject({ success: false, started: true });
+
+    const output = console.log.mock.calls.flat().join('\n');
+    expect(output.includes('The cache is unchanged')).toBe(unchanged);
+    expect(fs.existsSync(newKeyFile)).toBe(!unchanged);
+  });
+
+  test('command needs a new key or --decrypt', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { cachePath } = createCache();
+    expect(await rekeyCommand.execute({ path: cachePath })).toMatchObject({ success: false });
+  });
+});
+
+describe('EncryptedStorage', () => {
+  test('hides the SQLite index only when a key is set', () => {
+    const raw = new JSONStorage(path.join(TEST_DIR, 'wrapped'));
+    raw.search = () => [];
+    expect(new EncryptedStorage(raw).search('x')).toEqual([]);
+    expect(new EncryptedStorage(raw, { key: Buffer.from(KEY, 'hex') }).search('x')).toBeNull();
+  });
+});
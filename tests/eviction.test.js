@@ -0,0 +1,150 @@
+/**
+ * Eviction tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { selectVictims, entrySize } = require('../src/core/eviction');
+const { setConfigValue } = require('../src/core/config');
+const { BACKENDS, JSONStorage, SQLiteStorage } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-eviction-test-' + Date.now());
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+const entry = (hash, created, lastAccessed, hits) => ({
+  hash,
+  prompt: 'p',
+  response: 'r',
+  created: `2024-01-0${created}T00:00:00.000Z`,
+  lastAccessed: `2024-02-0${lastAccessed}T00:00:00.000Z`,
+  hits,
+});
+
+describe('selectVictims', () => {
+  // created order: a, b, c; last used: b, c, a; hits: c < a < b
+  const entries = [entry('a', 1, 3, 5), entry('b', 2, 1, 9), entry('c', 3, 2, 0), entry('new', 4, 4, 0)];
+
+  test('returns nothing within limits', () => {
+    expect(selectVictims(entries, { eviction: 'lru', maxEntries: 4 }, 'new')).toEqual([]);
+  });
+
+  test('lru evicts least recently used', () => {
+    expect(selectVictims(entries, { eviction: 'lru', maxEntries: 2 }, 'new')).toEqual(['b', 'c']);
+  });
+
+  test('lfu evicts least frequently used', () => {
+    expect(selectVictims(entries, { eviction: 'lfu', maxEntries: 2 }, 'new')).toEqual(['c', 'a']);
+  });
+
+  test('fifo evicts oldest created', () => {
+    expect(selectVictims(entries, { eviction: 'fifo', maxEntries: 2 }, 'new')).toEqual(['a', 'b']);
+  });
+
+  test('maxBytes evicts until the total fits', () => {
+    const size = entrySize(entries[0]);
+    expect(selectVictims(entries, { eviction: 'fifo', maxBytes: size * 3 }, 'new')).toEqual(['a']);
+  });
+
+  test('never evicts the entry being written', () => {
+    expect(selectVictims(entries, { eviction: 'fifo', maxEntries: 1 }, 'new')).toEqual(['a', 'b', 'c']);
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('eviction on set (%s)', (backend) => {
+  const cachePath = path.join(TEST_DIR, backend);
+  const opts = { customPath: cachePath };
+
+  beforeAll(() => {
+    cache.init({ ...opts, backend });
+    setConfigValue(cachePath, 'maxEntries', '2');
+    setConfigValue(cachePath, 'eviction', 'lru');
+  });
+
+  test('keeps the most recently used entries', async () => {
+    cache.set('first', 'r1', 'default', opts);
+    await new Promise(r => setTimeout(r, 5));
+    cache.set('second', 'r2', 'default', opts);
+    await new Promise(r => setTimeout(r, 5));
+    cache.get('first', 'default', opts);
+
+    const result = cache.set('third', 'r3', 'default', opts);
+    expect(result.evicted).toBe(1);
+
+    expect(cache.get('second', 'default', opts)).toBeNull();
+    expect(cache.get('first', 'default', opts)).not.toBeNull();
+    expect(cache.get('third', 'default', opts)).not.toBeNull();
+  });
+
+  test('reports evictions in stats', () => {
+    expect(cache.stats(opts)).toMatchObject({ entries: 2, evictions: 1 });
+  });
+
+  test('records lastAccessed on write and read', () => {
+    const entries = cache.exportCache(opts).entries;
+    expect(Object.keys(entries)).toHaveLength(2);
+    for (const e of Object.values(entries)) {
+      expect(new Date(e.lastAccessed).getTime()).toBeGreaterThanOrEqual(new Date(e.created).getTime());
+    }
+  });
+});
+
+describe('async eviction', () => {
+  test('setAsync enforces limits', async () => {
+    const cachePath = path.join(TEST_DIR, 'async');
+    const opts = { customPath: cachePath };
+    cache.init(opts);
+    setConfigValue(cachePath, 'maxBytes', '10');
+
+    await cache.setAsync('aaaa', 'bbbb', 'default', opts);
+    const result = await cache.setAsync('cccc', 'dddd', 'default', opts);
+
+    expect(result.evicted).toBe(1);
+    expect((await cache.statsAsync(opts)).evictions).toBe(1);
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('maxBytes (%s)', (backend) => {
+  test('lists entries only once the limit is exceeded', () => {
+    const cachePath = path.join(TEST_DIR, `bytes-${backend}`);
+    const opts = { customPath: cachePath };
+    cache.init({ ...opts, backend });
+    setConfigValue(cachePath, 'maxBytes', '20');
+
+    const Storage = backend === BACKENDS.SQLITE ? SQLiteStorage : JSONStorage;
+    const list = jest.spyOn(Storage.prototype, 'list');
+
+    cache.set('aaaa', 'bbbb', 'default', opts);
+    cache.set('cccc', 'dddd', 'default', opts);
+    expect(list).not.toHaveBeenCalled();
+
+    expect(cache.set('eeee', 'ffff', 'default', opts).evicted).toBe(1);
+    expect(list).toHaveBeenCalledTimes(1);
+    expect(cache.stats(opts).entries).toBe(2);
+    list.mockRestore();
+  });
+});
+
+describe('SQLite lastAccessed column', () => {
+  test('stores lastAccessed as a column', () => {
+    const storage = new SQLiteStorage(path.join(TEST_DIR, BACKENDS.SQLITE));
+    const row = storage.open().prepare('SELECT lastAccessed, extra FROM entries LIMIT 1').get();
+    expect(row.lastAccessed).toBeTruthy();
+    expect(row.extra).toBeNull();
+    storage.close();
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Expiry filtering and sweeping tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { setConfigValue } = require('../src/core/config');
+const { BACKENDS, SQLiteStorage, toAsync } = require('../src/core/storage');
+const { findSimilar, buildIndex } = require('../src/core/similarity');
+const cache = require('../src/core/cache');
+const pruneCommand = require('../src/commands/prune');
+const syncCommand = require('../src/commands/sync');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-expiry-test-' + Date.now());
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @param {string} [sweepInterval] - 'off' keeps expired entries on disk
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON, sweepInterval = null) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  if (sweepInterval) setConfigValue(cachePath, 'sweepInterval', sweepInterval);
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * Write an entry straight to storage, bypassing TTL parsing and sweeps
+ * @param {Object} opts
+ * @param {string} prompt
+ * @param {number} days - From now until it expires; negative for the past
+ * @param {number} [age=0] - Days since it was created
+ */
+function put(opts, prompt, days, age = 0) {
+  const created = new Date(Date.now() - age * 86400000).toISOString();
+  cache.getStorage(opts).set(cache.hashPrompt(prompt, 'default'), {
+    prompt,
+    response: `answer to ${prompt}`,
+    model: 'default',
+    created,
+    lastAccessed: created,
+    hits: 0,
+    expires: new Date(Date.now() + days * 86400000).toISOString(),
+  });
+}
+
+/**
+ * Whether storage still holds an entry
+ * @param {Object} opts
+ * @param {string} prompt
+ * @returns {boolean}
+ */
+function onDisk(opts, prompt) {
+  return cache.getStorage(opts).get(cache.hashPrompt(prompt, 'default')) !== null;
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  describe('read paths skip expired entries', () => {
+    let opts;
+
+    beforeAll(() => {
+      ({ opts } = createCache(backend, 'off'));
+      put(opts, 'weather today', -1);
+      put(opts, 'weather tomorrow', 1, 1);
+      put(opts, 'weather next week', 7, 2);
+    });
+
+    test('list, including with a limit', async () => {
+      expect(cache.list(opts).map(e => e.prompt)).toEqual(['weather tomorrow', 'weather next week']);
+      expect((await cache.listAsync({ ...opts, limit: 1 })).map(e => e.prompt)).toEqual(['weather tomorrow']);
+    });
+
+    test('search', async () => {
+      expect(cache.search('weather', opts)).toHaveLength(2);
+      expect((await cache.searchAsync('today', opts))).toEqual([]);
+    });
+
+    test('stats', async () => {
+      expect(cache.stats(opts).entries).toBe(2);
+      expect((await cache.statsAsync(opts)).newestEntry).toBe(cache.list(opts)[0].created);
+    });
+
+    test('export', async () => {
+      expect(Object.values(cache.exportCache(opts).entries).map(e => e.prompt).sort())
+        .toEqual(['weather next week', 'weather tomorrow']);
+      expect(Object.keys((await cache.exportCacheAsync(opts)).entries)).toHaveLength(2);
+    });
+
+    test('findSimilar and generations', async () => {
+      const { results } = findSimilar('weather today', cache.getStorage(opts), { threshold: 0 });
+      expect(results.map(r => r.prompt)).not.toContain('weather today');
+      expect((await cache.generationsAsync(opts))[0].entries).toBe(2);
+    });
+
+    test('buildIndex, sync and async', async () => {
+      expect(buildIndex(cache.getStorage(opts)).entryCount).toBe(2);
+      expect((await buildIndex(toAsync(cache.getStorage(opts)))).entryCount).toBe(2);
+    });
+
+    test('leaves them on disk while sweeping is off', () => {
+      expect(onDisk(opts, 'weather today')).toBe(true);
+    });
+  });
+
+  test('sweeps expired entries when the cache is opened', () => {
+    const { opts } = createCache(backend);
+    put(opts, 'old news', -1);
+    put(opts, 'fresh news', 1);
+
+    expect(cache.stats(opts).entries).toBe(1);
+    expect(onDisk(opts, 'old news')).toBe(false);
+    expect(onDisk(opts, 'fresh news')).toBe(true);
+  });
+
+  test('prune --expired deletes expired entries', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { cachePath, opts } = createCache(backend, 'off');
+    put(opts, 'a', -1);
+    put(opts, 'b', -2);
+    put(opts, 'c', 1);
+
+    expect(await pruneCommand.execute({ path: cachePath, expired: true })).toEqual({ success: true, removed: 2 });
+    expect(onDisk(opts, 'a')).toBe(false);
+    expect(onDisk(opts, 'c')).toBe(true);
+    expect(await pruneCommand.execute({ path: cachePath, expired: true })).toEqual({ success: true, removed: 0 });
+    console.log.mockRestore();
+  });
+});
+
+describe('sqlite', () => {
+  test('indexes expiry times', () => {
+    const { cachePath } = createCache(BACKENDS.SQLITE);
+    const storage = new SQLiteStorage(cachePath);
+    storage.open();
+
+    const plan = storage.db.prepare('EXPLAIN QUERY PLAN DELETE FROM entries WHERE expires IS NOT NULL AND expires < ?')
+      .all(new Date().toISOString());
+    expect(plan.map(step => step.detail).join(' ')).toContain('idx_expires');
+    storage.close();
+  });
+});
+
+describe('sync push', () => {
+  test('does not ship expired entries', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    const { cachePath, opts } = createCache(BACKENDS.JSON, 'off');
+    const remote = path.join(TEST_DIR, 'remote');
+    put(opts, 'expired', -1);
+    put(opts, 'live', 1);
+
+    expect(await syncCommand.execute('push', { path: cachePath, remote })).toEqual({ success: true, pushed: 1 });
+    const pushed = JSON.parse(fs.readFileSync(path.join(remote, 'llmcache-sync.json'), 'utf-8'));
+    expect(Object.values(pushed.entries).map(e => e.prompt)).toEqual(['live']);
+    console.log.mockRestore();
+  });
+});
+
+describe('sweepInterval', () => {
+  test('accepts durations and off', () => {
+    const { cachePath } = createCache();
+    expect(setConfigValue(cachePath, 'sweepInterval', '15M').value).toBe('15m');
+    expect(setConfigValue(cachePath, 'sweepInterval', 'off').value).toBe('off');
+    expect(setConfigValue(cachePath, 'sweepInterval', '0h').success).toBe(false);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Cache generation tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { bumpGeneration, rollbackGeneration, listGenerations } = require('../src/core/generations');
+const { loadConfig } = require('../src/core/config');
+const { BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const invalidateCommand = require('../src/commands/invalidate');
+const pruneCommand = require('../src/commands/prune');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-generations-test-' + Date.now());
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('hashPrompt', () => {
+  test('salts keys with the generation, except generation 0', () => {
+    expect(cache.hashPrompt('p', 'm', { generation: 0 })).toBe(cache.hashPrompt('p', 'm'));
+    expect(cache.hashPrompt('p', 'm', { generation: 1 })).not.toBe(cache.hashPrompt('p', 'm'));
+    expect(cache.hashPrompt('p', 'm', { generation: 2 })).not.toBe(cache.hashPrompt('p', 'm', { generation: 1 }));
+  });
+});
+
+describe('generation history', () => {
+  test('bumps to a new number and records why', () => {
+    const { cachePath } = createCache();
+    expect(bumpGeneration(cachePath, 'new system prompt')).toEqual({ success: true, generation: 1, previous: 0 });
+    expect(bumpGeneration(cachePath)).toMatchObject({ generation: 2, previous: 1 });
+
+    expect(listGenerations(loadConfig(cachePath))).toEqual([
+      { generation: 0, created: null, note: null, current: false },
+      { generation: 1, created: expect.any(String), note: 'new system prompt', current: false },
+      { generation: 2, created: expect.any(String), note: null, current: true },
+    ]);
+  });
+
+  test('rolls back to the previous or a given generation', () => {
+    const { cachePath } = createCache();
+    expect(rollbackGeneration(cachePath)).toMatchObject({ success: false, error: expect.stringContaining('No earlier') });
+
+    bumpGeneration(cachePath);
+    bumpGeneration(cachePath);
+    expect(rollbackGeneration(cachePath)).toEqual({ success: true, generation: 1, previous: 2 });
+    expect(rollbackGeneration(cachePath, 2)).toMatchObject({ success: true, generation: 2 });
+    expect(rollbackGeneration(cachePath, 7)).toMatchObject({ success: false, error: expect.stringContaining('Unknown generation') });
+    expect(rollbackGeneration(cachePath, 2)).toMatchObject({ success: false, error: expect.stringContaining('already current') });
+
+    // A bump after a rollback still gets a fresh number
+    rollbackGeneration(cachePath, 0);
+    expect(bumpGeneration(cachePath).generation).toBe(3);
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  test('a bump invalidates every entry and a rollback restores them', async () => {
+    const { cachePath, opts } = createCache(backend);
+    cache.set('What is AI?', 'old answer', 'gpt-4', opts);
+
+    bumpGeneration(cachePath);
+    expect(cache.get('What is AI?', 'gpt-4', opts)).toBeNull();
+
+    await cache.setAsync('What is AI?', 'new answer', 'gpt-4', opts);
+    expect((await cache.getAsync('What is AI?', 'gpt-4', opts)).response).toBe('new answer');
+    expect(cache.stats(opts).entries).toBe(2);
+
+    rollbackGeneration(cachePath);
+    expect(cache.get('What is AI?', 'gpt-4', opts).response).toBe('old answer');
+  });
+
+  test('counts and prunes entries per generation', async () => {
+    const { cachePath, opts } = createCache(backend);
+    cache.set('one', 'a', 'default', opts);
+    cache.set('two', 'b', 'default', opts);
+    bumpGeneration(cachePath);
+    cache.set('one', 'c', 'default', opts);
+
+    expect((await cache.generationsAsync(opts)).map(g => [g.generation, g.entries])).toEqual([[0, 2], [1, 1]]);
+    expect(cache.list(opts).map(e => e.generation).sort()).toEqual([0, 0, 1]);
+
+    expect(await cache.pruneGenerationsAsync(opts)).toEqual({ success: true, removed: 2 });
+    expect(cache.get('one', 'default', opts).response).toBe('c');
+    expect(cache.stats(opts).entries).toBe(1);
+  });
+});
+
+describe('migrate', () => {
+  test('keeps entries in their generation', async () => {
+    const { cachePath, opts } = createCache();
+    bumpGeneration(cachePath);
+    const legacy = cache.hashPrompt('legacy', 'default', { generation: 1 }).slice(0, cache.LEGACY_HASH_LENGTH);
+    const now = new Date().toISOString();
+    cache.getStorage(opts).set(legacy, { prompt: 'legacy', response: 'kept', model: 'default', created: now, hits: 0, generation: 1 });
+
+    expect(await cache.upgradeKeysAsync(opts)).toMatchObject({ upgraded: 1 });
+    expect(cache.get('legacy', 'default', opts).response).toBe('kept');
+  });
+});
+
+describe('commands', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  test('invalidate bumps, lists and rolls back', async () => {
+    const { cachePath } = createCache();
+
+    expect(await invalidateCommand.execute({ path: cachePath, bump: true, note: 'gpt-4o snapshot' })).toMatchObject({ success: true, generation: 1 });
+    const shown = await invalidateCommand.execute({ path: cachePath });
+    expect(shown.generations.find(g => g.current)).toMatchObject({ generation: 1, note: 'gpt-4o snapshot' });
+
+    expect(await invalidateCommand.execute({ path: cachePath, rollback: '0' })).toMatchObject({ success: true, generation: 0 });
+    expect(await invalidateCommand.execute({ path: cachePath, rollback: 'latest' })).toMatchObject({ success: false });
+  });
+
+  test('prune needs --generations', async () => {
+    const { cachePath, opts } = createCache();
+    cache.set('old', 'x', 'default', opts);
+    bumpGeneration(cachePath);
+
+    expect(await pruneCommand.execute({ path: cachePath })).toMatchObject({ success: false });
+    expect(await pruneCommand.execute({ path: cachePath, generations: true })).toEqual({ success: true, removed: 1 });
+  });
+});
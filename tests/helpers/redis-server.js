@@ -0,0 +1,243 @@
+/**
+ * In-process RESP stand-in for Redis
+ *
+ * Implements the subset of commands RedisStorage uses, including
+ * MULTI/EXEC with WATCH and key expiry, so tests don't need a real server.
+ */
+
+const net = require('net');
+const { parseReply } = require('../../src/core/resp');
+
+function simple(str) {
+  return `+${str}\r\n`;
+}
+
+function integer(n) {
+  return `:${n}\r\n`;
+}
+
+function bulk(str) {
+  if (str === null || str === undefined) return '$-1\r\n';
+  return `$${Buffer.byteLength(str)}\r\n${str}\r\n`;
+}
+
+function array(items) {
+  return `*${items.length}\r\n` + items.map(bulk).join('');
+}
+
+function errorReply(msg) {
+  return `-${msg}\r\n`;
+}
+
+/**
+ * Start a stand-in server on a random port
+ * @returns {Promise<Object>} { url, port, data, restart, close }
+ */
+function createRedisServer() {
+  const data = new Map();
+  // Writes per key, so EXEC can tell whether a watched key changed
+  const versions = new Map();
+  let flushes = 0;
+
+  const WRITES = ['DEL', 'HSET', 'HINCRBY', 'SADD', 'SREM', 'PEXPIREAT'];
+
+  function version(key) {
+    return `${flushes}:${versions.get(key) || 0}`;
+  }
+
+  function touch(name, args) {
+    if (name === 'FLUSHDB') flushes++;
+    if (!WRITES.includes(name)) return;
+    for (const key of name === 'DEL' ? args : [args[0]]) {
+      versions.set(key, (versions.get(key) || 0) + 1);
+    }
+  }
+
+  function live(key) {
+    const item = data.get(key);
+    if (!item) return null;
+    if (item.expiresAt && item.expiresAt <= Date.now()) {
+      data.delete(key);
+      return null;
+    }
+    return item;
+  }
+
+  function ofType(key, type, create) {
+    let item = live(key);
+    if (!item && create) {
+      item = { type, value: type === 'hash' ? new Map() : new Set() };
+      data.set(key, item);
+    }
+    if (item && item.type !== type) {
+      throw new Error('WRONGTYPE Operation against a key holding the wrong kind of value');
+    }
+    return item;
+  }
+
+  const commands = {
+    PING: () => simple('PONG'),
+    AUTH: () => simple('OK'),
+    SELECT: () => simple('OK'),
+    FLUSHDB: () => {
+      data.clear();
+      return simple('OK');
+    },
+    EXISTS: (keys) => integer(keys.filter(k => live(k)).length),
+    DEL: (keys) => {
+      let n = 0;
+      for (const k of keys) {
+        if (live(k)) n++;
+        data.delete(k);
+      }
+      return integer(n);
+    },
+    HSET: ([key, ...pairs]) => {
+      const item = ofType(key, 'hash', true);
+      let added = 0;
+      for (let i = 0; i < pairs.length; i += 2) {
+        if (!item.value.has(pairs[i])) added++;
+        item.value.set(pairs[i], pairs[i + 1]);
+      }
+      return integer(added);
+    },
+    HGET: ([key, field]) => {
+      const item = ofType(key, 'hash');
+      return bulk(item ? item.value.get(field) : null);
+    },
+    HGETALL: ([key]) => {
+      const item = ofType(key, 'hash');
+      const out = [];
+      if (item) item.value.forEach((v, f) => out.push(f, v));
+      return array(out);
+    },
+    HINCRBY: ([key, field, delta]) => {
+      const item = ofType(key, 'hash', true);
+      const value = parseInt(item.value.get(field) || '0') + parseInt(delta);
+      item.value.set(field, String(value));
+      return integer(value);
+    },
+    SADD: ([key, ...members]) => {
+      const item = ofType(key, 'set', true);
+      let added = 0;
+      for (const m of members) {
+        if (!item.value.has(m)) added++;
+        item.value.add(m);
+      }
+      return integer(added);
+    },
+    SREM: ([key, ...members]) => {
+      const item = ofType(key, 'set');
+      let removed = 0;
+      if (item) {
+        for (const m of members) {
+          if (item.value.delete(m)) removed++;
+        }
+      }
+      return integer(removed);
+    },
+    SMEMBERS: ([key]) => {
+      const item = ofType(key, 'set');
+      return array(item ? [...item.value] : []);
+    },
+    SCARD: ([key]) => {
+      const item = ofType(key, 'set');
+      return integer(item ? item.value.size : 0);
+    },
+    PEXPIREAT: ([key, at]) => {
+      const item = live(key);
+      if (!item) return integer(0);
+      item.expiresAt = parseInt(at);
+      return integer(1);
+    },
+    PTTL: ([key]) => {
+      const item = live(key);
+      if (!item) return integer(-2);
+      if (!item.expiresAt) return integer(-1);
+      return integer(item.expiresAt - Date.now());
+    },
+    QUIT: () => simple('OK'),
+  };
+
+  function run(name, args) {
+    const handler = commands[name];
+    if (!handler) return errorReply(`ERR unknown command '${name}'`);
+    try {
+      const reply = handler(args);
+      touch(name, args);
+      return reply;
+    } catch (e) {
+      return errorReply(e.message);
+    }
+  }
+
+  const server = net.createServer((socket) => {
+    let buffer = Buffer.alloc(0);
+    let queue = null;
+    let watched = new Map();
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+
+      let parsed;
+      while ((parsed = parseReply(buffer, 0))) {
+        buffer = buffer.subarray(parsed.offset);
+        const [rawName, ...args] = parsed.value;
+        const name = rawName.toUpperCase();
+
+        if (name === 'MULTI') {
+          queue = [];
+          socket.write(simple('OK'));
+        } else if (name === 'WATCH' && !queue) {
+          args.forEach(key => watched.set(key, version(key)));
+          socket.write(simple('OK'));
+        } else if (name === 'UNWATCH' && !queue) {
+          watched = new Map();
+          socket.write(simple('OK'));
+        } else if (name === 'EXEC') {
+          const changed = [...watched].some(([key, seen]) => version(key) !== seen);
+          const replies = changed ? null : (queue || []).map(([n, a]) => run(n, a));
+          queue = null;
+          watched = new Map();
+          socket.write(replies ? `*${replies.length}\r\n` + replies.join('') : '*-1\r\n');
+        } else if (queue) {
+          queue.push([name, args]);
+          socket.write(simple('QUEUED'));
+        } else {
+          socket.write(run(name, args));
+          if (name === 'QUIT') socket.end();
+        }
+      }
+    });
+
+    socket.on('error', () => {});
+  });
+
+  const sockets = new Set();
+  server.on('connection', (s) => {
+    sockets.add(s);
+    s.on('close', () => sockets.delete(s));
+  });
+
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      resolve({
+        port,
+        url: `redis://127.0.0.1:${port}`,
+        data,
+        // Drop every connection and listen again on the same port, keeping the data
+        restart: () => new Promise((done) => {
+          sockets.forEach(s => s.destroy());
+          server.close(() => server.listen(port, '127.0.0.1', done));
+        }),
+        close: () => new Promise((done) => {
+          sockets.forEach(s => s.destroy());
+          server.close(done);
+        }),
+      });
+    });
+  });
+}
+
+module.exports = { createRedisServer };
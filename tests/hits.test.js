@@ -0,0 +1,156 @@
+/**
+ * Deferred hit accounting tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { HitBuffer, HIT_BATCH } = require('../src/core/hits');
+const { BACKENDS, MemoryStorage, applyHits, toAsync } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const getCommand = require('../src/commands/get');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-hits-test-' + Date.now());
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * Entry as stored, without going through the cache API (which flushes)
+ * @param {Object} opts
+ * @param {string} prompt
+ * @returns {Object|null}
+ */
+function stored(opts, prompt) {
+  return cache.getStorage(opts).get(cache.hashPrompt(prompt, 'default'));
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('HitBuffer', () => {
+  test('counts hits and bytes per entry until taken', () => {
+    const buffer = new HitBuffer();
+    expect(buffer.take()).toBeNull();
+
+    expect(buffer.record('a', 10)).toBe(1);
+    expect(buffer.record('a', 10)).toBe(2);
+    buffer.record('b', 5);
+    expect(buffer.size).toBe(2);
+
+    const hits = buffer.take();
+    expect(hits.a).toMatchObject({ hits: 2, saved: 20, lastAccessed: expect.any(String) });
+    expect(hits.b).toMatchObject({ hits: 1, saved: 5 });
+    expect(buffer.size).toBe(0);
+  });
+});
+
+describe('applyHits', () => {
+  test('falls back to get and set on backends without recordHits', async () => {
+    const memory = toAsync(new MemoryStorage());
+    const storage = {
+      get: hash => memory.get(hash),
+      set: (hash, entry) => memory.set(hash, entry),
+      incrementStats: deltas => memory.incrementStats(deltas),
+      getStats: () => memory.getStats(),
+    };
+    await storage.set('a', { prompt: 'a', response: 'x', model: 'default', created: new Date().toISOString(), hits: 1 });
+
+    const lastAccessed = new Date().toISOString();
+    expect(await applyHits(storage, { a: { hits: 2, lastAccessed, saved: 2 }, gone: { hits: 1, lastAccessed, saved: 1 } }))
+      .toEqual({ success: true, updated: 1 });
+    expect(await storage.get('a')).toMatchObject({ hits: 3, lastAccessed });
+    expect(await storage.getStats()).toMatchObject({ totalHits: 3, totalSaved: 3 });
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  test('buffers hits and writes them in one batch', () => {
+    const { opts } = createCache(backend);
+    cache.set('What is AI?', 'AI is...', 'default', opts);
+
+    expect(cache.get('What is AI?', 'default', opts).hits).toBe(1);
+    expect(cache.get('What is AI?', 'default', opts).hits).toBe(2);
+    expect(stored(opts, 'What is AI?').hits).toBe(0);
+
+    expect(cache.flushHits(opts)).toEqual({ success: true, updated: 1 });
+    expect(stored(opts, 'What is AI?').hits).toBe(2);
+    expect(cache.stats(opts)).toMatchObject({ totalHits: 2, tokensSaved: 4 });
+    expect(cache.flushHits(opts)).toEqual({ success: true, updated: 0 });
+  });
+
+  test('reads through the cache API see pending hits', async () => {
+    const { opts } = createCache(backend);
+    await cache.setAsync('one', 'a', 'default', opts);
+    await cache.getAsync('one', 'default', opts);
+
+    expect((await cache.statsAsync(opts)).totalHits).toBe(1);
+    expect((await cache.listAsync(opts))[0].hits).toBe(1);
+  });
+
+  test('writes a full batch straight away', () => {
+    const { opts } = createCache(backend);
+    for (let i = 0; i < HIT_BATCH; i++) {
+      cache.set(`prompt ${i}`, 'x', 'default', opts);
+    }
+    for (let i = 0; i < HIT_BATCH - 1; i++) {
+      cache.get(`prompt ${i}`, 'default', opts);
+    }
+    expect(stored(opts, 'prompt 0').hits).toBe(0);
+
+    cache.get(`prompt ${HIT_BATCH - 1}`, 'default', opts);
+    expect(stored(opts, 'prompt 0').hits).toBe(1);
+    expect(cache.flushHits(opts).updated).toBe(0);
+  });
+
+  test('track: false writes nothing', async () => {
+    const { opts } = createCache(backend);
+    cache.set('quiet', 'shh', 'default', opts);
+
+    expect(cache.get('quiet', 'default', { ...opts, track: false })).toMatchObject({ response: 'shh', hits: 0 });
+    expect((await cache.getAsync('quiet', 'default', { ...opts, track: false })).hits).toBe(0);
+    expect(cache.stats(opts).totalHits).toBe(0);
+  });
+});
+
+describe('get command', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('writes the hit before returning, unless --no-track', async () => {
+    const { cachePath, opts } = createCache();
+    cache.set('cli', 'answer', 'default', opts);
+
+    await getCommand.execute('cli', { path: cachePath, raw: true });
+    expect(stored(opts, 'cli').hits).toBe(1);
+
+    await getCommand.execute('cli', { path: cachePath, raw: true, track: false });
+    expect(stored(opts, 'cli').hits).toBe(1);
+  });
+});
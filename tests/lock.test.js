@@ -0,0 +1,145 @@
+/**
+ * Lock module tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { spawnSync } = require('child_process');
+const { acquireLock, acquireLockAsync, releaseLock, withLock, writeFileAtomic, LockError } = require('../src/core/lock');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-lock-test-' + Date.now());
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('writeFileAtomic', () => {
+  test('writes content', () => {
+    const file = path.join(TEST_DIR, 'atomic.json');
+    writeFileAtomic(file, '{"a":1}');
+    expect(fs.readFileSync(file, 'utf-8')).toBe('{"a":1}');
+  });
+
+  test('replaces existing files without leaving temp files', () => {
+    const file = path.join(TEST_DIR, 'replace.json');
+    writeFileAtomic(file, 'old');
+    writeFileAtomic(file, 'new');
+    expect(fs.readFileSync(file, 'utf-8')).toBe('new');
+    expect(fs.readdirSync(TEST_DIR).filter(f => f.endsWith('.tmp'))).toEqual([]);
+  });
+});
+
+/**
+ * Set a file's modification time into the past
+ * @param {string} file
+ * @param {number} ms - How far back
+ */
+function backdate(file, ms) {
+  const then = new Date(Date.now() - ms);
+  fs.utimesSync(file, then, then);
+}
+
+describe('acquireLock/releaseLock', () => {
+  const lockPath = path.join(TEST_DIR, 'test.lock');
+
+  afterEach(() => {
+    fs.rmSync(lockPath, { force: true });
+  });
+
+  test('creates lock file with owner info', () => {
+    acquireLock(lockPath);
+    const owner = JSON.parse(fs.readFileSync(lockPath, 'utf-8'));
+    expect(owner.pid).toBe(process.pid);
+    expect(owner.host).toBe(os.hostname());
+
+    releaseLock(lockPath);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('throws LockError when held and retries are exhausted', () => {
+    acquireLock(lockPath);
+    expect(() => acquireLock(lockPath, { retries: 2, minDelay: 1 })).toThrow(LockError);
+  });
+
+  test('keeps old locks held by a live process on this host', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: os.hostname(), created: Date.now() - 60000 }));
+    backdate(lockPath, 60000);
+    expect(() => acquireLock(lockPath, { retries: 0 })).toThrow(LockError);
+  });
+
+  test('breaks locks from another host untouched past the stale timeout', () => {
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: process.pid, host: 'elsewhere', created: Date.now() - 60000 }));
+    expect(() => acquireLock(lockPath, { retries: 0 })).toThrow(LockError);
+
+    backdate(lockPath, 60000);
+    acquireLock(lockPath, { retries: 0 });
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).host).toBe(os.hostname());
+  });
+
+  test('breaks locks held by a dead process', () => {
+    const dead = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(lockPath, JSON.stringify({ pid: dead, host: os.hostname(), created: Date.now() }));
+    acquireLock(lockPath, { retries: 0 });
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid).toBe(process.pid);
+  });
+});
+
+describe('acquireLockAsync', () => {
+  const lockPath = path.join(TEST_DIR, 'async.lock');
+
+  afterEach(() => {
+    releaseLock(lockPath);
+  });
+
+  test('waits for the lock without blocking the event loop', async () => {
+    acquireLock(lockPath);
+    let ticks = 0;
+    const timer = setInterval(() => ticks++, 5);
+
+    const waiting = acquireLockAsync(lockPath, { minDelay: 20, maxDelay: 20 });
+    setTimeout(() => releaseLock(lockPath), 100);
+    await waiting;
+    clearInterval(timer);
+
+    expect(ticks).toBeGreaterThan(5);
+    expect(JSON.parse(fs.readFileSync(lockPath, 'utf-8')).pid).toBe(process.pid);
+  });
+
+  test('touches the lock while it is held across awaits', async () => {
+    await acquireLockAsync(lockPath, { stale: 40 });
+    backdate(lockPath, 60000);
+
+    await new Promise(r => setTimeout(r, 100));
+    expect(Date.now() - fs.statSync(lockPath).mtimeMs).toBeLessThan(5000);
+
+    releaseLock(lockPath);
+    await new Promise(r => setTimeout(r, 50));
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('gives up with LockError', async () => {
+    acquireLock(lockPath);
+    await expect(acquireLockAsync(lockPath, { retries: 2, minDelay: 1 })).rejects.toThrow(LockError);
+  });
+});
+
+describe('withLock', () => {
+  const lockPath = path.join(TEST_DIR, 'with.lock');
+
+  test('returns the function result and releases', () => {
+    expect(withLock(lockPath, () => 42)).toBe(42);
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+
+  test('releases the lock when the function throws', () => {
+    expect(() => withLock(lockPath, () => {
+      throw new Error('boom');
+    })).toThrow('boom');
+    expect(fs.existsSync(lockPath)).toBe(false);
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * In-memory backend tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { MemoryStorage, BACKENDS, createStorage } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+
+const entry = (prompt, extra = {}) => ({
+  prompt,
+  response: `response to ${prompt}`,
+  model: 'default',
+  created: new Date().toISOString(),
+  hits: 0,
+  ...extra,
+});
+
+describe('MemoryStorage', () => {
+  test('createStorage returns a memory backend without a path', () => {
+    const storage = createStorage(null, BACKENDS.MEMORY, { maxEntries: 5 });
+    expect(storage).toBeInstanceOf(MemoryStorage);
+    expect(storage.maxEntries).toBe(5);
+    expect(storage.init()).toEqual({ success: true });
+  });
+
+  test('implements set/get/delete/list', () => {
+    const storage = new MemoryStorage();
+
+    expect(storage.set('a', entry('a'))).toEqual({ success: true, isNew: true });
+    expect(storage.set('a', entry('a', { hits: 2 }))).toEqual({ success: true, isNew: false });
+    storage.set('b', entry('b', { model: 'gpt-4' }));
+
+    expect(storage.get('a').hits).toBe(2);
+    expect(storage.get('missing')).toBeNull();
+    expect(storage.list({ model: 'gpt-4' }).map(e => e.hash)).toEqual(['b']);
+    expect(storage.list({ sort: 'hits', limit: 1 })[0].hash).toBe('a');
+
+    expect(storage.delete('a')).toEqual({ success: true });
+    expect(storage.delete('a')).toEqual({ success: false });
+    expect(storage.getStats().totalEntries).toBe(1);
+  });
+
+  test('returns copies, not live entries', () => {
+    const storage = new MemoryStorage();
+    storage.set('a', entry('a'));
+    storage.get('a').hits = 99;
+    expect(storage.get('a').hits).toBe(0);
+  });
+
+  test('evicts least recently used entries over maxEntries', () => {
+    const storage = new MemoryStorage(null, { maxEntries: 2 });
+    storage.set('a', entry('a'));
+    storage.set('b', entry('b'));
+    storage.get('a');
+    storage.set('c', entry('c'));
+
+    expect(storage.get('b')).toBeNull();
+    expect(storage.list().map(e => e.hash).sort()).toEqual(['a', 'c']);
+    expect(storage.getStats().evictions).toBe(1);
+  });
+
+  test('evicts to stay within maxBytes', () => {
+    const storage = new MemoryStorage(null, { maxBytes: 100 });
+    storage.set('a', { prompt: 'a', response: 'x'.repeat(60) });
+    storage.set('b', { prompt: 'b', response: 'y'.repeat(60) });
+
+    expect(storage.get('a')).toBeNull();
+    expect(storage.getStats()).toMatchObject({ totalEntries: 1, cacheSize: 61 });
+  });
+
+  test('tracks stats', () => {
+    const storage = new MemoryStorage();
+    storage.updateStats({ costSaved: { 'gpt-4': 1 } });
+    storage.incrementStats({ totalHits: 2, totalSaved: 10 });
+    expect(storage.getStats()).toMatchObject({ totalHits: 2, totalSaved: 10, costSaved: { 'gpt-4': 1 } });
+
+    storage.set('a', entry('a'));
+    expect(storage.clear()).toEqual({ success: true, removed: 1 });
+    expect(storage.getStats()).toMatchObject({ totalEntries: 0, totalHits: 0, cacheSize: 0 });
+  });
+
+  test('seeds from an exportCache payload', () => {
+    const source = new MemoryStorage();
+    source.set('a', entry('a', { tags: ['x'] }));
+    source.incrementStats({ totalHits: 3 });
+
+    const seeded = new MemoryStorage(null, { data: source.exportData() });
+    expect(seeded.get('a')).toEqual(source.get('a'));
+    expect(seeded.getStats()).toMatchObject({ totalEntries: 1, totalHits: 3 });
+  });
+});
+
+describe('cache API with a storage instance', () => {
+  const missingPath = path.join(os.tmpdir(), 'llmcache-memory-never-created-' + Date.now());
+
+  test('works without a cache directory', () => {
+    const storage = new MemoryStorage();
+    const opts = { storage, customPath: missingPath };
+
+    expect(cache.set('What is AI?', 'AI is...', 'gpt-4', opts).success).toBe(true);
+    expect(cache.get('What is AI?', 'gpt-4', opts).response).toBe('AI is...');
+    expect(cache.stats(opts)).toMatchObject({ entries: 1, totalHits: 1 });
+    expect(cache.search('AI', opts)).toHaveLength(1);
+    expect(fs.existsSync(missingPath)).toBe(false);
+  });
+
+  test('async API leaves the instance open', async () => {
+    const storage = new MemoryStorage();
+    const close = jest.spyOn(storage, 'close');
+
+    await cache.setAsync('q', 'a', 'default', { storage });
+    expect((await cache.getAsync('q', 'default', { storage })).response).toBe('a');
+    expect(close).not.toHaveBeenCalled();
+  });
+
+  test('init refuses the memory backend', () => {
+    const result = cache.init({ customPath: missingPath, backend: BACKENDS.MEMORY });
+    expect(result.success).toBe(false);
+    expect(fs.existsSync(missingPath)).toBe(false);
+  });
+});
@@ -0,0 +1,234 @@
+/**
+ * Backend conversion tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { convertCache, checksumStorage } = require('../src/core/migrate');
+const { BACKENDS, createStorage, detectBackend, toAsync } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const { loadConfig, setConfigValue } = require('../src/core/config');
+const { createRedisServer } = require('./helpers/redis-server');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-migrate-test-' + Date.now());
+
+let server;
+
+beforeAll(async () => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  server = await createRedisServer();
+});
+
+afterAll(async () => {
+  await server.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Create a cache with a few entries covering every optional field
+ * @param {string} name
+ * @param {string} backend
+ * @returns {string} Cache path
+ */
+function createCache(name, backend) {
+  const cachePath = path.join(TEST_DIR, name);
+  const opts = { customPath: cachePath };
+  cache.init({ ...opts, backend });
+
+  cache.set('plain', 'response one', 'gpt-4', opts);
+  cache.set('tagged', 'response two', 'claude', { ...opts, tags: ['a', 'b'], ttl: '7d' });
+  cache.get('plain', 'gpt-4', opts);
+
+  const storage = createStorage(cachePath, backend);
+  storage.set('packed', {
+    prompt: 'p',
+    response: 'eJwrSS0u',
+    model: 'default',
+    created: new Date().toISOString(),
+    hits: 0,
+    tokens: 2,
+    compressed: true,
+  });
+  storage.updateStats({ costSaved: { 'gpt-4': 0.25 } });
+  if (storage.close) storage.close();
+
+  return cachePath;
+}
+
+/**
+ * Entries of a cache keyed by hash
+ * @param {string} cachePath
+ * @returns {Promise<Object>}
+ */
+async function snapshot(cachePath) {
+  const storage = toAsync(createStorage(cachePath, detectBackend(cachePath)));
+  const entries = {};
+  for await (const { hash, ...entry } of storage.iterate()) {
+    entries[hash] = entry;
+  }
+  const stats = await storage.getStats();
+  await storage.close();
+  return { entries, stats };
+}
+
+/**
+ * Sibling backup directories of a cache
+ * @param {string} cachePath
+ * @returns {Array<string>}
+ */
+function backupsOf(cachePath) {
+  const base = path.basename(cachePath);
+  return fs.readdirSync(path.dirname(cachePath)).filter(f => f.startsWith(base + '.') && f.includes('-backup-'));
+}
+
+describe('convertCache', () => {
+  test('converts JSON to SQLite without losing fields or stats', async () => {
+    const cachePath = createCache('json-to-sqlite', BACKENDS.JSON);
+    const before = await snapshot(cachePath);
+
+    const result = await convertCache(cachePath, BACKENDS.SQLITE);
+    expect(result).toMatchObject({ success: true, from: BACKENDS.JSON, to: BACKENDS.SQLITE, entries: 3 });
+    expect(detectBackend(cachePath)).toBe(BACKENDS.SQLITE);
+
+    const after = await snapshot(cachePath);
+    expect(after.entries).toEqual(before.entries);
+    expect(after.stats).toMatchObject({
+      totalEntries: 3,
+      totalHits: before.stats.totalHits,
+      totalSaved: before.stats.totalSaved,
+      costSaved: { 'gpt-4': 0.25 },
+    });
+  });
+
+  test('keeps the old store as a backup directory', async () => {
+    const cachePath = createCache('backup', BACKENDS.JSON);
+    const result = await convertCache(cachePath, BACKENDS.SQLITE);
+
+    expect(backupsOf(cachePath)).toEqual([path.basename(result.backup)]);
+    expect(detectBackend(result.backup)).toBe(BACKENDS.JSON);
+    expect(fs.existsSync(path.join(result.backup, 'index.lock'))).toBe(false);
+    expect(fs.readdirSync(TEST_DIR).filter(f => f.includes('.migrating-'))).toEqual([]);
+  });
+
+  test('carries cache settings over', async () => {
+    const cachePath = createCache('settings', BACKENDS.JSON);
+    setConfigValue(cachePath, 'maxEntries', '50');
+
+    await convertCache(cachePath, BACKENDS.SQLITE);
+    expect(loadConfig(cachePath).maxEntries).toBe(50);
+    expect(loadConfig(cachePath).backend).toBe(BACKENDS.SQLITE);
+  });
+
+  test('round-trips SQLite back to JSON with the same checksum', async () => {
+    const cachePath = createCache('round-trip', BACKENDS.SQLITE);
+    const before = await snapshot(cachePath);
+
+    const toJson = await convertCache(cachePath, BACKENDS.JSON);
+    const back = await convertCache(cachePath, BACKENDS.SQLITE);
+
+    expect(back.checksum).toBe(toJson.checksum);
+    expect((await snapshot(cachePath)).entries).toEqual(before.entries);
+  });
+
+  test('converts to Redis', async () => {
+    const cachePath = createCache('json-to-redis', BACKENDS.JSON);
+    const before = await snapshot(cachePath);
+
+    const result = await convertCache(cachePath, BACKENDS.REDIS, { url: server.url, prefix: 'migrated:' });
+    expect(result.success).toBe(true);
+    expect(detectBackend(cachePath)).toBe(BACKENDS.REDIS);
+    expect((await snapshot(cachePath)).entries).toEqual(before.entries);
+  });
+
+  test('inlines blob-stored responses when converting to Redis', async () => {
+    const cachePath = createCache('blobs-to-redis', BACKENDS.JSON);
+    const opts = { customPath: cachePath };
+    const big = 'x'.repeat(500);
+    setConfigValue(cachePath, 'blobThreshold', '100');
+    cache.set('big', big, 'gpt-4', opts);
+
+    const result = await convertCache(cachePath, BACKENDS.REDIS, { url: server.url, prefix: 'inlined:' });
+    expect(result).toMatchObject({ success: true, entries: 4 });
+    expect(fs.existsSync(path.join(cachePath, 'blobs'))).toBe(false);
+
+    const entry = await cache.getAsync('big', 'gpt-4', opts);
+    expect(entry.response).toBe(big);
+    expect(entry.blob).toBeUndefined();
+  });
+
+  test('leaves expired entries behind when converting to Redis', async () => {
+    const cachePath = createCache('expired-to-redis', BACKENDS.JSON);
+    const storage = createStorage(cachePath, BACKENDS.JSON);
+    const created = new Date(Date.now() - 120000).toISOString();
+    storage.set('expired', { prompt: 'old', response: 'gone', created, expires: new Date(Date.now() - 60000).toISOString() });
+
+    const result = await convertCache(cachePath, BACKENDS.REDIS, { url: server.url, prefix: 'expired:' });
+    expect(result).toMatchObject({ success: true, entries: 3 });
+    expect(server.data.has('expired:entry:expired')).toBe(false);
+  });
+
+  test('refuses a Redis target that already holds entries', async () => {
+    const cachePath = createCache('busy-redis', BACKENDS.JSON);
+    const other = toAsync(createStorage(path.join(TEST_DIR, 'other'), BACKENDS.REDIS, { url: server.url, prefix: 'busy:' }));
+    await other.set('existing', { prompt: 'p', response: 'r' });
+    await other.close();
+
+    const result = await convertCache(cachePath, BACKENDS.REDIS, { url: server.url, prefix: 'busy:' });
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('already holds entries');
+    expect(detectBackend(cachePath)).toBe(BACKENDS.JSON);
+    expect(server.data.has('busy:entry:existing')).toBe(true);
+  });
+
+  test('leaves the cache untouched when verification fails', async () => {
+    const cachePath = createCache('mismatch', BACKENDS.JSON);
+    const before = await snapshot(cachePath);
+
+    const iterate = jest.spyOn(require('../src/core/storage').SQLiteStorage.prototype, 'iterate')
+      .mockImplementation(function* () {
+        yield { hash: 'bogus', prompt: 'p', response: 'r' };
+      });
+
+    expect(await convertCache(cachePath, BACKENDS.SQLITE)).toMatchObject({ success: false, error: expect.stringContaining('mismatch') });
+    iterate.mockRestore();
+
+    expect(detectBackend(cachePath)).toBe(BACKENDS.JSON);
+    expect((await snapshot(cachePath)).entries).toEqual(before.entries);
+    expect(backupsOf(cachePath)).toEqual([]);
+    expect(fs.existsSync(path.join(cachePath, 'index.lock'))).toBe(false);
+  });
+
+  test('rejects converting to the current backend', async () => {
+    const cachePath = createCache('same', BACKENDS.JSON);
+    const result = await convertCache(cachePath, BACKENDS.JSON);
+    expect(result.success).toBe(false);
+    expect(result.error).toContain('already uses');
+  });
+});
+
+describe('checksumStorage', () => {
+  test('does not depend on entry order', async () => {
+    const a = createStorage(path.join(TEST_DIR, 'order-a'));
+    const b = createStorage(path.join(TEST_DIR, 'order-b'));
+    a.init();
+    b.init();
+
+    const x = { prompt: 'x', response: 'rx', created: '2024-01-01T00:00:00.000Z' };
+    const y = { prompt: 'y', response: 'ry', created: '2024-01-02T00:00:00.000Z' };
+    a.set('x', x);
+    a.set('y', y);
+    b.set('y', y);
+    b.set('x', x);
+
+    const [sumA, sumB] = await Promise.all([checksumStorage(toAsync(a)), checksumStorage(toAsync(b))]);
+    expect(sumA.hex()).toBe(sumB.hex());
+    expect(sumA.count).toBe(2);
+  });
+});
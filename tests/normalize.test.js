@@ -0,0 +1,140 @@
+/**
+ * Prompt normalization tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { createNormalizer, parseSteps, parseMasks, NORMALIZE_VERSION, DEFAULT_NORMALIZE } = require('../src/core/normalize');
+const { loadConfig, saveConfig, setConfigValue } = require('../src/core/config');
+const { BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-normalize-test-' + Date.now());
+
+const MASKS = {
+  '[0-9]{4}-[0-9]{2}-[0-9]{2}': '<date>',
+  '/[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/i': '<uuid>',
+};
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('createNormalizer', () => {
+  const normalize = createNormalizer({ normalizeVersion: NORMALIZE_VERSION, normalize: DEFAULT_NORMALIZE });
+
+  test('normalizes line endings, whitespace and surrounding space', () => {
+    expect(normalize('  Summarize:\r\n\tthe   text  \r\nbelow \n')).toBe('Summarize:\nthe text\nbelow');
+  });
+
+  test('keeps case unless lowercase is on', () => {
+    expect(normalize('Hello')).toBe('Hello');
+    const lower = createNormalizer({ normalizeVersion: NORMALIZE_VERSION, normalize: ['lowercase'] });
+    expect(lower('Hello World')).toBe('hello world');
+  });
+
+  test('masks volatile tokens', () => {
+    const masked = createNormalizer({ normalizeVersion: NORMALIZE_VERSION, normalize: [], normalizeMasks: MASKS });
+    expect(masked('Report for 2024-05-01, run 3F2504E0-4F89-11D3-9A0C-0305E82C3301'))
+      .toBe('Report for <date>, run <uuid>');
+  });
+
+  test('leaves prompts as given in caches without a version', () => {
+    const legacy = createNormalizer({ normalizeVersion: 0, normalize: DEFAULT_NORMALIZE });
+    expect(legacy(' as given ')).toBe(' as given ');
+  });
+
+  test('parses settings', () => {
+    expect(parseSteps('trim,LOWERCASE')).toEqual(['trim', 'lowercase']);
+    expect(parseSteps('none')).toEqual([]);
+    expect(parseSteps('stem')).toBeNull();
+    expect(parseMasks(JSON.stringify(MASKS))).toEqual(MASKS);
+    expect(parseMasks('{"[": "x"}')).toBeNull();
+    expect(parseMasks('{"a": 1}')).toBeNull();
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  test('records the pipeline version when created', () => {
+    const { cachePath } = createCache(backend);
+    expect(loadConfig(cachePath).normalizeVersion).toBe(NORMALIZE_VERSION);
+  });
+
+  test('hits on prompts that differ only in whitespace', () => {
+    const { opts } = createCache(backend);
+    cache.set('What is  AI?\r\n', 'AI is...', 'gpt-4', opts);
+
+    expect(cache.get('  What is AI?', 'gpt-4', opts)).toMatchObject({ response: 'AI is...' });
+    expect(cache.get('what is ai?', 'gpt-4', opts)).toBeNull();
+    expect(cache.list(opts)[0].prompt).toBe('What is  AI?\r\n');
+  });
+
+  test('applies lowercase and masks from the settings', async () => {
+    const { cachePath, opts } = createCache(backend);
+    setConfigValue(cachePath, 'normalize', 'trim,lowercase');
+    setConfigValue(cachePath, 'normalizeMasks', JSON.stringify(MASKS));
+
+    await cache.setAsync('Sales on 2024-01-31', 'many', 'default', opts);
+    expect((await cache.getAsync('SALES ON 2024-02-29 ', 'default', opts)).response).toBe('many');
+  });
+
+  test('normalizes the texts of structured requests', () => {
+    const { opts } = createCache(backend);
+    cache.set({ system: 'Be brief. ', messages: [{ role: 'user', content: 'Hi\r\n' }] }, 'Hello', 'default', opts);
+
+    expect(cache.get({ system: 'Be brief.', messages: [{ role: 'user', content: [{ type: 'text', text: ' Hi' }] }] }, 'default', opts)).toBeNull();
+    expect(cache.get({ system: 'Be brief.', messages: [{ role: 'user', content: ' Hi' }] }, 'default', opts)).toMatchObject({ response: 'Hello' });
+  });
+});
+
+describe('caches from before normalization', () => {
+  test('keep their keys until migrate re-keys them', async () => {
+    const { cachePath, opts } = createCache();
+    saveConfig(cachePath, { ...loadConfig(cachePath), normalizeVersion: 0 });
+
+    cache.set('  spaced  out ', 'kept', 'default', opts);
+    cache.set('plain', 'also kept', 'default', opts);
+    expect(cache.get('spaced out', 'default', opts)).toBeNull();
+    expect(cache.get('  spaced  out ', 'default', opts).response).toBe('kept');
+
+    expect(await cache.upgradeKeysAsync(opts)).toEqual({ success: true, upgraded: 1, skipped: 0 });
+    expect(loadConfig(cachePath).normalizeVersion).toBe(NORMALIZE_VERSION);
+    expect(cache.get('spaced out', 'default', opts).response).toBe('kept');
+    expect(cache.get('plain', 'default', opts).response).toBe('also kept');
+    expect(cache.stats(opts).entries).toBe(2);
+  });
+
+  test('have their exports re-keyed on import', () => {
+    const source = createCache();
+    saveConfig(source.cachePath, { ...loadConfig(source.cachePath), normalizeVersion: 0 });
+    cache.set('Exported\r\n', 'answer', 'default', source.opts);
+
+    const target = createCache();
+    cache.importCache(cache.exportCache(source.opts), target.opts);
+    expect(cache.get('Exported', 'default', target.opts).response).toBe('answer');
+  });
+});
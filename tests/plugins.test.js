@@ -0,0 +1,150 @@
+/**
+ * Backend registry and plugin tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { BACKENDS, MemoryStorage, registerBackend, persistentBackends, createStorage, detectBackend } = require('../src/core/storage');
+const { loadPlugins, envPlugins } = require('../src/core/plugins');
+const { saveConfig } = require('../src/core/config');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-plugins-test-' + Date.now());
+
+/**
+ * Memory-backed storage that marks its cache directory on init
+ * @param {string} marker - File name the detector looks for
+ * @returns {Function} Factory
+ */
+function markerFactory(marker) {
+  return (cachePath, options) => {
+    const storage = new MemoryStorage(cachePath, options);
+    storage.init = () => {
+      fs.mkdirSync(cachePath, { recursive: true });
+      fs.writeFileSync(path.join(cachePath, marker), '');
+      return { success: true };
+    };
+    return storage;
+  };
+}
+
+const hasFile = name => cachePath => fs.existsSync(path.join(cachePath, name));
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('registerBackend', () => {
+  test('makes a backend available to init, create and detect', () => {
+    registerBackend('marked', markerFactory('marked.db'), hasFile('marked.db'));
+    expect(persistentBackends()).toEqual([BACKENDS.JSON, BACKENDS.SQLITE, BACKENDS.REDIS, 'marked']);
+
+    const cachePath = path.join(TEST_DIR, 'marked');
+    expect(cache.init({ customPath: cachePath, backend: 'marked' })).toMatchObject({ success: true, backend: 'marked' });
+    expect(detectBackend(cachePath)).toBe('marked');
+    expect(createStorage(cachePath, 'marked')).toBeInstanceOf(MemoryStorage);
+  });
+
+  test('passes backend options to the factory', () => {
+    const factory = jest.fn(markerFactory('opts.db'));
+    registerBackend('with-options', factory, hasFile('opts.db'));
+
+    createStorage(TEST_DIR, 'with-options', { url: 'x://y' });
+    expect(factory).toHaveBeenCalledWith(TEST_DIR, { url: 'x://y' });
+  });
+
+  test('still falls back to JSON for unclaimed directories', () => {
+    registerBackend('never', markerFactory('never.db'), () => false);
+    const plain = path.join(TEST_DIR, 'plain');
+    fs.mkdirSync(plain, { recursive: true });
+    expect(detectBackend(plain)).toBe(BACKENDS.JSON);
+  });
+
+  test('lets a backend declare that it has no cache directory', () => {
+    registerBackend('scratch', (cachePath, options) => new MemoryStorage(cachePath, options), null, { persistent: false });
+    expect(persistentBackends()).not.toContain('scratch');
+    expect(createStorage(null, 'scratch')).toBeInstanceOf(MemoryStorage);
+    expect(() => registerBackend('odd', markerFactory('x'), () => false, { persistent: 'yes' })).toThrow('persistent must be true or false');
+  });
+
+  test('refuses unknown backends instead of falling back to JSON', () => {
+    expect(() => createStorage(TEST_DIR, 'missing')).toThrow('Unknown backend: missing');
+
+    // Created with a plugin that is not loaded now
+    const orphan = path.join(TEST_DIR, 'orphan');
+    fs.mkdirSync(orphan, { recursive: true });
+    saveConfig(orphan, { backend: 'unloaded' });
+    expect(() => detectBackend(orphan)).toThrow('Unknown backend: unloaded');
+    expect(() => cache.getStorage({ customPath: orphan })).toThrow('--plugin');
+  });
+
+  test('init records the backend in the cache config', () => {
+    const cachePath = path.join(TEST_DIR, 'recorded');
+    cache.init({ customPath: cachePath, backend: BACKENDS.SQLITE });
+    expect(JSON.parse(fs.readFileSync(path.join(cachePath, 'config.json'), 'utf-8')).backend).toBe(BACKENDS.SQLITE);
+  });
+
+  test('rejects duplicate and invalid registrations', () => {
+    expect(() => registerBackend(BACKENDS.SQLITE, markerFactory('x'), () => false)).toThrow('already registered');
+    expect(() => registerBackend('Bad Name', markerFactory('x'), () => false)).toThrow('Invalid backend name');
+    expect(() => registerBackend('nofactory', null, () => false)).toThrow('factory must be a function');
+    expect(() => registerBackend('nodetector', markerFactory('x'))).toThrow('detector must be a function');
+  });
+
+  test('init still rejects unknown and in-memory backends', () => {
+    expect(cache.init({ customPath: path.join(TEST_DIR, 'unknown'), backend: 'unknown' }).message).toBe('Unknown backend: unknown');
+    expect(cache.init({ customPath: path.join(TEST_DIR, 'mem'), backend: BACKENDS.MEMORY }).success).toBe(false);
+  });
+});
+
+describe('loadPlugins', () => {
+  const pluginPath = path.join(TEST_DIR, 'plugin.js');
+
+  beforeAll(() => {
+    fs.writeFileSync(pluginPath, `
+      const fs = require('fs');
+      const path = require('path');
+      module.exports = (llmcache) => {
+        llmcache.registerBackend('plugged', cachePath => new llmcache.MemoryStorage(cachePath),
+          cachePath => fs.existsSync(path.join(cachePath, 'plugged.db')));
+      };
+    `);
+  });
+
+  test('registers backends from a module path', () => {
+    expect(loadPlugins(['./plugin.js'], TEST_DIR)).toEqual([pluginPath]);
+
+    const dir = path.join(TEST_DIR, 'plugged');
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(path.join(dir, 'plugged.db'), '');
+    expect(detectBackend(dir)).toBe('plugged');
+  });
+
+  test('loads each plugin once', () => {
+    expect(loadPlugins([pluginPath, './plugin.js'], TEST_DIR)).toEqual([]);
+  });
+
+  test('reports missing and malformed plugins', () => {
+    fs.writeFileSync(path.join(TEST_DIR, 'not-a-plugin.js'), 'module.exports = {};');
+    expect(() => loadPlugins(['./missing.js'], TEST_DIR)).toThrow('Cannot find plugin ./missing.js');
+    expect(() => loadPlugins(['./not-a-plugin.js'], TEST_DIR)).toThrow('must export a function');
+  });
+
+  test('reads plugin names from LLMCACHE_PLUGINS', () => {
+    process.env.LLMCACHE_PLUGINS = ' a, ./b.js ,,';
+    expect(envPlugins()).toEqual(['a', './b.js']);
+    delete process.env.LLMCACHE_PLUGINS;
+    expect(envPlugins()).toEqual([]);
+  });
+});
@@ -0,0 +1,440 @@
+/**
+ * Redis backend tests (against the in-process RESP stand-in)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { RedisClient, encodeCommand, parseReply, parseRedisUrl } = require('../src/core/resp');
+const { RedisStorage, BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const similarCommand = require('../src/commands/similar');
+const costCommand = require('../src/commands/cost');
+const { createRedisServer } = require('./helpers/redis-server');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-redis-test-' + Date.now());
+
+let server;
+
+beforeAll(async () => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+  server = await createRedisServer();
+});
+
+afterAll(async () => {
+  await server.close();
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('RESP protocol', () => {
+  test('encodes commands as bulk string arrays', () => {
+    expect(encodeCommand(['SET', 'k', 'vé']).toString()).toBe('*3\r\n$3\r\nSET\r\n$1\r\nk\r\n$3\r\nvé\r\n');
+  });
+
+  test('parses simple, integer, bulk and nil replies', () => {
+    expect(parseReply(Buffer.from('+OK\r\n')).value).toBe('OK');
+    expect(parseReply(Buffer.from(':42\r\n')).value).toBe(42);
+    expect(parseReply(Buffer.from('$5\r\nhello\r\n')).value).toBe('hello');
+    expect(parseReply(Buffer.from('$-1\r\n')).value).toBeNull();
+  });
+
+  test('parses nested arrays', () => {
+    const reply = parseReply(Buffer.from('*2\r\n$1\r\na\r\n*1\r\n:1\r\n'));
+    expect(reply.value).toEqual(['a', [1]]);
+  });
+
+  test('returns null for incomplete replies', () => {
+    expect(parseReply(Buffer.from('$5\r\nhel'))).toBeNull();
+    expect(parseReply(Buffer.from('*2\r\n$1\r\na\r\n'))).toBeNull();
+  });
+
+  test('parses error replies', () => {
+    const reply = parseReply(Buffer.from('-ERR bad\r\n'));
+    expect(reply.value).toBeInstanceOf(Error);
+    expect(reply.value.message).toBe('ERR bad');
+  });
+
+  test('parses redis URLs', () => {
+    expect(parseRedisUrl('redis://:secret@cache.local:6380/2')).toMatchObject({
+      host: 'cache.local',
+      port: 6380,
+      password: 'secret',
+      db: 2,
+    });
+  });
+});
+
+describe('RedisClient', () => {
+  let client;
+
+  beforeAll(() => {
+    client = new RedisClient(server.url);
+  });
+
+  afterAll(async () => {
+    await client.quit();
+  });
+
+  test('sends commands', async () => {
+    expect(await client.command('PING')).toBe('PONG');
+  });
+
+  test('pipelines concurrent commands in order', async () => {
+    const replies = await Promise.all([
+      client.command('HSET', 'h', 'a', '1'),
+      client.command('HINCRBY', 'h', 'a', '2'),
+      client.command('HGET', 'h', 'a'),
+    ]);
+    expect(replies).toEqual([1, 3, '3']);
+  });
+
+  test('runs MULTI/EXEC transactions', async () => {
+    const replies = await client.multi([['SADD', 's', 'x'], ['SCARD', 's']]);
+    expect(replies).toEqual([1, 1]);
+  });
+
+  test('starts a watched transaction over when a watched key changes', async () => {
+    const other = new RedisClient(server.url);
+    await client.command('HSET', 'w', 'n', '1');
+
+    let reads = 0;
+    const replies = await client.watched(['w'], async () => {
+      const n = parseInt(await client.command('HGET', 'w', 'n'));
+      if (reads++ === 0) await other.command('HINCRBY', 'w', 'n', '10');
+      return [['HSET', 'w', 'n', String(n * 2)]];
+    });
+
+    expect(reads).toBe(2);
+    expect(replies).toEqual([0]);
+    expect(await client.command('HGET', 'w', 'n')).toBe('22');
+    await other.quit();
+  });
+
+  test('rejects on error replies', async () => {
+    await expect(client.command('NOPE')).rejects.toThrow('unknown command');
+  });
+
+  test('reconnects after the server restarts', async () => {
+    await client.command('HSET', 'kept', 'a', '1');
+    const dropped = new Promise(resolve => client.socket.once('close', resolve));
+    await server.restart();
+    await dropped;
+
+    expect(await client.command('HGET', 'kept', 'a')).toBe('1');
+    expect(await client.command('PING')).toBe('PONG');
+  });
+
+  test('rejects commands on a dropped connection instead of hanging', async () => {
+    await client.command('PING');
+    client.socket.destroy();
+
+    expect(await client.command('PING')).toBe('PONG');
+    await expect(client.send(['PING'])).resolves.toBe('PONG');
+    client.socket.destroy();
+    await expect(client.send(['PING'])).rejects.toThrow('closed');
+  });
+
+  test('rejects when the server is unreachable', async () => {
+    const dead = new RedisClient('redis://127.0.0.1:1');
+    await expect(dead.command('PING')).rejects.toThrow();
+  });
+});
+
+describe('RedisStorage', () => {
+  const storagePath = path.join(TEST_DIR, 'redis-storage');
+  let storage;
+
+  beforeAll(() => {
+    storage = new RedisStorage(storagePath, { url: server.url, prefix: 'test:' });
+    storage.init();
+  });
+
+  afterAll(async () => {
+    await storage.close();
+  });
+
+  describe('init', () => {
+    test('writes redis.json connection config', () => {
+      const config = JSON.parse(fs.readFileSync(path.join(storagePath, 'redis.json'), 'utf-8'));
+      expect(config.url).toBe(server.url);
+      expect(config.prefix).toBe('test:');
+    });
+
+    test('reopens using the stored config', async () => {
+      const reopened = new RedisStorage(storagePath);
+      await reopened.set('reopen', { prompt: 'p', response: 'r' });
+      expect(server.data.has('test:entry:reopen')).toBe(true);
+      await reopened.close();
+    });
+  });
+
+  describe('set/get', () => {
+    test('stores entries as hashes', async () => {
+      const entry = {
+        prompt: 'test prompt',
+        response: 'test response',
+        model: 'gpt-4',
+        created: new Date().toISOString(),
+        hits: 0,
+        tags: ['a', 'b'],
+        compressed: false,
+      };
+
+      const result = await storage.set('testhash', entry);
+      expect(result).toEqual({ success: true, isNew: true });
+      expect(server.data.get('test:entry:testhash').type).toBe('hash');
+
+      const retrieved = await storage.get('testhash');
+      expect(retrieved).toEqual(entry);
+    });
+
+    test('updates existing entry', async () => {
+      const result = await storage.set('testhash', { prompt: 'updated', response: 'r', hits: 5 });
+      expect(result.isNew).toBe(false);
+
+      const retrieved = await storage.get('testhash');
+      expect(retrieved).toEqual({ prompt: 'updated', response: 'r', hits: 5 });
+    });
+
+    test('returns null for nonexistent hash', async () => {
+      expect(await storage.get('nonexistent')).toBeNull();
+    });
+  });
+
+  describe('TTL', () => {
+    test('maps expires onto native key expiry', async () => {
+      const expires = new Date(Date.now() + 60000).toISOString();
+      await storage.set('ttl', { prompt: 'p', response: 'r', expires });
+      expect(server.data.get('test:entry:ttl').expiresAt).toBe(new Date(expires).getTime());
+    });
+
+    test('expired entries disappear from get and list', async () => {
+      await storage.set('gone', { prompt: 'p', response: 'r', expires: new Date(Date.now() - 1000).toISOString() });
+      expect(await storage.get('gone')).toBeNull();
+
+      const entries = await storage.list();
+      expect(entries.find(e => e.hash === 'gone')).toBeUndefined();
+    });
+  });
+
+  describe('delete', () => {
+    test('deletes existing entry', async () => {
+      await storage.set('deleteme', { prompt: 'delete', response: 'me' });
+      expect((await storage.delete('deleteme')).success).toBe(true);
+      expect(await storage.get('deleteme')).toBeNull();
+    });
+
+    test('returns false for nonexistent entry', async () => {
+      expect((await storage.delete('nonexistent')).success).toBe(false);
+    });
+  });
+
+  describe('list', () => {
+    test('returns entries with hash property', async () => {
+      const entries = await storage.list();
+      expect(entries.find(e => e.hash === 'testhash')).toBeDefined();
+    });
+
+    test('filters by model and limits results', async () => {
+      await storage.set('m1', { prompt: 'p', response: 'r', model: 'claude', created: new Date().toISOString() });
+      const entries = await storage.list({ model: 'claude', limit: 1 });
+      expect(entries).toHaveLength(1);
+      expect(entries[0].hash).toBe('m1');
+    });
+  });
+
+  describe('stats', () => {
+    test('counts entries', async () => {
+      const stats = await storage.getStats();
+      const entries = await storage.list();
+      expect(stats.totalEntries).toBe(entries.length);
+      expect(stats).toHaveProperty('cacheSize');
+    });
+
+    test('does not load entries', async () => {
+      const command = jest.spyOn(storage.connection(), 'command');
+      await storage.getStats();
+      expect(command.mock.calls.map(args => args[0]).sort()).toEqual(['HGETALL', 'SCARD']);
+      command.mockRestore();
+    });
+
+    test('keeps a running cacheSize', async () => {
+      const sized = new RedisStorage(path.join(TEST_DIR, 'redis-sized'), { url: server.url, prefix: 'sized:' });
+      sized.init();
+      const size = async () => (await sized.getStats()).cacheSize;
+
+      await sized.set('a', { prompt: 'pp', response: 'rrrr' });
+      await sized.set('b', { prompt: 'p', response: 'r' });
+      expect(await size()).toBe(8);
+
+      await sized.set('a', { prompt: 'pp', response: 'r' });
+      expect(await size()).toBe(5);
+      await sized.delete('b');
+      expect(await size()).toBe(3);
+
+      // Keys Redis expires itself are settled by the next listing
+      server.data.get('sized:entry:a').expiresAt = Date.now() - 1;
+      expect(await size()).toBe(3);
+      await sized.list();
+      expect(await sized.getStats()).toMatchObject({ totalEntries: 0, cacheSize: 0 });
+      await sized.close();
+    });
+
+    test('updateStats sets values', async () => {
+      await storage.updateStats({ totalHits: 10, costSaved: { 'gpt-4': 0.5 } });
+      const stats = await storage.getStats();
+      expect(stats.totalHits).toBe(10);
+      expect(stats.costSaved).toEqual({ 'gpt-4': 0.5 });
+    });
+
+    test('incrementStats adds to counters', async () => {
+      await storage.incrementStats({ totalHits: 2, totalSaved: 100 });
+      const stats = await storage.getStats();
+      expect(stats.totalHits).toBe(12);
+      expect(stats.totalSaved).toBe(100);
+    });
+  });
+
+  describe('export/import', () => {
+    test('exports the JSON backend layout', async () => {
+      const data = await storage.exportData();
+      expect(data.meta.backend).toBe(BACKENDS.REDIS);
+      expect(data.entries.testhash).toEqual({ prompt: 'updated', response: 'r', hits: 5 });
+      expect(data.stats.totalEntries).toBe(Object.keys(data.entries).length);
+    });
+
+    test('imports with skip-existing and replace strategies', async () => {
+      const data = {
+        entries: {
+          testhash: { prompt: 'imported', response: 'r' },
+          fresh: { prompt: 'fresh', response: 'r' },
+        },
+      };
+
+      const skipped = await storage.importData(data, 'skip-existing');
+      expect(skipped.imported).toBe(1);
+      expect((await storage.get('testhash')).prompt).toBe('updated');
+
+      const replaced = await storage.importData(data, 'replace');
+      expect(replaced.imported).toBe(2);
+      expect((await storage.get('testhash')).prompt).toBe('imported');
+    });
+  });
+
+  describe('recordHits', () => {
+    test('adds hits to entries that exist', async () => {
+      await storage.set('hit', { prompt: 'p', response: 'r', hits: 1 });
+      const lastAccessed = new Date().toISOString();
+
+      expect(await storage.recordHits({ hit: { hits: 2, lastAccessed, saved: 4 }, missing: { hits: 1, lastAccessed, saved: 1 } }))
+        .toEqual({ success: true, updated: 1 });
+      expect(await storage.get('hit')).toMatchObject({ hits: 3, lastAccessed });
+      expect(server.data.has('test:entry:missing')).toBe(false);
+    });
+
+    test('does not bring back an entry deleted while checking it', async () => {
+      await storage.set('racing', { prompt: 'p', response: 'r', hits: 0 });
+      const client = storage.hitsConnection();
+      const watched = client.watched.bind(client);
+      let deleted = false;
+      jest.spyOn(client, 'watched').mockImplementation((keys, read) => watched(keys, async () => {
+        const commands = await read();
+        if (!deleted) {
+          deleted = true;
+          await storage.delete('racing');
+        }
+        return commands;
+      }));
+
+      const lastAccessed = new Date().toISOString();
+      expect(await storage.recordHits({ racing: { hits: 1, lastAccessed, saved: 1 } })).toEqual({ success: true, updated: 0 });
+      expect(server.data.has('test:entry:racing')).toBe(false);
+      client.watched.mockRestore();
+    });
+  });
+
+  describe('clear', () => {
+    test('clears entries older than N days', async () => {
+      const old = new Date(Date.now() - 10 * 86400000).toISOString();
+      await storage.set('old', { prompt: 'p', response: 'r', created: old });
+
+      const result = await storage.clear({ olderThan: '7' });
+      expect(result.removed).toBe(1);
+      expect(await storage.get('old')).toBeNull();
+    });
+
+    test('clears all entries and stats', async () => {
+      const count = (await storage.list()).length;
+      const result = await storage.clear();
+      expect(result).toEqual({ success: true, removed: count });
+      expect(await storage.list()).toHaveLength(0);
+      expect((await storage.getStats()).totalHits).toBe(0);
+    });
+  });
+});
+
+describe('async cache API on Redis', () => {
+  const cachePath = path.join(TEST_DIR, 'redis-cache');
+  const opts = { customPath: cachePath };
+
+  beforeAll(() => {
+    cache.init({ ...opts, backend: BACKENDS.REDIS, redisUrl: server.url });
+  });
+
+  test('setAsync/getAsync round-trip', async () => {
+    await cache.setAsync('What is AI?', 'AI is...', 'gpt-4', opts);
+    const hit = await cache.getAsync('What is AI?', 'gpt-4', opts);
+    expect(hit.response).toBe('AI is...');
+    expect(hit.hits).toBe(1);
+  });
+
+  test('statsAsync reports hits', async () => {
+    const s = await cache.statsAsync(opts);
+    expect(s.entries).toBe(1);
+    expect(s.totalHits).toBe(1);
+  });
+
+  test('statsAsync and savingsAsync stream entries instead of listing them', async () => {
+    const list = jest.spyOn(RedisStorage.prototype, 'list');
+
+    expect(await cache.statsAsync(opts)).toMatchObject({ entries: 1, oldestEntry: expect.any(String) });
+    expect(await cache.savingsAsync(opts)).toMatchObject({ byModel: { 'gpt-4': expect.any(Object) } });
+    expect(list).not.toHaveBeenCalled();
+    list.mockRestore();
+  });
+
+  test('similar command finds matches', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await cache.setAsync('How do rainbows form?', 'Refraction', 'gpt-4', opts);
+    await cache.setAsync('Why is the ocean salty?', 'Minerals', 'gpt-4', opts);
+
+    const found = await similarCommand.execute('how rainbows form', { path: cachePath, threshold: '0.5' });
+    expect(found.success).toBe(true);
+    expect(found.results).toEqual([expect.objectContaining({ prompt: 'How do rainbows form?', response: 'Refraction' })]);
+
+    const best = await similarCommand.execute('how rainbows form', { path: cachePath, threshold: '0.5', best: true });
+    expect(best.match).toMatchObject({ prompt: 'How do rainbows form?' });
+    console.log.mockRestore();
+  });
+
+  test('cost command reports savings', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await cache.setAsync('priced', 'answer', 'claude-3-opus', { ...opts, tokens: 1000 });
+    await cache.getAsync('priced', 'claude-3-opus', opts);
+
+    const { success, report } = await costCommand.execute({ path: cachePath });
+    expect(success).toBe(true);
+    expect(report.models.find(m => m.model === 'claude-3-opus')).toEqual({ model: 'claude-3-opus', tokens: 1000, hits: 1, cost: 0.075 });
+    console.log.mockRestore();
+  });
+
+  test('sync API rejects async backends', () => {
+    expect(() => cache.get('What is AI?', 'gpt-4', opts)).toThrow('async API');
+  });
+});
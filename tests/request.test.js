@@ -0,0 +1,146 @@
+/**
+ * Structured request tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { canonicalRequest, requestText, describeRequest, parseRequest } = require('../src/core/request');
+const { BACKENDS } = require('../src/core/storage');
+const { setConfigValue } = require('../src/core/config');
+const { generateKey, KEY_ENV } = require('../src/core/encryption');
+const cache = require('../src/core/cache');
+const getCommand = require('../src/commands/get');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-request-test-' + Date.now());
+
+const REQUEST = {
+  model: 'gpt-4o',
+  system: 'You are terse.',
+  messages: [
+    { role: 'user', content: 'Capital of France?' },
+    { role: 'assistant', content: 'Paris.' },
+    { role: 'user', content: [{ type: 'text', text: 'And of Spain?' }] },
+  ],
+  temperature: 0.2,
+  tools: [{ type: 'function', function: { name: 'lookup' } }],
+};
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+afterEach(() => {
+  delete process.env[KEY_ENV];
+  jest.restoreAllMocks();
+});
+
+describe('request helpers', () => {
+  test('canonical form ignores key order, model and delivery parameters', () => {
+    const reordered = { temperature: 0.2, tools: REQUEST.tools, messages: REQUEST.messages, system: REQUEST.system, stream: true, user: 'u1' };
+    expect(canonicalRequest(reordered)).toBe(canonicalRequest(REQUEST));
+    expect(canonicalRequest({ ...REQUEST, temperature: 0.9 })).not.toBe(canonicalRequest(REQUEST));
+  });
+
+  test('stands for a request by its last user message', () => {
+    expect(requestText(REQUEST)).toBe('And of Spain?');
+    expect(requestText({ system: 'Only a system prompt' })).toBe('Only a system prompt');
+  });
+
+  test('describes a request', () => {
+    expect(describeRequest(REQUEST)).toBe('3 messages, system prompt, temperature=0.2, tools: lookup');
+  });
+
+  test('parses JSON objects only', () => {
+    expect(parseRequest('{"messages":[]}')).toEqual({ messages: [] });
+    expect(() => parseRequest('[1]')).toThrow('JSON object');
+    expect(() => parseRequest('{')).toThrow('Invalid request JSON');
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache with requests', (backend) => {
+  test('stores the request and finds it in any key order', () => {
+    const { opts } = createCache(backend);
+    cache.set(REQUEST, 'Madrid.', 'default', opts);
+
+    const { tools, messages, ...rest } = REQUEST;
+    const result = cache.get({ messages, tools, ...rest, stream: true }, 'default', opts);
+    expect(result).toMatchObject({ response: 'Madrid.', model: 'gpt-4o', request: REQUEST });
+    expect(cache.list(opts)[0]).toMatchObject({ prompt: 'And of Spain?', request: REQUEST });
+  });
+
+  test('misses on a different parameter', () => {
+    const { opts } = createCache(backend);
+    cache.set(REQUEST, 'Madrid.', 'default', opts);
+
+    expect(cache.get({ ...REQUEST, temperature: 1 }, 'default', opts)).toBeNull();
+    expect(cache.get(REQUEST, 'gpt-4o-mini', opts)).toBeNull();
+  });
+
+  test('keeps requests and plain prompts apart', async () => {
+    const { opts } = createCache(backend);
+    await cache.setAsync({ messages: [{ role: 'user', content: 'hello' }] }, 'from request', 'default', opts);
+    await cache.setAsync('hello', 'from prompt', 'default', opts);
+
+    expect((await cache.getAsync('hello', 'default', opts)).response).toBe('from prompt');
+    expect((await cache.getAsync({ messages: [{ role: 'user', content: 'hello' }] }, 'default', opts)).response).toBe('from request');
+  });
+});
+
+describe('ignoreParams setting', () => {
+  test('decides which parameters do not change the key', () => {
+    const { cachePath, opts } = createCache();
+    setConfigValue(cachePath, 'ignoreParams', 'stream, seed');
+    cache.set({ ...REQUEST, seed: 1 }, 'Madrid.', 'default', opts);
+
+    expect(cache.get({ ...REQUEST, seed: 2 }, 'default', opts)).not.toBeNull();
+    expect(cache.get({ ...REQUEST, user: 'u1' }, 'default', opts)).toBeNull();
+  });
+});
+
+describe('encrypted cache', () => {
+  test('encrypts the stored request', () => {
+    process.env[KEY_ENV] = generateKey();
+    const { cachePath, opts } = createCache();
+    cache.set(REQUEST, 'Madrid.', 'default', opts);
+
+    const raw = fs.readFileSync(path.join(cachePath, 'index.json'), 'utf-8');
+    expect(raw).not.toContain('terse');
+    expect(cache.get(REQUEST, 'default', opts).request).toEqual(REQUEST);
+  });
+});
+
+describe('get command', () => {
+  test('reads the prompt as JSON with --request', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { cachePath, opts } = createCache();
+    cache.set(REQUEST, 'Madrid.', 'default', opts);
+
+    expect(await getCommand.execute(JSON.stringify(REQUEST), { path: cachePath, request: true })).toMatchObject({ success: true, hit: true });
+    expect(await getCommand.execute('{not json', { path: cachePath, request: true })).toMatchObject({ success: false });
+  });
+});
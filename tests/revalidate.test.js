@@ -0,0 +1,241 @@
+/**
+ * Soft TTL and stale-while-revalidate tests
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { settleRevalidations, webhookRevalidator } = require('../src/core/revalidate');
+const { BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const getCommand = require('../src/commands/get');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-revalidate-test-' + Date.now());
+
+const MINUTE = 60000;
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * Move an entry's times into the past, as if it was set minutes ago
+ * @param {Object} opts
+ * @param {string} prompt
+ * @param {number} minutes
+ */
+function age(opts, prompt, minutes) {
+  const storage = cache.getStorage(opts);
+  const hash = cache.hashPrompt(prompt, 'default');
+  const entry = storage.get(hash);
+  const back = time => new Date(new Date(time) - minutes * MINUTE).toISOString();
+
+  storage.set(hash, {
+    ...entry,
+    created: back(entry.created),
+    staleAt: entry.staleAt && back(entry.staleAt),
+    expires: entry.expires && back(entry.expires),
+  });
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('soft TTL', () => {
+  test('is recorded next to the hard TTL and must be shorter', () => {
+    const { opts } = createCache();
+    expect(cache.set('p', 'r', 'default', { ...opts, ttl: '1h', softTtl: '2h' })).toMatchObject({ success: false });
+
+    cache.set('p', 'r', 'default', { ...opts, ttl: '2h', softTtl: '30m' });
+    const entry = cache.getStorage(opts).get(cache.hashPrompt('p', 'default'));
+    expect(new Date(entry.staleAt) - new Date(entry.created)).toBe(30 * MINUTE);
+    expect(new Date(entry.expires) - new Date(entry.created)).toBe(120 * MINUTE);
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  test('serves entries marked stale between the soft and hard TTL', async () => {
+    const { opts } = createCache(backend);
+    cache.set('What is AI?', 'AI is...', 'default', { ...opts, softTtl: '1h', ttl: '2h' });
+    expect(cache.get('What is AI?', 'default', opts).stale).toBeUndefined();
+
+    age(opts, 'What is AI?', 90);
+    expect(cache.get('What is AI?', 'default', opts)).toMatchObject({ response: 'AI is...', stale: true });
+    expect(await cache.getAsync('What is AI?', 'default', opts)).toMatchObject({ stale: true });
+
+    age(opts, 'What is AI?', 60);
+    expect(cache.get('What is AI?', 'default', opts)).toBeNull();
+    expect(cache.stats(opts).entries).toBe(0);
+  });
+
+  test('keeps entries with only a soft TTL', () => {
+    const { opts } = createCache(backend);
+    cache.set('forever', 'r', 'default', { ...opts, softTtl: '1m' });
+    age(opts, 'forever', 60 * 24 * 365);
+
+    expect(cache.get('forever', 'default', opts)).toMatchObject({ stale: true });
+  });
+
+  test('refreshes stale entries once through the revalidate hook', async () => {
+    const { opts } = createCache(backend);
+    cache.set('news', 'old', 'default', { ...opts, softTtl: '1h', ttl: '1d', tags: ['feed'] });
+    age(opts, 'news', 90);
+
+    const revalidate = jest.fn(async () => 'new');
+    expect(cache.get('news', 'default', { ...opts, revalidate })).toMatchObject({ response: 'old', stale: true });
+    expect((await cache.getAsync('news', 'default', { ...opts, revalidate })).response).toBe('old');
+
+    expect(await settleRevalidations()).toEqual([{ hash: cache.hashPrompt('news', 'default'), success: true }]);
+    expect(revalidate).toHaveBeenCalledTimes(1);
+    expect(revalidate).toHaveBeenCalledWith('news', 'default', expect.objectContaining({ response: 'old' }));
+
+    const fresh = cache.get('news', 'default', { ...opts, revalidate });
+    expect(fresh.response).toBe('new');
+    expect(fresh.stale).toBeUndefined();
+
+    // Same lifetimes and tags as before
+    const entry = cache.getStorage(opts).get(cache.hashPrompt('news', 'default'));
+    expect(new Date(entry.staleAt) - new Date(entry.created)).toBe(60 * MINUTE);
+    expect(new Date(entry.expires) - new Date(entry.created)).toBe(24 * 60 * MINUTE);
+    expect(entry.tags).toEqual(['feed']);
+  });
+});
+
+describe('revalidate hook', () => {
+  test('keeps the stale entry when it returns nothing or fails', async () => {
+    const { opts } = createCache();
+    cache.set('q', 'stale answer', 'default', { ...opts, softTtl: '1m' });
+    age(opts, 'q', 5);
+
+    cache.get('q', 'default', { ...opts, revalidate: async () => null });
+    expect(await settleRevalidations()).toEqual([expect.objectContaining({ success: true })]);
+
+    cache.get('q', 'default', { ...opts, revalidate: async () => { throw new Error('upstream down'); } });
+    expect(await settleRevalidations()).toEqual([expect.objectContaining({ success: false, error: 'upstream down' })]);
+
+    expect(cache.get('q', 'default', opts)).toMatchObject({ response: 'stale answer', stale: true });
+  });
+
+  test('reports failures to onRevalidateError', async () => {
+    const { opts } = createCache();
+    cache.set('q', 'r', 'default', { ...opts, softTtl: '1m' });
+    age(opts, 'q', 5);
+
+    const onRevalidateError = jest.fn();
+    cache.get('q', 'default', { ...opts, revalidate: async () => { throw new Error('upstream down'); }, onRevalidateError });
+    await settleRevalidations();
+    expect(onRevalidateError).toHaveBeenCalledWith(expect.objectContaining({ message: 'upstream down' }), cache.hashPrompt('q', 'default'));
+  });
+
+  test('is not called for reads without tracking', async () => {
+    const { opts } = createCache();
+    cache.set('q', 'r', 'default', { ...opts, softTtl: '1m' });
+    age(opts, 'q', 5);
+
+    const revalidate = jest.fn(async () => 'new');
+    cache.get('q', 'default', { ...opts, revalidate, track: false });
+    await settleRevalidations();
+    expect(revalidate).not.toHaveBeenCalled();
+  });
+});
+
+describe('webhookRevalidator', () => {
+  let server;
+  let url;
+  let received;
+
+  beforeAll((done) => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received = JSON.parse(body);
+        if (received.prompt === 'keep') {
+          res.writeHead(204).end();
+        } else if (received.prompt === 'fail') {
+          res.writeHead(502).end();
+        } else {
+          res.writeHead(200, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ response: `fresh for ${received.prompt || 'request'}` }));
+        }
+      });
+    });
+    server.listen(0, '127.0.0.1', () => {
+      url = `http://127.0.0.1:${server.address().port}/refresh`;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  test('posts the stale entry and returns the fresh response', async () => {
+    const hook = webhookRevalidator(url);
+
+    expect(await hook('p', 'gpt-4', { response: 'old' })).toBe('fresh for p');
+    expect(received).toEqual({ prompt: 'p', model: 'gpt-4', response: 'old' });
+
+    const request = { messages: [{ role: 'user', content: 'Hi' }] };
+    expect(await hook(request, 'gpt-4', { response: 'old' })).toBe('fresh for request');
+    expect(received.request).toEqual(request);
+
+    expect(await hook('keep', 'gpt-4', { response: 'old' })).toBeNull();
+    await expect(hook('fail', 'gpt-4', { response: 'old' })).rejects.toThrow('502');
+  });
+
+  test('does not need a global fetch', async () => {
+    const { fetch } = global;
+    delete global.fetch;
+    try {
+      expect(await webhookRevalidator(url)('p', 'gpt-4', { response: 'old' })).toBe('fresh for p');
+    } finally {
+      global.fetch = fetch;
+    }
+  });
+
+  test('rejects unreachable endpoints and non-HTTP URLs', async () => {
+    await expect(webhookRevalidator('http://127.0.0.1:1/refresh')('p', 'gpt-4', { response: 'old' })).rejects.toThrow();
+    expect(() => webhookRevalidator('ftp://example.com/refresh')).toThrow('Unsupported');
+  });
+});
+
+describe('get command', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports stale hits', async () => {
+    const { cachePath, opts } = createCache();
+    cache.set('cli', 'answer', 'default', { ...opts, softTtl: '1m' });
+    age(opts, 'cli', 5);
+
+    expect(await getCommand.execute('cli', { path: cachePath })).toMatchObject({ hit: true, stale: true });
+    expect(console.log).toHaveBeenCalledWith(expect.stringContaining('CACHE HIT (stale)'));
+  });
+});
@@ -0,0 +1,208 @@
+/**
+ * SQLite schema migration tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const Database = require('better-sqlite3');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { MIGRATIONS, SCHEMA_VERSION, getSchemaVersion, getSchemaStatus, migrateSchema } = require('../src/core/schema');
+const { SQLiteStorage } = require('../src/core/storage');
+const { entrySize } = require('../src/core/eviction');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-schema-test-' + Date.now());
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Create a cache.db with the pre-versioning layout and one entry
+ * @param {string} name
+ * @returns {string} Cache directory
+ */
+function createLegacyCache(name) {
+  const dir = path.join(TEST_DIR, name);
+  fs.mkdirSync(dir, { recursive: true });
+
+  const db = new Database(path.join(dir, 'cache.db'));
+  db.exec(`
+    CREATE TABLE entries (
+      hash TEXT PRIMARY KEY, prompt TEXT NOT NULL, response TEXT NOT NULL,
+      model TEXT DEFAULT 'default', created TEXT NOT NULL, expires TEXT,
+      hits INTEGER DEFAULT 0, tokens INTEGER DEFAULT 0, compressed INTEGER DEFAULT 0, tags TEXT
+    );
+    CREATE TABLE stats (key TEXT PRIMARY KEY, value TEXT);
+  `);
+  db.prepare('INSERT INTO entries (hash, prompt, response, created) VALUES (?, ?, ?, ?)')
+    .run('legacy', 'old prompt', 'old response', new Date().toISOString());
+  db.prepare("INSERT INTO stats (key, value) VALUES ('totalHits', '3')").run();
+  db.close();
+
+  return dir;
+}
+
+/**
+ * List pre-upgrade backups in a cache directory
+ * @param {string} dir
+ * @returns {Array<string>}
+ */
+function backups(dir) {
+  return fs.readdirSync(dir).filter(f => f.endsWith('.bak'));
+}
+
+describe('migrateSchema', () => {
+  test('new databases start at the latest version without a backup', () => {
+    const storage = new SQLiteStorage(path.join(TEST_DIR, 'fresh'));
+    storage.init();
+
+    expect(getSchemaVersion(storage.db)).toBe(SCHEMA_VERSION);
+    expect(storage.migration.backup).toBeNull();
+    expect(backups(storage.cachePath)).toHaveLength(0);
+    storage.close();
+  });
+
+  test('upgrades legacy databases in place after backing them up', () => {
+    const dir = createLegacyCache('legacy');
+    const storage = new SQLiteStorage(dir);
+
+    expect(storage.get('legacy').response).toBe('old response');
+    expect(storage.migration).toMatchObject({ from: 0, to: SCHEMA_VERSION });
+    expect(storage.getStats()).toMatchObject({ totalHits: 3, entryBytes: entrySize(storage.get('legacy')) });
+    expect(backups(dir)).toEqual([path.basename(storage.migration.backup)]);
+
+    const backup = new Database(storage.migration.backup, { readonly: true });
+    expect(getSchemaVersion(backup)).toBe(0);
+    backup.close();
+    storage.close();
+  });
+
+  test('runs only pending steps, in order', () => {
+    const dir = createLegacyCache('ordered');
+    const dbPath = path.join(dir, 'cache.db');
+    const db = new Database(dbPath);
+    const order = [];
+
+    const migrations = [
+      ...MIGRATIONS,
+      { version: SCHEMA_VERSION + 1, description: 'Add namespace', up: (d) => {
+        order.push('namespace');
+        d.exec("ALTER TABLE entries ADD COLUMN namespace TEXT DEFAULT 'default'");
+      } },
+      { version: SCHEMA_VERSION + 2, description: 'Index namespace', up: (d) => {
+        order.push('index');
+        d.exec('CREATE INDEX idx_namespace ON entries(namespace)');
+      } },
+    ];
+
+    migrateSchema(db, dbPath);
+    expect(getSchemaStatus(db, migrations).pending.map(m => m.description))
+      .toEqual(['Add namespace', 'Index namespace']);
+
+    const result = migrateSchema(db, dbPath, migrations);
+    expect(result.applied).toEqual([SCHEMA_VERSION + 1, SCHEMA_VERSION + 2]);
+    expect(order).toEqual(['namespace', 'index']);
+    expect(db.prepare("SELECT namespace FROM entries WHERE hash = 'legacy'").get().namespace).toBe('default');
+
+    expect(migrateSchema(db, dbPath, migrations).applied).toEqual([]);
+    db.close();
+  });
+
+  test('rolls back a failed step', () => {
+    const dir = createLegacyCache('failing');
+    const dbPath = path.join(dir, 'cache.db');
+    const db = new Database(dbPath);
+
+    const migrations = [
+      ...MIGRATIONS,
+      { version: SCHEMA_VERSION + 1, description: 'Broken', up: (d) => d.exec('ALTER TABLE missing ADD COLUMN x') },
+    ];
+
+    expect(() => migrateSchema(db, dbPath, migrations)).toThrow();
+    expect(getSchemaVersion(db)).toBe(0);
+    expect(backups(dir)).toHaveLength(1);
+    db.close();
+  });
+
+  test('lets only one of two processes opening a legacy database upgrade it', () => {
+    const dir = createLegacyCache('concurrent');
+    const dbPath = path.join(dir, 'cache.db');
+    const first = new Database(dbPath);
+    const second = new Database(dbPath);
+
+    // The other process finishes upgrading between our version check and our transaction
+    const transaction = second.transaction.bind(second);
+    second.transaction = (fn) => {
+      migrateSchema(first, dbPath);
+      return transaction(fn);
+    };
+
+    expect(migrateSchema(second, dbPath)).toMatchObject({ from: SCHEMA_VERSION, applied: [], backup: null });
+    expect(getSchemaVersion(second)).toBe(SCHEMA_VERSION);
+    expect(backups(dir)).toHaveLength(1);
+    first.close();
+    second.close();
+  });
+
+  test('refuses databases from a newer llmcache', () => {
+    const dir = path.join(TEST_DIR, 'newer');
+    const storage = new SQLiteStorage(dir);
+    storage.init();
+    storage.db.prepare('INSERT INTO schema_version (version, description, applied) VALUES (?, ?, ?)')
+      .run(SCHEMA_VERSION + 1, 'From the future', new Date().toISOString());
+    storage.close();
+
+    expect(() => new SQLiteStorage(dir).get('x')).toThrow('newer than this llmcache supports');
+  });
+});
+
+describe('SQLiteStorage.init', () => {
+  test('leaves no directory behind when the driver fails to load', () => {
+    const dir = path.join(TEST_DIR, 'no-driver');
+
+    jest.isolateModules(() => {
+      jest.doMock('better-sqlite3', () => {
+        throw new Error('was compiled against a different Node.js version');
+      });
+      const cache = require('../src/core/cache');
+
+      expect(cache.init({ customPath: dir, backend: 'sqlite' }))
+        .toMatchObject({ success: false, error: expect.stringContaining('different Node.js version') });
+    });
+    jest.dontMock('better-sqlite3');
+
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+});
+
+describe('SQLiteStorage.schemaStatus', () => {
+  test('reports pending migrations without applying them', () => {
+    const dir = createLegacyCache('status');
+    const status = new SQLiteStorage(dir).schemaStatus();
+
+    expect(status.current).toBe(0);
+    expect(status.pending.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    expect(backups(dir)).toHaveLength(0);
+  });
+
+  test('lists applied migrations', () => {
+    const storage = new SQLiteStorage(path.join(TEST_DIR, 'status-applied'));
+    storage.init();
+
+    const status = storage.schemaStatus();
+    expect(status.current).toBe(SCHEMA_VERSION);
+    expect(status.pending).toEqual([]);
+    expect(status.applied.map(m => m.version)).toEqual(MIGRATIONS.map(m => m.version));
+    storage.close();
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * SQLite backend tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { SQLiteStorage, BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-sqlite-test-' + Date.now());
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+/**
+ * Open an initialized SQLiteStorage in a fresh directory
+ */
+function openStorage(name) {
+  const dir = path.join(TEST_DIR, name);
+  fs.mkdirSync(dir, { recursive: true });
+  const storage = new SQLiteStorage(dir);
+  storage.init();
+  return storage;
+}
+
+describe('SQLiteStorage stats', () => {
+  test('seeds zeroed stats', () => {
+    const storage = openStorage('seed');
+    expect(storage.getStats()).toMatchObject({
+      totalEntries: 0,
+      totalHits: 0,
+      totalSaved: 0,
+      costSaved: {},
+    });
+    storage.close();
+  });
+
+  test('updateStats persists across reopen', () => {
+    const storage = openStorage('persist');
+    storage.updateStats({ totalHits: 7, costSaved: { 'gpt-4': 1.25 } });
+    storage.close();
+
+    const reopened = new SQLiteStorage(path.join(TEST_DIR, 'persist'));
+    reopened.init();
+    expect(reopened.getStats()).toMatchObject({ totalHits: 7, costSaved: { 'gpt-4': 1.25 } });
+    reopened.close();
+  });
+
+  test('incrementStats adds to counters', () => {
+    const storage = openStorage('increment');
+    storage.incrementStats({ totalHits: 1, totalSaved: 100 });
+    storage.incrementStats({ totalHits: 2, totalSaved: 50 });
+    expect(storage.getStats()).toMatchObject({ totalHits: 3, totalSaved: 150 });
+    storage.close();
+  });
+
+  test('totalEntries counts rows', () => {
+    const storage = openStorage('count');
+    storage.set('a', { prompt: 'p', response: 'r' });
+    storage.set('b', { prompt: 'p', response: 'r' });
+    expect(storage.getStats().totalEntries).toBe(2);
+    storage.close();
+  });
+
+  test('full clear resets stats, partial clear keeps them', () => {
+    const storage = openStorage('clear');
+    const old = new Date(Date.now() - 10 * 86400000).toISOString();
+    storage.set('old', { prompt: 'p', response: 'r', created: old });
+    storage.set('new', { prompt: 'p', response: 'r' });
+    storage.incrementStats({ totalHits: 5 });
+
+    expect(storage.clear({ olderThan: '7' }).removed).toBe(1);
+    expect(storage.getStats().totalHits).toBe(5);
+
+    expect(storage.clear().removed).toBe(1);
+    expect(storage.getStats()).toMatchObject({ totalEntries: 0, totalHits: 0, totalSaved: 0 });
+    storage.close();
+  });
+});
+
+describe('stats meaning across backends', () => {
+  test.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s: totalSaved counts bytes served from cache', (backend) => {
+    const opts = { customPath: path.join(TEST_DIR, 'meaning-' + backend) };
+    cache.init({ ...opts, backend });
+
+    cache.set('prompt', 'a response of 22 bytes', 'gpt-4', opts);
+    cache.set('unread', 'never served', 'gpt-4', opts);
+    cache.get('prompt', 'gpt-4', opts);
+    cache.get('prompt', 'gpt-4', opts);
+
+    const s = cache.stats(opts);
+    expect(s.entries).toBe(2);
+    expect(s.totalHits).toBe(2);
+    expect(s.tokensSaved).toBe(Math.round(44 / 4));
+  });
+});
+
+describe('SQLiteStorage export/import', () => {
+  const full = {
+    prompt: 'Explain caching',
+    response: 'eJxLzs8rSc0rAQAK',
+    model: 'gpt-4',
+    created: '2024-05-01T10:00:00.000Z',
+    expires: '2030-01-01T00:00:00.000Z',
+    hits: 4,
+    tokens: 12,
+    compressed: true,
+    algorithm: 'zlib',
+    compressedSize: 12,
+    tags: ['docs', 'faq'],
+  };
+
+  test('exports every entry field', () => {
+    const storage = openStorage('export-full');
+    storage.set('full', full);
+
+    expect(storage.exportData().entries.full).toEqual(full);
+    storage.close();
+  });
+
+  test('export/import round-trip produces an identical cache', () => {
+    const source = openStorage('round-trip-source');
+    source.set('full', full);
+    source.set('plain', { prompt: 'p', response: 'r', model: 'default', created: full.created, hits: 0, tokens: 1 });
+
+    const exported = JSON.parse(JSON.stringify(source.exportData()));
+    source.close();
+
+    const target = openStorage('round-trip-target');
+    expect(target.importData(exported)).toEqual({ success: true, imported: 2 });
+    expect(target.exportData().entries).toEqual(exported.entries);
+    target.close();
+  });
+
+  test('supports merge, replace and skip-existing strategies', () => {
+    const storage = openStorage('strategies');
+    storage.set('a', { prompt: 'original', response: 'r' });
+
+    const data = {
+      entries: {
+        a: { prompt: 'imported', response: 'r' },
+        b: { prompt: 'new', response: 'r' },
+      },
+    };
+
+    expect(storage.importData(data, 'merge').imported).toBe(1);
+    expect(storage.get('a').prompt).toBe('original');
+
+    expect(storage.importData(data, 'skip-existing').imported).toBe(0);
+    expect(storage.get('a').prompt).toBe('original');
+
+    expect(storage.importData(data, 'replace').imported).toBe(2);
+    expect(storage.get('a').prompt).toBe('imported');
+    storage.close();
+  });
+
+  test('imports all or nothing', () => {
+    const storage = openStorage('atomic');
+    const data = {
+      entries: {
+        good: { prompt: 'p', response: 'r' },
+        bad: { prompt: 'p', response: null },
+      },
+    };
+
+    expect(() => storage.importData(data)).toThrow();
+    expect(storage.get('good')).toBeNull();
+    storage.close();
+  });
+
+  test('import works through the cache API', () => {
+    const opts = { customPath: path.join(TEST_DIR, 'import-api') };
+    cache.init({ ...opts, backend: BACKENDS.SQLITE });
+
+    const result = cache.importCache({ entries: { full } }, opts);
+    expect(result).toEqual({ success: true, imported: 1 });
+    expect(cache.exportCache(opts).entries.full).toEqual(full);
+  });
+});
+
+describe('SQLiteStorage full-text search', () => {
+  let storage;
+
+  beforeAll(() => {
+    storage = openStorage('fts');
+    storage.set('ml', { prompt: 'What is machine learning?', response: 'A field of AI that learns from data' });
+    storage.set('ml-deep', { prompt: 'Machine learning versus deep learning: machine learning basics', response: 'Deep nets' });
+    storage.set('cook', { prompt: 'How do I cook rice?', response: 'Boil water, add the learning grains' });
+    storage.set('learner', { prompt: 'Tips for a new learner', response: 'Practice daily' });
+  });
+
+  afterAll(() => {
+    storage.close();
+  });
+
+  const hashes = (results) => results.map(r => r.hash);
+
+  test('ranks better matches first', () => {
+    const results = storage.search('machine learning');
+    expect(hashes(results)).toEqual(['ml-deep', 'ml']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+
+  test('matches quoted phrases', () => {
+    expect(hashes(storage.search('"deep learning"'))).toEqual(['ml-deep']);
+    expect(storage.search('"learning deep"')).toEqual([]);
+  });
+
+  test('matches prefixes', () => {
+    expect(hashes(storage.search('learn*')).sort()).toEqual(['learner', 'ml', 'ml-deep']);
+  });
+
+  test('marks matches in snippets', () => {
+    const [result] = storage.search('rice');
+    expect(result.snippet).toBe('How do I cook <mark>rice</mark>?');
+  });
+
+  test('searches responses only when asked', () => {
+    expect(storage.search('grains')).toEqual([]);
+    expect(hashes(storage.search('grains', { responses: true }))).toEqual(['cook']);
+  });
+
+  test('takes punctuation and operators literally', () => {
+    expect(hashes(storage.search('rice? OR NOT'))).toEqual([]);
+    expect(hashes(storage.search('rice?'))).toEqual(['cook']);
+    expect(storage.search('?!')).toEqual([]);
+  });
+
+  test('index follows updates and deletes', () => {
+    storage.set('cook', { prompt: 'How do I cook pasta?', response: 'Boil water' });
+    expect(storage.search('rice')).toEqual([]);
+    expect(hashes(storage.search('pasta'))).toEqual(['cook']);
+
+    storage.delete('cook');
+    expect(storage.search('pasta')).toEqual([]);
+  });
+
+  test('index is built for databases that predate it', () => {
+    const dir = path.join(TEST_DIR, 'fts-legacy');
+    fs.mkdirSync(dir, { recursive: true });
+
+    const Database = require('better-sqlite3');
+    const db = new Database(path.join(dir, 'cache.db'));
+    db.exec(`
+      CREATE TABLE entries (
+        hash TEXT PRIMARY KEY, prompt TEXT NOT NULL, response TEXT NOT NULL,
+        model TEXT DEFAULT 'default', created TEXT NOT NULL, expires TEXT,
+        hits INTEGER DEFAULT 0, tokens INTEGER DEFAULT 0, compressed INTEGER DEFAULT 0, tags TEXT
+      );
+      CREATE TABLE stats (key TEXT PRIMARY KEY, value TEXT);
+    `);
+    db.prepare('INSERT INTO entries (hash, prompt, response, created) VALUES (?, ?, ?, ?)')
+      .run('old', 'Legacy quantum prompt', 'r', new Date().toISOString());
+    db.close();
+
+    const legacy = new SQLiteStorage(dir);
+    expect(hashes(legacy.search('quantum'))).toEqual(['old']);
+    legacy.close();
+  });
+
+  test('cache.search uses the index on SQLite caches', () => {
+    const opts = { customPath: path.join(TEST_DIR, 'fts-api') };
+    cache.init({ ...opts, backend: BACKENDS.SQLITE });
+    cache.set('Explain vector databases', 'They store embeddings', 'gpt-4', opts);
+
+    const [result] = cache.search('vector', opts);
+    expect(result).toMatchObject({ model: 'gpt-4', prompt: 'Explain vector databases' });
+    expect(result.snippet).toContain('<mark>vector</mark>');
+  });
+});
@@ -5,7 +5,8 @@
 const fs = require('fs');
 const path = require('path');
 const os = require('os');
-const { JSONStorage, BACKENDS, createStorage, detectBackend } = require('../src/core/storage');
+const { spawn } = require('child_process');
+const { JSONStorage, RedisStorage, AsyncStorage, BACKENDS, createStorage, detectBackend, toAsync } = require('../src/core/storage');
 
 const TEST_DIR = path.join(os.tmpdir(), 'llmcache-storage-test-' + Date.now());
 
@@ -147,6 +148,15 @@ describe('JSONStorage', () => {
     });
   });
 
+  describe('incrementStats', () => {
+    test('adds to counters', () => {
+      storage.incrementStats({ totalHits: 2, totalSaved: 40 });
+      const stats = storage.getStats();
+      expect(stats.totalHits).toBe(102);
+      expect(stats.totalSaved).toBe(40);
+    });
+  });
+
   describe('clear', () => {
     test('clears all entries', () => {
       const clearPath = path.join(TEST_DIR, 'clear-storage');
@@ -171,6 +181,144 @@ describe('JSONStorage', () => {
     });
   });
 
+  describe('concurrency', () => {
+    test('parallel writers never drop entries', async () => {
+      const concurrentPath = path.join(TEST_DIR, 'concurrent-storage');
+      new JSONStorage(concurrentPath).init();
+
+      const script = `
+        const { JSONStorage } = require(${JSON.stringify(path.join(__dirname, '../src/core/storage'))});
+        const storage = new JSONStorage(process.argv[1]);
+        for (let i = 0; i < 25; i++) {
+          storage.set(process.argv[2] + '-' + i, { prompt: 'p', response: 'r' });
+        }
+      `;
+
+      const workers = ['a', 'b', 'c', 'd'].map(id => new Promise((resolve, reject) => {
+        const child = spawn(process.execPath, ['-e', script, concurrentPath, id], { stdio: 'inherit' });
+        child.on('error', reject);
+        child.on('exit', code => (code === 0 ? resolve() : reject(new Error('worker exited ' + code))));
+      }));
+      await Promise.all(workers);
+
+      const storage = new JSONStorage(concurrentPath);
+      expect(storage.list()).toHaveLength(100);
+      expect(storage.getStats().totalEntries).toBe(100);
+      expect(fs.existsSync(path.join(concurrentPath, 'index.lock'))).toBe(false);
+    }, 30000);
+
+    test('reports a corrupt index instead of pretending it is empty', () => {
+      const corruptPath = path.join(TEST_DIR, 'corrupt-storage');
+      fs.mkdirSync(corruptPath, { recursive: true });
+      fs.writeFileSync(path.join(corruptPath, 'index.json'), '{"entries": {');
+
+      const corrupt = new JSONStorage(corruptPath);
+      expect(() => corrupt.get('x')).toThrow('Corrupt cache index');
+    });
+  });
+
+  describe('log-structured format', () => {
+    const logPath = path.join(TEST_DIR, 'log-storage');
+    const indexFile = path.join(logPath, 'index.json');
+    const logFile = path.join(logPath, 'index.log');
+
+    beforeEach(() => {
+      fs.rmSync(logPath, { recursive: true, force: true });
+    });
+
+    test('writes append to index.log without rewriting index.json', () => {
+      const logStorage = new JSONStorage(logPath);
+      logStorage.init();
+      const snapshot = fs.readFileSync(indexFile, 'utf-8');
+
+      logStorage.set('a', { prompt: 'p', response: 'r' });
+      logStorage.updateStats({ totalHits: 1 });
+
+      expect(fs.readFileSync(indexFile, 'utf-8')).toBe(snapshot);
+      const ops = fs.readFileSync(logFile, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+      expect(ops.map(o => o.op)).toEqual(['set', 'stats']);
+      expect(ops.map(o => o.seq)).toEqual([1, 2]);
+    });
+
+    test('rebuilds state from snapshot and log when reopened', () => {
+      const writer = new JSONStorage(logPath);
+      writer.init();
+      writer.set('a', { prompt: 'p1', response: 'r1' });
+      writer.set('b', { prompt: 'p2', response: 'r2' });
+      writer.delete('a');
+
+      const reader = new JSONStorage(logPath);
+      expect(reader.get('a')).toBeNull();
+      expect(reader.get('b').prompt).toBe('p2');
+      expect(reader.getStats().totalEntries).toBe(1);
+    });
+
+    test('instances see each other\'s writes', () => {
+      const first = new JSONStorage(logPath, { compactThreshold: 3 });
+      first.init();
+      const second = new JSONStorage(logPath);
+
+      first.set('a', { prompt: 'p', response: 'r' });
+      expect(second.get('a')).not.toBeNull();
+
+      // Compaction replaces the snapshot and truncates the log
+      first.set('b', { prompt: 'p', response: 'r' });
+      first.set('c', { prompt: 'p', response: 'r' });
+      expect(second.list()).toHaveLength(3);
+    });
+
+    test('compacts the log into a snapshot at the threshold', () => {
+      const logStorage = new JSONStorage(logPath, { compactThreshold: 3 });
+      logStorage.init();
+      ['a', 'b', 'c'].forEach(h => logStorage.set(h, { prompt: h, response: 'r' }));
+
+      expect(fs.readFileSync(logFile, 'utf-8')).toBe('');
+      const snapshot = JSON.parse(fs.readFileSync(indexFile, 'utf-8'));
+      expect(Object.keys(snapshot.entries)).toEqual(['a', 'b', 'c']);
+      expect(snapshot.seq).toBe(3);
+    });
+
+    test('skips log lines already folded into the snapshot', () => {
+      const logStorage = new JSONStorage(logPath);
+      logStorage.init();
+      logStorage.set('a', { prompt: 'p', response: 'r' });
+
+      // Crash after writing the snapshot but before truncating the log
+      const data = logStorage.exportData();
+      logStorage.save(data, 1);
+
+      const reopened = new JSONStorage(logPath);
+      expect(reopened.getStats().totalEntries).toBe(1);
+    });
+
+    test('recovers from a torn trailing line', () => {
+      const logStorage = new JSONStorage(logPath);
+      logStorage.init();
+      logStorage.set('a', { prompt: 'p', response: 'r' });
+      fs.appendFileSync(logFile, '{"seq":2,"op":"set","hash":"x","ent');
+
+      const reopened = new JSONStorage(logPath);
+      reopened.set('b', { prompt: 'p', response: 'r' });
+
+      const fresh = new JSONStorage(logPath);
+      expect(fresh.list().map(e => e.hash).sort()).toEqual(['a', 'b']);
+    });
+
+    test('opens legacy index.json caches', () => {
+      fs.mkdirSync(logPath, { recursive: true });
+      fs.writeFileSync(indexFile, JSON.stringify({
+        entries: { old: { prompt: 'legacy', response: 'r' } },
+        stats: { totalEntries: 1, totalHits: 0, totalSaved: 0, costSaved: {} },
+        meta: { backend: 'json' },
+      }));
+
+      const legacy = new JSONStorage(logPath);
+      expect(legacy.get('old').prompt).toBe('legacy');
+      legacy.set('new', { prompt: 'p', response: 'r' });
+      expect(new JSONStorage(logPath).getStats().totalEntries).toBe(2);
+    });
+  });
+
   describe('importData', () => {
     test('imports entries with merge strategy', () => {
       const importPath = path.join(TEST_DIR, 'import-storage');
@@ -222,10 +370,29 @@ describe('createStorage', () => {
     expect(storage).toBeInstanceOf(JSONStorage);
   });
 
-  test('throws for Redis backend (not implemented)', () => {
-    expect(() => {
-      createStorage(path.join(TEST_DIR, 'create3'), BACKENDS.REDIS);
-    }).toThrow('Redis backend not yet implemented');
+  test('creates RedisStorage for redis backend', () => {
+    const storage = createStorage(path.join(TEST_DIR, 'create3'), BACKENDS.REDIS);
+    expect(storage).toBeInstanceOf(RedisStorage);
+  });
+});
+
+describe('toAsync', () => {
+  test('wraps sync backends in Promise-returning methods', async () => {
+    const storage = new JSONStorage(path.join(TEST_DIR, 'async-wrap'));
+    const wrapped = toAsync(storage);
+    expect(wrapped).toBeInstanceOf(AsyncStorage);
+    expect(wrapped.isAsync).toBe(true);
+
+    await wrapped.init();
+    const setResult = wrapped.set('h', { prompt: 'p', response: 'r' });
+    expect(setResult).toBeInstanceOf(Promise);
+    expect(await setResult).toEqual({ success: true, isNew: true });
+    expect((await wrapped.get('h')).response).toBe('r');
+  });
+
+  test('returns async backends unchanged', () => {
+    const storage = new RedisStorage(path.join(TEST_DIR, 'async-redis'));
+    expect(toAsync(storage)).toBe(storage);
   });
 });
 
@@ -239,6 +406,14 @@ describe('detectBackend', () => {
     expect(backend).toBe(BACKENDS.JSON);
   });
 
+  test('detects the JSON log layout', () => {
+    const logPath = path.join(TEST_DIR, 'detect-log');
+    fs.mkdirSync(logPath, { recursive: true });
+    fs.writeFileSync(path.join(logPath, 'index.log'), '');
+
+    expect(detectBackend(logPath)).toBe(BACKENDS.JSON);
+  });
+
   test('detects SQLite backend', () => {
     const sqlitePath = path.join(TEST_DIR, 'detect-sqlite');
     fs.mkdirSync(sqlitePath, { recursive: true });
@@ -247,4 +422,13 @@ describe('detectBackend', () => {
     const backend = detectBackend(sqlitePath);
     expect(backend).toBe(BACKENDS.SQLITE);
   });
+
+  test('detects Redis backend', () => {
+    const redisPath = path.join(TEST_DIR, 'detect-redis');
+    fs.mkdirSync(redisPath, { recursive: true });
+    fs.writeFileSync(path.join(redisPath, 'redis.json'), '{}');
+
+    const backend = detectBackend(redisPath);
+    expect(backend).toBe(BACKENDS.REDIS);
+  });
 });
@@ -0,0 +1,186 @@
+/**
+ * Tiered (memory over backend) storage tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+const { TieredStorage, JSONStorage, toAsync } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-tiered-test-' + Date.now());
+
+const entry = (prompt, extra = {}) => ({
+  prompt,
+  response: `response to ${prompt}`,
+  model: 'default',
+  created: new Date().toISOString(),
+  hits: 0,
+  ...extra,
+});
+
+let counter = 0;
+
+/**
+ * Fresh JSON backend in its own directory
+ * @returns {JSONStorage}
+ */
+function backend() {
+  const storage = new JSONStorage(path.join(TEST_DIR, `l2-${counter++}`));
+  storage.init();
+  return storage;
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('TieredStorage', () => {
+  test('writes through to the backend', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2);
+
+    expect(storage.set('a', entry('a'))).toEqual({ success: true, isNew: true });
+    expect(l2.get('a').prompt).toBe('a');
+    expect(storage.cachePath).toBe(l2.cachePath);
+  });
+
+  test('serves repeat reads from memory', () => {
+    const l2 = backend();
+    l2.set('a', entry('a'));
+    const storage = new TieredStorage(l2);
+    const read = jest.spyOn(l2, 'get');
+
+    expect(storage.get('a').prompt).toBe('a');
+    expect(storage.get('a').prompt).toBe('a');
+    expect(read).toHaveBeenCalledTimes(1);
+    expect(storage.getStats()).toMatchObject({ l1Hits: 1, l2Hits: 1 });
+  });
+
+  test('returns copies without tier bookkeeping', () => {
+    const storage = new TieredStorage(backend());
+    storage.set('a', entry('a'));
+
+    const first = storage.get('a');
+    first.hits = 99;
+    expect(storage.get('a')).toEqual(entry('a', { created: first.created }));
+  });
+
+  test('misses fall through and are not cached', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2);
+
+    expect(storage.get('missing')).toBeNull();
+    l2.set('missing', entry('late'));
+    expect(storage.get('missing').prompt).toBe('late');
+  });
+
+  test('deletes from both tiers', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2);
+    storage.set('a', entry('a'));
+
+    storage.delete('a');
+    expect(storage.get('a')).toBeNull();
+    expect(l2.get('a')).toBeNull();
+  });
+
+  test('bounds the memory tier', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2, { maxEntries: 2 });
+    storage.set('a', entry('a'));
+    storage.set('b', entry('b'));
+    storage.set('c', entry('c'));
+
+    expect(storage.l1.getStats().totalEntries).toBe(2);
+    expect(storage.get('a').prompt).toBe('a');
+    expect(storage.getStats()).toMatchObject({ totalEntries: 3, l2Hits: 1 });
+  });
+
+  test('re-reads memory copies older than maxAge', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2, { maxAge: 1000 });
+    storage.set('a', entry('a'));
+    l2.set('a', entry('a', { response: 'changed elsewhere' }));
+
+    const now = jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 2000);
+    expect(storage.get('a').response).toBe('changed elsewhere');
+    now.mockRestore();
+  });
+
+  test('stores tier counters with the next stats increment', () => {
+    const l2 = backend();
+    const storage = new TieredStorage(l2);
+    storage.set('a', entry('a'));
+    storage.get('a');
+
+    storage.incrementStats({ totalHits: 1 });
+    expect(l2.getStats()).toMatchObject({ totalHits: 1, l1Hits: 1 });
+    expect(storage.getStats()).toMatchObject({ l1Hits: 1, l2Hits: 0 });
+  });
+
+  test('flushes tier counters on close', () => {
+    const l2 = backend();
+    l2.set('a', entry('a'));
+    const storage = new TieredStorage(l2);
+    storage.get('a');
+    storage.close();
+
+    expect(new JSONStorage(l2.cachePath).getStats().l2Hits).toBe(1);
+  });
+
+  test('clear and import drop memory copies', () => {
+    const storage = new TieredStorage(backend());
+    storage.set('a', entry('a'));
+    storage.clear();
+    expect(storage.get('a')).toBeNull();
+
+    storage.set('b', entry('b'));
+    storage.importData({ entries: { b: entry('b', { response: 'imported' }) } }, 'replace');
+    expect(storage.get('b').response).toBe('imported');
+  });
+
+  test('returns Promises over an async backend', async () => {
+    const l2 = toAsync(backend());
+    const storage = new TieredStorage(l2);
+    expect(storage.isAsync).toBe(true);
+
+    await storage.set('a', entry('a'));
+    expect((await storage.get('a')).prompt).toBe('a');
+    expect(await storage.search('a')).toBeNull();
+    await storage.incrementStats({ totalHits: 1 });
+    expect(await storage.getStats()).toMatchObject({ totalEntries: 1, l1Hits: 1 });
+  });
+});
+
+describe('cache API over tiered storage', () => {
+  test('counts hits per tier in stats', () => {
+    const storage = new TieredStorage(backend());
+    const opts = { storage };
+
+    cache.set('What is AI?', 'AI is...', 'gpt-4', opts);
+    expect(cache.get('What is AI?', 'gpt-4', opts).response).toBe('AI is...');
+    expect(cache.get('What is AI?', 'gpt-4', opts).hits).toBe(2);
+    expect(cache.search('AI', opts)).toHaveLength(1);
+
+    expect(cache.stats(opts)).toMatchObject({ entries: 1, totalHits: 2, tierHits: { l1: 2, l2: 0 } });
+  });
+
+  test('stats of an untiered cache have no tier hits', () => {
+    const l2 = backend();
+    expect(cache.stats({ storage: l2 }).tierHits).toBeNull();
+  });
+
+  test('async API reuses the instance', async () => {
+    const storage = new TieredStorage(toAsync(backend()));
+    const opts = { storage };
+
+    await cache.setAsync('q', 'a', 'default', opts);
+    expect((await cache.getAsync('q', 'default', opts)).response).toBe('a');
+    expect((await cache.statsAsync(opts)).tierHits).toEqual({ l1: 1, l2: 0 });
+  });
+});
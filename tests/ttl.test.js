@@ -0,0 +1,159 @@
+/**
+ * TTL policy tests
+ */
+
+const fs = require('fs');
+const path = require('path');
+const os = require('os');
+
+jest.mock('../src/license/checker', () => ({
+  ...jest.requireActual('../src/license/checker'),
+  isPro: () => true,
+}));
+
+const { parseTTLMap, parseMaxTtl, matchesGlob, policyTTL, resolveTTL } = require('../src/core/ttl');
+const { DEFAULT_CONFIG, setConfigValue } = require('../src/core/config');
+const { BACKENDS } = require('../src/core/storage');
+const cache = require('../src/core/cache');
+const configCommand = require('../src/commands/config');
+
+const TEST_DIR = path.join(os.tmpdir(), 'llmcache-ttl-test-' + Date.now());
+
+const HOUR = 3600000;
+const DAY = 24 * HOUR;
+
+const POLICY = {
+  ...DEFAULT_CONFIG,
+  modelTtls: { 'gpt-4o-mini': '1d', 'gpt-4o*': '7d', 'claude-?-*': '3d' },
+  tagTtls: { news: '1h', docs: '30d' },
+};
+
+let counter = 0;
+
+/**
+ * Fresh cache directory
+ * @param {string} backend
+ * @returns {Object} { cachePath, opts }
+ */
+function createCache(backend = BACKENDS.JSON) {
+  const cachePath = path.join(TEST_DIR, `cache-${counter++}`);
+  cache.init({ customPath: cachePath, backend });
+  return { cachePath, opts: { customPath: cachePath } };
+}
+
+/**
+ * How long a stored entry lives, in ms
+ * @param {Object} opts
+ * @param {string} prompt
+ * @param {string} model
+ * @returns {number|null}
+ */
+function lifetime(opts, prompt, model) {
+  const entry = cache.getStorage(opts).get(cache.hashPrompt(prompt, model));
+  return entry.expires ? new Date(entry.expires) - new Date(entry.created) : null;
+}
+
+beforeAll(() => {
+  fs.mkdirSync(TEST_DIR, { recursive: true });
+});
+
+afterAll(() => {
+  fs.rmSync(TEST_DIR, { recursive: true, force: true });
+});
+
+describe('settings', () => {
+  test('parse TTL maps and the cap', () => {
+    expect(parseTTLMap('{"gpt-4o*": "7D", "news": " 1h "}')).toEqual({ 'gpt-4o*': '7d', news: '1h' });
+    expect(parseTTLMap('{"gpt-4o*": "week"}')).toBeNull();
+    expect(parseTTLMap('{"gpt-4o*": 7}')).toBeNull();
+    expect(parseTTLMap('["7d"]')).toBeNull();
+    expect(parseTTLMap('7d')).toBeNull();
+
+    expect(parseMaxTtl('30D')).toBe('30d');
+    expect(parseMaxTtl('forever')).toBeNull();
+  });
+
+  test('match model globs', () => {
+    expect(matchesGlob('gpt-4o*', 'gpt-4o-2024-08-06')).toBe(true);
+    expect(matchesGlob('gpt-4o*', 'gpt-4')).toBe(false);
+    expect(matchesGlob('claude-?-*', 'claude-3-opus')).toBe(true);
+    expect(matchesGlob('gpt-4.1', 'gpt-401')).toBe(false);
+  });
+});
+
+describe('policyTTL', () => {
+  test('uses the shortest tag TTL, else the first matching model pattern', () => {
+    expect(policyTTL(POLICY, 'gpt-4o', ['docs', 'news'])).toEqual({ ttl: '1h', rule: 'tag news' });
+    expect(policyTTL(POLICY, 'gpt-4o-mini', ['other'])).toEqual({ ttl: '1d', rule: 'model gpt-4o-mini' });
+    expect(policyTTL(POLICY, 'gpt-4o-2024-08-06')).toEqual({ ttl: '7d', rule: 'model gpt-4o*' });
+    expect(policyTTL(POLICY, 'llama3')).toBeNull();
+  });
+});
+
+describe('resolveTTL', () => {
+  test('prefers the TTL asked for over the policy', () => {
+    expect(resolveTTL({ ttl: '2h' }, POLICY, 'gpt-4o', ['news'])).toEqual({ ttlMs: 2 * HOUR, softMs: null });
+    expect(resolveTTL({}, POLICY, 'gpt-4o', [])).toEqual({ ttlMs: 7 * DAY, softMs: null });
+    expect(resolveTTL({}, POLICY, 'llama3', [])).toEqual({ ttlMs: null, softMs: null });
+  });
+
+  test('caps every TTL at maxTtl', () => {
+    const capped = { ...POLICY, maxTtl: '2d' };
+    expect(resolveTTL({ ttl: '30d', softTtl: '1d' }, capped, 'x')).toEqual({ ttlMs: 2 * DAY, softMs: DAY });
+    expect(resolveTTL({}, capped, 'gpt-4o')).toEqual({ ttlMs: 2 * DAY, softMs: null });
+    expect(resolveTTL({ softTtl: '5d' }, capped, 'llama3')).toEqual({ ttlMs: null, softMs: 2 * DAY });
+  });
+
+  test('drops a soft TTL the entry would not live to see', () => {
+    expect(resolveTTL({ softTtl: '2d' }, POLICY, 'gpt-4o-mini')).toEqual({ ttlMs: DAY, softMs: null });
+    expect(resolveTTL({ ttl: '1d', softTtl: '2d' }, POLICY, 'x')).toEqual({ error: expect.stringContaining('shorter') });
+  });
+});
+
+describe.each([BACKENDS.JSON, BACKENDS.SQLITE])('%s cache', (backend) => {
+  test('set applies the policy and the cap', async () => {
+    const { cachePath, opts } = createCache(backend);
+    setConfigValue(cachePath, 'modelTtls', JSON.stringify(POLICY.modelTtls));
+    setConfigValue(cachePath, 'tagTtls', JSON.stringify(POLICY.tagTtls));
+    setConfigValue(cachePath, 'maxTtl', '5d');
+
+    expect(cache.set('a', 'r', 'gpt-4o-mini', opts).expires).toEqual(expect.any(String));
+    expect(lifetime(opts, 'a', 'gpt-4o-mini')).toBe(DAY);
+
+    await cache.setAsync('b', 'r', 'gpt-4o', opts);
+    expect(lifetime(opts, 'b', 'gpt-4o')).toBe(5 * DAY);
+
+    cache.set('c', 'r', 'gpt-4o', { ...opts, tags: ['news'] });
+    expect(lifetime(opts, 'c', 'gpt-4o')).toBe(HOUR);
+
+    cache.set('d', 'r', 'gpt-4o', { ...opts, ttl: '30d' });
+    expect(lifetime(opts, 'd', 'gpt-4o')).toBe(5 * DAY);
+
+    expect(cache.set('e', 'r', 'llama3', opts).expires).toBeNull();
+  });
+});
+
+describe('config command', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sets and shows the policy', () => {
+    const { cachePath } = createCache();
+
+    expect(configCommand.execute('set', 'modelTtls', '{"gpt-4o*": "7d"}', { path: cachePath })).toMatchObject({ success: true });
+    expect(configCommand.execute('set', 'maxTtl', 'soon', { path: cachePath })).toMatchObject({ success: false });
+    expect(configCommand.execute('set', 'maxTtl', '30d', { path: cachePath })).toMatchObject({ success: true });
+
+    const shown = configCommand.execute('show', null, null, { path: cachePath });
+    expect(shown.config).toMatchObject({ modelTtls: { 'gpt-4o*': '7d' }, tagTtls: {}, maxTtl: '30d' });
+    const output = console.log.mock.calls.map(args => args.join(' ')).join('\n');
+    expect(output).toContain('gpt-4o* → 7d');
+    expect(output).toMatch(/maxTtl\s+30d/);
+  });
+});